@@ -1,4 +1,4 @@
-import { kv } from '@vercel/kv';
+import { kv } from '../lib/storage/index.js';
 
 export const config = { 
   runtime: 'edge'
@@ -1,127 +1,46 @@
-// api/cron.js - Economic calendar alerts with Trading Economics API
-// Auto-triggers: Runs every 15 min, sends alerts 5-60 min before events
-// Rate limit aware: 1 req/3sec for free tier (500 calls/month)
+// api/cron.js - Economic calendar alerts
+// Auto-triggers: Runs every 5 min, sends each subscriber's reminder stages
+// (default 60 min, 15 min and at release; see lib/reminders.js)
+// Recipients: private chats in econ:subs plus the channels, groups and forum
+// topics in econ:dests (lib/destinations.js), each with its own prefs
+// Providers: Trading Economics → Finnhub → FMP fallback chain (lib/providers),
+// plus manual events from econ:manual. econ:api:cache is refreshed as often
+// as the providers' call budgets allow (lib/providers/quota.js).
+// Run log: every live run's summary goes to econ:runs and admins are alerted
+// when runs or providers keep failing (lib/runlog.js)
 
 'use strict';
 
-const { kv } = require('@vercel/kv');
-
-// Rate limiting: Trading Economics free tier = 500 calls/month
-// Space out calls: 1 call per 3 seconds to avoid 429 errors
-let lastApiCall = 0;
-const MIN_API_INTERVAL = 3000; // 3 seconds between calls
-
-async function rateLimitedFetch(url, timeout = 15000) {
-  const now = Date.now();
-  const elapsed = now - lastApiCall;
-  if (elapsed < MIN_API_INTERVAL) {
-    await new Promise(r => setTimeout(r, MIN_API_INTERVAL - elapsed));
-  }
-  lastApiCall = Date.now();
-  
-  console.log('[FETCH] Calling:', url.replace(/c=[^&]+/, 'c=***'));
-  return fetch(url, { signal: AbortSignal.timeout(timeout) });
-}
-
-// ============================================================================
-// PROVIDER ADAPTERS
-// ============================================================================
-
-/**
- * Fetch events from Trading Economics
- * FREE TIER LIMITS: 500 calls/month, rate limit unknown (using 3s spacing)
- */
-async function fetchTradingEconomics(fromMs, toMs) {
-  const key = process.env.TRADING_ECONOMICS_API_KEY;
-  if (!key) {
-    console.log('[WARN] No TRADING_ECONOMICS_API_KEY found');
-    return null;
-  }
-
-  const from = new Date(fromMs).toISOString().split('T')[0];
-  const to = new Date(toMs).toISOString().split('T')[0];
-  
-  const url = `https://api.tradingeconomics.com/calendar?c=${key}&d1=${from}&d2=${to}&f=json`;
-
-  try {
-    const res = await rateLimitedFetch(url);
-    console.log('[API] Trading Economics response:', res.status);
-    
-    if (!res.ok) {
-      const errText = await res.text();
-      console.error('[ERROR] Trading Economics API:', res.status, errText);
-      return null;
-    }
-    
-    const events = await res.json();
-    console.log(`[API] Fetched ${events.length} raw events from Trading Economics`);
-    
-    // Log all countries found for debugging
-    const countriesFound = [...new Set(events.map(e => e.Country))];
-    console.log('[API] Countries in response:', countriesFound.join(', '));
-    
-    // FIX: Accept ALL major countries (no filter at fetch stage)
-    const normalized = events.map(e => ({
-      country: e.Country, // Keep original country name
-      event: e.Event || 'Unknown Event',
-      date: e.Date,
-      actual: e.Actual || null,
-      forecast: e.Forecast || e.TEForecast || null,
-      previous: e.Previous || null,
-      importance: e.Importance,
-      impact: mapImportance(e.Importance)
-    }));
-    
-    console.log(`[API] Normalized ${normalized.length} events (no country filter)`);
-    if (normalized.length > 0) {
-      console.log('[API] Sample events:', normalized.slice(0, 3).map(e => 
-        `${e.country}: ${e.event} @ ${e.date} [IMP:${e.importance} F:${e.forecast} P:${e.previous}]`
-      ));
-    }
-    return normalized;
-  } catch (err) {
-    console.error('[ERROR] Trading Economics fetch failed:', err.message);
-    return null;
-  }
-}
-
-function mapImportance(importance) {
-  if (importance === 3) return 'high';
-  if (importance === 2) return 'medium';
-  return 'low';
-}
-
-async function fetchManual(fromMs, toMs) {
-  try {
-    let raw = await kv.zrange('econ:manual', 0, -1);
-    if (!raw || !raw.length) {
-      raw = await kv.zrange('econ:manual', 0, 99999);
-    }
-    if (!raw || !raw.length) {
-      try {
-        raw = await kv.zrange('econ:manual', '-inf', '+inf', { byScore: true });
-      } catch {}
-    }
-
-    const parsed = (raw || [])
-      .map(s => {
-        try {
-          const o = typeof s === 'string' ? JSON.parse(s) : s;
-          o.ts = Date.parse(o.date);
-          return Number.isFinite(o.ts) ? o : null;
-        } catch {
-          return null;
-        }
-      })
-      .filter(Boolean)
-      .filter(e => e.ts >= fromMs && e.ts <= toMs);
-    
-    console.log(`[MANUAL] Fetched ${parsed.length} manual events`);
-    return parsed;
-  } catch (err) {
-    console.error('[ERROR] Manual fetch failed:', err.message);
-    return [];
-  }
+const { kv } = require('../lib/storage/node');
+const { toMsg, eventKey, legacyEventKey } = require('../lib/alerts');
+const { trackAlert, processReleases } = require('../lib/releases');
+const { fetchProviderEvents, fetchManual, getChain, cacheRefresh } = require('../lib/providers');
+const { deliver, summarize } = require('../lib/telegram');
+const { getAllPrefs, normalizePrefs, matchesPrefs } = require('../lib/prefs');
+const { LEAD_MIN, dueStage, stageKey, stageMarkerKey } = require('../lib/reminders');
+const { processDigests } = require('../lib/digest');
+const { processHistory } = require('../lib/history');
+const { listDestinations, chatTarget } = require('../lib/destinations');
+const { getAllPicks } = require('../lib/picks');
+const { recordRun } = require('../lib/runlog');
+const { diffSnapshots, processChanges } = require('../lib/changes');
+const { mergeEvent } = require('../lib/canonical');
+const { affectedPairs } = require('../lib/instruments');
+const { classify } = require('../lib/categories');
+const { inQuietHours, quietAction, queueAlert, processCatchUps } = require('../lib/quiet');
+
+// econ:cache:upcoming holds every event for the next 7 days, up to this many
+const UPCOMING_CACHE_MAX = 500;
+
+// cacheRefresh() result for the response (Infinity does not survive JSON)
+function describeRefresh(refresh) {
+  if (!refresh) return null;
+  return {
+    mode: refresh.mode,
+    max_age_s: Number.isFinite(refresh.ms) ? Math.round(refresh.ms / 1000) : null,
+    provider: refresh.provider,
+    remaining: refresh.remaining
+  };
 }
 
 // ============================================================================
@@ -131,6 +50,10 @@ async function fetchManual(fromMs, toMs) {
 module.exports = async function handler(req, res) {
   const startTime = Date.now();
   console.log('\n[CRON START]', new Date().toISOString());
+  // Non-fatal errors caught along the way, stored with the run
+  const errors = [];
+  // Responds and records the run; set once the run is known to be live
+  let finish = null;
   
   try {
     // Auth check
@@ -148,17 +71,16 @@ module.exports = async function handler(req, res) {
     // Parse query params
     const q = new URL(req.url, 'http://x').searchParams;
     const dry = ['1', 'true'].includes((q.get('dry') || '').toLowerCase());
-    const mode = (q.get('mode') || 'major').toLowerCase();
     const minutes = q.get('minutes') ? Number(q.get('minutes')) : null;
     const days = q.get('days') ? Number(q.get('days')) : null;
+    // Dry-run preview size; live runs send every due event
     const limit = q.get('limit') ? Math.max(1, Number(q.get('limit'))) : 10;
     const source = (q.get('source') || 'provider').toLowerCase();
-
-    const windowMin = minutes ?? (days ? days * 1440 : 60);
-    const now = Date.now();
-    const end = now + windowMin * 60 * 1000;
-
-    console.log('[PARAMS]', { dry, mode, windowMin, limit, source });
+    // Post-release follow-ups: edit the alert (default), reply to it, or off
+    const release = (q.get('release') || 'edit').toLowerCase();
+    // Provider chain: ?providers=finnhub,fmp overrides PROVIDERS env
+    const chain = getChain(q.get('providers'));
+    const strategy = (q.get('strategy') || process.env.PROVIDER_STRATEGY || 'fallback').toLowerCase();
 
     // Check bot token
     const BOT_TOKEN = process.env.LIIRAT_BOT_TOKEN || process.env.TG_BOT_TOKEN;
@@ -167,90 +89,157 @@ module.exports = async function handler(req, res) {
       return res.status(500).json({ ok: false, error: 'missing_bot_token' });
     }
 
-    // Get subscribers
+    finish = async (body, status = 200) => {
+      if (!dry) {
+        try {
+          await recordRun({ ...body, duration_ms: body.duration_ms ?? Date.now() - startTime }, { token: BOT_TOKEN, errors });
+        } catch (err) {
+          console.error('[RUNLOG ERROR]', err.message);
+        }
+      }
+      return res.status(status).json(body);
+    };
+
+    // Get subscribers (private chats) and destinations (channels, groups,
+    // forum topics)
     const subs = (await kv.smembers('econ:subs')) || [];
     const validSubs = subs.filter(x => /^\d+$/.test(String(x)));
     console.log('[SUBS]', { total: subs.length, valid: validSubs.length, ids: validSubs });
-    
-    if (!validSubs.length) {
+    const dests = await listDestinations();
+    console.log('[DESTS]', dests.map(d => d.id));
+
+    if (!validSubs.length && !dests.length) {
       console.log('[SKIP] No valid subscribers');
-      return res.json({
-        ok: true, source: 'none', subs: 0, events_total: 0,
-        events_after_filters: 0, sent: 0, windowMin, mode, limit, dry
+      return finish({
+        ok: true, source: 'none', subs: 0, destinations: 0, events_total: 0,
+        events_after_filters: 0, sent: 0, limit, dry
       });
     }
 
+    // Each subscriber and destination has a profile in econ:prefs (countries,
+    // categories, min importance, include/exclude keywords, reminder stages). `chatId` is
+    // the destination ID for topics; chatTarget() turns it into Bot API fields.
+    const prefsMap = await getAllPrefs();
+    // Events picked with "remind me" in the /econ_upcoming browser are sent
+    // even when the chat's filters skip them
+    const picksMap = await getAllPicks();
+    const recipients = [...validSubs, ...dests.map(d => d.id)].map(chatId => ({
+      chatId: String(chatId),
+      prefs: prefsMap.get(String(chatId)) || normalizePrefs(null),
+      picks: picksMap.get(String(chatId)) || new Set()
+    }));
+    console.log(`[PREFS] Custom profiles: ${prefsMap.size}, chats with picks: ${picksMap.size}`);
+
+    // Look far enough ahead for the earliest reminder anyone wants
+    const furthestStage = Math.max(...recipients.map(r => r.prefs.reminders[0]));
+    const windowMin = minutes ?? (days ? days * 1440 : furthestStage + LEAD_MIN);
+    const now = Date.now();
+    const end = now + windowMin * 60 * 1000;
+
+    console.log('[PARAMS]', { dry, windowMin, limit, source, release, chain, strategy });
+
     // ---- Fetch Events (rate limited) ----------------------------------------
     let providerEvents = [];
     let manualEvents = [];
-    let providerUsed = 'none';
+    // Adapters that contributed events this run (reported as `provider`)
+    const contributors = [];
+    let providerAttempts = [];
+    // How long the provider cache stays fresh this run (budget and activity)
+    let refresh = null;
+    // Events that moved, changed or vanished since the previous snapshot
+    let snapshotDiff = null;
+
+    const inWindow = e => {
+      const ts = Date.parse(e.date);
+      return ts >= now && ts <= end;
+    };
 
     if (source === 'provider') {
-      // Check cache first (cache until events are past)
+      // Check cache first. Its max age follows the call budget: shorter around
+      // high-impact releases, longer when quiet, unlimited once the budget of
+      // every provider is spent (cache-only until it resets)
       const cacheKey = 'econ:api:cache';
       const cached = await kv.get(cacheKey);
+      let cacheHit = false;
+      let staleCache = null;
       
       if (cached) {
         try {
           const cacheData = typeof cached === 'string' ? JSON.parse(cached) : cached;
           const cacheAge = Date.now() - cacheData.at;
-          console.log(`[CACHE] Found cache, age: ${Math.round(cacheAge / 1000)}s`);
+          refresh = await cacheRefresh(chain, cacheData.events, now);
+          console.log(`[CACHE] Found cache, age: ${Math.round(cacheAge / 1000)}s, max age: ${Math.round(refresh.ms / 1000)}s (${refresh.mode})`);
           
-          // Use cache for 1 hour (avoid too many API calls)
-          if (cacheAge < 60 * 60 * 1000) {
-            providerEvents = cacheData.events.filter(e => {
-              const ts = Date.parse(e.date);
-              return ts >= now && ts <= end;
-            });
-            providerUsed = 'tradingeconomics_cached';
+          if (cacheAge < refresh.ms) {
+            cacheHit = true;
+            providerEvents = cacheData.events.filter(inWindow);
+            const cachedFrom = cacheData.providers || ['tradingeconomics'];
+            contributors.push(...cachedFrom.map(n => `${n}_cached`));
             console.log(`[CACHE] Using cached data: ${providerEvents.length} events in window`);
           } else {
-            console.log('[CACHE] Expired (>1h), fetching fresh data');
+            staleCache = cacheData;
+            console.log('[CACHE] Stale, fetching fresh data');
           }
         } catch (err) {
           console.error('[CACHE ERROR]', err.message);
+          errors.push(`cache: ${err.message}`);
         }
       }
 
-      // If no cache or expired, fetch new data
-      if (!providerEvents.length || providerUsed === 'none') {
+      // If no cache or expired, walk the provider chain
+      if (!cacheHit) {
         console.log('[API] Fetching fresh data (7 day window for cache)');
         const fetchEnd = now + 7 * 24 * 60 * 60 * 1000; // 7 days for caching
-        const freshData = await fetchTradingEconomics(now, fetchEnd);
+        const fresh = await fetchProviderEvents(now, fetchEnd, { chain, strategy });
+        providerAttempts = fresh.attempts;
         
-        if (freshData && freshData.length > 0) {
-          providerUsed = 'tradingeconomics';
-          console.log(`[API] Got ${freshData.length} events, caching for 1 hour`);
+        if (fresh.events.length > 0) {
+          contributors.push(...fresh.providers);
+          console.log(`[API] Got ${fresh.events.length} events from ${fresh.providers.join('+')}${dry ? '' : ', caching'}`);
           
-          // Cache for 1 hour (3600 seconds)
-          await kv.set(cacheKey, JSON.stringify({
-            at: Date.now(),
-            events: freshData
-          }), { ex: 3600 });
+          // Kept for two days so a spent budget still leaves events to alert
+          // on; freshness is decided by cacheRefresh() above. A dry run leaves
+          // the old snapshot in place: it announces no changes, so only a live
+          // run may move the baseline they are diffed against
+          if (!dry) {
+            await kv.set(cacheKey, JSON.stringify({
+              at: Date.now(),
+              providers: fresh.providers,
+              events: fresh.events
+            }), { ex: 2 * 24 * 60 * 60 });
+          }
           
+          refresh = await cacheRefresh(chain, fresh.events, now);
+          snapshotDiff = diffSnapshots(staleCache, fresh, now);
+
           // Filter to alert window
-          providerEvents = freshData.filter(e => {
-            const ts = Date.parse(e.date);
-            return ts >= now && ts <= end;
-          });
+          providerEvents = fresh.events.filter(inWindow);
           console.log(`[API] ${providerEvents.length} events in alert window`);
+        } else if (staleCache) {
+          // Every provider failed or is out of budget: alert from the old copy
+          providerEvents = staleCache.events.filter(inWindow);
+          contributors.push(...(staleCache.providers || ['tradingeconomics']).map(n => `${n}_stale`));
+          console.log(`[API] No fresh events, using stale cache: ${providerEvents.length} events in window`);
         } else {
-          console.log('[API] No events returned or fetch failed');
+          console.log('[API] No events returned or every provider failed');
           providerEvents = [];
         }
       }
     }
 
     manualEvents = await fetchManual(now, end);
+    if (manualEvents.length) contributors.push('manual');
+    const providerUsed = contributors.length ? contributors.join('+') : 'none';
 
-    // Combine and deduplicate
+    // Combine and deduplicate. eventKey() is canonical, so the same release
+    // under another name (manual "NFP" vs provider "Nonfarm Payrolls") is one
+    // event; the provider copy wins and manual fills in missing figures
     const combined = [...providerEvents, ...manualEvents];
     const uniqueMap = new Map();
     for (const ev of combined) {
-      const key = `${ev.country}|${ev.event}|${new Date(ev.date).toISOString().slice(0, 16)}`;
-      if (!uniqueMap.has(key)) {
-        uniqueMap.set(key, { ...ev, ts: Date.parse(ev.date) });
-      }
+      const key = eventKey(ev);
+      const prev = uniqueMap.get(key);
+      uniqueMap.set(key, prev ? mergeEvent(prev, ev) : { ...ev, ts: Date.parse(ev.date) });
     }
     
     const all = Array.from(uniqueMap.values()).sort((a, b) => a.ts - b.ts);
@@ -258,38 +247,16 @@ module.exports = async function handler(req, res) {
     console.log(`[EVENTS] Total unique: ${events_total}`);
 
     // ---- Filtering ----------------------------------------------------------
-    // FIX: Filter by importance first, then by major countries
-    const MAJOR_COUNTRIES = [
-      'United States', 'United Kingdom', 'Euro Area', 'Germany', 'France', 
-      'Japan', 'China', 'Canada', 'Australia', 'Switzerland', 'India'
-    ];
-    
-    const MAJOR_KEYWORDS = ['CPI','NFP','FOMC','RATE','RATES','INTEREST','GDP','PMI','ECB','BOE','FED','NON-FARM','NONFARM','UNEMPLOYMENT','JOBLESS','RETAIL','SALES','INFLATION','PAYROLL','EMPLOYMENT'];
-
-    // Step 1: Filter by importance = 3 (high impact only)
-    const highImpact = all.filter(e => e.importance === 3);
-    console.log(`[FILTER] High impact (importance=3): ${highImpact.length} events`);
-    
-    // Step 2: Filter by major countries
-    const majorCountries = highImpact.filter(e => 
-      MAJOR_COUNTRIES.some(c => e.country.includes(c) || c.includes(e.country))
-    );
-    console.log(`[FILTER] Major countries: ${majorCountries.length} events`);
-    
-    // Step 3: Apply keyword filter if mode=major
-    let filtered = majorCountries;
-    if (mode === 'major') {
-      filtered = majorCountries.filter(e => {
-        const txt = String(e.event || '').toUpperCase();
-        return MAJOR_KEYWORDS.some(k => txt.includes(k));
-      });
-      console.log(`[FILTER] After keyword filter: ${filtered.length} events`);
-    }
-    
-    // Step 4: Apply limit
-    filtered = filtered.slice(0, limit);
-
-    console.log(`[FILTER] Final (after limit): ${filtered.length} events`);
+    // Each chat's categories (lib/categories.js) stand in for the old
+    // global keyword filter; matchesPrefs applies them with the rest
+    const wants = (prefs, e) => matchesPrefs(e, prefs);
+    const wantsAlert = (r, e) => r.picks.has(eventKey(e)) || wants(r.prefs, e);
+
+    // Keep events that at least one recipient wants. ?limit only caps the
+    // dry-run preview: a global cap on live sends would let one broad chat's
+    // events crowd out the alerts other chats asked for.
+    const filtered = all.filter(e => recipients.some(r => wantsAlert(r, e)));
+    console.log(`[FILTER] Wanted by at least one subscriber: ${filtered.length} events`);
     if (filtered.length > 0) {
       console.log('[FILTER] Sample:', filtered.slice(0, 3).map(e => 
         `${e.country}: ${e.event} @ ${new Date(e.ts).toISOString().slice(0,16)}`
@@ -314,18 +281,18 @@ module.exports = async function handler(req, res) {
     
     const cacheMap = new Map();
     for (const ev of cacheEvents) {
-      const key = `${ev.country}|${ev.event}|${new Date(ev.date).toISOString().slice(0, 16)}`;
-      if (!cacheMap.has(key)) {
-        cacheMap.set(key, { ...ev, ts: Date.parse(ev.date) });
-      }
+      const key = eventKey(ev);
+      const prev = cacheMap.get(key);
+      cacheMap.set(key, prev ? mergeEvent(prev, ev) : { ...ev, ts: Date.parse(ev.date) });
     }
     
-    // Filter cache: high impact + major countries only
+    // Every upcoming event, whatever its importance or country: readers
+    // apply a chat's filters (matchesPrefs), so events without an importance,
+    // like manual ones, are not lost here
     const cacheFiltered = Array.from(cacheMap.values())
-      .filter(e => e.ts >= now && e.importance === 3) // High impact only
-      .filter(e => MAJOR_COUNTRIES.some(c => e.country.includes(c) || c.includes(e.country)))
+      .filter(e => e.ts >= now)
       .sort((a, b) => a.ts - b.ts)
-      .slice(0, 50);
+      .slice(0, UPCOMING_CACHE_MAX);
 
     // FIX: Set cache with properly formatted items
     await kv.set(
@@ -340,7 +307,8 @@ module.exports = async function handler(req, res) {
           previous: e.previous,
           actual: e.actual,
           impact: e.impact,
-          importance: e.importance
+          importance: e.importance,
+          ...classify(e)
         }))
       }),
       { ex: 3600 } // Cache for 1 hour
@@ -348,130 +316,289 @@ module.exports = async function handler(req, res) {
     
     console.log(`[CACHE] Updated econ:cache:upcoming with ${cacheFiltered.length} events`);
 
-    if (!filtered.length) {
-      console.log('[SKIP] No events after filtering');
-      return res.json({
-        ok: true, provider: providerUsed, subs: validSubs.length,
-        events_total, events_after_filters: 0, sent: 0,
-        windowMin, mode, limit, dry
-      });
+    // ---- Release Tracking ---------------------------------------------------
+    // Re-poll alerted events whose time has passed and follow up with actuals
+    let releases = null;
+    if (release !== 'off' && source === 'provider') {
+      try {
+        releases = await processReleases({
+          now, dry, token: BOT_TOKEN, prefsMap, mode: release,
+          // Spare budget first; lib/releases.js falls back to the normal
+          // budget now and then so follow-ups still arrive when over pace
+          fetchLatest: async (fromMs, toMs, spend) => {
+            const r = await fetchProviderEvents(fromMs, toMs, { chain, strategy, spend });
+            return { events: r.events, polled: r.attempts.some(a => a.status !== 'skipped') };
+          }
+        });
+        console.log('[RELEASE]', releases);
+      } catch (err) {
+        console.error('[RELEASE ERROR]', err.message);
+        errors.push(`release: ${err.message}`);
+      }
     }
 
-    // ---- Message Formatting -------------------------------------------------
-    const countryFlags = {
-      'United States': '🇺🇸',
-      'Euro Area': '🇪🇺',
-      'United Kingdom': '🇬🇧',
-      'Japan': '🇯🇵',
-      'China': '🇨🇳',
-      'Germany': '🇩🇪',
-      'France': '🇫🇷',
-      'Canada': '🇨🇦',
-      'Australia': '🇦🇺',
-      'Switzerland': '🇨🇭',
-      'India': '🇮🇳'
-    };
+    // ---- Schedule Changes ---------------------------------------------------
+    // Rescheduled, revised, cancelled and new high-impact events since the
+    // previous provider snapshot (lib/changes.js)
+    let changes = null;
+    if (snapshotDiff) {
+      changes = { skipped: snapshotDiff.skipped, found: snapshotDiff.changes.length };
+      if (snapshotDiff.changes.length) {
+        try {
+          Object.assign(changes, await processChanges({
+            changes: snapshotDiff.changes, dry, now, token: BOT_TOKEN, recipients, wants: wantsAlert,
+            stages: [...new Set(recipients.flatMap(r => r.prefs.reminders))]
+          }));
+          console.log('[CHANGES]', changes);
+        } catch (err) {
+          console.error('[CHANGES ERROR]', err.message);
+          errors.push(`changes: ${err.message}`);
+        }
+      }
+    }
 
-    const fmtEn = new Intl.DateTimeFormat('en-GB', {
-      dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Dubai'
-    });
+    // ---- Release History ----------------------------------------------------
+    // Hourly: archive the last day's prints, including events nobody was
+    // alerted to (lib/history.js)
+    let history = null;
+    if (source === 'provider') {
+      try {
+        history = await processHistory({
+          now, dry,
+          // Only budget the month is ahead on; alerts come first
+          fetchLatest: async (fromMs, toMs) =>
+            (await fetchProviderEvents(fromMs, toMs, { chain, strategy, spend: 'spare' })).events
+        });
+        console.log('[HISTORY]', history);
+      } catch (err) {
+        console.error('[HISTORY ERROR]', err.message);
+        errors.push(`history: ${err.message}`);
+      }
+    }
 
-    function toMsg(ev) {
-      const when = fmtEn.format(new Date(ev.ts));
-      const flag = countryFlags[ev.country] || '🌐';
-      const lines = [];
-      lines.push(`🔔 *Economic Alert*`);
-      lines.push(`${flag} *${ev.country}*`);
-      lines.push(`📊 ${ev.event}`);
-      lines.push(`⏰ ${when} Dubai time`);
-      if (ev.forecast) lines.push(`📈 Forecast: ${ev.forecast}`);
-      if (ev.previous) lines.push(`📉 Previous: ${ev.previous}`);
-      return lines.join('\n');
+    // ---- Digests ------------------------------------------------------------
+    // Daily/weekly planning messages for chats whose local digest time is now,
+    // built from the same 7-day event set as the upcoming cache
+    let digests = null;
+    try {
+      digests = await processDigests({
+        now, dry, token: BOT_TOKEN, recipients, wants,
+        events: Array.from(cacheMap.values()).sort((a, b) => a.ts - b.ts)
+      });
+      console.log('[DIGEST]', digests);
+    } catch (err) {
+      console.error('[DIGEST ERROR]', err.message);
+      errors.push(`digest: ${err.message}`);
+    }
+
+    // ---- Quiet Hours Catch-up -----------------------------------------------
+    // Alerts bundled during a chat's quiet hours go out as one message once
+    // its window has ended (lib/quiet.js)
+    let catchUps = null;
+    try {
+      catchUps = await processCatchUps({ now, dry, token: BOT_TOKEN, recipients });
+      console.log('[QUIET]', catchUps);
+    } catch (err) {
+      console.error('[QUIET ERROR]', err.message);
+      errors.push(`quiet: ${err.message}`);
+    }
+
+    if (!filtered.length) {
+      console.log('[SKIP] No events after filtering');
+      return finish({
+        ok: true, provider: providerUsed, provider_attempts: providerAttempts,
+        subs: validSubs.length, destinations: dests.length,
+        events_total, events_after_filters: 0, sent: 0, releases, changes, history, digests,
+        catch_ups: catchUps,
+        cache_refresh: describeRefresh(refresh),
+        windowMin, limit, dry
+      });
     }
 
     // ---- Deduplication & Sending --------------------------------------------
+    // Each reminder stage is deduped separately and per chat
+    // (econ:sent:<event>|<offset>m:chats), so one event can be alerted at
+    // 60 min, 15 min and at release, and a chat whose filters or picks take
+    // it in later still gets a stage other chats already had
     const DEDUPE_EXPIRY = 48 * 60 * 60;
+    // Chats already sent a stage. Whole-stage markers from before markers
+    // were per chat, or before canonical event keys, count as everyone, so
+    // an upgrade does not repeat stages (they expire within DEDUPE_EXPIRY,
+    // after which these lookups can go)
+    const sentTo = async (ev, stage) => {
+      if ((await kv.get(stageMarkerKey(eventKey(ev), stage))) ||
+          (await kv.get(stageMarkerKey(legacyEventKey(ev), stage)))) return null;
+      return new Set(((await kv.smembers(stageKey(eventKey(ev), stage))) || []).map(String));
+    };
+    // Recipients of a stage not sent it yet
+    const pendingOf = async (ev, stage, targets) => {
+      const done = await sentTo(ev, stage);
+      return done ? targets.filter(r => !done.has(String(r.chatId))) : [];
+    };
     let sent = 0;
+    let failed = 0;
+    let removed = 0;
+    // Messages sent per stage offset, for the response
+    const stages = {};
+    // Alerts due inside recipients' quiet hours, by what happened to them
+    const quiet = { silent: 0, dropped: 0, queued: 0 };
+    // Dry runs list what would go out instead (shown by the bot's /dryrun)
+    let planned;
+
+    // stage offset → recipients due for that stage, for one event
+    const dueByStage = ev => {
+      const minutesUntil = (ev.ts - now) / 60000;
+      const groups = new Map();
+      for (const r of recipients) {
+        if (!wantsAlert(r, ev)) continue;
+        const stage = dueStage(r.prefs.reminders, minutesUntil);
+        if (stage === null) continue;
+        if (!groups.has(stage)) groups.set(stage, []);
+        groups.get(stage).push(r);
+      }
+      return groups;
+    };
 
-    console.log(`[SEND] ${dry ? 'DRY RUN' : 'LIVE'} - Processing ${filtered.length} events for ${validSubs.length} subs`);
+    console.log(`[SEND] ${dry ? 'DRY RUN' : 'LIVE'} - Processing ${filtered.length} events for ${recipients.length} recipients`);
 
     if (!dry) {
       for (const ev of filtered) {
-        const isoMinute = new Date(ev.ts).toISOString().slice(0, 16);
-        const dedupeKey = `econ:sent:${ev.country}|${ev.event}|${isoMinute}`;
-        
-        try {
-          const already = await kv.get(dedupeKey);
-          if (already) {
-            console.log(`[SKIP] Already sent: ${dedupeKey}`);
-            continue;
-          }
-        } catch {}
+        for (const [stage, due] of dueByStage(ev)) {
+          const dedupeKey = stageKey(eventKey(ev), stage);
 
-        const text = toMsg(ev);
-        console.log(`[MSG] Sending to ${validSubs.length} users:`, text.split('\n')[1]);
-        
-        for (const chatId of validSubs) {
+          let targets = due;
           try {
-            const sendRes = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
-              method: 'POST',
-              headers: { 'content-type': 'application/json' },
-              body: JSON.stringify({ 
-                chat_id: chatId, 
-                text,
-                parse_mode: 'Markdown' 
-              })
-            });
-            
-            if (!sendRes.ok) {
-              const errData = await sendRes.json();
-              console.error(`[TG ERROR] Chat ${chatId}:`, errData);
+            targets = await pendingOf(ev, stage, due);
+            if (!targets.length) {
+              console.log(`[SKIP] Already sent: ${dedupeKey}`);
+              continue;
+            }
+          } catch {}
+
+          console.log(`[MSG] Stage ${stage}m to ${targets.length}/${recipients.length} chats:`, `${ev.country}: ${ev.event}`);
+
+          // Quiet hours: drop, queue for the catch-up message, or send silently
+          const sendTo = [];
+          for (const r of targets) {
+            const action = quietAction(r.prefs, now);
+            if (action === 'drop') {
+              quiet.dropped++;
+            } else if (action === 'bundle') {
+              try {
+                await queueAlert(r.chatId, ev, stage);
+                quiet.queued++;
+              } catch (err) {
+                console.error('[QUIET ERROR]', err.message);
+                errors.push(`quiet: ${err.message}`);
+              }
             } else {
-              console.log(`[TG OK] Sent to ${chatId}`);
-              sent++;
+              if (action) quiet.silent++;
+              sendTo.push({ ...r, silent: !!action });
             }
+          }
+
+          // Render once per timezone/language/pairs variant, not once per subscriber
+          const textByVariant = new Map();
+          const payloads = sendTo.map(({ chatId, prefs, silent }) => {
+            const pairs = affectedPairs(ev, prefs.instruments);
+            const variant = `${prefs.tz}|${prefs.lang}|${pairs.join(',')}`;
+            if (!textByVariant.has(variant)) textByVariant.set(variant, toMsg(ev, prefs.tz, prefs.lang, stage, pairs));
+            return {
+              ...chatTarget(chatId),
+              text: textByVariant.get(variant),
+              parse_mode: 'Markdown',
+              ...(silent ? { disable_notification: true } : {})
+            };
+          });
+
+          const results = await deliver(BOT_TOKEN, payloads);
+          const counts = summarize(results);
+          sent += counts.sent;
+          failed += counts.failed;
+          removed += counts.removed;
+          stages[`${stage}m`] = (stages[`${stage}m`] || 0) + counts.sent;
+          console.log(`[TG] ${ev.event} (${stage}m):`, counts);
+
+          // chat/destination ID → message_id, for editing the latest
+          // reminder once the actual is out
+          const messageIds = {};
+          results.forEach((r, i) => {
+            if (r.ok && r.messageId) messageIds[sendTo[i].chatId] = r.messageId;
+          });
+
+          try {
+            await kv.sadd(dedupeKey, ...targets.map(r => String(r.chatId)));
+            await kv.expire(dedupeKey, DEDUPE_EXPIRY);
+            console.log(`[DEDUPE] Marked sent: ${dedupeKey} (${targets.length} chats)`);
           } catch (err) {
-            console.error(`[TG ERROR] Chat ${chatId}:`, err.message);
+            console.error(`[DEDUPE ERROR]`, err.message);
+            errors.push(`dedupe: ${err.message}`);
+          }
+
+          if (release !== 'off' && Object.keys(messageIds).length) {
+            try {
+              await trackAlert(ev, messageIds);
+            } catch (err) {
+              console.error('[TRACK ERROR]', err.message);
+              errors.push(`track: ${err.message}`);
+            }
           }
-        }
-        
-        try {
-          await kv.set(dedupeKey, '1', { ex: DEDUPE_EXPIRY });
-          console.log(`[DEDUPE] Marked sent: ${dedupeKey}`);
-        } catch (err) {
-          console.error(`[DEDUPE ERROR]`, err.message);
         }
       }
     } else {
-      console.log('[DRY] Would send:', filtered.map(e => 
-        `${e.country}: ${e.event} @ ${new Date(e.ts).toISOString().slice(0,16)}`
+      planned = [];
+      for (const e of filtered.slice(0, limit)) {
+        for (const [stage, due] of dueByStage(e)) {
+          const targets = await pendingOf(e, stage, due).catch(() => due);
+          planned.push({
+            country: e.country, event: e.event, date: new Date(e.ts).toISOString(),
+            stage, recipients: targets.length, already_sent: !targets.length,
+            quiet_hours: targets.filter(r => inQuietHours(r.prefs, now)).length
+          });
+        }
+      }
+      console.log('[DRY] Would send:', planned.map(p =>
+        `${p.country}: ${p.event} @ ${p.date.slice(0,16)} [${p.stage}m] → ${p.recipients} subs${p.already_sent ? ' (already sent)' : ''}`
       ));
     }
 
     const duration = Date.now() - startTime;
     console.log(`[CRON END] Duration: ${duration}ms, Sent: ${sent} alerts`);
 
-    return res.json({
+    return finish({
       ok: true, 
       provider: providerUsed,
+      provider_attempts: providerAttempts,
       subs: validSubs.length,
+      destinations: dests.length,
       events_total, 
       events_from_provider: providerEvents.length,
       events_from_manual: manualEvents.length,
       events_after_filters: filtered.length, 
       sent,
+      failed,
+      removed,
+      stages,
+      quiet,
+      planned,
+      releases,
+      changes,
+      history,
+      digests,
+      catch_ups: catchUps,
+      cache_refresh: describeRefresh(refresh),
       windowMin, 
-      mode, 
       limit, 
       dry,
       duration_ms: duration
     });
   } catch (e) {
     console.error('[FATAL]', e);
-    return res.status(500).json({ 
+    const body = {
       ok: false, 
       error: e.message, 
       stack: process.env.NODE_ENV === 'development' ? e.stack : undefined 
-    });
+    };
+    return finish ? finish(body, 500) : res.status(500).json(body);
   }
 };
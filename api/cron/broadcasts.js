@@ -0,0 +1,31 @@
+// api/cron/broadcasts.js - Broadcast job runner
+// Auto-triggers: Runs every minute and sends due jobs from econ:broadcasts
+// (lib/broadcasts.js) in batches until BROADCAST_BUDGET_MS is spent. A job
+// that does not finish continues on the next run from its saved cursor.
+
+'use strict';
+
+require('../../lib/storage/node'); // file backend for local runs
+const { processBroadcasts } = require('../../lib/broadcasts');
+
+module.exports = async function handler(req, res) {
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ ok: false, error: 'unauthorized' });
+  }
+
+  const BOT_TOKEN = process.env.LIIRAT_BOT_TOKEN || process.env.TG_BOT_TOKEN;
+  if (!BOT_TOKEN) {
+    return res.status(500).json({ ok: false, error: 'missing_bot_token' });
+  }
+
+  const startTime = Date.now();
+  try {
+    const budgetMs = Number(process.env.BROADCAST_BUDGET_MS) || undefined;
+    const run = await processBroadcasts({ token: BOT_TOKEN, budgetMs });
+    console.log('[BROADCAST RUN]', run);
+    return res.json({ ok: true, ...run, duration_ms: Date.now() - startTime });
+  } catch (e) {
+    console.error('[BROADCAST ERROR]', e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+};
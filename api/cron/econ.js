@@ -1,4 +1,10 @@
-import { kv } from '@vercel/kv';
+import { kv } from '../../lib/storage/index.js';
+import { getAllPrefs } from '../../lib/prefs.js';
+import { DEFAULT_TZ, formatTime } from '../../lib/time.js';
+import { DEFAULT_LANG, t, countryFlag, countryLabel, eventLabel } from '../../lib/i18n.js';
+import { fetchProviderEvents } from '../../lib/providers/index.js';
+import { classify, categoryIcon } from '../../lib/categories.js';
+import { deliver, summarize } from '../../lib/telegram.js';
 
 export const config = { 
   runtime: 'edge',
@@ -6,7 +12,6 @@ export const config = {
 };
 
 const BOT_TOKEN = process.env.LIIRAT_BOT_TOKEN;
-const FMP_API_KEY = process.env.FMP_API_KEY;
 
 export default async function handler(req) {
   if (req.headers.get('authorization') !== `Bearer ${process.env.CRON_SECRET}`) {
@@ -21,30 +26,19 @@ export default async function handler(req) {
     });
   }
   
-  // Fetch upcoming high-impact events from FMP
+  // Fetch upcoming high-impact events through the shared provider chain
   const now = new Date();
   const future = new Date(now.getTime() + 30 * 60000);
-  
-  const url = `https://financialmodelingprep.com/api/v3/economic_calendar?apikey=${FMP_API_KEY}`;
-  
-  let events;
-  try {
-    const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
-    if (!res.ok) {
-      console.error('FMP API error:', res.status);
-      return new Response(JSON.stringify({ error: 'API error', status: res.status }), { status: 500 });
-    }
-    events = await res.json();
-  } catch (e) {
-    console.error('FMP fetch failed:', e.message);
-    return new Response(JSON.stringify({ error: e.message }), { status: 500 });
+
+  const { events, providers, attempts } = await fetchProviderEvents(now.getTime(), future.getTime());
+  if (!providers.length && attempts.some(a => a.status === 'failed')) {
+    return new Response(JSON.stringify({ error: 'API error', attempts }), { status: 500 });
   }
 
   // Filter for upcoming events in next 30 min with high impact
   const upcoming = events.filter(e => {
     const eventTime = new Date(e.date);
-    const impact = (e.impact || '').toLowerCase();
-    return eventTime > now && eventTime <= future && impact === 'high';
+    return eventTime > now && eventTime <= future && e.impact === 'high';
   });
   
   if (!upcoming.length) {
@@ -53,8 +47,10 @@ export default async function handler(req) {
     });
   }
 
-  // Send alerts to all subscribers
-  let sent = 0;
+  // Send alerts to all subscribers, each in their own timezone and language
+  const prefsMap = await getAllPrefs();
+  const payloads = [];
+  const dedupeKeys = [];
   for (const chat_id of subs) {
     for (const ev of upcoming) {
       // Check dedupe
@@ -62,35 +58,31 @@ export default async function handler(req) {
       const already = await kv.get(dedupeKey);
       if (already) continue;
 
-      const when = new Date(ev.date).toLocaleTimeString('en-GB', {
-        hour: '2-digit',
-        minute: '2-digit',
-        timeZone: 'Asia/Dubai'
-      });
+      const { tz, lang } = prefsMap.get(String(chat_id)) || { tz: DEFAULT_TZ, lang: DEFAULT_LANG };
+      const when = formatTime(Date.parse(ev.date), tz);
       
-      const estimate = ev.estimate ? `\n📊 Estimate: ${ev.estimate}` : '';
-      const previous = ev.previous ? `\n📈 Previous: ${ev.previous}` : '';
+      const estimate = ev.forecast ? `\n📊 ${t(lang, 'field.forecast')}: ${ev.forecast}` : '';
+      const previous = ev.previous ? `\n📈 ${t(lang, 'field.previous')}: ${ev.previous}` : '';
       
-      const msg = `🔔 *High-Impact Event*\n\n🌍 *${ev.country}*\n📊 ${ev.event}\n⏰ ${when} Dubai time${estimate}${previous}\n\n💬 _Reply to this message to ask the agent about it._`;
+      const msg = `🔔 *${t(lang, 'alert.highImpact')}*\n\n${countryFlag(ev.country)} *${countryLabel(ev.country, lang)}*\n${categoryIcon(classify(ev).category)} ${eventLabel(ev.event, lang)}\n⏰ ${when}${estimate}${previous}\n\n💬 _${t(lang, 'alert.replyHint')}_`;
       
-      await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          chat_id: String(chat_id),
-          text: msg,
-          parse_mode: 'Markdown',
-          disable_notification: false
-        })
+      payloads.push({
+        chat_id: String(chat_id),
+        text: msg,
+        parse_mode: 'Markdown',
+        disable_notification: false
       });
-      
-      // Mark as sent (expire in 2 days)
-      await kv.set(dedupeKey, '1', { ex: 172800 });
-      sent++;
+      dedupeKeys.push(dedupeKey);
     }
   }
+
+  const results = await deliver(BOT_TOKEN, payloads);
+  for (let i = 0; i < results.length; i++) {
+    // Mark as sent (expire in 2 days)
+    if (results[i].ok) await kv.set(dedupeKeys[i], '1', { ex: 172800 });
+  }
   
-  return new Response(JSON.stringify({ sent, subs: subs.length, events: upcoming.length }), {
+  return new Response(JSON.stringify({ ...summarize(results), subs: subs.length, events: upcoming.length, provider: providers.join('+') || 'none' }), {
     headers: { 'content-type': 'application/json' }
   });
 }
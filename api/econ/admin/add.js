@@ -1,9 +1,12 @@
-const { kv } = require('@vercel/kv');
+require('../../../lib/storage/node'); // file backend for local runs
+const { validateManualEvent, upsertManual } = require('../../../lib/schedule');
 
 // POST one or many events to KV manual schedule.
 // Auth: Authorization: Bearer <CRON_SECRET>
-// Body: { events: [{ country, event, date, forecast?, previous? }, ...] }
+// Body: { events: [{ country, event, date, forecast?, previous?, importance? }, ...] }
 // date = ISO string (UTC), e.g. "2025-10-08T13:30:00Z"
+// An event already in the schedule (same country|event|minute) is replaced,
+// not duplicated. See manual.js to list/edit/delete and import.js for CSV.
 
 module.exports = async function handler(req, res) {
   // Add CORS headers
@@ -42,41 +45,28 @@ module.exports = async function handler(req, res) {
   console.log('[ADD] Received events:', arr.length);
 
   const toAdd = [];
-  for (const ev of arr) {
-    if (!ev || !ev.country || !ev.event || !ev.date) {
-      console.log('[ADD] Skipping invalid event:', ev);
-      continue;
+  const errors = [];
+  arr.forEach((ev, index) => {
+    const check = validateManualEvent(ev);
+    if (!check.ok) {
+      console.log('[ADD] Skipping invalid event:', check.error, ev);
+      errors.push({ index, error: check.error });
+      return;
     }
-    const ts = Date.parse(ev.date);
-    if (!Number.isFinite(ts)) {
-      console.log('[ADD] Invalid date:', ev.date);
-      continue;
-    }
-    const clean = {
-      country: String(ev.country),
-      event: String(ev.event),
-      date: new Date(ts).toISOString(),
-      forecast: ev.forecast ?? null,
-      previous: ev.previous ?? null
-    };
-    toAdd.push({ score: ts, member: JSON.stringify(clean) });
-    console.log('[ADD] Valid event:', clean.country, clean.event, clean.date);
-  }
+    toAdd.push(check.event);
+    console.log('[ADD] Valid event:', check.event.country, check.event.event, check.event.date);
+  });
 
   if (!toAdd.length) {
     console.error('[ADD] No valid events to add');
-    return res.status(400).json({ ok: false, error: 'no_valid_events' });
+    return res.status(400).json({ ok: false, error: 'no_valid_events', errors });
   }
 
   try {
-    // Keep only next 90 days to avoid bloat
-    const cutoff = Date.now() - 90 * 24 * 3600 * 1000;
-    await kv.zremrangebyscore('econ:manual', 0, cutoff);
-    
-    const added = await kv.zadd('econ:manual', ...toAdd);
-    console.log('[ADD] Successfully added:', added, 'events');
+    const { created, updated } = await upsertManual(toAdd);
+    console.log('[ADD] Successfully added:', created.length, 'updated:', updated.length);
     
-    return res.json({ ok: true, added, count: toAdd.length });
+    return res.json({ ok: true, added: created.length, count: toAdd.length, created, updated, errors });
   } catch (err) {
     console.error('[ADD] KV error:', err.message);
     return res.status(500).json({ ok: false, error: 'kv_error', details: err.message });
@@ -0,0 +1,93 @@
+require('../../../lib/storage/node'); // file backend for local runs
+const { validateManualEvent, upsertManual, parseCsv } = require('../../../lib/schedule');
+
+// Bulk-import manual events from CSV or JSON.
+// Auth: Authorization: Bearer <CRON_SECRET>
+//
+// CSV: Content-Type: text/csv (or text/plain), header row required:
+//   country,event,date,forecast,previous,importance
+//   United States,CPI YoY,2025-10-15T12:30:00Z,3.1%,3.0%,high
+// JSON: { events: [...] } (as add.js) or { csv: "..." }
+//
+// ?dry=1 validates and reports what would be created/updated without writing.
+// Rows that fail validation are reported with their row number and skipped;
+// the valid rows are still imported.
+
+// Vercel parses JSON and text/plain; other types (text/csv) may arrive as a
+// Buffer or not at all, in which case read the stream
+async function readBody(req) {
+  if (req.body !== undefined && req.body !== null) {
+    return Buffer.isBuffer(req.body) ? req.body.toString('utf8') : req.body;
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ ok: false, error: 'method_not_allowed' });
+  }
+
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ ok: false, error: 'unauthorized' });
+  }
+
+  const q = new URL(req.url, 'http://x').searchParams;
+  const dry = ['1', 'true'].includes((q.get('dry') || '').toLowerCase());
+
+  // Rows as objects with a 1-based `_row` for error reporting
+  let rows;
+  let format;
+  const body = await readBody(req);
+  if (typeof body === 'string') {
+    format = 'csv';
+    rows = parseCsv(body);
+  } else if (typeof body.csv === 'string') {
+    format = 'csv';
+    rows = parseCsv(body.csv);
+  } else if (Array.isArray(body.events)) {
+    format = 'json';
+    rows = body.events.map((ev, i) => ({ ...ev, _row: i + 1 }));
+  } else {
+    return res.status(400).json({ ok: false, error: 'expected_csv_or_events' });
+  }
+
+  const valid = [];
+  const errors = [];
+  for (const row of rows) {
+    const check = validateManualEvent(row);
+    if (check.ok) valid.push(check.event);
+    else errors.push({ row: row._row, error: check.error });
+  }
+  console.log(`[IMPORT] ${format}: ${rows.length} rows, ${valid.length} valid, ${errors.length} errors${dry ? ' (dry run)' : ''}`);
+
+  try {
+    const { created, updated } = valid.length
+      ? await upsertManual(valid, { dry })
+      : { created: [], updated: [] };
+
+    return res.status(valid.length ? 200 : 400).json({
+      ok: valid.length > 0,
+      dry,
+      format,
+      rows: rows.length,
+      valid: valid.length,
+      created,
+      updated,
+      errors,
+      ...(dry ? { preview: valid } : {})
+    });
+  } catch (err) {
+    console.error('[IMPORT] KV error:', err.message);
+    return res.status(500).json({ ok: false, error: 'kv_error', details: err.message });
+  }
+};
@@ -0,0 +1,70 @@
+require('../../../lib/storage/node'); // file backend for local runs
+const { listManual, updateManual, deleteManual } = require('../../../lib/schedule');
+
+// Manage the manual schedule (econ:manual) by stable event id.
+// Auth: Authorization: Bearer <CRON_SECRET>
+//
+//   GET    ?from=2025-10-01&to=2025-10-31   list events in a date range (both optional)
+//   PATCH  ?id=m1a2b3c4d  body: { forecast: "0.4%", date: "..." }   change fields
+//   DELETE ?id=m1a2b3c4d                    remove one event
+//
+// Ids are returned by add.js, import.js and the list call.
+
+function parseBound(v, endOfDay) {
+  if (!v) return null;
+  // A bare date covers the whole day
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(v) ? `${v}T${endOfDay ? '23:59:59.999' : '00:00:00'}Z` : v;
+  const ts = Date.parse(iso);
+  return Number.isFinite(ts) ? ts : NaN;
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ ok: false, error: 'unauthorized' });
+  }
+
+  const q = new URL(req.url, 'http://x').searchParams;
+
+  try {
+    if (req.method === 'GET') {
+      const from = parseBound(q.get('from'), false);
+      const to = parseBound(q.get('to'), true);
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ ok: false, error: 'invalid_date_range' });
+      }
+      const events = await listManual({ from: from ?? -Infinity, to: to ?? Infinity });
+      return res.json({ ok: true, count: events.length, events });
+    }
+
+    const id = q.get('id');
+    if (!id) return res.status(400).json({ ok: false, error: 'id_required' });
+
+    if (req.method === 'PATCH' || req.method === 'PUT') {
+      const result = await updateManual(id, req.body || {});
+      if (!result) return res.status(404).json({ ok: false, error: 'not_found', id });
+      if (result.error) return res.status(400).json({ ok: false, error: result.error, id });
+      console.log('[MANUAL] Updated:', id, result.country, result.event, result.date);
+      return res.json({ ok: true, event: result });
+    }
+
+    if (req.method === 'DELETE') {
+      const removed = await deleteManual(id);
+      if (!removed) return res.status(404).json({ ok: false, error: 'not_found', id });
+      console.log('[MANUAL] Deleted:', id);
+      return res.json({ ok: true, deleted: id });
+    }
+
+    return res.status(405).json({ ok: false, error: 'method_not_allowed' });
+  } catch (err) {
+    console.error('[MANUAL] KV error:', err.message);
+    return res.status(500).json({ ok: false, error: 'kv_error', details: err.message });
+  }
+};
@@ -0,0 +1,88 @@
+require('../../../lib/storage/node'); // file backend for local runs
+const {
+  ALLOWED_UPDATES, defaultWebhookUrl, setWebhook, getWebhookInfo, deleteWebhook
+} = require('../../../lib/webhook');
+
+// Manage the bot's Telegram webhook.
+// Auth: Authorization: Bearer <CRON_SECRET>
+//
+//   GET                                  getWebhookInfo, plus whether it matches
+//                                        this deployment (URL, update types)
+//   POST   ?url=https://…/api/telegram   setWebhook with TELEGRAM_WEBHOOK_SECRET and
+//          &drop_pending=1               the update types api/telegram.js handles
+//                                        (url defaults to PUBLIC_BASE_URL/api/telegram)
+//   DELETE ?drop_pending=1               deleteWebhook
+
+function flag(v) {
+  return ['1', 'true'].includes((v || '').toLowerCase());
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ ok: false, error: 'unauthorized' });
+  }
+
+  if (!process.env.TG_BOT_TOKEN && !process.env.LIIRAT_BOT_TOKEN) {
+    return res.status(500).json({ ok: false, error: 'missing_bot_token' });
+  }
+
+  const q = new URL(req.url, 'http://x').searchParams;
+  const dropPending = flag(q.get('drop_pending'));
+  const secretConfigured = !!process.env.TELEGRAM_WEBHOOK_SECRET;
+
+  if (req.method === 'GET') {
+    const r = await getWebhookInfo();
+    if (!r.ok) return res.status(502).json({ ok: false, error: r.description || `HTTP ${r.status}` });
+    const info = r.result || {};
+    const expectedUrl = defaultWebhookUrl();
+    const allowed = info.allowed_updates || [];
+    return res.json({
+      ok: true,
+      webhook: info,
+      expected_url: expectedUrl,
+      url_matches: !!expectedUrl && info.url === expectedUrl,
+      // Telegram does not report the secret; this only says whether we check one
+      secret_configured: secretConfigured,
+      allowed_updates_expected: ALLOWED_UPDATES,
+      missing_updates: allowed.length ? ALLOWED_UPDATES.filter(u => !allowed.includes(u)) : []
+    });
+  }
+
+  if (req.method === 'POST') {
+    // api/telegram.js refuses every update without a secret
+    if (!secretConfigured) {
+      return res.status(500).json({ ok: false, error: 'missing_webhook_secret' });
+    }
+    const url = q.get('url') || defaultWebhookUrl();
+    if (!url || !/^https:\/\//.test(url)) {
+      return res.status(400).json({ ok: false, error: 'https_url_required', url });
+    }
+    const r = await setWebhook({ url, dropPending });
+    console.log('[WEBHOOK] setWebhook', url, r.ok ? 'ok' : r.description);
+    if (!r.ok) return res.status(502).json({ ok: false, error: r.description || `HTTP ${r.status}` });
+    return res.json({
+      ok: true,
+      url,
+      allowed_updates: ALLOWED_UPDATES,
+      secret_configured: secretConfigured,
+      drop_pending: dropPending
+    });
+  }
+
+  if (req.method === 'DELETE') {
+    const r = await deleteWebhook({ dropPending });
+    console.log('[WEBHOOK] deleteWebhook', r.ok ? 'ok' : r.description);
+    if (!r.ok) return res.status(502).json({ ok: false, error: r.description || `HTTP ${r.status}` });
+    return res.json({ ok: true, deleted: true, drop_pending: dropPending });
+  }
+
+  return res.status(405).json({ ok: false, error: 'method_not_allowed' });
+};
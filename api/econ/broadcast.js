@@ -1,23 +1,62 @@
-import { kv } from '@vercel/kv';
+import '../../lib/storage/node.js'; // file backend for local runs
+import {
+  createBroadcast, getBroadcast, listBroadcasts, cancelBroadcast
+} from '../../lib/broadcasts.js';
+
+// Broadcast jobs (lib/broadcasts.js). Sending happens in api/cron/broadcasts.js.
+// Auth: Authorization: Bearer <CRON_SECRET>
+//
+//   POST   { text, send_at?, lang?, countries?, joined_after?, joined_before? }
+//   GET    ?text=…    deprecated: queues a job for every subscriber, like
+//                     POST { text }; kept for callers of the old endpoint
+//   GET    ?id=b…     one job with its delivered/failed counts
+//   GET               recent jobs, newest first (?limit=20)
+//   DELETE ?id=b…     cancel a scheduled or sending job
 
 export default async function handler(req, res) {
   if ((req.headers.authorization || '') !== `Bearer ${process.env.CRON_SECRET}`)
     return res.status(401).json({ ok:false, error:'unauthorized' });
 
-  const token = process.env.LIIRAT_BOT_TOKEN;
-  if (!token) return res.status(500).json({ ok:false, error:'LIIRAT_BOT_TOKEN missing' });
+  const { id } = req.query;
+
+  if (req.method === 'POST') {
+    const body = req.body || {};
+    const r = await createBroadcast({
+      text: body.text,
+      sendAt: body.send_at,
+      lang: body.lang,
+      countries: body.countries,
+      joinedAfter: body.joined_after,
+      joinedBefore: body.joined_before
+    }, { createdBy: 'api' });
+    if (!r.ok) return res.status(400).json(r);
+    return res.status(201).json(r);
+  }
 
-  const subs = await kv.smembers('econ:subs');
-  if (!subs?.length) return res.json({ ok:true, sent:0, reason:'no subscribers' });
+  // Old contract: GET ?text= sent straight away. It now queues a job that the
+  // next broadcast run (every minute) sends.
+  if (req.method === 'GET' && req.query.text !== undefined) {
+    res.setHeader('Deprecation', 'true');
+    const r = await createBroadcast({ text: req.query.text }, { createdBy: 'api' });
+    const deprecated = 'GET ?text= is deprecated: POST { "text": … } instead, and poll GET ?id= for progress';
+    if (!r.ok) return res.status(400).json({ ...r, deprecated });
+    return res.status(201).json({ ...r, deprecated });
+  }
 
-  const text = req.query.text || '🔔 test broadcast';
-  let sent = 0;
-  for (const id of subs) {
-    await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
-      method:'POST', headers:{'content-type':'application/json'},
-      body: JSON.stringify({ chat_id: Number(id), text, parse_mode:'Markdown' })
-    });
-    sent++;
+  if (req.method === 'GET') {
+    if (id) {
+      const job = await getBroadcast(id);
+      return job ? res.json({ ok:true, job }) : res.status(404).json({ ok:false, error:'not_found' });
+    }
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+    return res.json({ ok:true, jobs: await listBroadcasts({ limit }) });
   }
-  res.json({ ok:true, subs: subs.length, sent });
+
+  if (req.method === 'DELETE') {
+    if (!id) return res.status(400).json({ ok:false, error:'id required' });
+    const job = await cancelBroadcast(id);
+    return job ? res.json({ ok:true, job }) : res.status(404).json({ ok:false, error:'not_found' });
+  }
+
+  res.status(405).json({ ok:false, error:'method_not_allowed' });
 }
@@ -0,0 +1,87 @@
+// api/econ/calendar.js - iCalendar feed of upcoming events
+// Public, like /api/econ/upcoming. Add it to Google/Outlook as a calendar
+// subscription ("From URL").
+//
+//   ?country=US,UK     only these countries (same names/codes as /econ_countries)
+//   ?importance=medium minimum importance (default: high)
+//   ?category=inflation,labour  only these categories (lib/categories.js)
+//   ?alarm=60,15       VALARM offsets in minutes (default: 15; empty: none)
+//   ?lang=en           ar | en | both (default: en)
+//   ?token=...         a subscriber's private feed (/econ_calendar); follows
+//                      that chat's preferences, language and reminder stages
+'use strict';
+
+require('../../lib/storage/node'); // file backend for local runs
+const { ALL, getPrefs, parseCountries, parseImportance, matchesPrefs, normalizePrefs } = require('../../lib/prefs');
+const { sameCountry } = require('../../lib/canonical');
+const { normalizeLang } = require('../../lib/i18n');
+const { loadUpcoming } = require('../../lib/providers');
+const { CATEGORY_IDS, parseCategories } = require('../../lib/categories');
+const { resolveFeedToken, buildCalendar } = require('../../lib/ical');
+
+function parseAlarms(arg) {
+  const list = String(arg || '')
+    .split(',')
+    .map(s => s.trim())
+    // '' would be Number 0, an alarm at release
+    .filter(Boolean)
+    .map(Number)
+    .filter(n => Number.isInteger(n) && n >= 0 && n <= 1440);
+  return [...new Set(list)];
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    const q = new URL(req.url, 'http://x').searchParams;
+
+    let prefs;
+    let name = 'Economic Calendar';
+    if (q.get('token')) {
+      const chatId = await resolveFeedToken(q.get('token'));
+      if (!chatId) return res.status(404).json({ ok: false, error: 'unknown_token' });
+      prefs = await getPrefs(chatId);
+      name = 'Economic Calendar (Liirat)';
+    } else {
+      prefs = normalizePrefs({ countries: [ALL], categories: CATEGORY_IDS, lang: 'en' });
+    }
+
+    // Query filters narrow the feed further, even with a token. ?country= is
+    // a test of its own: a chat watching instruments has no country list to
+    // replace, and its prefs check the instruments first
+    const filter = { ...prefs };
+    let countries = null;
+    if (q.get('country')) {
+      countries = parseCountries(q.get('country')).countries;
+      if (!countries.length) return res.status(400).json({ ok: false, error: 'unknown_country' });
+      if (countries.includes(ALL)) countries = null;
+    }
+    if (q.get('category')) {
+      const { categories } = parseCategories(q.get('category'));
+      if (!categories.length) return res.status(400).json({ ok: false, error: 'unknown_category' });
+      filter.categories = categories;
+    }
+    if (q.get('importance')) {
+      const minImportance = parseImportance(q.get('importance'));
+      if (!minImportance) return res.status(400).json({ ok: false, error: 'invalid_importance' });
+      filter.minImportance = minImportance;
+    }
+
+    const lang = normalizeLang(q.get('lang')) || prefs.lang;
+    // Private feeds alarm at the chat's reminder stages unless ?alarm= is set
+    const alarms = q.get('alarm') !== null
+      ? parseAlarms(q.get('alarm'))
+      : (q.get('token') ? prefs.reminders : [15]);
+
+    const events = (await loadUpcoming(Date.now())).filter(ev =>
+      matchesPrefs(ev, filter) && (!countries || countries.some(c => sameCountry(c, ev.country))));
+    console.log(`[ICAL] ${events.length} events, alarms: ${alarms.join(',') || 'none'}`);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="economic-calendar.ics"');
+    res.setHeader('Cache-Control', `${q.get('token') ? 'private' : 'public'}, max-age=900`);
+    return res.status(200).send(buildCalendar(events, { name, lang, alarms }));
+  } catch (e) {
+    console.error('[ERROR]', e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+};
@@ -1,5 +1,11 @@
 'use strict';
-const { kv } = require('@vercel/kv');
+const { kv, backendName } = require('../../lib/storage/node');
+const { healthStatus } = require('../../lib/runlog');
+const { quotaStatus } = require('../../lib/providers');
+
+// Auth: Authorization: Bearer <CRON_SECRET>
+//   ?runs=10    how many recent cron runs to include in `status`
+//   ?check=1    status only, HTTP 503 when unhealthy (for uptime monitors)
 
 module.exports = async (req, res) => {
   try {
@@ -7,7 +13,20 @@ module.exports = async (req, res) => {
       return res.status(401).json({ ok: false, error: 'unauthorized' });
     }
 
+    const q = new URL(req.url, 'http://x').searchParams;
+    const runs = Math.min(300, Math.max(0, Number(q.get('runs') ?? 10) || 0));
+
+    // Run log and provider health (lib/runlog.js)
+    const status = await healthStatus({ runs });
+    if (['1', 'true'].includes((q.get('check') || '').toLowerCase())) {
+      return res.status(status.healthy ? 200 : 503).json({ ok: status.healthy, status });
+    }
+
     const out = { ok: true };
+    out.status = status;
+    // Provider calls used and left (lib/providers/quota.js)
+    out.quota = await quotaStatus().catch(e => `ERR: ${e.message}`);
+    out.storage = backendName();
     out.kv_url_prefix = (process.env.KV_REST_API_URL || '').slice(0, 40) + '...';
 
     // What do we have in econ:manual?
@@ -0,0 +1,77 @@
+// api/econ/history.js - Release archive (lib/history.js)
+//
+//   GET  ?q=US CPI YoY&limit=6         public; same matching as /econ_history
+//   GET  ?country=US&indicator=CPI YoY
+//   POST ?days=30                      authenticated backfill from the provider chain
+'use strict';
+
+require('../../lib/storage/node'); // file backend for local runs
+const { findSeries, getHistory, recordReleases, DEFAULT_LIMIT, MAX_LIMIT } = require('../../lib/history');
+const { compareRelease, historyText } = require('../../lib/releases');
+const { fetchProviderEvents } = require('../../lib/providers');
+const { DEFAULT_TZ, normalizeTimeZone } = require('../../lib/time');
+const { DEFAULT_LANG, normalizeLang } = require('../../lib/i18n');
+
+const MAX_BACKFILL_DAYS = 90;
+
+module.exports = async function handler(req, res) {
+  try {
+    const q = new URL(req.url, 'http://x').searchParams;
+
+    if (req.method === 'POST') {
+      if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+        return res.status(401).json({ ok: false, error: 'unauthorized' });
+      }
+      const days = Math.min(MAX_BACKFILL_DAYS, Math.max(1, Number(q.get('days')) || 7));
+      const now = Date.now();
+      // Spare budget only, so a backfill cannot starve the alerts
+      const { events, providers, attempts } = await fetchProviderEvents(now - days * 24 * 60 * 60 * 1000, now, { spend: 'spare' });
+      const counts = await recordReleases(events.filter(e => Date.parse(e.date) <= now));
+      console.log(`[HISTORY] Backfill ${days}d from ${providers.join('+') || 'none'}:`, counts);
+      return res.json({ ok: true, days, providers, provider_attempts: attempts, events: events.length, ...counts });
+    }
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    }
+
+    const query = q.get('q') || [q.get('country'), q.get('indicator')].filter(Boolean).join(' ');
+    if (!query) return res.status(400).json({ ok: false, error: 'q or indicator required' });
+    const limit = Math.min(MAX_LIMIT, Math.max(1, Number(q.get('limit')) || DEFAULT_LIMIT));
+    const tz = normalizeTimeZone(q.get('tz')) || DEFAULT_TZ;
+    const lang = normalizeLang(q.get('lang')) || DEFAULT_LANG;
+
+    const { series, matches } = await findSeries(query);
+    if (!series) {
+      if (!matches.length) return res.status(404).json({ ok: false, error: 'not_found' });
+      // Several series match: list them so the caller can narrow ?q=
+      return res.json({
+        ok: true,
+        ambiguous: true,
+        matches: matches.map(({ country, indicator, last, count }) => ({
+          country, indicator, last: new Date(last).toISOString(), count
+        }))
+      });
+    }
+
+    const releases = await getHistory(series.id, limit);
+    return res.json({
+      ok: true,
+      country: series.country,
+      indicator: series.indicator,
+      count: releases.length,
+      releases: releases.map(r => ({
+        date: new Date(r.ts).toISOString(),
+        event: r.event,
+        actual: r.actual,
+        forecast: r.forecast,
+        previous: r.previous,
+        ...compareRelease(r)
+      })),
+      text: historyText(series, releases, tz, lang)
+    });
+  } catch (e) {
+    console.error('[ERROR]', e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+};
@@ -1,32 +1,19 @@
-import { kv } from '@vercel/kv';
+import '../../lib/storage/node.js'; // file backend for local runs
+import { validateChatId, addSubscriber } from '../../lib/subscribers.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
   
-  const { chat_id, username } = req.body;
+  const { chat_id, username, language } = req.body;
   if (!chat_id) return res.status(400).json({ error: 'chat_id required' });
   
-  // Reject template variables
-  const chatIdStr = String(chat_id);
-  if (chatIdStr.includes('{') || chatIdStr.includes('}') || chatIdStr.includes('user.')) {
-    return res.status(400).json({ 
-      error: 'Invalid chat_id - template variable not interpolated',
-      received: chatIdStr,
-      hint: 'Check Voiceflow variable syntax'
-    });
+  // Reject template variables and non-numeric IDs
+  const check = validateChatId(chat_id);
+  if (!check.ok) {
+    const { ok, ...details } = check;
+    return res.status(400).json(details);
   }
   
-  // Validate it's a number
-  if (!/^\d+$/.test(chatIdStr)) {
-    return res.status(400).json({ 
-      error: 'Invalid chat_id - must be numeric',
-      received: chatIdStr
-    });
-  }
-  
-  await kv.sadd('econ:subs', chatIdStr);
-  await kv.hset('econ:users', { [chatIdStr]: username || 'unknown' });
-  
-  const count = await kv.scard('econ:subs');
-  return res.json({ ok: true, subscribers: count, chat_id: chatIdStr });
-}
\ No newline at end of file
+  const { subscribers } = await addSubscriber(check.chatId, { username, lang: language });
+  return res.json({ ok: true, subscribers, chat_id: check.chatId });
+}
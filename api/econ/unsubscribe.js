@@ -1,4 +1,5 @@
-import { kv } from '@vercel/kv';
+import { kv } from '../../lib/storage/node.js';
+import { removeSubscriber } from '../../lib/subscribers.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
@@ -10,13 +11,11 @@ export default async function handler(req, res) {
   
   // Skip template variables silently (for cleanup)
   if (chatIdStr.includes('{') || chatIdStr.includes('}')) {
-    await kv.srem('econ:subs', chatIdStr);
-    await kv.hdel('econ:users', chatIdStr);
+    await removeSubscriber(chatIdStr);
     return res.json({ ok: true, message: 'Template variable removed' });
   }
   
-  await kv.srem('econ:subs', chatIdStr);
-  await kv.hdel('econ:users', chatIdStr);
+  await removeSubscriber(chatIdStr);
   
   const count = await kv.scard('econ:subs');
   return res.json({ ok: true, subscribers: count });
@@ -1,13 +1,33 @@
 // api/econ/upcoming.js
 'use strict';
 
-const { kv } = require('@vercel/kv');
+const { kv } = require('../../lib/storage/node');
+const { DEFAULT_PREFS, getPrefs, matchesPrefs } = require('../../lib/prefs');
+const { DEFAULT_TZ, normalizeTimeZone } = require('../../lib/time');
+const { DEFAULT_LANG, normalizeLang } = require('../../lib/i18n');
+const { formatUpcoming } = require('../../lib/alerts');
+const { classify, parseCategories } = require('../../lib/categories');
 
 module.exports = async function handler(req, res) {
   try {
     // Public endpoint (no auth) so VF and the bot can call it directly
     const q = new URL(req.url, 'http://x').searchParams;
     const limit = Math.max(1, Number(q.get('limit') || 5));
+    // ?category=inflation,labour (lib/categories.js)
+    let categories = null;
+    if (q.get('category')) {
+      categories = parseCategories(q.get('category')).categories;
+      if (!categories.length) return res.status(400).json({ ok: false, error: 'unknown_category' });
+    }
+
+    // Timezone and language: explicit ?tz= / ?lang= win, else the
+    // subscriber's saved settings (?chat_id=)
+    const prefs = q.get('chat_id') ? await getPrefs(q.get('chat_id')) : null;
+    const tz = normalizeTimeZone(q.get('tz')) || prefs?.tz || DEFAULT_TZ;
+    const lang = normalizeLang(q.get('lang')) || prefs?.lang || DEFAULT_LANG;
+    // The cache holds every upcoming event; list the ones the subscriber's
+    // filters (or the default profile) want, ?category= overriding categories
+    const filter = { ...(prefs || DEFAULT_PREFS), ...(categories ? { categories } : {}) };
 
     // 1) Try the cache first (populated by /api/cron)
     let items = [];
@@ -16,7 +36,8 @@ module.exports = async function handler(req, res) {
       if (raw) {
         const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
         if (Array.isArray(parsed?.items)) {
-          items = parsed.items;
+          // Caches written before categories existed lack them
+          items = parsed.items.map(e => (e.category ? e : { ...e, ...classify(e) }));
         }
       }
     } catch (err) {
@@ -25,51 +46,20 @@ module.exports = async function handler(req, res) {
 
     // 2) Filter to future events only (cache may contain past events)
     const now = Date.now();
-    const futureItems = items.filter(e => {
-      const ts = Date.parse(e.date);
-      return ts >= now;
-    }).slice(0, limit);
+    const futureItems = items
+      .filter(e => Date.parse(e.date) >= now && matchesPrefs(e, filter))
+      .slice(0, limit);
 
     console.log(`[UPCOMING] Requested limit: ${limit}, cached: ${items.length}, future: ${futureItems.length}`);
 
-    // 3) Bilingual formatting
-    const countryAr = {
-      'United States': 'الولايات المتحدة',
-      'Euro Area': 'منطقة اليورو',
-      'United Kingdom': 'المملكة المتحدة',
-      'Japan': 'اليابان',
-      'China': 'الصين',
-      'Germany': 'ألمانيا',
-      'France': 'فرنسا',
-      'Canada': 'كندا',
-      'Australia': 'أستراليا',
-      'Switzerland': 'سويسرا',
-      'India': 'الهند',
-      'New Zealand': 'نيوزيلندا'
-    };
-
-    const fmt = (dateStr) =>
-      new Intl.DateTimeFormat('en-GB', {
-        dateStyle: 'medium',
-        timeStyle: 'short',
-        timeZone: 'Asia/Dubai',
-      }).format(new Date(dateStr));
-
-    const lines = futureItems.map((ev, i) => {
-      const ar = countryAr[ev.country] || ev.country;
-      const extra =
-        (ev.forecast ? ` | توقع/Forecast ${ev.forecast}` : '') +
-        (ev.previous ? ` | سابق/Previous ${ev.previous}` : '');
-      return `${i + 1}. *${ev.country} / ${ar}*: ${ev.event}\n   ${fmt(ev.date)}${extra}`;
-    });
-
-    const text = futureItems.length
-      ? `📅 *الأحداث الاقتصادية القادمة / Upcoming*\n\n${lines.join('\n\n')}`
-      : `لا توجد أحداث قادمة.\nNo upcoming events.`;
+    // 3) Localized formatting
+    const text = formatUpcoming(futureItems, tz, lang);
 
     return res.json({ 
       ok: true, 
       count: futureItems.length, 
+      tz,
+      lang,
       items: futureItems, 
       text 
     });
@@ -1,22 +1,227 @@
 // api/telegram.js
 //
 // Telegram webhook handler.  It handles a small set of slash commands:
+//   /econ_on       – subscribe this chat to alerts (econ:subs / econ:users)
+//   /econ_off      – unsubscribe
+//   /econ_status   – subscription state and current preferences
 //   /econ_test     – send a status message in both English and Arabic
-//   /econ_upcoming – return a list of upcoming economic events from the
-//                    cache built by cron.js (with a fallback to reading
-//                    the schedule directly if the cache is empty)
+//   /econ_upcoming [EURUSD|US]
+//                  – browse upcoming events from the cache built by cron.js
+//                    (plus manual events), with buttons to page, filter by
+//                    country, instrument or day and pick single events to be
+//                    reminded of
+//   /econ_prefs, /econ_settings
+//                  – this chat's alert preferences with a button menu
+//   /econ_countries, /econ_impact, /econ_include, /econ_exclude, /econ_tz,
+//   /econ_lang, /econ_remind, /econ_daily, /econ_weekly, /econ_reset
+//                  – edit the preferences stored in econ:prefs
+//   /econ_watch XAUUSD EURUSD
+//                  – follow instruments instead of countries (lib/instruments.js)
+//   /econ_categories inflation, labour
+//                  – event categories to be alerted about (lib/categories.js)
+//   /econ_quiet 23:00-07:00 [silent|bundle|drop]
+//                  – quiet hours in local time and what to do with alerts in
+//                    them (lib/quiet.js)
+//   /econ_calendar – private .ics feed link (`reset` issues a new one); in
+//                    groups it is sent to the admin by direct message
+//   /econ_history US CPI YoY [n]
+//                  – last n releases of an indicator vs forecast (lib/history.js)
 //   /start         – show a welcome message with usage instructions
 //
-// The logic here mirrors api/econ/upcoming.js for building the event list.
+// In groups, supergroups and channels the same commands manage that chat as
+// an alert destination (econ:dests, lib/destinations.js); inside a forum
+// topic they apply to the topic. Only group admins may change anything
+// there; anyone can read /econ_status, /econ_prefs, /econ_upcoming and
+// /econ_history.
+//
+// Admin commands (chat IDs in econ:admins or ADMIN_CHAT_IDS; everyone else
+// gets no reply):
+//   /admin_add US | CPI YoY | 2025-10-15 12:30 | 3.1% | 3.0% | high
+//   /admin_list [days], /admin_del <id>   – manual schedule (econ:manual)
+//   /broadcast [lang=ar] [country=US,UK] [since=…] [until=…] [at=…] <text>
+//                      – preview a broadcast job (lib/broadcasts.js), then
+//                        /broadcast_confirm to queue it or /broadcast_cancel
+//   /broadcast_status [id], /broadcast_stop <id>
+//                      – job progress and counts; cancel a job
+//   /subs              – subscriber counts and recent joins
+//   /dryrun            – what the next /api/cron run would send
+//   /dests, /dest_add <@channel|-100…[:topic]>, /dest_del <id>
+//                      – channel/group destinations
+//
+// Button presses arrive as callback_query updates; lib/menus.js renders the
+// screens and parses their callback data.
+//
+// Requests must carry TELEGRAM_WEBHOOK_SECRET in X-Telegram-Bot-Api-Secret-Token
+// (set by api/econ/admin/webhook.js), and each update_id is handled once.
+//
+// Replies use the chat's language (/econ_lang); see lib/i18n.js. The event
+// list is rendered by lib/alerts.js, shared with api/econ/upcoming.js.
 
-import { kv } from '@vercel/kv';
+import {
+  getPrefs, setPrefs, resetPrefs, describePrefs,
+  splitList, parseCountries, parseImportance, ALL
+} from '../lib/prefs.js';
+import { parseInstruments, instrumentCountries, normalizeSymbol } from '../lib/instruments.js';
+import { countryId } from '../lib/canonical.js';
+import { MAJOR_CATEGORIES, parseCategories } from '../lib/categories.js';
+import { QUIET_MODES, parseQuietWindow } from '../lib/quiet.js';
+import { normalizeTimeZone, formatDateTime } from '../lib/time.js';
+import { t, normalizeLang, countryFlag } from '../lib/i18n.js';
+import { eventHash } from '../lib/alerts.js';
+import { parseCallback, upcomingView, settingsView, settingPatch } from '../lib/menus.js';
+import { getPicks, togglePick } from '../lib/picks.js';
+import { parseReminders } from '../lib/reminders.js';
+import { parseClock, parseWeekly } from '../lib/digest.js';
+import { getFeedToken, resetFeedToken, feedUrl } from '../lib/ical.js';
+import {
+  isAdmin, parseCompactEvent, parseBroadcastArgs, setPendingBroadcast, takePendingBroadcast, cronDryRun
+} from '../lib/admin.js';
+import { checkBroadcast, createBroadcast, getBroadcast, listBroadcasts, cancelBroadcast } from '../lib/broadcasts.js';
+import { validateManualEvent, upsertManual, listManual, deleteManual } from '../lib/schedule.js';
+import { apiUrl, tgCall } from '../lib/telegram.js';
+import { verifySecret, claimUpdate } from '../lib/webhook.js';
+import {
+  destinationId, parseDestination, getDestination, listDestinations,
+  addDestination, removeDestination, removeChatDestinations
+} from '../lib/destinations.js';
+import { loadUpcoming } from '../lib/providers/index.js';
+import { findSeries, getHistory, DEFAULT_LIMIT, MAX_LIMIT } from '../lib/history.js';
+import { historyText } from '../lib/releases.js';
+import { validateChatId, addSubscriber, removeSubscriber, isSubscribed, subscriberStats } from '../lib/subscribers.js';
 
 export const config = { runtime: 'edge' };
 
+const ADMIN_COMMANDS = [
+  '/admin_add', '/admin_list', '/admin_del',
+  '/broadcast', '/broadcast_confirm', '/broadcast_cancel', '/broadcast_status', '/broadcast_stop',
+  '/subs', '/dryrun',
+  '/dests', '/dest_add', '/dest_del'
+];
+
+// Commands anyone in a group may use; the rest need a group admin
+const GROUP_READ_COMMANDS = ['/econ_status', '/econ_upcoming', '/econ_prefs', '/econ_settings', '/econ_history', '/econ_test', '/start'];
+
+// Group admins (and anonymous admins / channel posts, which arrive with the
+// chat itself as sender_chat) may manage a group destination
+async function isGroupAdmin(token, chatId, from, senderChat = null) {
+  if (senderChat && String(senderChat.id) === String(chatId)) return true;
+  if (!from?.id) return false;
+  const r = await tgCall(token, 'getChatMember', { chat_id: chatId, user_id: from.id });
+  return r.ok && ['creator', 'administrator'].includes(r.result?.status);
+}
+
+// "🇸🇦 ar · 🇺🇸 🇬🇧 · joined 2025-01-01 → …" for a broadcast segment
+function describeSegment(segment, lang, tz) {
+  const parts = [];
+  if (segment.lang) parts.push(`🗣 ${segment.lang}`);
+  if (segment.countries) parts.push(segment.countries.map(countryFlag).join(' '));
+  if (segment.joinedAfter || segment.joinedBefore) {
+    const from = segment.joinedAfter ? formatDateTime(segment.joinedAfter, tz) : '…';
+    const to = segment.joinedBefore ? formatDateTime(segment.joinedBefore, tz) : '…';
+    parts.push(`${t(lang, 'broadcast.joined')} ${from} → ${to}`);
+  }
+  return parts.length ? parts.join(' · ') : t(lang, 'broadcast.everyone');
+}
+
+// One job as status lines for /broadcast_status
+function describeJob(job, lang, tz) {
+  return [
+    `📣 \`${job.id}\` — ${t(lang, `broadcast.state.${job.status}`)}`,
+    `   ⏰ ${formatDateTime(job.sendAt, tz)} · ${describeSegment(job.segment || {}, lang, tz)}`,
+    `   ${t(lang, 'broadcast.progress', {
+      sent: job.cursor, total: job.total ?? '?',
+      delivered: job.delivered, failed: job.failed, removed: job.removed
+    })}`
+  ].join('\n');
+}
+
+/**
+ * Inline keyboard presses: page/filter the upcoming list, toggle a
+ * "remind me" pick, or walk the settings screens. The pressed message is
+ * edited in place; every press is answered so the button stops spinning.
+ */
+async function handleCallback(cq) {
+  const BOT_TOKEN = process.env.TG_BOT_TOKEN;
+  const answer = text => tgCall(BOT_TOKEN, 'answerCallbackQuery', {
+    callback_query_id: cq.id,
+    ...(text ? { text } : {})
+  });
+
+  const message = cq.message;
+  const parsed = parseCallback(cq.data);
+  if (!message?.chat?.id || !parsed || parsed.action === 'noop') {
+    await answer();
+    return new Response('ok');
+  }
+
+  const chat = String(message.chat.id);
+  const isPrivate = message.chat.type === 'private';
+  const threadId = message.is_topic_message ? message.message_thread_id : null;
+  const dest = isPrivate ? chat : destinationId(chat, threadId);
+  let prefs = await getPrefs(dest);
+
+  const edit = async view => {
+    const r = await tgCall(BOT_TOKEN, 'editMessageText', {
+      chat_id: chat,
+      message_id: message.message_id,
+      parse_mode: 'Markdown',
+      ...view
+    });
+    // Pressing the button that is already selected changes nothing
+    if (!r.ok && !/not modified/i.test(r.description || '')) {
+      console.error('[CALLBACK] Edit failed:', r.description);
+    }
+  };
+
+  // Anyone may browse; changing a group's settings or picks needs an admin
+  if (!isPrivate && ['rm', 'sv'].includes(parsed.action) && !(await isGroupAdmin(BOT_TOKEN, chat, cq.from))) {
+    await answer(t(prefs.lang, 'group.adminOnly'));
+    return new Response('ok');
+  }
+
+  if (parsed.action === 'up' || parsed.action === 'rm') {
+    const events = await loadUpcoming(Date.now());
+    let toast = null;
+    if (parsed.action === 'rm') {
+      const ev = events.find(e => eventHash(e) === parsed.hash);
+      if (!ev) toast = t(prefs.lang, 'menu.expired');
+      else toast = t(prefs.lang, (await togglePick(dest, ev)) ? 'menu.reminding' : 'menu.notReminding');
+    }
+    await edit(upcomingView(events, { prefs, picks: await getPicks(dest), view: parsed.view }));
+    await answer(toast);
+  }
+  else if (parsed.action === 'st') {
+    await edit(settingsView(prefs, parsed.screen));
+    await answer();
+  }
+  else if (parsed.action === 'sv') {
+    const change = settingPatch(prefs, parsed.field, parsed.value);
+    if (!change) {
+      await answer();
+      return new Response('ok');
+    }
+    prefs = await setPrefs(dest, change.patch);
+    await edit(settingsView(prefs, change.screen));
+    await answer(t(prefs.lang, 'menu.saved'));
+  }
+  return new Response('ok');
+}
+
 export default async function handler(req) {
   // Only process POST requests from Telegram; respond with a generic 200
   if (req.method !== 'POST') return new Response('ok');
 
+  // Forged updates: anyone who finds the URL can POST to it. Without a
+  // configured secret every update is refused (lib/webhook.js)
+  if (!process.env.TELEGRAM_WEBHOOK_SECRET) {
+    console.error('[WEBHOOK] TELEGRAM_WEBHOOK_SECRET is not set; refusing updates');
+    return new Response('webhook secret not configured', { status: 503 });
+  }
+  if (!verifySecret(req.headers.get('x-telegram-bot-api-secret-token'))) {
+    console.error('[WEBHOOK] Rejected request with a missing or wrong secret token');
+    return new Response('unauthorized', { status: 401 });
+  }
+
   let update;
   try {
     const text = await req.text();
@@ -26,122 +231,570 @@ export default async function handler(req) {
     return new Response('ok');
   }
 
-  const msg = update?.message || update?.business_message;
+  // Telegram redelivers when a response is slow or fails; act only once
+  if (!(await claimUpdate(update?.update_id))) {
+    console.log('[WEBHOOK] Duplicate update', update.update_id);
+    return new Response('ok');
+  }
+
+  // The bot was removed from a group or channel: stop publishing there
+  const member = update?.my_chat_member;
+  if (member?.chat?.id && ['left', 'kicked'].includes(member.new_chat_member?.status)) {
+    await removeChatDestinations(String(member.chat.id));
+    return new Response('ok');
+  }
+
+  if (update?.callback_query) return handleCallback(update.callback_query);
+
+  const msg = update?.message || update?.business_message || update?.channel_post;
   if (!msg?.chat?.id) return new Response('ok');
 
   const chat = String(msg.chat.id);
+  const isPrivate = msg.chat.type === 'private';
+  // Forum topics are destinations of their own
+  const threadId = msg.is_topic_message ? msg.message_thread_id : null;
+  // Key for prefs and the destinations registry
+  const dest = isPrivate ? chat : destinationId(chat, threadId);
   const text = (msg.text || '').trim().toLowerCase();
+  // Commands may carry arguments; keep their original case for values.
+  // In groups Telegram appends the bot name: /econ_on@liirat_bot
+  const [commandWithBot = ''] = text.split(/\s+/);
+  const command = commandWithBot.replace(/@\w+$/, '');
+  const args = (msg.text || '').trim().slice(commandWithBot.length).trim();
 
   // Always use TG_BOT_TOKEN for bot‑to‑bot messages; alerts use LIIRAT_BOT_TOKEN
   const BOT_TOKEN = process.env.TG_BOT_TOKEN;
 
   // Helper to send a Markdown message back to the user.  Disable notifications
   // on these interactive responses to avoid pinging users.
-  async function send(token, chatId, message) {
-    await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
+  async function send(token, chatId, message, extra = {}) {
+    await fetch(apiUrl(token, 'sendMessage'), {
       method: 'POST',
       headers: { 'content-type': 'application/json' },
       body: JSON.stringify({
         chat_id: chatId,
+        ...(chatId === chat && threadId ? { message_thread_id: threadId } : {}),
         text: message,
         parse_mode: 'Markdown',
-        disable_notification: true
+        disable_notification: true,
+        ...extra
       })
     });
   }
 
-  if (text === '/econ_test') {
+  // Anything that is not a command gets no reply, so skip the prefs lookup
+  if (!command.startsWith('/')) return new Response('ok');
+
+  const prefs = await getPrefs(dest);
+  const { lang } = prefs;
+  const usage = example => `${t(lang, 'usage')}: ${example}`;
+
+  if (ADMIN_COMMANDS.includes(command) && !(await isAdmin(chat))) {
+    return new Response('ok');
+  }
+
+  if (!isPrivate && command.startsWith('/econ_') && !GROUP_READ_COMMANDS.includes(command)) {
+    if (!(await isGroupAdmin(BOT_TOKEN, chat, msg.from, msg.sender_chat))) {
+      await send(BOT_TOKEN, chat, `⛔️ ${t(lang, 'group.adminOnly')}`);
+      return new Response('ok');
+    }
+  }
+
+  if (command === '/econ_on' && !isPrivate) {
+    const { created } = await addDestination({
+      chatId: chat,
+      threadId,
+      type: msg.chat.type,
+      title: msg.chat.title,
+      addedBy: msg.from?.id
+    });
     await send(
       BOT_TOKEN,
       chat,
-      ' Alerts active | التنبيهات نشطة\n\nChannel: @liiratnews\nCheck interval: 5 min | الفحص كل 5 دقائق'
+      created
+        ? `✅ ${t(lang, threadId ? 'dest.createdTopic' : 'dest.created')}\n\n/econ\\_prefs - ${t(lang, 'cmd.prefs')}\n/econ\\_off - ${t(lang, 'cmd.off')}`
+        : `✅ ${t(lang, 'dest.exists')}`
     );
     return new Response('ok');
   }
-  else if (text === '/econ_upcoming') {
-    // Fetch up to five upcoming events from the cache or schedule.  Use
-    // bilingual formatting for consistency with the API.
-    const limit = 5;
-    try {
-      let cache;
-      try {
-        const raw = await kv.get('econ:cache:upcoming');
-        cache = raw ? (typeof raw === 'string' ? JSON.parse(raw) : raw) : null;
-      } catch {
-        cache = null;
-      }
-      let items = Array.isArray(cache?.items) ? cache.items : [];
-      if (!items.length) {
-        const now = Date.now();
-        const end = now + 24 * 60 * 60 * 1000;
-        let rawEvents = await kv.zrange('econ:manual', 0, -1);
-        if (!rawEvents || !rawEvents.length) {
-          rawEvents = await kv.zrange('econ:manual', 0, 99999);
-        }
-        if (!rawEvents || !rawEvents.length) {
-          try {
-            rawEvents = await kv.zrange('econ:manual', '-inf', '+inf', { byScore: true });
-          } catch {
-            // ignore errors
-          }
-        }
-        const all = (rawEvents || [])
-          .map(s => {
-            try {
-              const o = typeof s === 'string' ? JSON.parse(s) : s;
-              o.ts = Date.parse(o.date);
-              return Number.isFinite(o.ts) ? o : null;
-            } catch {
-              return null;
-            }
-          })
-          .filter(Boolean)
-          .filter(e => e.ts >= now && e.ts <= end)
-          .sort((a, b) => a.ts - b.ts);
-        items = all;
+  else if (command === '/econ_off' && !isPrivate) {
+    const removed = await removeDestination(dest);
+    await send(
+      BOT_TOKEN,
+      chat,
+      removed ? `🔕 ${t(lang, 'dest.removed')}` : `ℹ️ ${t(lang, 'dest.none')}\n\n/econ\\_on - ${t(lang, 'cmd.on')}`
+    );
+    return new Response('ok');
+  }
+  else if (command === '/econ_status' && !isPrivate) {
+    const status = (await getDestination(dest))
+      ? `✅ ${t(lang, 'dest.on')}`
+      : `🔕 ${t(lang, 'dest.off')} — /econ\\_on`;
+    await send(BOT_TOKEN, chat, `${status}\n\n${describePrefs(prefs)}`);
+    return new Response('ok');
+  }
+  else if (command === '/econ_on') {
+    const check = validateChatId(chat);
+    if (!check.ok) {
+      await send(BOT_TOKEN, chat, `❌ ${t(lang, 'sub.privateOnly')}`);
+      return new Response('ok');
+    }
+    const { created } = await addSubscriber(check.chatId, {
+      username: msg.from?.username || msg.from?.first_name,
+      lang: msg.from?.language_code
+    });
+    await send(
+      BOT_TOKEN,
+      chat,
+      created
+        ? `✅ ${t(lang, 'sub.created')}\n\n/econ\\_prefs - ${t(lang, 'cmd.prefs')}\n/econ\\_off - ${t(lang, 'cmd.off')}`
+        : `✅ ${t(lang, 'sub.exists')}`
+    );
+    return new Response('ok');
+  }
+  else if (command === '/econ_off') {
+    const wasSubscribed = await isSubscribed(chat);
+    await removeSubscriber(chat);
+    await send(
+      BOT_TOKEN,
+      chat,
+      wasSubscribed
+        ? `🔕 ${t(lang, 'unsub.done')}\n\n/econ\\_on - ${t(lang, 'unsub.again')}`
+        : `ℹ️ ${t(lang, 'unsub.none')}\n\n/econ\\_on - ${t(lang, 'cmd.on')}`
+    );
+    return new Response('ok');
+  }
+  else if (command === '/econ_status') {
+    const subscribed = await isSubscribed(chat);
+    const status = subscribed
+      ? `✅ ${t(lang, 'status.on')}`
+      : `🔕 ${t(lang, 'status.off')} — /econ\\_on`;
+    await send(BOT_TOKEN, chat, `${status}\n\n${describePrefs(prefs)}`);
+    return new Response('ok');
+  }
+  else if (command === '/econ_test') {
+    await send(
+      BOT_TOKEN,
+      chat,
+      `✅ ${t(lang, 'test.active')}\n\n${t(lang, 'test.channel')}: @liiratnews\n${t(lang, 'test.interval', { minutes: 5 })}`
+    );
+    return new Response('ok');
+  }
+  else if (command === '/econ_upcoming') {
+    // Optional filter: an instrument (EURUSD) or a country (US, Japan)
+    let filter = null;
+    if (args) {
+      const symbol = normalizeSymbol(args);
+      const { countries } = parseCountries(args);
+      if (instrumentCountries(symbol)) filter = symbol;
+      else if (countries.length === 1 && countries[0] !== ALL) filter = countryId(countries[0]);
+      else {
+        await send(BOT_TOKEN, chat, usage('/econ\\_upcoming EURUSD | XAUUSD | US'));
+        return new Response('ok');
       }
-      items = items.slice(0, limit);
-
-      // Build bilingual lines.  Keep translations in sync with cron.js
-      const countryAr = {
-        'United States': 'الولايات المتحدة',
-        'Euro Area': 'منطقة اليورو',
-        'United Kingdom': 'المملكة المتحدة',
-        'Japan': 'اليابان',
-        'China': 'الصين'
-      };
-      const fmtEn = new Intl.DateTimeFormat('en-GB', {
-        dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Dubai'
-      });
-      const lines = items.map((ev, i) => {
-        const when = fmtEn.format(new Date(ev.ts)) + ' (Asia/Dubai)';
-        const countryEn = ev.country;
-        const countryArName = countryAr[ev.country] || ev.country;
-        const eventName = ev.event;
-        const forecast = ev.forecast;
-        const previous = ev.previous;
-        const parts = [];
-        parts.push(`${i + 1}. 🔔 ${countryArName}: ${eventName} | ${countryEn}: ${eventName}`);
-        parts.push(`   ⏰ ${when}`);
-        if (forecast) parts.push(`   التوقع: ${forecast} | Forecast: ${forecast}`);
-        if (previous) parts.push(`   السابق: ${previous} | Previous: ${previous}`);
-        return parts.join('\n');
+    }
+    try {
+      const events = await loadUpcoming(Date.now());
+      const view = upcomingView(events, {
+        prefs,
+        picks: await getPicks(dest),
+        view: { page: 0, country: filter, day: null }
       });
-      const message =
-        items.length
-          ? `🔔 الأحداث الاقتصادية القادمة / Upcoming Economic Events\n\n${lines.join('\n\n')}`
-          : 'لا توجد أحداث قادمة خلال الفترة المحددة.\nNo upcoming events in the selected window.';
-      await send(BOT_TOKEN, chat, message);
+      await send(BOT_TOKEN, chat, view.text, { reply_markup: view.reply_markup });
     } catch {
-      await send(BOT_TOKEN, chat, '❌ Could not fetch events | فشل جلب الأحداث');
+      await send(BOT_TOKEN, chat, `❌ ${t(lang, 'upcoming.error')}`);
+    }
+    return new Response('ok');
+  }
+  else if (command === '/econ_prefs' || command === '/econ_settings') {
+    const view = settingsView(prefs);
+    await send(BOT_TOKEN, chat, view.text, { reply_markup: view.reply_markup });
+    return new Response('ok');
+  }
+  else if (command === '/econ_countries') {
+    if (!args) {
+      await send(BOT_TOKEN, chat, usage('/econ\\_countries US, UK, EA  (or "all")'));
+      return new Response('ok');
+    }
+    const { countries, unknown } = parseCountries(args);
+    if (!countries.length) {
+      await send(BOT_TOKEN, chat, `❌ ${t(lang, 'countries.unknown')}: ${unknown.join(', ')}`);
+      return new Response('ok');
+    }
+    const note = unknown.length ? `\n\n⚠️ ${t(lang, 'countries.ignored')}: ${unknown.join(', ')}` : '';
+    await send(BOT_TOKEN, chat, describePrefs(await setPrefs(dest, { countries })) + note);
+    return new Response('ok');
+  }
+  else if (command === '/econ_watch') {
+    if (!args) {
+      await send(BOT_TOKEN, chat, usage('/econ\\_watch XAUUSD EURUSD US30  (or "clear")'));
+      return new Response('ok');
+    }
+    if (['clear', 'off'].includes(args.toLowerCase())) {
+      await send(BOT_TOKEN, chat, describePrefs(await setPrefs(dest, { instruments: [] })));
+      return new Response('ok');
+    }
+    const { instruments, unknown } = parseInstruments(args);
+    if (!instruments.length) {
+      await send(BOT_TOKEN, chat, `❌ ${t(lang, 'instruments.unknown')}: ${unknown.join(', ')}`);
+      return new Response('ok');
+    }
+    const note = unknown.length ? `\n\n⚠️ ${t(lang, 'countries.ignored')}: ${unknown.join(', ')}` : '';
+    await send(BOT_TOKEN, chat, describePrefs(await setPrefs(dest, { instruments })) + note);
+    return new Response('ok');
+  }
+  else if (command === '/econ_categories') {
+    if (!args) {
+      await send(BOT_TOKEN, chat, usage('/econ\\_categories inflation, labour, central\\_bank  (or "all", "major")'));
+      return new Response('ok');
+    }
+    if (args.toLowerCase() === 'major') {
+      await send(BOT_TOKEN, chat, describePrefs(await setPrefs(dest, { categories: MAJOR_CATEGORIES })));
+      return new Response('ok');
+    }
+    const { categories, unknown } = parseCategories(args);
+    if (!categories.length) {
+      await send(BOT_TOKEN, chat, `❌ ${t(lang, 'categories.unknown')}: ${unknown.join(', ')}`);
+      return new Response('ok');
+    }
+    const note = unknown.length ? `\n\n⚠️ ${t(lang, 'countries.ignored')}: ${unknown.join(', ')}` : '';
+    await send(BOT_TOKEN, chat, describePrefs(await setPrefs(dest, { categories })) + note);
+    return new Response('ok');
+  }
+  else if (command === '/econ_impact') {
+    const minImportance = parseImportance(args);
+    if (!minImportance) {
+      await send(BOT_TOKEN, chat, usage('/econ\\_impact high | medium | low'));
+      return new Response('ok');
+    }
+    await send(BOT_TOKEN, chat, describePrefs(await setPrefs(dest, { minImportance })));
+    return new Response('ok');
+  }
+  else if (command === '/econ_include' || command === '/econ_exclude') {
+    const field = command === '/econ_include' ? 'include' : 'exclude';
+    if (!args) {
+      await send(BOT_TOKEN, chat, usage(`${command.replace('_', '\\_')} CPI, NFP  (or "clear")`));
+      return new Response('ok');
+    }
+    const list = args.toLowerCase() === 'clear' ? [] : splitList(args);
+    await send(BOT_TOKEN, chat, describePrefs(await setPrefs(dest, { [field]: list })));
+    return new Response('ok');
+  }
+  else if (command === '/econ_tz') {
+    const tz = normalizeTimeZone(args);
+    if (!tz) {
+      await send(
+        BOT_TOKEN,
+        chat,
+        `${usage('/econ\\_tz Europe/London')}\n${t(lang, 'tz.hint')} (Asia/Riyadh, Africa/Cairo)`
+      );
+      return new Response('ok');
+    }
+    await send(BOT_TOKEN, chat, describePrefs(await setPrefs(dest, { tz })));
+    return new Response('ok');
+  }
+  else if (command === '/econ_lang') {
+    const newLang = normalizeLang(args);
+    if (!newLang) {
+      await send(BOT_TOKEN, chat, usage('/econ\\_lang ar | en | both'));
+      return new Response('ok');
+    }
+    await send(BOT_TOKEN, chat, describePrefs(await setPrefs(dest, { lang: newLang })));
+    return new Response('ok');
+  }
+  else if (command === '/econ_remind') {
+    const reminders = parseReminders(args);
+    if (!reminders) {
+      await send(BOT_TOKEN, chat, usage('/econ\\_remind 60m 15m now'));
+      return new Response('ok');
+    }
+    await send(BOT_TOKEN, chat, describePrefs(await setPrefs(dest, { reminders })));
+    return new Response('ok');
+  }
+  else if (command === '/econ_daily' || command === '/econ_weekly') {
+    const field = command === '/econ_daily' ? 'daily' : 'weekly';
+    const off = args.toLowerCase() === 'off';
+    const value = off ? null : field === 'daily' ? parseClock(args) : parseWeekly(args);
+    if (!off && !value) {
+      const example = field === 'daily' ? '/econ\\_daily 07:30' : '/econ\\_weekly sun 18:00';
+      await send(BOT_TOKEN, chat, usage(`${example}  (or "off")`));
+      return new Response('ok');
+    }
+    await send(BOT_TOKEN, chat, describePrefs(await setPrefs(dest, { [field]: value })));
+    return new Response('ok');
+  }
+  else if (command === '/econ_quiet') {
+    // A window, a mode, or both: "23:00-07:00 bundle", "silent", "off"
+    const words = args.toLowerCase().split(/\s+/).filter(Boolean);
+    const mode = QUIET_MODES.includes(words[words.length - 1]) ? words.pop() : null;
+    const rest = words.join(' ');
+    const patch = {};
+    if (rest) patch.quiet = rest === 'off' ? null : parseQuietWindow(rest);
+    if (mode) patch.quietMode = mode;
+    if ((!rest && !mode) || (rest && rest !== 'off' && !patch.quiet)) {
+      await send(BOT_TOKEN, chat, usage('/econ\\_quiet 23:00-07:00 silent | bundle | drop  (or "off")'));
+      return new Response('ok');
+    }
+    await send(BOT_TOKEN, chat, describePrefs(await setPrefs(dest, patch)));
+    return new Response('ok');
+  }
+  else if (command === '/econ_calendar') {
+    // The link is a secret: in groups it goes to the admin who asked, never
+    // to the chat. Anonymous admins and channel posts have no one to DM.
+    if (!isPrivate && (!msg.from || msg.sender_chat)) {
+      await send(BOT_TOKEN, chat, `⚠️ ${t(lang, 'calendar.dmFailed')}`);
+      return new Response('ok');
+    }
+    const reset = args.toLowerCase() === 'reset';
+    const token = reset ? await resetFeedToken(dest) : await getFeedToken(dest);
+    const lines = [`📅 ${t(lang, 'calendar.link')}`, '', feedUrl(token), ''];
+    lines.push(reset ? `🔁 ${t(lang, 'calendar.reset')}` : t(lang, 'calendar.hint'));
+    if (isPrivate) {
+      await send(BOT_TOKEN, chat, lines.join('\n'));
+      return new Response('ok');
+    }
+    const dm = await tgCall(BOT_TOKEN, 'sendMessage', { chat_id: msg.from.id, text: lines.join('\n'), parse_mode: 'Markdown' });
+    await send(BOT_TOKEN, chat, dm.ok ? `📩 ${t(lang, 'calendar.sentPrivately')}` : `⚠️ ${t(lang, 'calendar.dmFailed')}`);
+    return new Response('ok');
+  }
+  else if (command === '/econ_history') {
+    // A trailing number is how many releases to show
+    const m = args.match(/^(.*?)\s+(\d{1,2})$/);
+    const query = m ? m[1] : args;
+    const limit = m ? Math.min(MAX_LIMIT, Number(m[2])) : DEFAULT_LIMIT;
+    if (!query) {
+      await send(BOT_TOKEN, chat, usage('/econ\\_history US CPI YoY 6'));
+      return new Response('ok');
+    }
+    const { series, matches } = await findSeries(query);
+    if (series) {
+      await send(BOT_TOKEN, chat, historyText(series, await getHistory(series.id, limit), prefs.tz, lang));
+    } else if (matches.length) {
+      const options = matches.slice(0, 10).map(s => `• /econ\\_history ${s.country} ${s.indicator}`);
+      await send(BOT_TOKEN, chat, `${t(lang, 'history.choose')}\n\n${options.join('\n')}`);
+    } else {
+      await send(BOT_TOKEN, chat, `ℹ️ ${t(lang, 'history.none')}`);
+    }
+    return new Response('ok');
+  }
+  else if (command === '/econ_reset') {
+    await send(BOT_TOKEN, chat, describePrefs(await resetPrefs(dest)));
+    return new Response('ok');
+  }
+  else if (command === '/admin_add') {
+    if (!args) {
+      await send(BOT_TOKEN, chat, usage('/admin\\_add US | CPI YoY | 2025-10-15 12:30 | 3.1% | 3.0% | high'));
+      return new Response('ok');
+    }
+    const check = validateManualEvent(parseCompactEvent(args));
+    if (!check.ok) {
+      await send(BOT_TOKEN, chat, `❌ ${t(lang, 'admin.invalid')}: ${check.error}`);
+      return new Response('ok');
+    }
+    const { created, updated } = await upsertManual([check.event]);
+    const ev = check.event;
+    await send(
+      BOT_TOKEN,
+      chat,
+      `✅ ${t(lang, 'admin.saved')} \`${created[0] || updated[0]}\`\n${countryFlag(ev.country)} ${ev.country}: ${ev.event}\n⏰ ${formatDateTime(Date.parse(ev.date), prefs.tz)}`
+    );
+    return new Response('ok');
+  }
+  else if (command === '/admin_list') {
+    const days = Math.min(Math.max(Number(args) || 7, 1), 90);
+    const now = Date.now();
+    const events = await listManual({ from: now, to: now + days * 24 * 60 * 60 * 1000 });
+    const lines = events.slice(0, 30).map(ev =>
+      `\`${ev.id}\` ${formatDateTime(Date.parse(ev.date), prefs.tz)}\n   ${countryFlag(ev.country)} ${ev.country}: ${ev.event}`
+    );
+    await send(
+      BOT_TOKEN,
+      chat,
+      events.length
+        ? `🗂 *${t(lang, 'admin.listTitle', { days })}*\n\n${lines.join('\n')}`
+        : t(lang, 'admin.listEmpty', { days })
+    );
+    return new Response('ok');
+  }
+  else if (command === '/admin_del') {
+    if (!args) {
+      await send(BOT_TOKEN, chat, usage('/admin\\_del <id>'));
+      return new Response('ok');
+    }
+    const removed = await deleteManual(args);
+    await send(BOT_TOKEN, chat, removed ? `🗑 ${t(lang, 'admin.deleted')}: \`${args}\`` : `❌ ${t(lang, 'admin.notFound')}: \`${args}\``);
+    return new Response('ok');
+  }
+  else if (command === '/broadcast') {
+    if (!args) {
+      await send(BOT_TOKEN, chat, usage('/broadcast [lang=ar] [country=US,UK] [since=2025-01-01] [until=…] [at=2025-11-01T09:00] <text>'));
+      return new Response('ok');
+    }
+    const input = parseBroadcastArgs(args);
+    const check = await checkBroadcast(input);
+    if (!check.ok) {
+      await send(BOT_TOKEN, chat, `❌ ${t(lang, 'broadcast.invalid')}: ${check.error}`);
+      return new Response('ok');
+    }
+    await setPendingBroadcast(chat, input);
+    await send(BOT_TOKEN, chat, [
+      `📣 ${t(lang, 'broadcast.preview', { count: check.recipients })}`,
+      `👥 ${describeSegment(check.segment, lang, prefs.tz)}`,
+      `⏰ ${check.sendAt ? formatDateTime(check.sendAt, prefs.tz) : t(lang, 'broadcast.now')}`
+    ].join('\n'));
+    await send(BOT_TOKEN, chat, check.text);
+    await send(BOT_TOKEN, chat, t(lang, 'broadcast.confirm'));
+    return new Response('ok');
+  }
+  else if (command === '/broadcast_confirm') {
+    const pending = await takePendingBroadcast(chat);
+    if (!pending) {
+      await send(BOT_TOKEN, chat, t(lang, 'broadcast.none'));
+      return new Response('ok');
+    }
+    const created = await createBroadcast(pending, { createdBy: chat });
+    if (!created.ok) {
+      await send(BOT_TOKEN, chat, `❌ ${t(lang, 'broadcast.invalid')}: ${created.error}`);
+      return new Response('ok');
+    }
+    await send(BOT_TOKEN, chat, `✅ ${t(lang, 'broadcast.queued', { id: created.job.id, count: created.recipients })}\n${describeJob(created.job, lang, prefs.tz)}`);
+    return new Response('ok');
+  }
+  else if (command === '/broadcast_cancel') {
+    const pending = await takePendingBroadcast(chat);
+    await send(BOT_TOKEN, chat, pending ? t(lang, 'broadcast.cancelled') : t(lang, 'broadcast.none'));
+    return new Response('ok');
+  }
+  else if (command === '/broadcast_status') {
+    const jobs = args ? [await getBroadcast(args)].filter(Boolean) : await listBroadcasts({ limit: 5 });
+    if (!jobs.length) {
+      await send(BOT_TOKEN, chat, args ? `❌ ${t(lang, 'admin.notFound')}: \`${args}\`` : t(lang, 'broadcast.listEmpty'));
+      return new Response('ok');
+    }
+    await send(BOT_TOKEN, chat, jobs.map(j => describeJob(j, lang, prefs.tz)).join('\n\n'));
+    return new Response('ok');
+  }
+  else if (command === '/broadcast_stop') {
+    if (!args) {
+      await send(BOT_TOKEN, chat, usage('/broadcast\\_stop <id>'));
+      return new Response('ok');
+    }
+    const job = await cancelBroadcast(args);
+    await send(BOT_TOKEN, chat, job ? `🛑 ${describeJob(job, lang, prefs.tz)}` : `❌ ${t(lang, 'admin.notFound')}: \`${args}\``);
+    return new Response('ok');
+  }
+  else if (command === '/subs') {
+    const stats = await subscriberStats();
+    const recent = stats.recent.map(u =>
+      `• ${u.username || u.chatId} (${u.chatId}) — ${formatDateTime(Date.parse(u.joinedAt), prefs.tz)}`
+    );
+    await send(
+      BOT_TOKEN,
+      chat,
+      [
+        `👥 *${t(lang, 'subs.title')}*`,
+        `${t(lang, 'subs.active')}: ${stats.active}`,
+        `${t(lang, 'subs.inactive')}: ${stats.inactive}`,
+        ...(recent.length ? ['', `${t(lang, 'subs.recent')}:`, ...recent] : [])
+      ].join('\n')
+    );
+    return new Response('ok');
+  }
+  else if (command === '/dryrun') {
+    try {
+      const run = await cronDryRun();
+      const planned = (run.planned || []).map(p =>
+        `• ${countryFlag(p.country)} ${p.event} — ${p.stage}m → ${p.recipients}${p.already_sent ? ` (${t(lang, 'dryrun.alreadySent')})` : ''}\n   ⏰ ${formatDateTime(Date.parse(p.date), prefs.tz)}`
+      );
+      const digests = run.digests ? `${run.digests.daily} / ${run.digests.weekly}` : '—';
+      await send(
+        BOT_TOKEN,
+        chat,
+        [
+          `🧪 *${t(lang, 'dryrun.title')}*`,
+          `Provider: ${run.provider} · ${run.events_after_filters}/${run.events_total}`,
+          '',
+          ...(planned.length ? planned : [t(lang, 'dryrun.nothing')]),
+          '',
+          `${t(lang, 'dryrun.releases')}: ${run.releases?.released ?? 0}/${run.releases?.due ?? 0}`,
+          `${t(lang, 'dryrun.digests')}: ${digests}`
+        ].join('\n')
+      );
+    } catch (err) {
+      await send(BOT_TOKEN, chat, `❌ ${t(lang, 'dryrun.failed')}: ${err.message}`);
+    }
+    return new Response('ok');
+  }
+  else if (command === '/dests') {
+    const dests = await listDestinations();
+    const lines = dests.map(d =>
+      `• \`${d.id}\` ${d.title || ''} (${d.type || '?'})`
+    );
+    await send(
+      BOT_TOKEN,
+      chat,
+      dests.length
+        ? `📢 *${t(lang, 'dest.listTitle')}*\n\n${lines.join('\n')}`
+        : t(lang, 'dest.listEmpty')
+    );
+    return new Response('ok');
+  }
+  else if (command === '/dest_add') {
+    const target = parseDestination(args);
+    if (!target) {
+      await send(BOT_TOKEN, chat, usage('/dest\\_add @channel | -100123456789[:topic]'));
+      return new Response('ok');
+    }
+    // The bot must already be in the chat; this also turns @username into
+    // the numeric ID, which survives a rename
+    const info = await tgCall(process.env.LIIRAT_BOT_TOKEN || BOT_TOKEN, 'getChat', { chat_id: target.chatId });
+    if (!info.ok) {
+      await send(BOT_TOKEN, chat, `❌ ${t(lang, 'dest.unreachable')}: ${info.description || info.status}`);
+      return new Response('ok');
+    }
+    const { id } = await addDestination({
+      chatId: String(info.result.id),
+      threadId: target.threadId,
+      type: info.result.type,
+      title: info.result.title || info.result.username,
+      addedBy: chat
+    });
+    await send(BOT_TOKEN, chat, `✅ ${t(lang, 'dest.saved')}: \`${id}\``);
+    return new Response('ok');
+  }
+  else if (command === '/dest_del') {
+    if (!args) {
+      await send(BOT_TOKEN, chat, usage('/dest\\_del <id>'));
+      return new Response('ok');
     }
+    const removed = await removeDestination(args);
+    await send(BOT_TOKEN, chat, removed ? `🗑 ${t(lang, 'admin.deleted')}: \`${args}\`` : `❌ ${t(lang, 'admin.notFound')}: \`${args}\``);
     return new Response('ok');
   }
-  else if (text === '/start') {
+  else if (command === '/start') {
+    const commands = [
+      ['on', 'cmd.on'],
+      ['off', 'cmd.off'],
+      ['status', 'cmd.status'],
+      ['upcoming', 'cmd.upcoming'],
+      ['test', 'cmd.test'],
+      ['prefs', 'cmd.prefs'],
+      ['settings', 'cmd.settings'],
+      ['watch', 'cmd.watch'],
+      ['categories', 'cmd.categories'],
+      ['quiet', 'cmd.quiet'],
+      ['tz', 'cmd.tz'],
+      ['lang', 'cmd.lang'],
+      ['remind', 'cmd.remind'],
+      ['daily', 'cmd.daily'],
+      ['weekly', 'cmd.weekly'],
+      ['calendar', 'cmd.calendar'],
+      ['history', 'cmd.history']
+    ].map(([name, key]) => `/econ\\_${name} - ${t(lang, key)}`);
     await send(
       BOT_TOKEN,
       chat,
-      ' *Economic Calendar Alerts | تنبيهات التقويم الاقتصادي*\n\n Join channel for alerts:\nt.me/liiratnews\n\n*Commands | الأوامر:*\n/econ_upcoming - View events | عرض الأحداث\n/econ_test - Check status | التحقق من الحالة'
+      `📊 *${t(lang, 'start.title')}*\n\n${t(lang, 'start.channel')}:\nt.me/liiratnews\n\n*${t(lang, 'start.commands')}:*\n${commands.join('\n')}`
     );
     return new Response('ok');
   }
@@ -1,4 +1,9 @@
-import { kv } from '@vercel/kv';
+import { kv } from '../lib/storage/index.js';
+import { ALL, getAllPrefs, normalizePrefs } from '../lib/prefs.js';
+import { formatDateTime } from '../lib/time.js';
+import { t, countryFlag, countryLabel } from '../lib/i18n.js';
+import { describeReminders } from '../lib/reminders.js';
+import { deliver, summarize } from '../lib/telegram.js';
 
 export const config = { 
   runtime: 'edge',
@@ -23,37 +28,37 @@ export default async function handler(req) {
     return new Response('ok - no valid subscribers', { status: 200 });
   }
 
-  // Test alert message
-  const text = `🔔 *Test Alert | تنبيه تجريبي*
-Economic Calendar System Active
-
-⏰ Time: ${new Date().toLocaleString('en-GB', { timeZone: 'Asia/Dubai' })}
-
-✅ Subscription confirmed
-✅ You'll receive High impact economic events 15 min before release
-
-Countries monitored:
-🇺🇸 United States | الولايات المتحدة
-🇪🇺 Euro Area | منطقة اليورو  
-🇬🇧 United Kingdom | المملكة المتحدة
-🇨🇳 China | الصين
-🇯🇵 Japan | اليابان
-
-Type /econ_off to unsubscribe`;
+  // Test alert message, rendered in each subscriber's timezone and language
+  const prefsMap = await getAllPrefs();
+  const toText = ({ tz, lang, countries, reminders }) => {
+    const monitored = countries.includes(ALL)
+      ? [`🌐 ${t(lang, 'prefs.all')}`]
+      : countries.map(c => `${countryFlag(c)} ${countryLabel(c, lang)}`);
+    return [
+      `🔔 *${t(lang, 'testAlert.title')}*`,
+      t(lang, 'testAlert.system'),
+      '',
+      `⏰ ${t(lang, 'testAlert.time')}: ${formatDateTime(Date.now(), tz)}`,
+      '',
+      `✅ ${t(lang, 'testAlert.confirmed')}`,
+      `✅ ${t(lang, 'testAlert.schedule')}`,
+      `⏳ ${t(lang, 'prefs.reminders')}: ${describeReminders(reminders, lang)}`,
+      '',
+      `${t(lang, 'testAlert.countries')}:`,
+      ...monitored,
+      '',
+      t(lang, 'testAlert.unsubscribe')
+    ].join('\n');
+  };
 
   // Send to all valid subscribers
-  for (const chat_id of validSubs) {
-    await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
-      method: 'POST',
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({ 
-        chat_id: chat_id, 
-        text: text, 
-        parse_mode: 'Markdown',
-        disable_notification: true 
-      })
-    });
-  }
+  const results = await deliver(BOT_TOKEN, validSubs.map(chat_id => ({
+    chat_id,
+    text: toText(prefsMap.get(String(chat_id)) || normalizePrefs(null)),
+    parse_mode: 'Markdown',
+    disable_notification: true
+  })));
+  const { sent, failed, removed } = summarize(results);
 
-  return new Response(`ok - sent test to ${validSubs.length} users`);
-}
\ No newline at end of file
+  return new Response(`ok - sent test to ${sent}/${validSubs.length} users (${failed} failed, ${removed} removed)`);
+}
@@ -0,0 +1,134 @@
+// lib/admin.js - Admin role for the bot's /admin_* commands
+// Admins are chat IDs in econ:admins (SET). ADMIN_CHAT_IDS (comma-separated)
+// seeds the list so the first admin doesn't need a Redis console.
+
+'use strict';
+
+const { kv } = require('./storage');
+const { parseCountries } = require('./prefs');
+
+const ADMINS_KEY = 'econ:admins';
+const PENDING_PREFIX = 'econ:admin:broadcast:'; // STRING per admin chat
+const PENDING_TTL = 10 * 60;
+
+function envAdmins() {
+  return String(process.env.ADMIN_CHAT_IDS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+async function isAdmin(chatId) {
+  const id = String(chatId);
+  if (envAdmins().includes(id)) return true;
+  try {
+    return !!(await kv.sismember(ADMINS_KEY, id));
+  } catch (err) {
+    console.error('[ADMIN ERROR]', err.message);
+    return false;
+  }
+}
+
+/**
+ * Every admin chat ID: ADMIN_CHAT_IDS plus econ:admins
+ */
+async function listAdmins() {
+  let stored = [];
+  try {
+    stored = ((await kv.smembers(ADMINS_KEY)) || []).map(String);
+  } catch (err) {
+    console.error('[ADMIN ERROR]', err.message);
+  }
+  return [...new Set([...envAdmins(), ...stored])];
+}
+
+/**
+ * "US | CPI YoY | 2025-10-15 12:30 | 3.1% | 3.0% | high" → raw manual event.
+ * Country accepts the /econ_countries codes; a date without a zone is UTC.
+ * The result still goes through validateManualEvent.
+ */
+function parseCompactEvent(arg) {
+  const [country = '', event = '', date = '', forecast, previous, importance] =
+    String(arg || '').split('|').map(s => s.trim());
+  const { countries } = parseCountries(country);
+  const utc = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(date)
+    ? `${date.replace(' ', 'T')}Z`
+    : date;
+  return { country: countries[0] || country, event, date: utc, forecast, previous, importance };
+}
+
+// Leading key=value options of /broadcast → lib/broadcasts.js input fields
+const BROADCAST_OPTIONS = {
+  lang: 'lang',
+  country: 'countries',
+  countries: 'countries',
+  since: 'joinedAfter',
+  until: 'joinedBefore',
+  at: 'sendAt'
+};
+
+/**
+ * "lang=ar country=US,UK since=2025-01-01 at=2025-11-01T09:00 Hello *all*"
+ * → { lang, countries, joinedAfter, sendAt, text }. Options come first; the
+ * rest (line breaks included) is the message. Unknown keys start the text.
+ */
+function parseBroadcastArgs(arg) {
+  const input = {};
+  let rest = String(arg || '').trim();
+  for (;;) {
+    const m = rest.match(/^(\w+)=(\S+)(?:\s+|$)/);
+    if (!m || !BROADCAST_OPTIONS[m[1].toLowerCase()]) break;
+    input[BROADCAST_OPTIONS[m[1].toLowerCase()]] = m[2];
+    rest = rest.slice(m[0].length);
+  }
+  return { ...input, text: rest };
+}
+
+/**
+ * Keep a checked /broadcast request until /broadcast_confirm
+ */
+async function setPendingBroadcast(chatId, input) {
+  await kv.set(PENDING_PREFIX + chatId, JSON.stringify({ ...input, at: Date.now() }), { ex: PENDING_TTL });
+}
+
+/**
+ * Read and clear an admin's pending broadcast (null if none or expired)
+ */
+async function takePendingBroadcast(chatId) {
+  const raw = await kv.get(PENDING_PREFIX + chatId);
+  if (!raw) return null;
+  await kv.del(PENDING_PREFIX + chatId);
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ask /api/cron what it would send right now (?dry=1). Uses the deployment's
+ * own URL so the answer comes from exactly the same filtering code.
+ */
+async function cronDryRun() {
+  const base = process.env.PUBLIC_BASE_URL ||
+    (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : '');
+  if (!base) throw new Error('PUBLIC_BASE_URL not set');
+  const res = await fetch(`${base.replace(/\/$/, '')}/api/cron?dry=1`, {
+    headers: { authorization: `Bearer ${process.env.CRON_SECRET}` },
+    signal: AbortSignal.timeout(25000)
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data?.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+  return data;
+}
+
+module.exports = {
+  ADMINS_KEY,
+  isAdmin,
+  listAdmins,
+  parseCompactEvent,
+  parseBroadcastArgs,
+  setPendingBroadcast,
+  takePendingBroadcast,
+  cronDryRun
+};
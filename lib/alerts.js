@@ -0,0 +1,112 @@
+// lib/alerts.js - Message templates shared by the cron sender, the release
+// tracker (which re-renders the original alert when editing it) and the
+// upcoming-events list used by /econ_upcoming and /api/econ/upcoming
+
+'use strict';
+
+const { formatDateTime } = require('./time');
+const { eventId } = require('./canonical');
+const { classify, categoryIcon } = require('./categories');
+const { DEFAULT_LANG, t, countryFlag, countryLabel, eventLabel, durationLabel } = require('./i18n');
+
+/**
+ * Identity of an event across cron runs and sources: country id|indicator
+ * id|ISO minute (lib/canonical.js), e.g. "US|NFP|2025-11-07T13:30".
+ * Used for dedupe keys and release tracking.
+ */
+function eventKey(ev) {
+  const ts = ev.ts ?? Date.parse(ev.date);
+  return `${eventId(ev)}|${new Date(ts).toISOString().slice(0, 16)}`;
+}
+
+/**
+ * The key before canonical ids: the raw country|event|ISO minute, e.g.
+ * "United States|Non Farm Payrolls|2025-11-07T13:30". Stage markers written
+ * under it are still honoured until they expire (48h after upgrading).
+ */
+function legacyEventKey(ev) {
+  const ts = ev.ts ?? Date.parse(ev.date);
+  return `${ev.country}|${ev.event}|${new Date(ts).toISOString().slice(0, 16)}`;
+}
+
+/**
+ * A stored event key in the current format. Legacy keys are rebuilt from
+ * their parts; current keys come back unchanged.
+ */
+function canonicalKey(key) {
+  const parts = String(key).split('|');
+  if (parts.length !== 3 || !Number.isFinite(Date.parse(`${parts[2]}Z`))) return String(key);
+  return eventKey({ country: parts[0], event: parts[1], date: `${parts[2]}Z` });
+}
+
+// FNV-1a, 32-bit: short, deterministic ids without a crypto dependency
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * 8-hex-digit form of eventKey, for places with a size limit such as
+ * inline keyboard callback data (64 bytes)
+ */
+function eventHash(ev) {
+  return hash(eventKey(ev));
+}
+
+/**
+ * "In 15 min" / "Releasing now" for a reminder stage
+ */
+function stageLabel(offset, lang) {
+  if (lang !== 'en' && lang !== 'ar') return `${stageLabel(offset, 'en')} | ${stageLabel(offset, 'ar')}`;
+  return offset ? t(lang, 'stage.in', { time: durationLabel(offset, lang) }) : t(lang, 'stage.now');
+}
+
+/**
+ * Pre-release alert text in the recipient's timezone and language.
+ * `stage` is the reminder offset in minutes; omit it for a neutral header
+ * (release follow-ups re-render the alert without one). `pairs` are the
+ * instruments the event moves (lib/instruments.js affectedPairs).
+ */
+function toMsg(ev, tz, lang = DEFAULT_LANG, stage = null, pairs = []) {
+  const when = formatDateTime(ev.ts ?? Date.parse(ev.date), tz);
+  const lines = [];
+  lines.push(stage === null
+    ? `🔔 *${t(lang, 'alert.title')}*`
+    : `${stage ? '🔔' : '🚨'} *${t(lang, 'alert.title')}* — ${stageLabel(stage, lang)}`);
+  lines.push(`${countryFlag(ev.country)} *${countryLabel(ev.country, lang)}*`);
+  lines.push(`${categoryIcon(classify(ev).category)} ${eventLabel(ev.event, lang)}`);
+  lines.push(`⏰ ${when}`);
+  if (ev.forecast) lines.push(`📈 ${t(lang, 'field.forecast')}: ${ev.forecast}`);
+  if (ev.previous) lines.push(`📉 ${t(lang, 'field.previous')}: ${ev.previous}`);
+  if (pairs.length) lines.push(`💹 ${t(lang, 'field.pairs')}: ${pairs.join(', ')}`);
+  return lines.join('\n');
+}
+
+/**
+ * Numbered list of upcoming events. Items may carry `ts` or only `date`.
+ */
+function formatUpcoming(items, tz, lang = DEFAULT_LANG) {
+  if (!items.length) return t(lang, 'upcoming.empty');
+  const lines = items.map((ev, i) => {
+    const parts = [];
+    parts.push(`${i + 1}. ${countryFlag(ev.country)} *${countryLabel(ev.country, lang)}*: ${eventLabel(ev.event, lang)}`);
+    parts.push(`   ⏰ ${formatDateTime(ev.ts ?? Date.parse(ev.date), tz)}`);
+    if (ev.forecast) parts.push(`   ${t(lang, 'field.forecast')}: ${ev.forecast}`);
+    if (ev.previous) parts.push(`   ${t(lang, 'field.previous')}: ${ev.previous}`);
+    return parts.join('\n');
+  });
+  return `📅 *${t(lang, 'upcoming.title')}*\n\n${lines.join('\n\n')}`;
+}
+
+module.exports = {
+  eventKey,
+  legacyEventKey,
+  canonicalKey,
+  eventHash,
+  toMsg,
+  formatUpcoming
+};
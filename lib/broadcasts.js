@@ -0,0 +1,396 @@
+// lib/broadcasts.js - Stored broadcast jobs
+// A broadcast is a job in econ:broadcasts (HASH, job ID → JSON) instead of
+// one long request: the admin command or API call only stores it, and
+// api/cron/broadcasts.js sends it in batches within a time budget. Progress
+// (cursor, delivered/failed/removed counts) is saved after every batch, so a
+// run that hits its budget or times out is picked up where it stopped.
+//
+// A sending job whose recipient list is gone is marked 'failed' rather than
+// started over, which would repeat the message to chats that already have it.
+//
+// Each job has a Markdown text, an optional send time and a segment:
+//   lang          – 'ar' | 'en' (chats set to 'both' read either)
+//   countries     – chats whose preferences follow any of these countries,
+//                   directly or through a watched instrument
+//   joinedAfter / joinedBefore – econ:users joinedAt bounds (ms)
+// The recipient list is taken when sending starts, so a scheduled job
+// reaches whoever matches at that time.
+
+'use strict';
+
+const { kv } = require('./storage');
+const { deliver, summarize } = require('./telegram');
+const { SUBS_KEY, USERS_KEY, parseUser } = require('./subscribers');
+const { ALL, getAllPrefs, normalizePrefs, parseCountries, followsCountry } = require('./prefs');
+const { normalizeLang } = require('./i18n');
+
+const JOBS_KEY = 'econ:broadcasts';
+const RECIPIENTS_PREFIX = 'econ:broadcast:recipients:'; // STRING per sending job
+const LOCK_KEY = 'econ:broadcast:lock';
+
+// Recipients per deliver() call; progress is saved between batches
+const BATCH_SIZE = 50;
+// Stop starting batches this long before the budget runs out
+const BATCH_MARGIN_MS = 5000;
+const DEFAULT_BUDGET_MS = 50000;
+// Finished and cancelled jobs kept for status queries
+const MAX_FINISHED = 50;
+const MAX_TEXT = 4096;
+// Distinct error descriptions counted per job
+const MAX_ERRORS = 10;
+
+const ACTIVE = ['scheduled', 'sending'];
+
+function parse(raw) {
+  if (!raw) return null;
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * First problem Telegram's legacy Markdown parser would reject, or null.
+ * *bold*, _italic_, `code`, ```pre``` and [text](url) must be closed;
+ * \ escapes a literal * _ ` [ outside them.
+ */
+function markdownError(text) {
+  let open = null;
+  let openAt = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (open === '```') {
+      if (text.startsWith('```', i)) { open = null; i += 2; }
+      continue;
+    }
+    if (open === '`') {
+      if (c === '`') open = null;
+      continue;
+    }
+    if (c === '\\' && !open) { i++; continue; }
+    if (text.startsWith('```', i) && !open) {
+      open = '```'; openAt = i; i += 2;
+      continue;
+    }
+    if (c === '`' && !open) { open = '`'; openAt = i; continue; }
+    if (c === '*' || c === '_') {
+      if (open === c) open = null;
+      else if (!open) { open = c; openAt = i; }
+      continue;
+    }
+    if (c === '[' && !open) {
+      const m = text.slice(i).match(/^\[[^\]]*\]\([^)\s]+\)/);
+      if (!m) return `unclosed link "[" at character ${i + 1}`;
+      i += m[0].length - 1;
+    }
+  }
+  return open ? `unclosed ${open} at character ${openAt + 1}` : null;
+}
+
+/**
+ * "2025-11-01T09:00" / "2025-11-01" (UTC when no zone is given), a full ISO
+ * string or epoch ms → ms, or null
+ */
+function parseWhen(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number' || /^\d{10,}$/.test(String(value))) {
+    return Number.isFinite(Number(value)) ? Number(value) : null;
+  }
+  let s = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) s += 'T00:00Z';
+  else if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(s)) s = `${s.replace(' ', 'T')}Z`;
+  const ts = Date.parse(s);
+  return Number.isFinite(ts) ? ts : null;
+}
+
+/**
+ * Clean a segment from the API or bot. Unknown values are errors rather
+ * than silently widening the audience.
+ *
+ * @returns {{ ok: true, segment: object } | { ok: false, error: string }}
+ */
+function normalizeSegment(input = {}) {
+  const segment = {};
+  if (input.lang) {
+    const lang = normalizeLang(input.lang);
+    if (lang !== 'ar' && lang !== 'en') return { ok: false, error: `lang must be ar or en, got "${input.lang}"` };
+    segment.lang = lang;
+  }
+  if (input.countries && String(input.countries).length) {
+    const raw = Array.isArray(input.countries) ? input.countries.join(',') : input.countries;
+    const { countries, unknown } = parseCountries(raw);
+    if (unknown.length) return { ok: false, error: `unknown countries: ${unknown.join(', ')}` };
+    if (!countries.includes(ALL)) segment.countries = countries;
+  }
+  for (const field of ['joinedAfter', 'joinedBefore']) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    const ts = parseWhen(input[field]);
+    if (ts === null) return { ok: false, error: `invalid ${field}: "${input[field]}"` };
+    segment[field] = ts;
+  }
+  return { ok: true, segment };
+}
+
+/**
+ * Chat IDs in a segment, in a stable order
+ */
+async function resolveSegment(segment = {}) {
+  const subs = ((await kv.smembers(SUBS_KEY)) || []).map(String).filter(id => /^\d+$/.test(id)).sort();
+  const needsPrefs = segment.lang || segment.countries;
+  const needsUsers = segment.joinedAfter !== undefined || segment.joinedBefore !== undefined;
+  const prefsMap = needsPrefs ? await getAllPrefs() : new Map();
+  const users = needsUsers ? ((await kv.hgetall(USERS_KEY)) || {}) : {};
+
+  return subs.filter(id => {
+    if (needsPrefs) {
+      const prefs = prefsMap.get(id) || normalizePrefs(null);
+      if (segment.lang && prefs.lang !== segment.lang && prefs.lang !== 'both') return false;
+      if (segment.countries && !segment.countries.some(c => followsCountry(prefs, c))) return false;
+    }
+    if (needsUsers) {
+      // Legacy entries have no join date and match no join-date segment
+      const joined = Date.parse(parseUser(users[id])?.joinedAt);
+      if (!Number.isFinite(joined)) return false;
+      if (segment.joinedAfter !== undefined && joined < segment.joinedAfter) return false;
+      if (segment.joinedBefore !== undefined && joined >= segment.joinedBefore) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Validate a broadcast request without storing it.
+ *
+ * @param {object} input - { text, sendAt, lang, countries, joinedAfter, joinedBefore }
+ * @returns {Promise<{ ok: true, text: string, sendAt: number|null, segment: object, recipients: number } | { ok: false, error: string }>}
+ */
+async function checkBroadcast(input = {}) {
+  const text = String(input.text || '').trim();
+  if (!text) return { ok: false, error: 'text required' };
+  if (text.length > MAX_TEXT) return { ok: false, error: `text longer than ${MAX_TEXT} characters` };
+  const mdError = markdownError(text);
+  if (mdError) return { ok: false, error: `Markdown: ${mdError}` };
+
+  let sendAt = null;
+  if (input.sendAt !== undefined && input.sendAt !== null && input.sendAt !== '') {
+    sendAt = parseWhen(input.sendAt);
+    if (sendAt === null) return { ok: false, error: `invalid send time: "${input.sendAt}"` };
+  }
+
+  const seg = normalizeSegment(input);
+  if (!seg.ok) return seg;
+  const recipients = (await resolveSegment(seg.segment)).length;
+  return { ok: true, text, sendAt, segment: seg.segment, recipients };
+}
+
+async function saveJob(job) {
+  await kv.hset(JOBS_KEY, { [job.id]: JSON.stringify(job) });
+  return job;
+}
+
+async function getBroadcast(id) {
+  return parse(await kv.hget(JOBS_KEY, String(id)));
+}
+
+/**
+ * Jobs newest first
+ */
+async function listBroadcasts({ limit = 20 } = {}) {
+  const all = (await kv.hgetall(JOBS_KEY)) || {};
+  return Object.values(all)
+    .map(parse)
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit);
+}
+
+/**
+ * Store a broadcast job. It is sent by the next broadcast run at or after
+ * sendAt (immediately when sendAt is missing or past).
+ *
+ * @returns {Promise<{ ok: true, job: object, recipients: number } | { ok: false, error: string }>}
+ */
+async function createBroadcast(input = {}, { createdBy = 'api', now = Date.now() } = {}) {
+  const check = await checkBroadcast(input);
+  if (!check.ok) return check;
+  const job = {
+    id: `b${now.toString(36)}${Math.random().toString(36).slice(2, 5)}`,
+    text: check.text,
+    segment: check.segment,
+    sendAt: check.sendAt ?? now,
+    status: 'scheduled',
+    createdBy: String(createdBy),
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    total: null,
+    cursor: 0,
+    delivered: 0,
+    failed: 0,
+    removed: 0,
+    errors: {}
+  };
+  await saveJob(job);
+  console.log(`[BROADCAST] Created ${job.id} for ~${check.recipients} chats at ${new Date(job.sendAt).toISOString()}`);
+  return { ok: true, job, recipients: check.recipients };
+}
+
+/**
+ * Stop a scheduled or sending job. Messages already sent stay sent.
+ *
+ * @returns {Promise<object|null>} the job, or null if unknown
+ */
+async function cancelBroadcast(id, { now = Date.now() } = {}) {
+  const job = await getBroadcast(id);
+  if (!job) return null;
+  if (!ACTIVE.includes(job.status)) return job;
+  job.status = 'cancelled';
+  job.finishedAt = now;
+  await saveJob(job);
+  await kv.del(RECIPIENTS_PREFIX + job.id);
+  console.log(`[BROADCAST] Cancelled ${job.id} at ${job.cursor}/${job.total ?? '?'}`);
+  return job;
+}
+
+// Keep the newest MAX_FINISHED finished/cancelled jobs
+async function pruneFinished() {
+  const all = (await kv.hgetall(JOBS_KEY)) || {};
+  const old = Object.values(all)
+    .map(parse)
+    .filter(j => j && !ACTIVE.includes(j.status))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(MAX_FINISHED);
+  for (const j of old) await kv.hdel(JOBS_KEY, j.id);
+  return old.length;
+}
+
+/**
+ * Send due jobs until the time budget is spent. One run at a time
+ * (econ:broadcast:lock); an unfinished job continues on the next run.
+ *
+ * @returns {Promise<{ locked?: boolean, jobs: object[], pending: number }>}
+ */
+async function processBroadcasts({ token, now = Date.now(), budgetMs = DEFAULT_BUDGET_MS }) {
+  const deadline = Date.now() + budgetMs;
+  const lockTtl = Math.ceil(budgetMs / 1000) + 60;
+  if ((await kv.set(LOCK_KEY, String(now), { nx: true, ex: lockTtl })) === null) {
+    console.log('[BROADCAST] Another run holds the lock');
+    return { locked: true, jobs: [], pending: 0 };
+  }
+
+  const touched = [];
+  try {
+    const all = (await kv.hgetall(JOBS_KEY)) || {};
+    const due = Object.values(all)
+      .map(parse)
+      .filter(j => j && ACTIVE.includes(j.status) && j.sendAt <= now)
+      .sort((a, b) => a.sendAt - b.sendAt);
+
+    for (let job of due) {
+      if (Date.now() > deadline - BATCH_MARGIN_MS) break;
+
+      let recipients = parse(await kv.get(RECIPIENTS_PREFIX + job.id));
+      if (job.status === 'sending' && !Array.isArray(recipients)) {
+        // Resolving the segment again would restart at a cursor that no
+        // longer lines up, and repeat the message to chats that have it
+        job = {
+          ...job,
+          status: 'failed',
+          finishedAt: Date.now(),
+          errors: { ...job.errors, 'recipient list lost': (job.total ?? 0) - job.cursor }
+        };
+        await saveJob(job);
+        console.error(`[BROADCAST] ${job.id}: recipient list lost at ${job.cursor}/${job.total}, failing the job`);
+        touched.push(summarizeJob(job));
+        continue;
+      }
+      if (job.status === 'scheduled') {
+        recipients = await resolveSegment(job.segment);
+        await kv.set(RECIPIENTS_PREFIX + job.id, JSON.stringify(recipients));
+        job = { ...job, status: 'sending', startedAt: job.startedAt || Date.now(), total: recipients.length, cursor: 0 };
+        await saveJob(job);
+        console.log(`[BROADCAST] Started ${job.id}: ${recipients.length} recipients`);
+      }
+
+      while (job.cursor < recipients.length && Date.now() <= deadline - BATCH_MARGIN_MS) {
+        // Pick up a cancel from the bot or API between batches
+        const latest = await getBroadcast(job.id);
+        if (!latest || latest.status === 'cancelled') {
+          job = latest || job;
+          break;
+        }
+
+        const batch = recipients.slice(job.cursor, job.cursor + BATCH_SIZE);
+        const results = await deliver(token, batch.map(id => ({
+          chat_id: id, text: job.text, parse_mode: 'Markdown'
+        })));
+        const counts = summarize(results);
+        const errors = { ...job.errors };
+        for (const r of results) {
+          if (r.ok || !r.error) continue;
+          if (errors[r.error] !== undefined || Object.keys(errors).length < MAX_ERRORS) {
+            errors[r.error] = (errors[r.error] || 0) + 1;
+          }
+        }
+        job = {
+          ...job,
+          cursor: job.cursor + batch.length,
+          delivered: job.delivered + counts.sent,
+          failed: job.failed + counts.failed,
+          removed: job.removed + counts.removed,
+          errors
+        };
+        await saveJob(job);
+      }
+
+      if (job.status === 'sending' && job.cursor >= recipients.length) {
+        job = { ...job, status: 'done', finishedAt: Date.now() };
+        await saveJob(job);
+        await kv.del(RECIPIENTS_PREFIX + job.id);
+        console.log(`[BROADCAST] Done ${job.id}: ${job.delivered} delivered, ${job.failed} failed`);
+      }
+      touched.push(summarizeJob(job));
+    }
+
+    await pruneFinished();
+  } finally {
+    await kv.del(LOCK_KEY);
+  }
+
+  const pending = Object.values((await kv.hgetall(JOBS_KEY)) || {})
+    .map(parse)
+    .filter(j => j && ACTIVE.includes(j.status) && j.sendAt <= Date.now()).length;
+  return { jobs: touched, pending };
+}
+
+/**
+ * Job fields for responses and status messages (no text or error detail)
+ */
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    sendAt: job.sendAt,
+    total: job.total,
+    sent: job.cursor,
+    delivered: job.delivered,
+    failed: job.failed,
+    removed: job.removed
+  };
+}
+
+module.exports = {
+  JOBS_KEY,
+  markdownError,
+  parseWhen,
+  normalizeSegment,
+  resolveSegment,
+  checkBroadcast,
+  createBroadcast,
+  getBroadcast,
+  listBroadcasts,
+  cancelBroadcast,
+  processBroadcasts,
+  summarizeJob
+};
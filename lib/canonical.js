@@ -0,0 +1,147 @@
+// lib/canonical.js - One identity per country and indicator
+// Providers, manual entries and users name the same things differently:
+// "United States" / "US" / "USD", "Euro Area" / "EMU" / "EUR",
+// "Non Farm Payrolls" / "Nonfarm Payrolls (Sep)" / "NFP". Everything that
+// compares events (eventKey, country filters, dedupe, history series) goes
+// through these ids, so the same release from two sources is one event.
+//
+//   countryId('USD')                  → 'US'
+//   countryName('emu')                → 'Euro Area'  (the display name)
+//   indicatorId('Inflation Rate YoY') → 'CPI_YOY'    (same as 'CPI (YoY)')
+
+'use strict';
+
+// id → display name (as used by i18n and stored prefs) and aliases: ISO
+// alpha-2/alpha-3, currency and common names, matched case-insensitively.
+// EUR belongs to the Euro Area, not to its member states.
+const COUNTRIES = [
+  ['US', 'United States', ['USA', 'USD', 'U.S.', 'United States of America', 'America']],
+  ['EA', 'Euro Area', ['EU', 'EZ', 'EMU', 'EUR', 'Eurozone', 'Euro Zone', 'European Union']],
+  ['GB', 'United Kingdom', ['UK', 'GBR', 'GBP', 'Great Britain', 'Britain']],
+  ['DE', 'Germany', ['DEU']],
+  ['FR', 'France', ['FRA']],
+  ['IT', 'Italy', ['ITA']],
+  ['ES', 'Spain', ['ESP']],
+  ['JP', 'Japan', ['JPN', 'JPY']],
+  ['CN', 'China', ['CHN', 'CNY', 'CNH']],
+  ['CA', 'Canada', ['CAN', 'CAD']],
+  ['AU', 'Australia', ['AUS', 'AUD']],
+  ['NZ', 'New Zealand', ['NZL', 'NZD']],
+  ['CH', 'Switzerland', ['CHE', 'CHF']],
+  ['IN', 'India', ['IND', 'INR']],
+  ['SA', 'Saudi Arabia', ['SAU', 'SAR']],
+  ['AE', 'United Arab Emirates', ['ARE', 'AED', 'UAE']],
+  ['EG', 'Egypt', ['EGY', 'EGP']],
+  ['TR', 'Turkey', ['TUR', 'TRY', 'Türkiye']],
+  ['ZA', 'South Africa', ['ZAF', 'ZAR']],
+  ['BR', 'Brazil', ['BRA', 'BRL']],
+  ['MX', 'Mexico', ['MEX', 'MXN']],
+  ['KR', 'South Korea', ['KOR', 'KRW', 'Korea']],
+  ['RU', 'Russia', ['RUS', 'RUB']]
+];
+
+const COUNTRY_BY_ALIAS = new Map();
+const COUNTRY_NAMES = new Map();
+for (const [id, name, aliases] of COUNTRIES) {
+  COUNTRY_NAMES.set(id, name);
+  for (const a of [id, name, ...aliases]) COUNTRY_BY_ALIAS.set(a.toUpperCase(), id);
+}
+
+/**
+ * Country id for a name or code, or null when unknown
+ */
+function countryId(input) {
+  return COUNTRY_BY_ALIAS.get(String(input || '').trim().toUpperCase()) || null;
+}
+
+/**
+ * Display name for a name or code; unknown input comes back trimmed
+ */
+function countryName(input) {
+  const id = countryId(input);
+  return id ? COUNTRY_NAMES.get(id) : String(input || '').trim();
+}
+
+/**
+ * Whether two names or codes are the same country
+ */
+function sameCountry(a, b) {
+  const ia = countryId(a);
+  const ib = countryId(b);
+  if (ia || ib) return ia === ib;
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+const MONTHS = 'JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC';
+// "(Sep)", "(Q3)", "(H1)", "(2025)", "(Sep/Oct)": the period, not part of the indicator
+const PERIOD_PARENS = new RegExp(`\\((?:(?:${MONTHS})[A-Z]*|Q[1-4]|H[12]|\\d{4})(?:[\\s/-][^)]*)?\\)`, 'g');
+
+// Provider spellings → one name, most specific first
+const SYNONYMS = [
+  [/\bY\s*\/\s*Y\b|YEAR[- ]ON[- ]YEAR|YEAR OVER YEAR/g, ' YOY '],
+  [/\bM\s*\/\s*M\b|MONTH[- ]ON[- ]MONTH|MONTH OVER MONTH/g, ' MOM '],
+  [/\bQ\s*\/\s*Q\b|QUARTER[- ]ON[- ]QUARTER|QUARTER OVER QUARTER/g, ' QOQ '],
+  [/\bADP (?:NON[- ]?FARM |NATIONAL )?EMPLOYMENT(?: CHANGE)?/g, ' ADP '],
+  [/NON[- ]?FARM (?:PAYROLLS?|EMPLOYMENT CHANGE)|\bNFP\b/g, ' NFP '],
+  [/CONSUMER PRICE INDEX|INFLATION RATE|\bCPI\b/g, ' CPI '],
+  [/PRODUCER PRICE INDEX|\bPPI\b/g, ' PPI '],
+  [/PERSONAL CONSUMPTION EXPENDITURES?(?: PRICE INDEX)?|\bPCE PRICE(?:S| INDEX)\b/g, ' PCE '],
+  [/GROSS DOMESTIC PRODUCT(?: GROWTH RATE)?|\bGDP GROWTH RATE\b/g, ' GDP '],
+  [/PURCHASING MANAGERS'? INDEX/g, ' PMI '],
+  [/\bCONTINUING (?:JOBLESS )?CLAIMS\b/g, ' CONTINUING_CLAIMS '],
+  [/\b(?:INITIAL )?JOBLESS CLAIMS\b|\bINITIAL CLAIMS\b/g, ' INITIAL_CLAIMS '],
+  [/(?:UNIVERSITY OF |UOM )?MICHIGAN CONSUMER SENTIMENT(?: INDEX)?|\bUOM CONSUMER SENTIMENT\b/g, ' MICHIGAN_SENTIMENT '],
+  // The central bank is implied by the country
+  [/(?:\b(?:FED|FEDERAL RESERVE|FOMC|ECB|BOE|BOJ|BOC|RBA|RBNZ|SNB|PBOC)\b )?(?:INTEREST )?RATE DECISION|\bFED(?:ERAL)? FUNDS (?:TARGET )?RATE\b/g, ' RATE_DECISION '],
+  [/\bPRELIMINARY\b|\bPREL\b|\bFLASH\b/g, ' PRELIM '],
+  [/\bADVANCE\b/g, ' ADV ']
+];
+
+// Period qualifiers go last, in a fixed order, wherever the title put them
+const QUALIFIERS = ['PRELIM', 'ADV', 'FINAL', 'YOY', 'MOM', 'QOQ'];
+const NOISE = new Set(['THE', 'SA', 'S', 'A']);
+
+/**
+ * Indicator id for an event title: upper-case words joined by "_", with
+ * the period dropped and known spellings unified
+ */
+function indicatorId(title) {
+  let s = ` ${String(title || '').toUpperCase().replace(PERIOD_PARENS, ' ')} `;
+  s = s.replace(/[()]/g, ' ').replace(/&/g, '');
+  for (const [re, to] of SYNONYMS) s = s.replace(re, to);
+  const words = s.split(/[^A-Z0-9_%]+/).filter(w => w && !NOISE.has(w));
+  const core = words.filter(w => !QUALIFIERS.includes(w));
+  const quals = QUALIFIERS.filter(q => words.includes(q));
+  return [...new Set(core), ...quals].join('_') || 'UNKNOWN';
+}
+
+/**
+ * country id|indicator id of an event, without its time
+ */
+function eventId(ev) {
+  return `${countryId(ev.country) || String(ev.country || '').trim()}|${indicatorId(ev.event)}`;
+}
+
+/**
+ * Combine two copies of one event: the first wins, the second fills in
+ * the figures it is missing
+ */
+function mergeEvent(a, b) {
+  const out = { ...a };
+  for (const f of ['actual', 'forecast', 'previous', 'importance', 'impact']) {
+    if ((out[f] === null || out[f] === undefined || out[f] === '') && b[f] !== null && b[f] !== undefined && b[f] !== '') {
+      out[f] = b[f];
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  COUNTRIES,
+  countryId,
+  countryName,
+  sameCountry,
+  indicatorId,
+  eventId,
+  mergeEvent
+};
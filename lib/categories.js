@@ -0,0 +1,113 @@
+// lib/categories.js - Event categories and sub-types
+// Every event is classified from its title into one category and a sub-type:
+//
+//   classify({ event: 'Fed Interest Rate Decision' }) → { category: 'central_bank', type: 'rate_decision' }
+//   classify({ event: 'Core PCE Price Index (MoM)' }) → { category: 'inflation', type: 'pce' }
+//   classify({ event: 'Retail Sales Control Group' }) → { category: 'growth', type: 'retail_sales' }
+//
+// Rules are whole phrases, tried in order, so "RATE" alone never makes an
+// unemployment rate a central-bank event. Titles no rule knows are 'other'.
+// Chats subscribe by category (prefs.categories); the default is every
+// category but 'other'.
+
+'use strict';
+
+// id → icon shown on alerts, in menu order
+const CATEGORIES = {
+  central_bank: '🏦',
+  inflation: '🏷',
+  labour: '👷',
+  growth: '🏭',
+  sentiment: '🧭',
+  other: '📊'
+};
+
+const CATEGORY_IDS = Object.keys(CATEGORIES);
+const MAJOR_CATEGORIES = CATEGORY_IDS.filter(c => c !== 'other');
+
+const BANKS = 'FED|FOMC|ECB|BOE|BOJ|BOC|RBA|RBNZ|SNB|PBOC|RBI|SAMA|CBRT|CBE';
+
+// [category, type, pattern] - first match wins
+const RULES = [
+  ['central_bank', 'rate_decision', new RegExp(`RATE DECISION|INTEREST RATE|FED(?:ERAL)? FUNDS|CASH RATE|POLICY RATE|BANK RATE|DEPOSIT (?:FACILITY )?RATE|REFINANCING RATE|LOAN PRIME RATE|\\b(?:${BANKS}) (?:MONETARY )?POLICY DECISION`)],
+  ['central_bank', 'minutes', new RegExp(`\\b(?:${BANKS})\\b.*\\b(?:MINUTES|ACCOUNTS)\\b|MEETING MINUTES|POLICY MEETING ACCOUNTS`)],
+  ['central_bank', 'statement', new RegExp(`MONETARY POLICY (?:STATEMENT|REPORT|SUMMARY)|\\b(?:${BANKS}) (?:STATEMENT|ECONOMIC PROJECTIONS|PRESS CONFERENCE)|BEIGE BOOK|FINANCIAL STABILITY REPORT|INFLATION REPORT`)],
+  ['central_bank', 'speech', new RegExp(`\\b(?:${BANKS}|CHAIR|GOV|GOVERNOR)\\b.*\\b(?:SPEAKS|SPEECH|TESTIFIES|TESTIMONY)\\b`)],
+
+  ['inflation', 'expectations', /INFLATION EXPECTATIONS?/],
+  ['inflation', 'pce', /\bPCE\b|PERSONAL CONSUMPTION EXPENDITURES? PRICE/],
+  ['inflation', 'deflator', /DEFLATOR|GDP PRICE INDEX/],
+  ['inflation', 'cpi', /\bCPI\b|CONSUMER PRICE|INFLATION RATE|\bHICP\b|\bRPI\b/],
+  ['inflation', 'ppi', /\bPPI\b|PRODUCER PRICE|WHOLESALE PRICE|(?:INPUT|OUTPUT) PRICES?\b/],
+  ['inflation', 'import_prices', /(?:IMPORT|EXPORT) PRICE/],
+
+  ['labour', 'adp', /\bADP\b/],
+  ['labour', 'payrolls', /NON[- ]?FARM|\bNFP\b|PAYROLLS?\b/],
+  ['labour', 'claims', /CLAIMS\b|CLAIMANT COUNT/],
+  ['labour', 'unemployment', /UNEMPLOYMENT|JOBLESS RATE/],
+  ['labour', 'earnings', /EARNINGS|WAGES?\b|LABOU?R COSTS?|EMPLOYMENT COST/],
+  ['labour', 'employment', /EMPLOYMENT|\bJOLTS\b|JOB OPENINGS|JOB CUTS|PARTICIPATION RATE/],
+
+  ['sentiment', 'pmi', /\bPMI\b|PURCHASING MANAGERS|\bISM\b/],
+  ['sentiment', 'consumer', /CONSUMER (?:CONFIDENCE|SENTIMENT|CLIMATE)|MICHIGAN/],
+  ['sentiment', 'business', /\bZEW\b|\bIFO\b|BUSINESS (?:CONFIDENCE|CLIMATE|SENTIMENT)|ECONOMIC SENTIMENT|\bTANKAN\b|\bNFIB\b|EMPIRE STATE|(?:PHILADELPHIA|PHILLY) FED|(?:RICHMOND|DALLAS|KANSAS CITY) FED/],
+
+  ['growth', 'gdp', /\bGDP\b|GROSS DOMESTIC/],
+  ['growth', 'retail_sales', /RETAIL SALES/],
+  ['growth', 'production', /INDUSTRIAL (?:PRODUCTION|OUTPUT)|MANUFACTURING PRODUCTION|FACTORY ORDERS|DURABLE GOODS|CAPACITY UTILI[SZ]ATION/],
+  ['growth', 'trade', /TRADE BALANCE|CURRENT ACCOUNT|\bEXPORTS\b|\bIMPORTS\b/],
+  ['growth', 'housing', /HOUSING|HOME SALES|BUILDING PERMITS|HOUSE PRICE|CONSTRUCTION/],
+  ['growth', 'spending', /PERSONAL (?:SPENDING|INCOME)|CONSUMER (?:SPENDING|CREDIT)/]
+];
+
+// What users may type for each category
+const ALIASES = {
+  central_bank: ['central_bank', 'centralbank', 'cb', 'bank', 'banks', 'central banks', 'rates', 'بنوك', 'البنوك المركزية'],
+  inflation: ['inflation', 'prices', 'تضخم', 'التضخم'],
+  labour: ['labour', 'labor', 'jobs', 'employment', 'وظائف', 'التوظيف'],
+  growth: ['growth', 'activity', 'النمو', 'نمو'],
+  sentiment: ['sentiment', 'surveys', 'pmi', 'المعنويات', 'معنويات'],
+  other: ['other', 'أخرى']
+};
+
+/**
+ * Category and sub-type of an event, from its title
+ *
+ * @returns {{ category: string, type: string|null }}
+ */
+function classify(ev) {
+  const title = ` ${String(ev.event || '').toUpperCase().replace(/&/g, '')} `;
+  for (const [category, type, re] of RULES) {
+    if (re.test(title)) return { category, type };
+  }
+  return { category: 'other', type: null };
+}
+
+function categoryIcon(category) {
+  return CATEGORIES[category] || CATEGORIES.other;
+}
+
+/**
+ * "inflation, jobs" → { categories: ['inflation', 'labour'], unknown: [] };
+ * "all" is every category including 'other'
+ */
+function parseCategories(arg) {
+  const categories = [];
+  const unknown = [];
+  if (String(arg || '').trim().toLowerCase() === 'all') return { categories: [...CATEGORY_IDS], unknown };
+  for (const token of String(arg || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const v = token.toLowerCase();
+    const id = CATEGORY_IDS.find(c => ALIASES[c].includes(v));
+    if (!id) unknown.push(token);
+    else if (!categories.includes(id)) categories.push(id);
+  }
+  return { categories, unknown };
+}
+
+module.exports = {
+  CATEGORY_IDS,
+  MAJOR_CATEGORIES,
+  classify,
+  categoryIcon,
+  parseCategories
+};
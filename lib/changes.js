@@ -0,0 +1,268 @@
+// lib/changes.js - Schedule changes between provider snapshots
+// Before cron overwrites econ:api:cache it diffs the old 7-day snapshot
+// against the fresh one and reports events that:
+//   rescheduled - moved to another time (same country and name)
+//   revised     - kept their time but changed forecast
+//   cancelled   - disappeared while still upcoming
+//   added       - newly appeared as high-impact
+//
+// Chats that were already alerted get the notice as a reply to their alert;
+// chats whose filters want the event get it too when it is high-impact.
+// Inside a chat's quiet hours the notice is sent silently, dropped or
+// bundled into the catch-up message, as its quiet mode says (lib/quiet.js).
+// Rescheduled events have their econ:sent markers cleared and their release
+// tracking and picks moved to the new time, so the new time is alerted and
+// followed up like any other. Each change is announced once (econ:change:*).
+
+'use strict';
+
+const { kv } = require('./storage');
+const { eventKey } = require('./alerts');
+const { eventId } = require('./canonical');
+const { classify, categoryIcon } = require('./categories');
+const { stageKey, stageMarkerKey } = require('./reminders');
+const { formatDateTime } = require('./time');
+const { t, countryFlag, countryLabel, eventLabel } = require('./i18n');
+const { deliver } = require('./telegram');
+const { chatTarget } = require('./destinations');
+const { alertMessages, retrack, untrack } = require('./releases');
+const { movePicks } = require('./picks');
+const { quietAction, queueAlert } = require('./quiet');
+
+const NOTICE_PREFIX = 'econ:change:';
+const NOTICE_EXPIRY = 8 * 24 * 60 * 60;
+// An event that moved further than this is treated as a different occurrence
+const MAX_SHIFT_MS = 3 * 24 * 60 * 60 * 1000;
+// Events up to this long past can still turn out delayed
+const DELAY_GRACE_MS = 3 * 60 * 60 * 1000;
+// A snapshot missing more than this share of upcoming events is a partial
+// provider response, not a wave of cancellations
+const MAX_CANCEL_SHARE = 0.5;
+
+const ICONS = { rescheduled: '🔁', revised: '✏️', cancelled: '❌', added: '🆕' };
+
+function tsOf(ev) {
+  return ev.ts ?? Date.parse(ev.date);
+}
+
+function figure(v) {
+  return v === null || v === undefined ? '' : String(v).trim();
+}
+
+function isHigh(ev) {
+  return Number(ev.importance) === 3;
+}
+
+function groupBy(events, fn) {
+  const map = new Map();
+  for (const ev of events) {
+    const k = fn(ev);
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(ev);
+  }
+  return map;
+}
+
+/**
+ * Compare two econ:api:cache snapshots ({ at, providers, events }).
+ *
+ * Snapshots from different providers are not compared: their event names
+ * differ, so every event would look cancelled and re-added.
+ *
+ * @returns {{ changes: object[], skipped: string|null }} each change is
+ *   { type, key, before, after } where before/after are the old and new
+ *   events (before is null for 'added', after is null for 'cancelled')
+ */
+function diffSnapshots(prev, next, now = Date.now()) {
+  if (!prev || !Array.isArray(prev.events) || !next || !Array.isArray(next.events)) {
+    return { changes: [], skipped: 'no_snapshot' };
+  }
+  const sameProviders = [...(prev.providers || [])].sort().join('+') ===
+    [...(next.providers || [])].sort().join('+');
+  if (!sameProviders) return { changes: [], skipped: 'providers_changed' };
+
+  const withTs = ev => ({ ...ev, ts: tsOf(ev) });
+  const before = prev.events.map(withTs).filter(e => e.ts >= now - DELAY_GRACE_MS);
+  const after = next.events.map(withTs).filter(e => e.ts >= now);
+  // The old snapshot never covered events past its own end
+  const horizon = Math.max(0, ...prev.events.map(tsOf).filter(Number.isFinite));
+
+  const changes = [];
+  const cancelled = [];
+  const oldById = groupBy(before, eventId);
+  const newById = groupBy(after, eventId);
+
+  for (const [id, olds] of oldById) {
+    const news = newById.get(id) || [];
+    const newKeys = new Set(news.map(eventKey));
+    const oldKeys = new Set(olds.map(eventKey));
+
+    for (const o of olds) {
+      const n = news.find(e => eventKey(e) === eventKey(o));
+      if (!n) continue;
+      const f0 = figure(o.forecast);
+      const f1 = figure(n.forecast);
+      if (f0 && f1 && f0 !== f1) changes.push({ type: 'revised', key: eventKey(n), before: o, after: n });
+    }
+
+    // Occurrences left on either side pair up in time order as moves
+    const movedFrom = olds.filter(e => !newKeys.has(eventKey(e))).sort((a, b) => a.ts - b.ts);
+    const movedTo = news.filter(e => !oldKeys.has(eventKey(e))).sort((a, b) => a.ts - b.ts);
+    for (const o of movedFrom) {
+      const i = movedTo.findIndex(n => Math.abs(n.ts - o.ts) <= MAX_SHIFT_MS);
+      if (i === -1) {
+        if (o.ts >= now) cancelled.push({ type: 'cancelled', key: eventKey(o), before: o, after: null });
+        continue;
+      }
+      const [n] = movedTo.splice(i, 1);
+      changes.push({ type: 'rescheduled', key: eventKey(n), before: o, after: n });
+    }
+    newById.set(id, movedTo);
+  }
+
+  // Whatever is left was not in the old snapshot
+  for (const news of newById.values()) {
+    for (const n of news) {
+      if (isHigh(n) && n.ts <= horizon) changes.push({ type: 'added', key: eventKey(n), before: null, after: n });
+    }
+  }
+
+  const upcoming = before.filter(e => e.ts >= now).length;
+  if (cancelled.length > 3 && cancelled.length > upcoming * MAX_CANCEL_SHARE) {
+    console.log(`[CHANGES] ${cancelled.length}/${upcoming} events missing, treating as a partial snapshot`);
+  } else {
+    changes.push(...cancelled);
+  }
+  return { changes, skipped: null };
+}
+
+/**
+ * Notice text in the recipient's timezone and language
+ */
+function changeText(change, tz, lang) {
+  const ev = change.after || change.before;
+  const lines = [
+    `${ICONS[change.type]} *${t(lang, `change.${change.type}`)}*`,
+    `${countryFlag(ev.country)} *${countryLabel(ev.country, lang)}*`,
+    `${categoryIcon(classify(ev).category)} ${eventLabel(ev.event, lang)}`
+  ];
+  const when = formatDateTime(ev.ts, tz);
+  lines.push(change.type === 'rescheduled'
+    ? `⏰ ${when} (${t(lang, 'change.was')} ${formatDateTime(change.before.ts, tz)})`
+    : `⏰ ${when}`);
+  if (change.type === 'revised') {
+    lines.push(`📈 ${t(lang, 'field.forecast')}: ${ev.forecast} (${t(lang, 'change.was')} ${change.before.forecast})`);
+  } else if (ev.forecast) {
+    lines.push(`📈 ${t(lang, 'field.forecast')}: ${ev.forecast}`);
+  }
+  return lines.join('\n');
+}
+
+// econ:change:<type>|<old event key>|<new event key>[|<new forecast>]
+function noticeKey({ type, before, after }) {
+  const parts = [type, before ? eventKey(before) : '', after ? eventKey(after) : ''];
+  if (type === 'revised') parts.push(figure(after.forecast));
+  return NOTICE_PREFIX + parts.join('|');
+}
+
+/**
+ * Announce changes and fix up state keyed by the old event time.
+ *
+ * @param {object} o
+ * @param {object[]} o.changes - from diffSnapshots()
+ * @param {boolean} o.dry - report only, no Telegram calls or KV writes
+ * @param {string} o.token
+ * @param {Array<{ chatId: string, prefs: object }>} o.recipients
+ * @param {(recipient: object, ev: object) => boolean} o.wants - whether a chat
+ *   follows an event (its filters or picks)
+ * @param {number[]} o.stages - reminder offsets in use, for clearing econ:sent
+ * @param {number} [o.now] - for quiet hours
+ */
+async function processChanges({ changes, dry, token, recipients, wants, stages, now = Date.now() }) {
+  const summary = {
+    rescheduled: 0, revised: 0, cancelled: 0, added: 0, notified: 0, failed: 0,
+    quiet: { silent: 0, dropped: 0, queued: 0 }
+  };
+  const byChat = new Map(recipients.map(r => [r.chatId, r]));
+
+  for (const change of changes) {
+    const key = noticeKey(change);
+    if (await kv.get(key)) continue;
+    summary[change.type]++;
+    const { before, after } = change;
+    console.log(`[CHANGES] ${change.type}: ${eventKey(before || after)}${after && before ? ` → ${eventKey(after)}` : ''}`);
+    if (dry) continue;
+    await kv.set(key, '1', { ex: NOTICE_EXPIRY });
+
+    // Chats alerted about the old version reply to that alert
+    const msgs = before ? await alertMessages(eventKey(before)) : {};
+    const targets = new Map();
+    for (const [chatId, messageId] of Object.entries(msgs)) {
+      if (byChat.has(String(chatId))) targets.set(String(chatId), Number(messageId));
+    }
+    const ev = after || before;
+    if (isHigh(ev)) {
+      for (const r of recipients) {
+        if (targets.has(r.chatId)) continue;
+        if (wants(r, ev) || (before && wants(r, before))) targets.set(r.chatId, null);
+      }
+    }
+
+    // Quiet hours: drop, queue for the catch-up message, or send silently
+    const entries = [];
+    for (const [chatId, messageId] of targets) {
+      const action = quietAction(byChat.get(chatId).prefs, now);
+      if (action === 'drop') {
+        summary.quiet.dropped++;
+      } else if (action === 'bundle') {
+        try {
+          await queueAlert(chatId, ev, null, change.type);
+          summary.quiet.queued++;
+        } catch (err) {
+          console.error('[QUIET ERROR]', err.message);
+        }
+      } else {
+        if (action) summary.quiet.silent++;
+        entries.push([chatId, messageId, !!action]);
+      }
+    }
+
+    const results = await deliver(token, entries.map(([chatId, messageId, silent]) => {
+      const { prefs } = byChat.get(chatId);
+      return {
+        ...chatTarget(chatId),
+        text: changeText(change, prefs.tz, prefs.lang),
+        parse_mode: 'Markdown',
+        ...(messageId ? { reply_to_message_id: messageId, allow_sending_without_reply: true } : {}),
+        ...(silent ? { disable_notification: true } : {})
+      };
+    }));
+    summary.notified += results.filter(r => r.ok).length;
+    summary.failed += results.filter(r => !r.ok).length;
+
+    try {
+      if (change.type === 'rescheduled') {
+        const oldKey = eventKey(before);
+        const newKey = eventKey(after);
+        // The new time may have been alerted before (moved back and forth)
+        for (const s of stages) {
+          await kv.del(stageKey(oldKey, s), stageMarkerKey(oldKey, s));
+          await kv.del(stageKey(newKey, s), stageMarkerKey(newKey, s));
+        }
+        await retrack(oldKey, after);
+        await movePicks(oldKey, after);
+      } else if (change.type === 'cancelled') {
+        await untrack(eventKey(before));
+      }
+    } catch (err) {
+      console.error('[CHANGES ERROR]', err.message);
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  diffSnapshots,
+  changeText,
+  processChanges
+};
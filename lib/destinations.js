@@ -0,0 +1,125 @@
+// lib/destinations.js - Channel, group and forum-topic destinations
+// econ:dests (HASH) maps a destination ID → JSON
+// ({ chatId, threadId, type, title, addedBy, addedAt }). Cron publishes to
+// these alongside the private subscribers in econ:subs.
+//
+// A destination ID is the chat ID, or "<chat ID>:<thread ID>" for a forum
+// topic. Preferences live in econ:prefs under the same ID, so every
+// destination has its own filters, language and reminder stages.
+
+'use strict';
+
+const { kv } = require('./storage');
+
+const DESTS_KEY = 'econ:dests';
+
+/**
+ * Group/channel chat IDs are negative; public channels may also be
+ * addressed as @username
+ */
+function validateDestinationChat(chatId) {
+  const id = String(chatId ?? '').trim();
+  if (/^-\d+$/.test(id)) return id;
+  if (/^@[A-Za-z][A-Za-z0-9_]{3,}$/.test(id)) return id;
+  return null;
+}
+
+function destinationId(chatId, threadId = null) {
+  return threadId ? `${chatId}:${threadId}` : String(chatId);
+}
+
+/**
+ * Bot API addressing for a destination or private chat ID:
+ * { chat_id, message_thread_id? }
+ */
+function chatTarget(id) {
+  const [chatId, threadId] = String(id).split(':');
+  return threadId
+    ? { chat_id: chatId, message_thread_id: Number(threadId) }
+    : { chat_id: chatId };
+}
+
+/**
+ * "-100123:45" or "@channel" as typed by an admin → { chatId, threadId }
+ */
+function parseDestination(arg) {
+  const [chat = '', thread] = String(arg || '').trim().split(':');
+  const chatId = validateDestinationChat(chat);
+  if (!chatId) return null;
+  if (thread !== undefined && !/^\d+$/.test(thread)) return null;
+  return { chatId, threadId: thread ? Number(thread) : null };
+}
+
+function parse(raw) {
+  if (!raw) return null;
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+}
+
+async function getDestination(id) {
+  return parse(await kv.hget(DESTS_KEY, String(id)));
+}
+
+/**
+ * Every registered destination, each with its `id`
+ */
+async function listDestinations() {
+  const all = (await kv.hgetall(DESTS_KEY)) || {};
+  return Object.entries(all)
+    .map(([id, raw]) => ({ ...parse(raw), id }))
+    .filter(d => d.chatId);
+}
+
+/**
+ * Register (or refresh) a destination. Keeps the original date on re-add.
+ *
+ * @returns {Promise<{ id: string, created: boolean }>}
+ */
+async function addDestination({ chatId, threadId = null, type, title, addedBy }) {
+  const id = destinationId(chatId, threadId);
+  const existing = await getDestination(id);
+  await kv.hset(DESTS_KEY, {
+    [id]: JSON.stringify({
+      chatId: String(chatId),
+      threadId: threadId || null,
+      type: type || existing?.type || null,
+      title: title || existing?.title || null,
+      addedBy: existing?.addedBy || (addedBy ? String(addedBy) : null),
+      addedAt: existing?.addedAt || new Date().toISOString()
+    })
+  });
+  return { id, created: !existing };
+}
+
+async function removeDestination(id) {
+  return (await kv.hdel(DESTS_KEY, String(id))) > 0;
+}
+
+/**
+ * Drop a chat and all of its topics, e.g. after the bot was removed from it
+ *
+ * @returns {Promise<number>} destinations removed
+ */
+async function removeChatDestinations(chatId) {
+  const ids = (await listDestinations())
+    .filter(d => d.chatId === String(chatId))
+    .map(d => d.id);
+  if (ids.length) await kv.hdel(DESTS_KEY, ...ids);
+  return ids.length;
+}
+
+module.exports = {
+  DESTS_KEY,
+  validateDestinationChat,
+  destinationId,
+  chatTarget,
+  parseDestination,
+  getDestination,
+  listDestinations,
+  addDestination,
+  removeDestination,
+  removeChatDestinations
+};
@@ -0,0 +1,206 @@
+// lib/digest.js - Daily and weekly digest messages
+// Opt-in planning messages built from the events cron already has cached:
+//   daily  - "today's events" at the chat's chosen local time (/econ_daily)
+//   weekly - the next 7 days grouped by day and country (/econ_weekly)
+// Each digest is sent at most once per local day (econ:digest:* markers).
+
+'use strict';
+
+const { kv } = require('./storage');
+const { WEEKDAYS, zoneLabel, localParts, formatDay } = require('./time');
+const { t, countryFlag, countryLabel, eventLabel } = require('./i18n');
+const { deliver } = require('./telegram');
+const { chatTarget } = require('./destinations');
+
+const SENT_PREFIX = 'econ:digest:';        // STRING per chat/type/local date
+const SENT_EXPIRY = 8 * 24 * 60 * 60;
+// A digest is due from its time until this many minutes later, so one
+// missed cron run does not skip the day
+const DUE_WINDOW_MIN = 30;
+const MAX_LINES = 30;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function clockMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * "7:30" / "07:30" → "07:30", or null
+ */
+function parseClock(arg) {
+  const m = String(arg || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23 || min > 59) return null;
+  return `${pad(h)}:${pad(min)}`;
+}
+
+/**
+ * "sun 18:00" / "Sunday 18:00" → { day: 0, time: '18:00' }, or null
+ */
+function parseWeekly(arg) {
+  const [dayArg = '', timeArg = ''] = String(arg || '').trim().split(/\s+/);
+  const day = WEEKDAYS.findIndex(d => dayArg.toLowerCase().startsWith(d.toLowerCase()));
+  const time = parseClock(timeArg);
+  if (day < 0 || !time) return null;
+  return { day, time };
+}
+
+/**
+ * Clean stored digest settings; anything invalid means "off"
+ */
+function normalizeDigest(p) {
+  const day = p?.weekly?.day;
+  const time = parseClock(p?.weekly?.time);
+  return {
+    daily: parseClock(p?.daily),
+    weekly: Number.isInteger(day) && WEEKDAYS[day] && time ? { day, time } : null
+  };
+}
+
+function describeDigest(prefs, lang) {
+  const off = t(lang, 'digest.off');
+  return {
+    daily: prefs.daily || off,
+    weekly: prefs.weekly ? `${WEEKDAYS[prefs.weekly.day]} ${prefs.weekly.time}` : off
+  };
+}
+
+function isDue(time, local) {
+  const start = clockMinutes(time);
+  return local.minutes >= start && local.minutes < start + DUE_WINDOW_MIN;
+}
+
+/**
+ * Digest types due for a chat right now: [{ type, key }]
+ */
+function dueDigests(chatId, prefs, now) {
+  const local = localParts(now, prefs.tz);
+  const due = [];
+  if (prefs.daily && isDue(prefs.daily, local)) {
+    due.push({ type: 'daily', key: `${SENT_PREFIX}daily:${chatId}:${local.date}` });
+  }
+  if (prefs.weekly && prefs.weekly.day === local.weekday && isDue(prefs.weekly.time, local)) {
+    due.push({ type: 'weekly', key: `${SENT_PREFIX}weekly:${chatId}:${local.date}` });
+  }
+  return due;
+}
+
+function eventLine(ev, tz, lang) {
+  const { minutes } = localParts(ev.ts, tz);
+  const forecast = ev.forecast ? ` · ${t(lang, 'field.forecast')}: ${ev.forecast}` : '';
+  return `• ${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)} ${eventLabel(ev.event, lang)}${forecast}`;
+}
+
+/**
+ * Events grouped by local day, then by country, in time order
+ */
+function groupByDay(events, tz) {
+  const days = new Map();
+  for (const ev of events) {
+    const { date } = localParts(ev.ts, tz);
+    if (!days.has(date)) days.set(date, { ts: ev.ts, countries: new Map() });
+    const { countries } = days.get(date);
+    if (!countries.has(ev.country)) countries.set(ev.country, []);
+    countries.get(ev.country).push(ev);
+  }
+  return days;
+}
+
+/**
+ * Render a digest. `events` must already be filtered for the chat and
+ * sorted by time.
+ */
+function formatDigest(type, events, { tz, lang }) {
+  const title = type === 'daily' ? t(lang, 'digest.dailyTitle') : t(lang, 'digest.weeklyTitle');
+  const lines = [`📰 *${title}*`, `🕒 ${zoneLabel(tz)}`];
+  if (!events.length) {
+    lines.push('', t(lang, 'digest.empty'));
+    return lines.join('\n');
+  }
+
+  const shown = events.slice(0, MAX_LINES);
+  for (const { ts, countries } of groupByDay(shown, tz).values()) {
+    lines.push('', `📆 *${formatDay(ts, tz)}*`);
+    for (const [country, list] of countries) {
+      lines.push(`${countryFlag(country)} *${countryLabel(country, lang)}*`);
+      lines.push(...list.map(ev => eventLine(ev, tz, lang)));
+    }
+  }
+  if (events.length > shown.length) lines.push('', `… +${events.length - shown.length}`);
+  return lines.join('\n');
+}
+
+/**
+ * Events a digest covers: the chat's local today, or the next 7 days
+ */
+function digestEvents(type, events, tz, now) {
+  if (type === 'daily') {
+    const today = localParts(now, tz).date;
+    return events.filter(ev => localParts(ev.ts, tz).date === today);
+  }
+  return events.filter(ev => ev.ts >= now && ev.ts < now + WEEK_MS);
+}
+
+/**
+ * Send every digest that is due this run.
+ *
+ * @param {object} o
+ * @param {number} o.now
+ * @param {boolean} o.dry - report only, no Telegram calls or KV writes
+ * @param {string} o.token - bot token
+ * @param {Array<{ chatId: string, prefs: object }>} o.recipients - chat or destination IDs
+ * @param {object[]} o.events - cached events with `ts`, sorted by time
+ * @param {(prefs: object, ev: object) => boolean} o.wants - per-chat event filter
+ */
+async function processDigests({ now, dry, token, recipients, events, wants }) {
+  const summary = { daily: 0, weekly: 0, failed: 0 };
+  const jobs = [];
+
+  for (const { chatId, prefs } of recipients) {
+    for (const { type, key } of dueDigests(chatId, prefs, now)) {
+      if (await kv.get(key)) continue;
+      const list = digestEvents(type, events, prefs.tz, now).filter(ev => wants(prefs, ev));
+      jobs.push({ type, key, chatId, text: formatDigest(type, list, prefs) });
+    }
+  }
+  if (!jobs.length) return summary;
+
+  if (dry) {
+    for (const job of jobs) summary[job.type]++;
+    console.log('[DIGEST] Would send:', jobs.map(j => `${j.type} → ${j.chatId}`));
+    return summary;
+  }
+
+  const results = await deliver(token, jobs.map(job => ({
+    ...chatTarget(job.chatId),
+    text: job.text,
+    parse_mode: 'Markdown',
+    disable_notification: true
+  })));
+
+  for (let i = 0; i < jobs.length; i++) {
+    if (!results[i].ok) {
+      summary.failed++;
+      continue;
+    }
+    summary[jobs[i].type]++;
+    await kv.set(jobs[i].key, '1', { ex: SENT_EXPIRY });
+  }
+  return summary;
+}
+
+module.exports = {
+  parseClock,
+  parseWeekly,
+  normalizeDigest,
+  describeDigest,
+  formatDigest,
+  processDigests
+};
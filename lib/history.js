@@ -0,0 +1,201 @@
+// lib/history.js - Archive of released prints
+// econ:api:cache only holds upcoming events and expires, so the actual of a
+// release was lost once it passed. Every event seen with an actual is kept
+// here, one series per country and indicator:
+//
+//   econ:history:<country id>|<indicator id> (ZSET) – release JSON, score = ts
+//   econ:history:index (HASH)                       – series ID → { country, indicator, event, last, count }
+//
+// Series IDs are the canonical ids of lib/canonical.js, which drop the
+// period, so "CPI YoY (Sep)" and "CPI YoY (Oct)" land in the same series
+// (as does another provider's "Inflation Rate YoY"). Cron records the releases
+// processReleases follows up on, and sweeps the provider for the last day
+// once an hour (econ:history:swept) to pick up events nobody was alerted to.
+
+'use strict';
+
+const { kv } = require('./storage');
+const { parseCountries } = require('./prefs');
+const { eventId, indicatorId, sameCountry } = require('./canonical');
+
+const SERIES_PREFIX = 'econ:history:';
+const INDEX_KEY = 'econ:history:index';
+const SWEEP_KEY = 'econ:history:swept';
+
+const SWEEP_EVERY_S = 60 * 60;
+// Providers fill in (and revise) actuals a while after release
+const SWEEP_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const MAX_PER_SERIES = 60;
+const DEFAULT_LIMIT = 6;
+const MAX_LIMIT = 24;
+
+function parse(raw) {
+  if (!raw) return null;
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+}
+
+function hasActual(ev) {
+  return ev.actual !== null && ev.actual !== undefined && ev.actual !== '';
+}
+
+/**
+ * "CPI YoY (Sep)" / "GDP Growth Rate QoQ  (Q3) " → "CPI YoY" / "GDP Growth Rate QoQ"
+ */
+function indicatorName(event) {
+  return String(event || '').replace(/\([^)]*\)/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Canonical ids (lib/canonical.js), so "CPI YoY" and "Inflation Rate YoY"
+// from different providers land in one series
+function seriesId(country, event) {
+  return eventId({ country, event });
+}
+
+/**
+ * Store events that have an actual. Re-recording a release replaces it, so
+ * revised figures win; unchanged ones cost a single read.
+ *
+ * @returns {Promise<{ recorded: number, unchanged: number }>}
+ */
+async function recordReleases(events) {
+  const out = { recorded: 0, unchanged: 0 };
+  for (const ev of events || []) {
+    if (!ev || !ev.country || !ev.event || !hasActual(ev)) continue;
+    const ts = ev.ts ?? Date.parse(ev.date);
+    if (!Number.isFinite(ts)) continue;
+
+    const id = seriesId(ev.country, ev.event);
+    const key = SERIES_PREFIX + id;
+    const entry = JSON.stringify({
+      ts,
+      event: ev.event,
+      actual: String(ev.actual),
+      forecast: ev.forecast ?? null,
+      previous: ev.previous ?? null,
+      importance: ev.importance ?? null,
+      provider: ev.provider ?? null
+    });
+
+    const existing = (await kv.zrange(key, ts, ts, { byScore: true })) || [];
+    if (existing.length === 1 && JSON.stringify(parse(existing[0])) === entry) {
+      out.unchanged++;
+      continue;
+    }
+
+    await kv.zremrangebyscore(key, ts, ts);
+    await kv.zadd(key, { score: ts, member: entry });
+    const count = await kv.zcard(key);
+    if (count > MAX_PER_SERIES) {
+      const oldest = await kv.zrange(key, 0, count - MAX_PER_SERIES - 1);
+      if (oldest.length) await kv.zrem(key, ...oldest);
+    }
+
+    const meta = parse(await kv.hget(INDEX_KEY, id));
+    const latest = !meta || ts >= meta.last;
+    await kv.hset(INDEX_KEY, {
+      [id]: JSON.stringify({
+        country: ev.country,
+        indicator: latest ? indicatorName(ev.event) : meta.indicator,
+        event: latest ? ev.event : meta.event,
+        last: latest ? ts : meta.last,
+        count: Math.min(count, MAX_PER_SERIES)
+      })
+    });
+    out.recorded++;
+  }
+  return out;
+}
+
+/**
+ * Hourly sweep of the last day's releases from the provider chain.
+ *
+ * @param {object} o
+ * @param {number} o.now
+ * @param {boolean} o.dry - report whether a sweep is due, no fetch or writes
+ * @param {(fromMs: number, toMs: number) => Promise<object[]|null>} o.fetchLatest
+ */
+async function processHistory({ now, dry, fetchLatest }) {
+  if (dry) return { due: !(await kv.get(SWEEP_KEY)) };
+  if ((await kv.set(SWEEP_KEY, String(now), { nx: true, ex: SWEEP_EVERY_S })) === null) {
+    return { due: false };
+  }
+  const events = (await fetchLatest(now - SWEEP_LOOKBACK_MS, now)) || [];
+  const released = events.filter(e => hasActual(e) && (e.ts ?? Date.parse(e.date)) <= now);
+  const counts = await recordReleases(released);
+  console.log(`[HISTORY] Swept ${events.length} events: ${counts.recorded} recorded, ${counts.unchanged} unchanged`);
+  return { due: true, ...counts };
+}
+
+/**
+ * "US CPI YoY" / "United Kingdom GDP" / "CPI" → { country, words }. A
+ * leading country (code or name) is optional.
+ */
+function parseQuery(query) {
+  const tokens = String(query || '').trim().split(/\s+/).filter(Boolean);
+  for (const n of [2, 1]) {
+    if (tokens.length <= n) continue;
+    const { countries, unknown } = parseCountries(tokens.slice(0, n).join(' '));
+    if (countries.length === 1 && !unknown.length && countries[0] !== '*') {
+      return { country: countries[0], words: tokens.slice(n).map(w => w.toUpperCase()) };
+    }
+  }
+  return { country: null, words: tokens.map(w => w.toUpperCase()) };
+}
+
+/**
+ * Series matching a query, best first: an exact indicator, then the
+ * shortest ones (so "CPI YoY" ranks above "Core CPI YoY").
+ *
+ * The query goes through indicatorId() like event titles do, so "CPI YoY"
+ * finds a series named "Inflation Rate YoY". A word that is not part of a
+ * series' canonical id may still be part of its name ("Payroll").
+ *
+ * @returns {Promise<{ series: object|null, matches: object[] }>} `series` is
+ *   set when one series is the clear answer
+ */
+async function findSeries(query) {
+  const { country, words } = parseQuery(query);
+  if (!words.length) return { series: null, matches: [] };
+  const wanted = indicatorId(words.join(' '));
+  const wantedWords = wanted.split('_');
+  const idWords = s => indicatorId(s.indicator).split('_');
+  const all = (await kv.hgetall(INDEX_KEY)) || {};
+  const matches = Object.entries(all)
+    .map(([id, raw]) => ({ id, ...parse(raw) }))
+    .filter(s => s.indicator && (!country || sameCountry(s.country, country)))
+    .filter(s => {
+      const name = s.indicator.toUpperCase();
+      return wantedWords.every(w => idWords(s).includes(w)) || words.every(w => name.includes(w));
+    })
+    .sort((a, b) => idWords(a).length - idWords(b).length || a.indicator.length - b.indicator.length || b.last - a.last);
+
+  const exact = matches.filter(s => indicatorId(s.indicator) === wanted);
+  if (exact.length === 1) return { series: exact[0], matches };
+  if (matches.length === 1) return { series: matches[0], matches };
+  return { series: null, matches };
+}
+
+/**
+ * Latest releases of a series, newest first
+ */
+async function getHistory(id, limit = DEFAULT_LIMIT) {
+  const n = Math.min(MAX_LIMIT, Math.max(1, Number(limit) || DEFAULT_LIMIT));
+  const raw = (await kv.zrange(SERIES_PREFIX + id, 0, n - 1, { rev: true })) || [];
+  return raw.map(parse).filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  indicatorName,
+  seriesId,
+  recordReleases,
+  processHistory,
+  parseQuery,
+  findSeries,
+  getHistory
+};
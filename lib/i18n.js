@@ -0,0 +1,524 @@
+// lib/i18n.js - Arabic/English message catalogs and translated names
+//
+// Every outgoing message is built from these catalogs so each chat can pick
+// Arabic, English or both (/econ_lang). With 'both', short strings render as
+// "English | العربية", the format the bot has always used.
+//
+// This is the single home for Arabic country names and country flags;
+// do not add local copies in handlers.
+
+'use strict';
+
+const LANGS = ['ar', 'en', 'both'];
+const DEFAULT_LANG = 'both';
+
+const MESSAGES = {
+  en: {
+    'alert.title': 'Economic Alert',
+    'alert.highImpact': 'High-Impact Event',
+    'alert.replyHint': 'Reply to this message to ask the agent about it.',
+    'field.forecast': 'Forecast',
+    'field.previous': 'Previous',
+    'field.actual': 'Actual',
+    'field.importance': 'Impact',
+    'field.pairs': 'Pairs',
+    'stage.in': 'In {time}',
+    'stage.now': 'Releasing now',
+    'duration.min': '{n} min',
+    'duration.hour': '{n} h',
+    'duration.release': 'at release',
+
+    'release.title': 'Released',
+    'release.vsForecast': 'vs Forecast',
+    'release.vsPrevious': 'vs Previous',
+    'release.beat': 'Beat',
+    'release.miss': 'Miss',
+    'release.inline': 'In line',
+    'history.title': 'Last {count} releases',
+    'history.none': 'No release history for that indicator yet.',
+    'history.choose': 'Several indicators match. Send one of:',
+    'change.rescheduled': 'Rescheduled',
+    'change.revised': 'Forecast revised',
+    'change.cancelled': 'Cancelled',
+    'change.added': 'New high-impact event',
+    'change.was': 'was',
+
+    'upcoming.title': 'Upcoming Economic Events',
+    'upcoming.empty': 'No upcoming events in the selected window.',
+    'upcoming.error': 'Could not fetch events',
+
+    'digest.dailyTitle': "Today's economic events",
+    'digest.weeklyTitle': 'Week ahead',
+    'digest.empty': 'No matching events.',
+    'digest.off': 'off',
+
+    'calendar.link': 'Your private calendar feed. Add it in Google Calendar or Outlook as a subscription "From URL":',
+    'calendar.reset': 'New link created; the old one no longer works.',
+    'calendar.hint': 'Send /econ\\_calendar reset if the link leaks.',
+    'calendar.sentPrivately': 'The calendar link is private, so I sent it to you in a direct message.',
+    'calendar.dmFailed': 'The calendar link is private and I could not message you directly. Start a chat with me, then send /econ\\_calendar here again from your own account (not as an anonymous admin).',
+
+    'menu.all': 'All',
+    'menu.today': 'Today',
+    'menu.tomorrow': 'Tomorrow',
+    'menu.back': 'Back',
+    'menu.major': 'Major',
+    'menu.remindHint': 'Tap 🔔 and a number to be reminded about that event.',
+    'menu.tapToChange': 'Tap an option to change it.',
+    'menu.reminding': "You'll be reminded about this event",
+    'menu.notReminding': 'Reminder removed',
+    'menu.saved': 'Saved',
+    'menu.expired': 'This event has passed or is no longer listed',
+
+    'admin.saved': 'Manual event saved',
+    'admin.invalid': 'Invalid event',
+    'admin.listTitle': 'Manual events, next {days} days',
+    'admin.listEmpty': 'No manual events in the next {days} days.',
+    'admin.deleted': 'Deleted',
+    'admin.notFound': 'Not found',
+    'broadcast.preview': 'Broadcast preview for {count} subscribers:',
+    'broadcast.confirm': 'Send /broadcast\\_confirm within 10 minutes, or /broadcast\\_cancel.',
+    'broadcast.none': 'No pending broadcast.',
+    'broadcast.cancelled': 'Broadcast cancelled.',
+    'broadcast.invalid': 'Broadcast not saved',
+    'broadcast.everyone': 'all subscribers',
+    'broadcast.joined': 'joined',
+    'broadcast.now': 'now',
+    'broadcast.queued': 'Broadcast {id} queued for {count} subscribers.',
+    'broadcast.listEmpty': 'No broadcasts yet.',
+    'broadcast.progress': '{sent}/{total} processed · {delivered} delivered · {failed} failed · {removed} removed',
+    'broadcast.state.scheduled': 'scheduled',
+    'broadcast.state.sending': 'sending',
+    'broadcast.state.done': 'done',
+    'broadcast.state.cancelled': 'cancelled',
+    'broadcast.state.failed': 'failed',
+    'dest.listTitle': 'Channel and group destinations',
+    'dest.listEmpty': 'No channel or group destinations.',
+    'dest.saved': 'Destination saved',
+    'dest.unreachable': 'The bot cannot reach that chat (add it as an admin first)',
+    'subs.title': 'Subscribers',
+    'subs.active': 'Active',
+    'subs.inactive': 'Inactive (blocked or removed)',
+    'subs.recent': 'Recent joins',
+    'dryrun.title': 'Next cron run (dry run)',
+    'dryrun.nothing': 'No reminders due.',
+    'dryrun.alreadySent': 'already sent',
+    'dryrun.releases': 'Releases due',
+    'dryrun.digests': 'Digests',
+    'dryrun.failed': 'Dry run failed',
+    'health.runFailing': 'Alerts cron has failed {count} runs in a row. Last error: {error}',
+    'health.recovered': 'Alerts cron is running normally again.',
+    'health.providerFailing': 'Provider {name} has failed {count} times in a row (check its API key and quota).',
+    'health.providerRecovered': 'Provider {name} is working again.',
+
+    'start.title': 'Economic Calendar Alerts',
+    'start.channel': 'Join channel for alerts',
+    'start.commands': 'Commands',
+    'cmd.on': 'Subscribe',
+    'cmd.off': 'Unsubscribe',
+    'cmd.status': 'Subscription status',
+    'cmd.upcoming': 'View events',
+    'cmd.test': 'Check status',
+    'cmd.prefs': 'Alert preferences',
+    'cmd.tz': 'Set timezone',
+    'cmd.lang': 'Language',
+    'cmd.remind': 'Reminder times',
+    'cmd.daily': 'Daily digest',
+    'cmd.weekly': 'Weekly digest',
+    'cmd.calendar': 'Calendar feed',
+    'cmd.history': 'Past releases vs forecast',
+    'cmd.watch': 'Watch instruments (XAUUSD, EURUSD)',
+    'cmd.categories': 'Event categories',
+    'cmd.quiet': 'Quiet hours',
+    'cmd.settings': 'Settings menu',
+
+    'test.active': 'Alerts active',
+    'test.channel': 'Channel',
+    'test.interval': 'Check interval: {minutes} min',
+
+    'testAlert.title': 'Test Alert',
+    'testAlert.system': 'Economic Calendar System Active',
+    'testAlert.time': 'Time',
+    'testAlert.confirmed': 'Subscription confirmed',
+    'testAlert.schedule': "You'll receive high impact economic events before release",
+    'testAlert.countries': 'Countries monitored',
+    'testAlert.unsubscribe': 'Type /econ\\_off to unsubscribe',
+
+    'sub.created': 'Subscribed to economic alerts',
+    'sub.exists': 'You are already subscribed',
+    'sub.privateOnly': 'Alerts are available in private chats only',
+    'unsub.done': 'Unsubscribed from alerts',
+    'unsub.none': 'You are not subscribed',
+    'unsub.again': 'Subscribe again',
+    'status.on': 'Subscribed',
+    'status.off': 'Not subscribed',
+    'dest.created': 'Economic alerts will be posted in this chat',
+    'dest.createdTopic': 'Economic alerts will be posted in this topic',
+    'dest.exists': 'Alerts are already posted here',
+    'dest.removed': 'Alerts will no longer be posted here',
+    'dest.none': 'Alerts are not posted here',
+    'dest.on': 'Alerts are posted here',
+    'dest.off': 'Alerts are not posted here',
+    'group.adminOnly': 'Only group admins can change alerts for this chat',
+
+    'prefs.title': 'Alert preferences',
+    'prefs.countries': 'Countries',
+    'prefs.instruments': 'Instruments',
+    'prefs.categories': 'Categories',
+    'prefs.fromWatch': 'those moving your instruments',
+    'prefs.impact': 'Min impact',
+    'prefs.include': 'Include',
+    'prefs.exclude': 'Exclude',
+    'prefs.tz': 'Timezone',
+    'prefs.lang': 'Language',
+    'prefs.reminders': 'Reminders',
+    'prefs.daily': 'Daily digest',
+    'prefs.weekly': 'Weekly digest',
+    'prefs.quiet': 'Quiet hours',
+    'prefs.all': 'all',
+
+    'impact.3': 'high',
+    'impact.2': 'medium',
+    'impact.1': 'low',
+
+    'lang.ar': 'Arabic',
+    'lang.en': 'English',
+    'lang.both': 'Arabic + English',
+
+    'usage': 'Usage',
+    'countries.unknown': 'Unknown countries',
+    'instruments.unknown': 'Unknown instruments',
+    'categories.unknown': 'Unknown categories',
+    'quiet.silent': 'silent',
+    'quiet.drop': 'dropped',
+    'quiet.bundle': 'catch-up message',
+    'quiet.catchUpTitle': 'Alerts during your quiet hours',
+    'category.central_bank': 'Central banks',
+    'category.inflation': 'Inflation',
+    'category.labour': 'Labour',
+    'category.growth': 'Growth',
+    'category.sentiment': 'Sentiment',
+    'category.other': 'Other',
+    'countries.ignored': 'Ignored',
+    'tz.hint': 'Use an IANA zone name'
+  },
+  ar: {
+    'alert.title': 'تنبيه اقتصادي',
+    'alert.highImpact': 'حدث عالي التأثير',
+    'alert.replyHint': 'رد على هذه الرسالة لتسأل المساعد عنه.',
+    'field.forecast': 'التوقع',
+    'field.previous': 'السابق',
+    'field.actual': 'الفعلي',
+    'field.importance': 'الأهمية',
+    'field.pairs': 'الأزواج',
+    'stage.in': 'بعد {time}',
+    'stage.now': 'يصدر الآن',
+    'duration.min': '{n} دقيقة',
+    'duration.hour': '{n} ساعة',
+    'duration.release': 'عند الصدور',
+
+    'release.title': 'صدر',
+    'release.vsForecast': 'مقابل التوقع',
+    'release.vsPrevious': 'مقابل السابق',
+    'release.beat': 'أعلى من المتوقع',
+    'release.miss': 'أقل من المتوقع',
+    'release.inline': 'مطابق للتوقع',
+    'history.title': 'آخر {count} إصدارات',
+    'history.none': 'لا يوجد سجل إصدارات لهذا المؤشر بعد.',
+    'history.choose': 'أكثر من مؤشر مطابق. أرسل أحدها:',
+    'change.rescheduled': 'تغيّر الموعد',
+    'change.revised': 'تعديل التوقع',
+    'change.cancelled': 'أُلغي',
+    'change.added': 'حدث جديد عالي التأثير',
+    'change.was': 'كان',
+
+    'upcoming.title': 'الأحداث الاقتصادية القادمة',
+    'upcoming.empty': 'لا توجد أحداث قادمة خلال الفترة المحددة.',
+    'upcoming.error': 'فشل جلب الأحداث',
+
+    'digest.dailyTitle': 'أحداث اليوم الاقتصادية',
+    'digest.weeklyTitle': 'الأسبوع القادم',
+    'digest.empty': 'لا توجد أحداث مطابقة.',
+    'digest.off': 'متوقف',
+
+    'calendar.link': 'رابط تقويمك الخاص. أضفه في تقويم Google أو Outlook كاشتراك "من عنوان URL":',
+    'calendar.reset': 'تم إنشاء رابط جديد؛ الرابط القديم لم يعد يعمل.',
+    'calendar.hint': 'أرسل /econ\\_calendar reset إذا تسرب الرابط.',
+    'calendar.sentPrivately': 'رابط التقويم خاص، لذا أرسلته إليك في رسالة مباشرة.',
+    'calendar.dmFailed': 'رابط التقويم خاص ولم أتمكن من مراسلتك مباشرة. ابدأ محادثة معي، ثم أرسل /econ\\_calendar هنا مرة أخرى من حسابك الشخصي (وليس كمشرف مجهول).',
+
+    'menu.all': 'الكل',
+    'menu.today': 'اليوم',
+    'menu.tomorrow': 'غدًا',
+    'menu.back': 'رجوع',
+    'menu.major': 'الرئيسية',
+    'menu.remindHint': 'اضغط 🔔 مع الرقم لتلقي تذكير بهذا الحدث.',
+    'menu.tapToChange': 'اضغط على خيار لتغييره.',
+    'menu.reminding': 'سيتم تذكيرك بهذا الحدث',
+    'menu.notReminding': 'تم إلغاء التذكير',
+    'menu.saved': 'تم الحفظ',
+    'menu.expired': 'هذا الحدث انتهى أو لم يعد مدرجًا',
+
+    'admin.saved': 'تم حفظ الحدث اليدوي',
+    'admin.invalid': 'حدث غير صالح',
+    'admin.listTitle': 'الأحداث اليدوية، الأيام {days} القادمة',
+    'admin.listEmpty': 'لا توجد أحداث يدوية خلال الأيام {days} القادمة.',
+    'admin.deleted': 'تم الحذف',
+    'admin.notFound': 'غير موجود',
+    'broadcast.preview': 'معاينة الرسالة الجماعية لـ {count} مشترك:',
+    'broadcast.confirm': 'أرسل /broadcast\\_confirm خلال 10 دقائق، أو /broadcast\\_cancel.',
+    'broadcast.none': 'لا توجد رسالة جماعية معلقة.',
+    'broadcast.cancelled': 'تم إلغاء الرسالة الجماعية.',
+    'broadcast.invalid': 'لم تُحفظ الرسالة الجماعية',
+    'broadcast.everyone': 'جميع المشتركين',
+    'broadcast.joined': 'انضموا',
+    'broadcast.now': 'الآن',
+    'broadcast.queued': 'الرسالة الجماعية {id} في قائمة الإرسال إلى {count} مشترك.',
+    'broadcast.listEmpty': 'لا توجد رسائل جماعية بعد.',
+    'broadcast.progress': '{sent}/{total} تمت معالجتها · {delivered} وصلت · {failed} فشلت · {removed} أُزيلت',
+    'broadcast.state.scheduled': 'مجدولة',
+    'broadcast.state.sending': 'قيد الإرسال',
+    'broadcast.state.done': 'اكتملت',
+    'broadcast.state.cancelled': 'أُلغيت',
+    'broadcast.state.failed': 'فشلت',
+    'dest.listTitle': 'وجهات القنوات والمجموعات',
+    'dest.listEmpty': 'لا توجد وجهات قنوات أو مجموعات.',
+    'dest.saved': 'تم حفظ الوجهة',
+    'dest.unreachable': 'لا يمكن للبوت الوصول إلى هذه المحادثة (أضفه كمشرف أولاً)',
+    'subs.title': 'المشتركون',
+    'subs.active': 'نشط',
+    'subs.inactive': 'غير نشط (حظر أو إزالة)',
+    'subs.recent': 'أحدث المنضمين',
+    'dryrun.title': 'التشغيل القادم (تجريبي)',
+    'dryrun.nothing': 'لا توجد تذكيرات مستحقة.',
+    'dryrun.alreadySent': 'أُرسل سابقًا',
+    'dryrun.releases': 'إصدارات مستحقة',
+    'dryrun.digests': 'الملخصات',
+    'dryrun.failed': 'فشل التشغيل التجريبي',
+    'health.runFailing': 'فشلت مهمة التنبيهات {count} مرات متتالية. آخر خطأ: {error}',
+    'health.recovered': 'عادت مهمة التنبيهات للعمل بشكل طبيعي.',
+    'health.providerFailing': 'فشل المزوّد {name} {count} مرات متتالية (تحقق من مفتاح API والحصة).',
+    'health.providerRecovered': 'عاد المزوّد {name} للعمل.',
+
+    'start.title': 'تنبيهات التقويم الاقتصادي',
+    'start.channel': 'انضم إلى القناة للتنبيهات',
+    'start.commands': 'الأوامر',
+    'cmd.on': 'اشترك',
+    'cmd.off': 'إلغاء الاشتراك',
+    'cmd.status': 'حالة الاشتراك',
+    'cmd.upcoming': 'عرض الأحداث',
+    'cmd.test': 'التحقق من الحالة',
+    'cmd.prefs': 'تفضيلات التنبيهات',
+    'cmd.tz': 'ضبط المنطقة الزمنية',
+    'cmd.lang': 'اللغة',
+    'cmd.remind': 'أوقات التذكير',
+    'cmd.daily': 'الملخص اليومي',
+    'cmd.weekly': 'الملخص الأسبوعي',
+    'cmd.calendar': 'رابط التقويم',
+    'cmd.history': 'الإصدارات السابقة مقابل التوقع',
+    'cmd.watch': 'متابعة أدوات التداول (XAUUSD, EURUSD)',
+    'cmd.categories': 'فئات الأحداث',
+    'cmd.quiet': 'ساعات الهدوء',
+    'cmd.settings': 'قائمة الإعدادات',
+
+    'test.active': 'التنبيهات نشطة',
+    'test.channel': 'القناة',
+    'test.interval': 'الفحص كل {minutes} دقائق',
+
+    'testAlert.title': 'تنبيه تجريبي',
+    'testAlert.system': 'نظام التقويم الاقتصادي يعمل',
+    'testAlert.time': 'الوقت',
+    'testAlert.confirmed': 'تم تأكيد الاشتراك',
+    'testAlert.schedule': 'ستصلك الأحداث الاقتصادية عالية التأثير قبل صدورها',
+    'testAlert.countries': 'الدول المتابعة',
+    'testAlert.unsubscribe': 'أرسل /econ\\_off لإلغاء الاشتراك',
+
+    'sub.created': 'تم الاشتراك في التنبيهات الاقتصادية',
+    'sub.exists': 'أنت مشترك بالفعل',
+    'sub.privateOnly': 'التنبيهات متاحة في المحادثات الخاصة فقط',
+    'unsub.done': 'تم إلغاء الاشتراك في التنبيهات',
+    'unsub.none': 'أنت غير مشترك',
+    'unsub.again': 'الاشتراك مجددًا',
+    'status.on': 'مشترك',
+    'status.off': 'غير مشترك',
+    'dest.created': 'سيتم نشر التنبيهات الاقتصادية في هذه المحادثة',
+    'dest.createdTopic': 'سيتم نشر التنبيهات الاقتصادية في هذا الموضوع',
+    'dest.exists': 'التنبيهات تُنشر هنا بالفعل',
+    'dest.removed': 'لن تُنشر التنبيهات هنا بعد الآن',
+    'dest.none': 'التنبيهات لا تُنشر هنا',
+    'dest.on': 'التنبيهات تُنشر هنا',
+    'dest.off': 'التنبيهات لا تُنشر هنا',
+    'group.adminOnly': 'يمكن لمشرفي المجموعة فقط تغيير التنبيهات لهذه المحادثة',
+
+    'prefs.title': 'تفضيلات التنبيهات',
+    'prefs.countries': 'الدول',
+    'prefs.instruments': 'أدوات التداول',
+    'prefs.categories': 'الفئات',
+    'prefs.fromWatch': 'المؤثرة على أدواتك',
+    'prefs.impact': 'الحد الأدنى للأهمية',
+    'prefs.include': 'تضمين',
+    'prefs.exclude': 'استبعاد',
+    'prefs.tz': 'المنطقة الزمنية',
+    'prefs.lang': 'اللغة',
+    'prefs.reminders': 'التذكيرات',
+    'prefs.daily': 'الملخص اليومي',
+    'prefs.weekly': 'الملخص الأسبوعي',
+    'prefs.quiet': 'ساعات الهدوء',
+    'prefs.all': 'الكل',
+
+    'impact.3': 'عالية',
+    'impact.2': 'متوسطة',
+    'impact.1': 'منخفضة',
+
+    'lang.ar': 'العربية',
+    'lang.en': 'الإنجليزية',
+    'lang.both': 'العربية + الإنجليزية',
+
+    'usage': 'الاستخدام',
+    'countries.unknown': 'دول غير معروفة',
+    'instruments.unknown': 'أدوات غير معروفة',
+    'categories.unknown': 'فئات غير معروفة',
+    'quiet.silent': 'بدون صوت',
+    'quiet.drop': 'بدون إرسال',
+    'quiet.bundle': 'رسالة مجمعة',
+    'quiet.catchUpTitle': 'التنبيهات خلال ساعات الهدوء',
+    'category.central_bank': 'البنوك المركزية',
+    'category.inflation': 'التضخم',
+    'category.labour': 'سوق العمل',
+    'category.growth': 'النمو',
+    'category.sentiment': 'المعنويات',
+    'category.other': 'أخرى',
+    'countries.ignored': 'تم تجاهل',
+    'tz.hint': 'استخدم اسم منطقة IANA'
+  }
+};
+
+const COUNTRIES = {
+  'United States': { ar: 'الولايات المتحدة', flag: '🇺🇸' },
+  'Euro Area': { ar: 'منطقة اليورو', flag: '🇪🇺' },
+  'United Kingdom': { ar: 'المملكة المتحدة', flag: '🇬🇧' },
+  'Japan': { ar: 'اليابان', flag: '🇯🇵' },
+  'China': { ar: 'الصين', flag: '🇨🇳' },
+  'Germany': { ar: 'ألمانيا', flag: '🇩🇪' },
+  'France': { ar: 'فرنسا', flag: '🇫🇷' },
+  'Italy': { ar: 'إيطاليا', flag: '🇮🇹' },
+  'Spain': { ar: 'إسبانيا', flag: '🇪🇸' },
+  'Canada': { ar: 'كندا', flag: '🇨🇦' },
+  'Australia': { ar: 'أستراليا', flag: '🇦🇺' },
+  'New Zealand': { ar: 'نيوزيلندا', flag: '🇳🇿' },
+  'Switzerland': { ar: 'سويسرا', flag: '🇨🇭' },
+  'India': { ar: 'الهند', flag: '🇮🇳' },
+  'Saudi Arabia': { ar: 'السعودية', flag: '🇸🇦' },
+  'United Arab Emirates': { ar: 'الإمارات', flag: '🇦🇪' },
+  'Egypt': { ar: 'مصر', flag: '🇪🇬' },
+  'Turkey': { ar: 'تركيا', flag: '🇹🇷' },
+  'South Africa': { ar: 'جنوب أفريقيا', flag: '🇿🇦' },
+  'Brazil': { ar: 'البرازيل', flag: '🇧🇷' },
+  'Mexico': { ar: 'المكسيك', flag: '🇲🇽' },
+  'South Korea': { ar: 'كوريا الجنوبية', flag: '🇰🇷' },
+  'Russia': { ar: 'روسيا', flag: '🇷🇺' }
+};
+
+// Common indicators, most specific first. Matched against the upper-cased
+// event title; the original title is kept alongside the Arabic name so
+// qualifiers like "YoY" or "Final" are not lost.
+const INDICATORS = [
+  [/CORE PCE/, 'مؤشر نفقات الاستهلاك الشخصي الأساسي'],
+  [/\bPCE\b/, 'مؤشر نفقات الاستهلاك الشخصي'],
+  [/CORE (?:CPI|INFLATION)/, 'مؤشر أسعار المستهلك الأساسي'],
+  [/\bCPI\b|INFLATION RATE|CONSUMER PRICE/, 'مؤشر أسعار المستهلك'],
+  [/\bPPI\b|PRODUCER PRICE/, 'مؤشر أسعار المنتجين'],
+  [/NON[- ]?FARM|\bNFP\b/, 'الوظائف غير الزراعية'],
+  [/\bADP\b/, 'تقرير ADP للتوظيف'],
+  [/UNEMPLOYMENT RATE/, 'معدل البطالة'],
+  [/JOBLESS CLAIMS|INITIAL CLAIMS/, 'طلبات إعانة البطالة'],
+  [/AVERAGE HOURLY EARNINGS/, 'متوسط الأجر في الساعة'],
+  [/\bGDP\b|GROSS DOMESTIC/, 'الناتج المحلي الإجمالي'],
+  [/MANUFACTURING PMI/, 'مؤشر مديري المشتريات الصناعي'],
+  [/SERVICES PMI/, 'مؤشر مديري المشتريات الخدمي'],
+  [/\bPMI\b/, 'مؤشر مديري المشتريات'],
+  [/RETAIL SALES/, 'مبيعات التجزئة'],
+  [/FOMC MINUTES|MEETING MINUTES/, 'محضر اجتماع السياسة النقدية'],
+  [/RATE DECISION|FED FUNDS|REFINANCING RATE|BANK RATE|CASH RATE|INTEREST RATE/, 'قرار سعر الفائدة'],
+  [/PRESS CONFERENCE/, 'المؤتمر الصحفي'],
+  [/SPEECH|SPEAKS|TESTIMONY/, 'خطاب'],
+  [/TRADE BALANCE/, 'الميزان التجاري'],
+  [/INDUSTRIAL PRODUCTION/, 'الإنتاج الصناعي'],
+  [/CONSUMER (?:CONFIDENCE|SENTIMENT)/, 'ثقة المستهلك'],
+  [/HOUSING STARTS/, 'بدايات الإسكان'],
+  [/\bZEW\b/, 'مؤشر ZEW'],
+  [/\bIFO\b/, 'مؤشر Ifo']
+];
+
+function normalizeLang(lang) {
+  const v = String(lang || '').trim().toLowerCase();
+  if (v === 'bi' || v === 'both') return 'both';
+  if (LANGS.includes(v)) return v;
+  return null;
+}
+
+function interpolate(str, vars) {
+  return str.replace(/\{(\w+)\}/g, (m, k) => (vars[k] !== undefined ? String(vars[k]) : m));
+}
+
+function lookup(lang, key, vars) {
+  const str = MESSAGES[lang]?.[key] ?? MESSAGES.en[key] ?? key;
+  return interpolate(str, vars);
+}
+
+/**
+ * Translate a catalog key. With 'both' returns "English | العربية".
+ */
+function t(lang, key, vars = {}) {
+  if (lang === 'en' || lang === 'ar') return lookup(lang, key, vars);
+  const en = lookup('en', key, vars);
+  const ar = lookup('ar', key, vars);
+  return en === ar ? en : `${en} | ${ar}`;
+}
+
+function countryFlag(country) {
+  return COUNTRIES[country]?.flag || '🌐';
+}
+
+function countryLabel(country, lang) {
+  const ar = COUNTRIES[country]?.ar;
+  if (lang === 'en' || !ar) return country;
+  if (lang === 'ar') return ar;
+  return `${country} | ${ar}`;
+}
+
+/**
+ * Reminder offset as words in one language ('en' or 'ar'):
+ * 60 → "1 h", 15 → "15 min", 0 → "at release"
+ */
+function durationLabel(minutes, lang) {
+  if (!minutes) return lookup(lang, 'duration.release', {});
+  if (minutes % 60 === 0) return lookup(lang, 'duration.hour', { n: minutes / 60 });
+  return lookup(lang, 'duration.min', { n: minutes });
+}
+
+function indicatorAr(event) {
+  const txt = String(event || '').toUpperCase();
+  const hit = INDICATORS.find(([re]) => re.test(txt));
+  return hit ? hit[1] : null;
+}
+
+function eventLabel(event, lang) {
+  const ar = indicatorAr(event);
+  if (lang === 'en' || !ar) return event;
+  if (lang === 'ar') return `${ar} (${event})`;
+  return `${event} | ${ar}`;
+}
+
+module.exports = {
+  LANGS,
+  DEFAULT_LANG,
+  MESSAGES,
+  COUNTRIES,
+  normalizeLang,
+  t,
+  countryFlag,
+  countryLabel,
+  eventLabel,
+  durationLabel
+};
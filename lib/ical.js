@@ -0,0 +1,171 @@
+// lib/ical.js - iCalendar (RFC 5545) feed of upcoming events
+// Rendered by api/econ/calendar.js. UIDs come from the same
+// country|event|minute key cron uses for dedupe, so calendar apps update an
+// entry in place when its forecast changes instead of adding a duplicate.
+//
+// Subscribers get a private feed token (/econ_calendar); the feed then
+// follows that chat's preferences and reminder stages.
+
+'use strict';
+
+const { kv } = require('./storage');
+const { eventKey } = require('./alerts');
+const { t, countryFlag, countryLabel, eventLabel } = require('./i18n');
+
+const TOKENS_KEY = 'econ:ical:tokens'; // HASH: token → chat ID
+const CHATS_KEY = 'econ:ical:chats';   // HASH: chat ID → token
+
+const UID_DOMAIN = 'econ.liirat';
+const PRODID = '-//Liirat//Economic Calendar//EN';
+const EVENT_DURATION = 'PT15M';
+
+function newToken() {
+  return crypto.randomUUID().replace(/-/g, '');
+}
+
+/**
+ * The chat's feed token, created on first use
+ */
+async function getFeedToken(chatId) {
+  const id = String(chatId);
+  const existing = await kv.hget(CHATS_KEY, id);
+  if (existing) return String(existing);
+  return resetFeedToken(id);
+}
+
+/**
+ * Replace the chat's token; the old feed URL stops working
+ */
+async function resetFeedToken(chatId) {
+  const id = String(chatId);
+  const old = await kv.hget(CHATS_KEY, id);
+  if (old) await kv.hdel(TOKENS_KEY, String(old));
+  const token = newToken();
+  await kv.hset(TOKENS_KEY, { [token]: id });
+  await kv.hset(CHATS_KEY, { [id]: token });
+  return token;
+}
+
+async function resolveFeedToken(token) {
+  if (!token || !/^[a-f0-9]{32}$/i.test(token)) return null;
+  const chatId = await kv.hget(TOKENS_KEY, token);
+  return chatId ? String(chatId) : null;
+}
+
+/**
+ * Public URL of a chat's feed. PUBLIC_BASE_URL wins over the deployment URL.
+ */
+function feedUrl(token) {
+  const base = process.env.PUBLIC_BASE_URL ||
+    (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : '');
+  return `${base.replace(/\/$/, '')}/api/econ/calendar?token=${token}`;
+}
+
+// TEXT values: escape backslash, semicolon, comma and newlines
+function escapeText(s) {
+  return String(s)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+const encoder = new TextEncoder();
+
+// Lines longer than 75 octets are folded with CRLF + space, never inside
+// a multi-byte character
+function fold(line) {
+  if (encoder.encode(line).length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const n = encoder.encode(ch).length;
+    const limit = parts.length ? 74 : 75;
+    if (size + n > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += n;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// 20261018T163000Z
+function utcStamp(ts) {
+  return new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function eventUid(ev) {
+  return `${escapeText(eventKey(ev))}@${UID_DOMAIN}`;
+}
+
+function vevent(ev, { lang, alarms, stamp }) {
+  const ts = ev.ts ?? Date.parse(ev.date);
+  const description = [];
+  if (ev.forecast) description.push(`${t(lang, 'field.forecast')}: ${ev.forecast}`);
+  if (ev.previous) description.push(`${t(lang, 'field.previous')}: ${ev.previous}`);
+  if (ev.actual) description.push(`${t(lang, 'field.actual')}: ${ev.actual}`);
+  if (ev.importance) description.push(`${t(lang, 'field.importance')}: ${t(lang, `impact.${ev.importance}`)}`);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(ev)}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${utcStamp(ts)}`,
+    `DURATION:${EVENT_DURATION}`,
+    `SUMMARY:${escapeText(`${countryFlag(ev.country)} ${countryLabel(ev.country, lang)}: ${eventLabel(ev.event, lang)}`)}`,
+    `CATEGORIES:${escapeText(ev.country)}`,
+    'TRANSP:TRANSPARENT'
+  ];
+  if (description.length) lines.push(`DESCRIPTION:${escapeText(description.join('\n'))}`);
+  for (const minutes of alarms) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:-PT${minutes}M`,
+      `DESCRIPTION:${escapeText(eventLabel(ev.event, lang))}`,
+      'END:VALARM'
+    );
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a VCALENDAR document.
+ *
+ * @param {object[]} events - events with `ts` or `date`
+ * @param {object} o
+ * @param {string} o.name - calendar name shown by the client
+ * @param {string} o.lang - ar | en | both
+ * @param {number[]} o.alarms - VALARM offsets in minutes before the event
+ * @returns {string} CRLF-delimited iCalendar text
+ */
+function buildCalendar(events, { name, lang, alarms = [] }) {
+  const stamp = utcStamp(Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+  for (const ev of events) lines.push(...vevent(ev, { lang, alarms, stamp }));
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  getFeedToken,
+  resetFeedToken,
+  resolveFeedToken,
+  feedUrl,
+  buildCalendar
+};
@@ -0,0 +1,105 @@
+// lib/instruments.js - Trading instruments and the countries that move them
+// Users think in symbols ("XAUUSD", "EURUSD", "US30"); alerts are per
+// country. An instrument's legs are the country ids (lib/canonical.js) whose
+// releases move it: both currencies of an FX pair (EURUSD → EA, US), the
+// pricing currency of a metal or crypto (XAUUSD → US), the home market of an
+// index (GER40 → DE, EA). Eurozone members' releases move EUR as well.
+//
+// A chat's watchlist is stored in its prefs (`instruments`); when set it
+// replaces the country list in matchesPrefs (lib/prefs.js).
+
+'use strict';
+
+const { countryId } = require('./canonical');
+
+const MAX_WATCH = 10;
+
+// Currencies an FX symbol half may be, plus metals/crypto with no country
+const CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'CNY', 'CNH', 'INR',
+  'SAR', 'AED', 'EGP', 'TRY', 'ZAR', 'BRL', 'MXN', 'KRW', 'RUB'
+];
+const PRICED = ['XAU', 'XAG', 'BTC', 'ETH'];
+
+// Symbols that are not "<base><quote>" pairs
+const SYMBOLS = {
+  GOLD: ['US'], SILVER: ['US'], DXY: ['US'],
+  US30: ['US'], DJI: ['US'], US100: ['US'], NAS100: ['US'], NDX: ['US'],
+  US500: ['US'], SPX500: ['US'], SPX: ['US'], USOIL: ['US'], WTI: ['US'],
+  GER40: ['DE', 'EA'], DE40: ['DE', 'EA'], DAX: ['DE', 'EA'],
+  FRA40: ['FR', 'EA'], EU50: ['EA'], STOXX50: ['EA'],
+  UK100: ['GB'], FTSE: ['GB'],
+  JP225: ['JP'], NIKKEI: ['JP'],
+  AUS200: ['AU'], HK50: ['CN'], CHINA50: ['CN']
+};
+
+const EURO_MEMBERS = ['DE', 'FR', 'IT', 'ES'];
+
+// Shown on alerts for chats without a watchlist, in this order
+const MAJOR_PAIRS = [
+  'EURUSD', 'GBPUSD', 'USDJPY', 'XAUUSD', 'AUDUSD', 'USDCAD', 'USDCHF', 'NZDUSD',
+  'GER40', 'UK100', 'JP225', 'AUS200'
+];
+const MAX_PAIRS_SHOWN = 4;
+
+/**
+ * "eur/usd" / "EUR-USD" → "EURUSD"
+ */
+function normalizeSymbol(input) {
+  return String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Country ids an instrument moves with, or null when the symbol is unknown
+ */
+function instrumentCountries(symbol) {
+  const s = normalizeSymbol(symbol);
+  if (SYMBOLS[s]) return SYMBOLS[s];
+  if (!/^[A-Z]{6}$/.test(s)) return null;
+  const halves = [s.slice(0, 3), s.slice(3)];
+  if (!halves.every(h => CURRENCIES.includes(h) || PRICED.includes(h))) return null;
+  const legs = halves.filter(h => CURRENCIES.includes(h)).map(countryId);
+  return legs.length ? [...new Set(legs)] : null;
+}
+
+/**
+ * Whether an event's country moves an instrument
+ */
+function moves(symbol, country) {
+  const legs = instrumentCountries(symbol) || [];
+  const id = countryId(country);
+  if (!id) return false;
+  return legs.includes(id) || (EURO_MEMBERS.includes(id) && legs.includes('EA'));
+}
+
+/**
+ * "XAUUSD EURUSD, us30" → { instruments: ['XAUUSD', 'EURUSD', 'US30'], unknown: [] }
+ */
+function parseInstruments(arg) {
+  const instruments = [];
+  const unknown = [];
+  for (const token of String(arg || '').split(/[\s,]+/).filter(Boolean)) {
+    const s = normalizeSymbol(token);
+    if (!instrumentCountries(s)) unknown.push(token);
+    else if (!instruments.includes(s)) instruments.push(s);
+  }
+  return { instruments: instruments.slice(0, MAX_WATCH), unknown };
+}
+
+/**
+ * Instruments an event moves: the chat's watched ones, or the major pairs
+ * when it watches none
+ */
+function affectedPairs(ev, watchlist = []) {
+  if (watchlist.length) return watchlist.filter(s => moves(s, ev.country));
+  return MAJOR_PAIRS.filter(s => moves(s, ev.country)).slice(0, MAX_PAIRS_SHOWN);
+}
+
+module.exports = {
+  MAX_WATCH,
+  normalizeSymbol,
+  instrumentCountries,
+  moves,
+  parseInstruments,
+  affectedPairs
+};
@@ -0,0 +1,329 @@
+// lib/menus.js - Inline keyboards for the bot's upcoming browser and settings
+// Pure rendering: every function returns { text, reply_markup } or parses
+// callback data; api/telegram.js does the Bot API calls.
+//
+// Callback data (Telegram allows 64 bytes):
+//   up:<page>:<country>:<day>            upcoming list; country code, instrument or *, day offset or *
+//   rm:<event hash>:<page>:<country>:<day>  toggle "remind me" on one event
+//   st:<screen>                          open a settings screen
+//   sv:<field>:<value>                   change one setting
+//   noop                                 label-only button
+
+'use strict';
+
+const { t, countryFlag, countryLabel, eventLabel } = require('./i18n');
+const { formatDateTime, localParts, WEEKDAYS } = require('./time');
+const { eventKey, eventHash } = require('./alerts');
+const { ALL, MAJOR_COUNTRIES, DEFAULT_PREFS, parseCountries, describePrefs } = require('./prefs');
+const { describeDigest } = require('./digest');
+const { describeReminders } = require('./reminders');
+const { sameCountry } = require('./canonical');
+const { instrumentCountries, moves } = require('./instruments');
+const { CATEGORY_IDS, MAJOR_CATEGORIES, categoryIcon } = require('./categories');
+const { QUIET_MODES } = require('./quiet');
+
+const PAGE_SIZE = 5;
+// Country filter buttons on the upcoming list
+const BROWSE_COUNTRIES = ['US', 'EA', 'UK', 'JP', 'CN'];
+// Watched instruments offered as filter buttons
+const BROWSE_INSTRUMENTS = 4;
+// Day filter: today plus this many days
+const BROWSE_DAYS = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Settings screens and their choices
+const COUNTRY_CHOICES = ['US', 'EA', 'UK', 'DE', 'FR', 'JP', 'CN', 'CA', 'AU', 'CH', 'IN'];
+const REMINDER_PRESETS = [[60, 15, 0], [15, 0], [30, 5], [0], [1440, 60, 0]];
+const DAILY_PRESETS = ['06:30', '07:30', '08:30'];
+const WEEKLY_PRESETS = [{ day: 0, time: '18:00' }, { day: 1, time: '07:00' }, { day: 5, time: '17:00' }];
+const QUIET_PRESETS = [{ from: '22:00', to: '06:00' }, { from: '23:00', to: '07:00' }, { from: '00:00', to: '08:00' }];
+const TZ_PRESETS = ['Asia/Dubai', 'Asia/Riyadh', 'Africa/Cairo', 'Europe/London', 'America/New_York', 'UTC'];
+
+const button = (text, data) => ({ text, callback_data: data });
+const mark = (on, text) => (on ? `✅ ${text}` : text);
+
+/**
+ * Split callback data into an action and its fields, or null
+ */
+function parseCallback(data) {
+  const [action, ...rest] = String(data || '').split(':');
+  if (action === 'up' || action === 'rm') {
+    const fields = action === 'rm' ? rest.slice(1) : rest;
+    const [page = '0', country = '*', day = '*'] = fields;
+    return {
+      action,
+      hash: action === 'rm' ? rest[0] : null,
+      view: {
+        page: Math.max(Number(page) || 0, 0),
+        country: country === '*' ? null : country,
+        day: day === '*' ? null : Math.min(Math.max(Number(day) || 0, 0), BROWSE_DAYS)
+      }
+    };
+  }
+  if (action === 'st') return { action, screen: rest[0] || 'main' };
+  if (action === 'sv') return { action, field: rest[0], value: rest.slice(1).join(':') };
+  if (action === 'noop') return { action };
+  return null;
+}
+
+function viewData(prefix, { page, country, day }) {
+  return `${prefix}:${page}:${country || '*'}:${day ?? '*'}`;
+}
+
+// ---- Upcoming browser -------------------------------------------------------
+
+/**
+ * Events shown by the browser for a filter: every country at the chat's
+ * minimum impact (the buttons narrow it), so a chat can pick events its
+ * own country list would skip. The country filter may also be an
+ * instrument ("EURUSD"), which keeps events moving either leg.
+ */
+function browseEvents(events, prefs, { country, day }, now = Date.now()) {
+  const instrument = country && instrumentCountries(country) ? country : null;
+  const countryName = country && !instrument ? parseCountries(country).countries[0] : null;
+  const dayDate = day === null || day === undefined ? null : localParts(now + day * DAY_MS, prefs.tz).date;
+  return events.filter(ev =>
+    (ev.importance ?? 3) >= prefs.minImportance &&
+    (!instrument || moves(instrument, ev.country)) &&
+    (!countryName || sameCountry(ev.country, countryName)) &&
+    (!dayDate || localParts(ev.ts, prefs.tz).date === dayDate)
+  );
+}
+
+function dayLabel(offset, tz, lang, now) {
+  if (offset === 0) return t(lang, 'menu.today');
+  if (offset === 1) return t(lang, 'menu.tomorrow');
+  return WEEKDAYS[localParts(now + offset * DAY_MS, tz).weekday];
+}
+
+/**
+ * One page of the upcoming list with filter, paging and "remind me" buttons.
+ *
+ * @param {object[]} events - all upcoming events (loadUpcoming)
+ * @param {object} o
+ * @param {object} o.prefs - the chat's prefs (tz, lang, minImportance)
+ * @param {Set<string>} o.picks - event keys the chat picked
+ * @param {{ page: number, country: string|null, day: number|null }} o.view
+ */
+function upcomingView(events, { prefs, picks, view, now = Date.now() }) {
+  const { lang, tz } = prefs;
+  const list = browseEvents(events, prefs, view, now);
+  const pages = Math.max(Math.ceil(list.length / PAGE_SIZE), 1);
+  const page = Math.min(view.page, pages - 1);
+  const shown = list.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  const at = { ...view, page };
+
+  let text;
+  if (!shown.length) {
+    text = `📅 *${t(lang, 'upcoming.title')}*\n\n${t(lang, 'upcoming.empty')}`;
+  } else {
+    const lines = shown.map((ev, i) => {
+      const n = page * PAGE_SIZE + i + 1;
+      const bell = picks.has(eventKey(ev)) ? ' 🔔' : '';
+      const parts = [`${n}. ${countryFlag(ev.country)} *${countryLabel(ev.country, lang)}*: ${eventLabel(ev.event, lang)}${bell}`];
+      parts.push(`   ⏰ ${formatDateTime(ev.ts, tz)}`);
+      if (ev.forecast) parts.push(`   ${t(lang, 'field.forecast')}: ${ev.forecast}`);
+      return parts.join('\n');
+    });
+    text = `📅 *${t(lang, 'upcoming.title')}*\n\n${lines.join('\n\n')}\n\n_${t(lang, 'menu.remindHint')}_`;
+  }
+
+  const rows = [];
+  rows.push([
+    button(mark(!view.country, t(lang, 'menu.all')), viewData('up', { ...at, page: 0, country: null })),
+    ...BROWSE_COUNTRIES.map(code =>
+      button(mark(view.country === code, code), viewData('up', { ...at, page: 0, country: code }))
+    )
+  ]);
+  // The chat's watchlist, plus an instrument typed after /econ_upcoming
+  const symbols = prefs.instruments.slice(0, BROWSE_INSTRUMENTS);
+  if (view.country && !BROWSE_COUNTRIES.includes(view.country) && !symbols.includes(view.country)) {
+    symbols.push(view.country);
+  }
+  if (symbols.length) {
+    rows.push(symbols.map(s =>
+      button(mark(view.country === s, s), viewData('up', { ...at, page: 0, country: s }))
+    ));
+  }
+  const days = [];
+  for (let d = 0; d <= BROWSE_DAYS; d++) days.push(d);
+  rows.push([
+    button(mark(view.day === null, t(lang, 'menu.all')), viewData('up', { ...at, page: 0, day: null })),
+    ...days.map(d => button(mark(view.day === d, dayLabel(d, tz, lang, now)), viewData('up', { ...at, page: 0, day: d })))
+  ]);
+  if (shown.length) {
+    rows.push(shown.map((ev, i) => {
+      const n = page * PAGE_SIZE + i + 1;
+      return button(`${picks.has(eventKey(ev)) ? '✅' : '🔔'} ${n}`, `rm:${eventHash(ev)}:${viewData('up', at).slice(3)}`);
+    }));
+  }
+  if (pages > 1) {
+    rows.push([
+      button('◀️', page > 0 ? viewData('up', { ...at, page: page - 1 }) : 'noop'),
+      button(`${page + 1}/${pages}`, 'noop'),
+      button('▶️', page < pages - 1 ? viewData('up', { ...at, page: page + 1 }) : 'noop')
+    ]);
+  }
+
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+// ---- Settings ---------------------------------------------------------------
+
+const SCREENS = ['main', 'imp', 'lang', 'ctry', 'cat', 'rem', 'tz', 'daily', 'weekly', 'quiet'];
+
+function backRow(lang) {
+  return [button(`⬅️ ${t(lang, 'menu.back')}`, 'st:main')];
+}
+
+function sameList(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+/**
+ * A settings screen: the profile summary plus that screen's buttons
+ */
+function settingsView(prefs, screen = 'main') {
+  const { lang } = prefs;
+  const name = SCREENS.includes(screen) ? screen : 'main';
+  const rows = [];
+
+  if (name === 'main') {
+    rows.push(
+      [button(`📶 ${t(lang, 'prefs.impact')}`, 'st:imp'), button(`🗣 ${t(lang, 'prefs.lang')}`, 'st:lang')],
+      [button(`🌍 ${t(lang, 'prefs.countries')}`, 'st:ctry'), button(`⏳ ${t(lang, 'prefs.reminders')}`, 'st:rem')],
+      [button(`🗂 ${t(lang, 'prefs.categories')}`, 'st:cat'), button(`🕒 ${t(lang, 'prefs.tz')}`, 'st:tz')],
+      [button(`📰 ${t(lang, 'prefs.daily')}`, 'st:daily'), button(`🗓 ${t(lang, 'prefs.weekly')}`, 'st:weekly')],
+      [button(`🌙 ${t(lang, 'prefs.quiet')}`, 'st:quiet')]
+    );
+  } else if (name === 'imp') {
+    rows.push([3, 2, 1].map(n => button(mark(prefs.minImportance === n, t(lang, `impact.${n}`)), `sv:imp:${n}`)));
+  } else if (name === 'lang') {
+    rows.push(['ar', 'en', 'both'].map(l => button(mark(prefs.lang === l, t(lang, `lang.${l}`)), `sv:lang:${l}`)));
+  } else if (name === 'ctry') {
+    const all = prefs.countries.includes(ALL);
+    const chosen = code => !all && prefs.countries.includes(parseCountries(code).countries[0]);
+    for (let i = 0; i < COUNTRY_CHOICES.length; i += 4) {
+      rows.push(COUNTRY_CHOICES.slice(i, i + 4).map(code => {
+        const full = parseCountries(code).countries[0];
+        return button(mark(chosen(code), `${countryFlag(full)} ${code}`), `sv:ctry:${code}`);
+      }));
+    }
+    rows.push([
+      button(mark(all, t(lang, 'prefs.all')), 'sv:ctry:all'),
+      button(mark(!all && sameList(prefs.countries, MAJOR_COUNTRIES), t(lang, 'menu.major')), 'sv:ctry:major')
+    ]);
+  } else if (name === 'cat') {
+    for (let i = 0; i < CATEGORY_IDS.length; i += 2) {
+      rows.push(CATEGORY_IDS.slice(i, i + 2).map(c =>
+        button(mark(prefs.categories.includes(c), `${categoryIcon(c)} ${t(lang, `category.${c}`)}`), `sv:cat:${c}`)));
+    }
+    rows.push([
+      button(mark(sameList(prefs.categories, CATEGORY_IDS), t(lang, 'prefs.all')), 'sv:cat:all'),
+      button(mark(sameList(prefs.categories, MAJOR_CATEGORIES), t(lang, 'menu.major')), 'sv:cat:major')
+    ]);
+  } else if (name === 'rem') {
+    for (const preset of REMINDER_PRESETS) {
+      rows.push([button(mark(sameList(prefs.reminders, preset), describeReminders(preset, lang)), `sv:rem:${preset.join('-')}`)]);
+    }
+  } else if (name === 'tz') {
+    for (let i = 0; i < TZ_PRESETS.length; i += 2) {
+      rows.push(TZ_PRESETS.slice(i, i + 2).map((zone, j) => button(mark(prefs.tz === zone, zone), `sv:tz:${i + j}`)));
+    }
+  } else if (name === 'daily') {
+    rows.push([
+      button(mark(!prefs.daily, t(lang, 'digest.off')), 'sv:daily:off'),
+      ...DAILY_PRESETS.map(time => button(mark(prefs.daily === time, time), `sv:daily:${time.replace(':', '')}`))
+    ]);
+  } else if (name === 'weekly') {
+    rows.push([button(mark(!prefs.weekly, t(lang, 'digest.off')), 'sv:weekly:off')]);
+    for (const w of WEEKLY_PRESETS) {
+      const on = prefs.weekly && prefs.weekly.day === w.day && prefs.weekly.time === w.time;
+      rows.push([button(mark(on, describeDigest({ daily: null, weekly: w }, lang).weekly), `sv:weekly:${w.day}-${w.time.replace(':', '')}`)]);
+    }
+  } else if (name === 'quiet') {
+    const q = prefs.quiet;
+    rows.push([button(mark(!q, t(lang, 'digest.off')), 'sv:quiet:off')]);
+    rows.push(QUIET_PRESETS.map(p => {
+      const on = q && q.from === p.from && q.to === p.to;
+      return button(mark(on, `${p.from}–${p.to}`), `sv:quiet:${p.from.replace(':', '')}-${p.to.replace(':', '')}`);
+    }));
+    rows.push(QUIET_MODES.map(m => button(mark(prefs.quietMode === m, t(lang, `quiet.${m}`)), `sv:qmode:${m}`)));
+  }
+  if (name !== 'main') rows.push(backRow(lang));
+
+  const hint = name === 'main' ? '' : `\n\n_${t(lang, 'menu.tapToChange')}_`;
+  return { text: describePrefs(prefs) + hint, reply_markup: { inline_keyboard: rows } };
+}
+
+/**
+ * Turn an sv:<field>:<value> press into a prefs patch and the screen to
+ * show next, or null when the value is not one of the offered choices
+ */
+function settingPatch(prefs, field, value) {
+  const clock = v => (/^\d{4}$/.test(v) ? `${v.slice(0, 2)}:${v.slice(2)}` : null);
+  if (field === 'imp' && ['1', '2', '3'].includes(value)) {
+    return { screen: 'imp', patch: { minImportance: Number(value) } };
+  }
+  if (field === 'lang' && ['ar', 'en', 'both'].includes(value)) {
+    return { screen: 'lang', patch: { lang: value } };
+  }
+  if (field === 'ctry') {
+    if (value === 'all') return { screen: 'ctry', patch: { countries: [ALL] } };
+    if (value === 'major') return { screen: 'ctry', patch: { countries: DEFAULT_PREFS.countries } };
+    if (!COUNTRY_CHOICES.includes(value)) return null;
+    const full = parseCountries(value).countries[0];
+    const current = prefs.countries.includes(ALL) ? [] : prefs.countries;
+    const next = current.includes(full) ? current.filter(c => c !== full) : [...current, full];
+    // Unticking the last country would mean "nothing"; keep one
+    return next.length ? { screen: 'ctry', patch: { countries: next } } : { screen: 'ctry', patch: {} };
+  }
+  if (field === 'cat') {
+    if (value === 'all') return { screen: 'cat', patch: { categories: CATEGORY_IDS } };
+    if (value === 'major') return { screen: 'cat', patch: { categories: MAJOR_CATEGORIES } };
+    if (!CATEGORY_IDS.includes(value)) return null;
+    const next = prefs.categories.includes(value)
+      ? prefs.categories.filter(c => c !== value)
+      : [...prefs.categories, value];
+    // Keep at least one category, as with countries
+    return { screen: 'cat', patch: next.length ? { categories: next } : {} };
+  }
+  if (field === 'rem') {
+    const preset = REMINDER_PRESETS.find(p => p.join('-') === value);
+    return preset ? { screen: 'rem', patch: { reminders: preset } } : null;
+  }
+  if (field === 'tz') {
+    const zone = TZ_PRESETS[Number(value)];
+    return zone ? { screen: 'tz', patch: { tz: zone } } : null;
+  }
+  if (field === 'daily') {
+    if (value === 'off') return { screen: 'daily', patch: { daily: null } };
+    const time = clock(value);
+    return DAILY_PRESETS.includes(time) ? { screen: 'daily', patch: { daily: time } } : null;
+  }
+  if (field === 'weekly') {
+    if (value === 'off') return { screen: 'weekly', patch: { weekly: null } };
+    const [day, hhmm] = value.split('-');
+    const w = WEEKLY_PRESETS.find(p => p.day === Number(day) && p.time === clock(hhmm));
+    return w ? { screen: 'weekly', patch: { weekly: w } } : null;
+  }
+  if (field === 'quiet') {
+    if (value === 'off') return { screen: 'quiet', patch: { quiet: null } };
+    const [from, to] = value.split('-').map(clock);
+    const p = QUIET_PRESETS.find(q => q.from === from && q.to === to);
+    return p ? { screen: 'quiet', patch: { quiet: p } } : null;
+  }
+  if (field === 'qmode') {
+    return QUIET_MODES.includes(value) ? { screen: 'quiet', patch: { quietMode: value } } : null;
+  }
+  return null;
+}
+
+module.exports = {
+  PAGE_SIZE,
+  parseCallback,
+  browseEvents,
+  upcomingView,
+  settingsView,
+  settingPatch
+};
@@ -0,0 +1,100 @@
+// lib/picks.js - "Remind me about this one" picks from the upcoming browser
+// econ:picks (HASH) maps a chat/destination ID → JSON [{ key, ts }], where
+// key is the event's eventKey(). Cron sends a picked event at the chat's
+// reminder stages even when the chat's filters would skip it.
+
+'use strict';
+
+const { kv } = require('./storage');
+const { eventKey, canonicalKey } = require('./alerts');
+
+const PICKS_KEY = 'econ:picks';
+// A chat can follow this many individual events at once
+const MAX_PICKS = 50;
+
+// Keys saved before event keys were canonical are read in the current format
+function parse(raw) {
+  if (!raw) return [];
+  try {
+    const list = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return Array.isArray(list) ? list.filter(p => p && p.key).map(p => ({ ...p, key: canonicalKey(p.key) })) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Drop picks for events that are over
+function current(list, now = Date.now()) {
+  return list.filter(p => p.ts >= now - 60 * 60 * 1000);
+}
+
+/**
+ * Set of picked event keys for one chat
+ */
+async function getPicks(chatId) {
+  return new Set(current(parse(await kv.hget(PICKS_KEY, String(chatId)))).map(p => p.key));
+}
+
+/**
+ * Every chat's picks, as a Map of chat ID → Set of event keys
+ */
+async function getAllPicks() {
+  const map = new Map();
+  try {
+    const all = (await kv.hgetall(PICKS_KEY)) || {};
+    for (const [chatId, raw] of Object.entries(all)) {
+      const keys = current(parse(raw)).map(p => p.key);
+      if (keys.length) map.set(String(chatId), new Set(keys));
+    }
+  } catch (err) {
+    console.error('[PICKS ERROR]', err.message);
+  }
+  return map;
+}
+
+/**
+ * Pick or unpick an event for a chat.
+ *
+ * @returns {Promise<boolean>} whether the event is picked afterwards
+ */
+async function togglePick(chatId, ev) {
+  const id = String(chatId);
+  const key = eventKey(ev);
+  let list = current(parse(await kv.hget(PICKS_KEY, id)));
+  const picked = !list.some(p => p.key === key);
+  list = picked
+    ? [...list, { key, ts: ev.ts ?? Date.parse(ev.date) }].slice(-MAX_PICKS)
+    : list.filter(p => p.key !== key);
+
+  if (list.length) await kv.hset(PICKS_KEY, { [id]: JSON.stringify(list) });
+  else await kv.hdel(PICKS_KEY, id);
+  return picked;
+}
+
+/**
+ * Point picks of a rescheduled event at its new key
+ *
+ * @returns {Promise<number>} how many chats had picked it
+ */
+async function movePicks(oldKey, ev) {
+  const key = eventKey(ev);
+  const ts = ev.ts ?? Date.parse(ev.date);
+  const all = (await kv.hgetall(PICKS_KEY)) || {};
+  let moved = 0;
+  for (const [chatId, raw] of Object.entries(all)) {
+    const list = parse(raw);
+    if (!list.some(p => p.key === oldKey)) continue;
+    const next = list.filter(p => p.key !== oldKey && p.key !== key).concat({ key, ts });
+    await kv.hset(PICKS_KEY, { [chatId]: JSON.stringify(next) });
+    moved++;
+  }
+  return moved;
+}
+
+module.exports = {
+  PICKS_KEY,
+  getPicks,
+  getAllPicks,
+  togglePick,
+  movePicks
+};
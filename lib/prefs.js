@@ -0,0 +1,242 @@
+// lib/prefs.js - Per-subscriber alert preferences
+// Stored as JSON in the econ:prefs hash (chat ID → profile), next to econ:users.
+// A chat without a stored profile gets DEFAULT_PREFS, which matches the
+// original global filters (major countries, high impact, major categories).
+
+'use strict';
+
+const { kv } = require('./storage');
+const { DEFAULT_TZ, isValidTimeZone } = require('./time');
+const { DEFAULT_LANG, normalizeLang, t, countryLabel } = require('./i18n');
+const { DEFAULT_REMINDERS, normalizeReminders, describeReminders } = require('./reminders');
+const { normalizeDigest, describeDigest } = require('./digest');
+const { normalizeQuiet, describeQuiet } = require('./quiet');
+const { countryId, countryName, sameCountry } = require('./canonical');
+const { instrumentCountries, moves, normalizeSymbol, MAX_WATCH } = require('./instruments');
+const { CATEGORY_IDS, MAJOR_CATEGORIES, classify, categoryIcon } = require('./categories');
+
+const PREFS_KEY = 'econ:prefs';
+
+const MAJOR_COUNTRIES = [
+  'United States', 'United Kingdom', 'Euro Area', 'Germany', 'France',
+  'Japan', 'China', 'Canada', 'Australia', 'Switzerland', 'India'
+];
+
+// Stored in place of a country list to mean "every country"
+const ALL = '*';
+
+const IMPORTANCE_NAMES = { high: 3, medium: 2, low: 1 };
+
+const DEFAULT_PREFS = Object.freeze({
+  countries: MAJOR_COUNTRIES,
+  // Watched instruments (lib/instruments.js); when set they replace countries
+  instruments: [],
+  // Event categories (lib/categories.js)
+  categories: MAJOR_CATEGORIES,
+  minImportance: 3,
+  include: [],
+  exclude: [],
+  tz: DEFAULT_TZ,
+  lang: DEFAULT_LANG,
+  // Minutes before release, largest first; 0 = at release
+  reminders: DEFAULT_REMINDERS,
+  // Digest opt-ins: daily 'HH:MM', weekly { day: 0-6, time: 'HH:MM' }
+  daily: null,
+  weekly: null,
+  // Local window { from: 'HH:MM', to: 'HH:MM' } and what to do with alerts
+  // due inside it (lib/quiet.js)
+  quiet: null,
+  quietMode: 'silent'
+});
+
+function parse(raw) {
+  if (!raw) return null;
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Merge a stored profile over the defaults, dropping unknown/invalid fields
+ */
+function normalizePrefs(p) {
+  const out = { ...DEFAULT_PREFS };
+  if (!p || typeof p !== 'object') return out;
+  if (Array.isArray(p.countries) && p.countries.length) out.countries = p.countries.map(String);
+  if (Array.isArray(p.instruments)) {
+    out.instruments = [...new Set(p.instruments.map(normalizeSymbol))].filter(instrumentCountries).slice(0, MAX_WATCH);
+  }
+  if (Array.isArray(p.categories)) {
+    const categories = CATEGORY_IDS.filter(c => p.categories.includes(c));
+    if (categories.length) out.categories = categories;
+  }
+  if ([1, 2, 3].includes(Number(p.minImportance))) out.minImportance = Number(p.minImportance);
+  if (Array.isArray(p.include)) out.include = p.include.map(String);
+  if (Array.isArray(p.exclude)) out.exclude = p.exclude.map(String);
+  if (isValidTimeZone(p.tz)) out.tz = p.tz;
+  if (normalizeLang(p.lang)) out.lang = normalizeLang(p.lang);
+  if (normalizeReminders(p.reminders)) out.reminders = normalizeReminders(p.reminders);
+  Object.assign(out, normalizeDigest(p));
+  Object.assign(out, normalizeQuiet(p));
+  return out;
+}
+
+async function getPrefs(chatId) {
+  try {
+    return normalizePrefs(parse(await kv.hget(PREFS_KEY, String(chatId))));
+  } catch (err) {
+    console.error('[PREFS ERROR]', err.message);
+    return normalizePrefs(null);
+  }
+}
+
+/**
+ * Load every stored profile in one call. Returns a Map of chat ID → prefs;
+ * chats missing from the map should use normalizePrefs(null).
+ */
+async function getAllPrefs() {
+  const map = new Map();
+  try {
+    const all = (await kv.hgetall(PREFS_KEY)) || {};
+    for (const [chatId, raw] of Object.entries(all)) {
+      map.set(String(chatId), normalizePrefs(parse(raw)));
+    }
+  } catch (err) {
+    console.error('[PREFS ERROR]', err.message);
+  }
+  return map;
+}
+
+async function setPrefs(chatId, patch) {
+  const current = await getPrefs(chatId);
+  const next = normalizePrefs({ ...current, ...patch });
+  await kv.hset(PREFS_KEY, { [String(chatId)]: JSON.stringify(next) });
+  return next;
+}
+
+async function resetPrefs(chatId) {
+  await kv.hdel(PREFS_KEY, String(chatId));
+  return normalizePrefs(null);
+}
+
+/**
+ * Split a command argument like "US, United Kingdom,JP" into clean tokens
+ */
+function splitList(arg) {
+  return String(arg || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve user input (names, ISO or currency codes: "US", "EUR", "Japan")
+ * to full country names. Unknown entries are returned separately so the
+ * bot can report them.
+ */
+function parseCountries(arg) {
+  const countries = [];
+  const unknown = [];
+  if (String(arg || '').trim().toLowerCase() === 'all') return { countries: [ALL], unknown };
+  for (const token of splitList(arg)) {
+    const name = countryId(token) ? countryName(token) : null;
+    if (name) {
+      if (!countries.includes(name)) countries.push(name);
+    } else {
+      unknown.push(token);
+    }
+  }
+  return { countries, unknown };
+}
+
+function parseImportance(arg) {
+  const v = String(arg || '').trim().toLowerCase();
+  if (IMPORTANCE_NAMES[v]) return IMPORTANCE_NAMES[v];
+  if (['1', '2', '3'].includes(v)) return Number(v);
+  return null;
+}
+
+/**
+ * Does a profile follow a country? Watched instruments, when set, replace
+ * the country list.
+ */
+function followsCountry(prefs, country) {
+  if (prefs.instruments.length) return prefs.instruments.some(s => moves(s, country));
+  return prefs.countries.includes(ALL) || prefs.countries.some(c => sameCountry(c, country));
+}
+
+/**
+ * Does an event pass a subscriber's profile?
+ * Manual events carry no importance and are treated as high impact.
+ */
+function matchesPrefs(ev, prefs) {
+  const importance = ev.importance ?? 3;
+  if (importance < prefs.minImportance) return false;
+
+  if (!followsCountry(prefs, String(ev.country || ''))) return false;
+
+  if (!prefs.categories.includes(classify(ev).category)) return false;
+
+  const txt = String(ev.event || '').toUpperCase();
+  if (prefs.include.length && !prefs.include.some(k => txt.includes(k.toUpperCase()))) return false;
+  if (prefs.exclude.some(k => txt.includes(k.toUpperCase()))) return false;
+
+  return true;
+}
+
+// Legacy Markdown: user-supplied values may contain _ * ` [ (e.g. America/New_York)
+function escapeMd(s) {
+  return String(s).replace(/([_*`\[])/g, '\\$1');
+}
+
+/**
+ * Summary of a profile for /econ_prefs, in the profile's own language
+ */
+function describePrefs(prefs, lang = prefs.lang) {
+  const list = arr => (arr.length ? escapeMd(arr.join(', ')) : '—');
+  // Country names stay English in 'both' to keep the line short
+  const countries = prefs.countries.map(c => (lang === 'ar' ? countryLabel(c, 'ar') : c));
+  const digest = describeDigest(prefs, lang);
+  const categories = prefs.categories.length === CATEGORY_IDS.length
+    ? t(lang, 'prefs.all')
+    : prefs.categories.map(c => `${categoryIcon(c)} ${t(lang, `category.${c}`)}`).join(', ');
+  const countryLine = prefs.instruments.length
+    ? t(lang, 'prefs.fromWatch')
+    : prefs.countries.includes(ALL) ? t(lang, 'prefs.all') : countries.join(', ');
+  return [
+    `⚙️ *${t(lang, 'prefs.title')}*`,
+    '',
+    `🌍 ${t(lang, 'prefs.countries')}: ${countryLine}`,
+    `💹 ${t(lang, 'prefs.instruments')}: ${list(prefs.instruments)}`,
+    `🗂 ${t(lang, 'prefs.categories')}: ${categories}`,
+    `📶 ${t(lang, 'prefs.impact')}: ${t(lang, `impact.${prefs.minImportance}`)}`,
+    `✅ ${t(lang, 'prefs.include')}: ${list(prefs.include)}`,
+    `🚫 ${t(lang, 'prefs.exclude')}: ${list(prefs.exclude)}`,
+    `🕒 ${t(lang, 'prefs.tz')}: ${escapeMd(prefs.tz)}`,
+    `🗣 ${t(lang, 'prefs.lang')}: ${t(lang, `lang.${prefs.lang}`)}`,
+    `⏳ ${t(lang, 'prefs.reminders')}: ${describeReminders(prefs.reminders, lang)}`,
+    `📰 ${t(lang, 'prefs.daily')}: ${digest.daily}`,
+    `🗓 ${t(lang, 'prefs.weekly')}: ${digest.weekly}`,
+    `🌙 ${t(lang, 'prefs.quiet')}: ${describeQuiet(prefs, lang)}`
+  ].join('\n');
+}
+
+module.exports = {
+  PREFS_KEY,
+  ALL,
+  MAJOR_COUNTRIES,
+  DEFAULT_PREFS,
+  normalizePrefs,
+  getPrefs,
+  getAllPrefs,
+  setPrefs,
+  resetPrefs,
+  splitList,
+  parseCountries,
+  parseImportance,
+  followsCountry,
+  matchesPrefs,
+  describePrefs
+};
@@ -0,0 +1,71 @@
+// lib/providers/finnhub.js - Finnhub economic calendar adapter
+// FREE TIER LIMITS: 60 calls/min
+// Docs: https://finnhub.io/docs/api/economic-calendar
+
+'use strict';
+
+const { rateLimitedFetch, isoDay, utcDate } = require('./http');
+const { countryName, withUnit, importanceFromImpact } = require('./normalize');
+
+const name = 'finnhub';
+const MIN_API_INTERVAL = 1000;
+// Per-minute limit only, so no call budget
+const limits = { minInterval: MIN_API_INTERVAL };
+
+function isConfigured() {
+  return !!process.env.FINNHUB_API_KEY;
+}
+
+/**
+ * Fetch events from Finnhub
+ * Returns normalized events, or null when the call failed
+ */
+async function fetchEvents(fromMs, toMs) {
+  const key = process.env.FINNHUB_API_KEY;
+  if (!key) {
+    console.log('[WARN] No FINNHUB_API_KEY found');
+    return null;
+  }
+
+  const url = `https://finnhub.io/api/v1/calendar/economic?from=${isoDay(fromMs)}&to=${isoDay(toMs)}&token=${key}`;
+
+  try {
+    const res = await rateLimitedFetch(name, url, { minInterval: MIN_API_INTERVAL });
+    console.log('[API] Finnhub response:', res.status);
+
+    if (!res.ok) {
+      const errText = await res.text();
+      console.error('[ERROR] Finnhub API:', res.status, errText);
+      return null;
+    }
+
+    const body = await res.json();
+    const events = Array.isArray(body?.economicCalendar) ? body.economicCalendar : [];
+    console.log(`[API] Fetched ${events.length} raw events from Finnhub`);
+
+    const normalized = events
+      .map(e => {
+        const importance = importanceFromImpact(e.impact);
+        return {
+          country: countryName(e.country),
+          event: e.event || 'Unknown Event',
+          date: utcDate(e.time),
+          actual: withUnit(e.actual, e.unit),
+          forecast: withUnit(e.estimate, e.unit),
+          previous: withUnit(e.prev, e.unit),
+          importance,
+          impact: String(e.impact || 'low').toLowerCase(),
+          provider: name
+        };
+      })
+      .filter(e => e.date);
+
+    console.log(`[API] Normalized ${normalized.length} Finnhub events`);
+    return normalized;
+  } catch (err) {
+    console.error('[ERROR] Finnhub fetch failed:', err.message);
+    return null;
+  }
+}
+
+module.exports = { name, limits, isConfigured, fetchEvents };
@@ -0,0 +1,68 @@
+// lib/providers/fmp.js - Financial Modeling Prep economic calendar adapter
+// Free tier is limited (250 calls/day) and may return 403 for the calendar endpoint
+
+'use strict';
+
+const { rateLimitedFetch, isoDay, utcDate } = require('./http');
+const { countryName, withUnit, importanceFromImpact } = require('./normalize');
+
+const name = 'fmp';
+const limits = { daily: 250 };
+
+function isConfigured() {
+  return !!process.env.FMP_API_KEY;
+}
+
+/**
+ * Fetch events from FMP
+ * Returns normalized events, or null when the call failed
+ */
+async function fetchEvents(fromMs, toMs) {
+  const key = process.env.FMP_API_KEY;
+  if (!key) {
+    console.log('[WARN] No FMP_API_KEY found');
+    return null;
+  }
+
+  const url = `https://financialmodelingprep.com/api/v3/economic_calendar?from=${isoDay(fromMs)}&to=${isoDay(toMs)}&apikey=${key}`;
+
+  try {
+    const res = await rateLimitedFetch(name, url, { timeout: 8000 });
+    console.log('[API] FMP response:', res.status);
+
+    if (!res.ok) {
+      const errText = await res.text();
+      console.error('[ERROR] FMP API:', res.status, errText);
+      return null;
+    }
+
+    const events = await res.json();
+    if (!Array.isArray(events)) {
+      console.error('[ERROR] FMP API: unexpected body', JSON.stringify(events).slice(0, 200));
+      return null;
+    }
+    console.log(`[API] Fetched ${events.length} raw events from FMP`);
+
+    const normalized = events
+      .map(e => ({
+        country: countryName(e.country),
+        event: e.event || 'Unknown Event',
+        date: utcDate(e.date),
+        actual: withUnit(e.actual, e.unit),
+        forecast: withUnit(e.estimate, e.unit),
+        previous: withUnit(e.previous, e.unit),
+        importance: importanceFromImpact(e.impact),
+        impact: String(e.impact || 'low').toLowerCase(),
+        provider: name
+      }))
+      .filter(e => e.date);
+
+    console.log(`[API] Normalized ${normalized.length} FMP events`);
+    return normalized;
+  } catch (err) {
+    console.error('[ERROR] FMP fetch failed:', err.message);
+    return null;
+  }
+}
+
+module.exports = { name, limits, isConfigured, fetchEvents };
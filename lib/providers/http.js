@@ -0,0 +1,43 @@
+// lib/providers/http.js - Rate-limited fetch shared by provider adapters
+// Spacing is tracked per provider so a slow Trading Economics call does not
+// delay a Finnhub fallback. Both the spacing and the call counts live in KV
+// (lib/providers/quota.js), so they hold across cold starts and concurrent
+// invocations.
+
+'use strict';
+
+const { acquireSlot, countCall } = require('./quota');
+
+/**
+ * @param {string} provider - adapter name, used for spacing, quota and logs
+ * @param {string} url
+ * @param {object} [o]
+ * @param {number} [o.minInterval] - ms between calls to this provider
+ * @param {number} [o.timeout]
+ * @throws when another invocation holds the provider's slot for too long
+ */
+async function rateLimitedFetch(provider, url, { minInterval = 0, timeout = 15000 } = {}) {
+  if (!(await acquireSlot(provider, minInterval))) {
+    throw new Error(`${provider} rate limit slot busy`);
+  }
+  await countCall(provider);
+
+  console.log(`[FETCH] ${provider}:`, url.replace(/([?&](?:c|token|apikey)=)[^&]+/g, '$1***'));
+  return fetch(url, { signal: AbortSignal.timeout(timeout) });
+}
+
+function isoDay(ms) {
+  return new Date(ms).toISOString().split('T')[0];
+}
+
+/**
+ * Provider timestamps like "2025-10-08 12:30:00" are UTC without a zone
+ */
+function utcDate(s) {
+  if (!s) return null;
+  const str = String(s).trim().replace(' ', 'T');
+  const ts = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(str) ? str : `${str}Z`);
+  return Number.isFinite(ts) ? new Date(ts).toISOString() : null;
+}
+
+module.exports = { rateLimitedFetch, isoDay, utcDate };
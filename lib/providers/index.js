@@ -0,0 +1,169 @@
+// lib/providers/index.js - Provider registry and fallback chain
+//
+// Every adapter exposes { name, isConfigured(), fetchEvents(fromMs, toMs) }
+// and returns events in the shared shape, or null when the call failed.
+//
+// The chain order comes from ?providers= on the cron URL, else the PROVIDERS
+// env var (comma-separated), else DEFAULT_CHAIN. With the default 'fallback'
+// strategy the first adapter that returns events wins; 'merge' asks every
+// adapter and keeps the highest-priority copy of each event.
+//
+// Adapters also declare their free-tier `limits`; an adapter whose call
+// budget is spent is skipped (lib/providers/quota.js), and cron uses
+// cacheRefresh() to decide how long econ:api:cache stays fresh.
+
+'use strict';
+
+const tradingeconomics = require('./tradingeconomics');
+const finnhub = require('./finnhub');
+const fmp = require('./fmp');
+const manual = require('./manual');
+const { kv } = require('../storage');
+const { eventKey } = require('../alerts');
+const { mergeEvent } = require('../canonical');
+const { usage, hasBudget, refreshInterval, effectiveLimits } = require('./quota');
+
+const ADAPTERS = { tradingeconomics, finnhub, fmp };
+const DEFAULT_CHAIN = ['tradingeconomics', 'finnhub', 'fmp'];
+
+/**
+ * Resolve the provider chain, dropping unknown names
+ */
+function getChain(override) {
+  const raw = override || process.env.PROVIDERS || '';
+  const names = raw
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(n => ADAPTERS[n]);
+  return names.length ? [...new Set(names)] : DEFAULT_CHAIN;
+}
+
+/**
+ * Fetch from the provider chain.
+ *
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @param {object} [o]
+ * @param {string|string[]} [o.chain]
+ * @param {'fallback'|'merge'} [o.strategy]
+ * @param {'normal'|'spare'} [o.spend] - 'spare' calls only use budget the
+ *   month is ahead on (see quota.hasBudget)
+ * @returns {Promise<{ events: object[], providers: string[], attempts: object[] }>}
+ *   `providers` lists the adapters that contributed events; `attempts`
+ *   records every adapter tried ({ name, status: ok|empty|failed|skipped, count },
+ *   with reason: 'quota' when skipped for its budget).
+ */
+async function fetchProviderEvents(fromMs, toMs, { chain, strategy = 'fallback', spend = 'normal' } = {}) {
+  const names = Array.isArray(chain) ? chain : getChain(chain);
+  const attempts = [];
+  const byKey = new Map();
+  const providers = [];
+
+  for (const n of names) {
+    const adapter = ADAPTERS[n];
+    if (!adapter.isConfigured()) {
+      attempts.push({ name: n, status: 'skipped', count: 0 });
+      continue;
+    }
+    if (!(await hasBudget(n, adapter.limits, { spend }))) {
+      console.log(`[QUOTA] ${n}: budget spent, skipping`);
+      attempts.push({ name: n, status: 'skipped', reason: 'quota', count: 0 });
+      continue;
+    }
+
+    const events = await adapter.fetchEvents(fromMs, toMs);
+    if (!events) {
+      attempts.push({ name: n, status: 'failed', count: 0 });
+      continue;
+    }
+    if (!events.length) {
+      attempts.push({ name: n, status: 'empty', count: 0 });
+      continue;
+    }
+
+    attempts.push({ name: n, status: 'ok', count: events.length });
+    providers.push(n);
+    for (const ev of events) {
+      const key = eventKey(ev);
+      byKey.set(key, byKey.has(key) ? mergeEvent(byKey.get(key), ev) : ev);
+    }
+    if (strategy !== 'merge') break;
+  }
+
+  console.log('[PROVIDERS]', attempts.map(a => `${a.name}:${a.status}`).join(' '));
+  return { events: Array.from(byKey.values()), providers, attempts };
+}
+
+/**
+ * How long econ:api:cache stays fresh for this chain and the cached events
+ */
+async function cacheRefresh(chain, events, now = Date.now()) {
+  const names = Array.isArray(chain) ? chain : getChain(chain);
+  return refreshInterval(names.map(n => ADAPTERS[n]), events, now);
+}
+
+/**
+ * Calls used and left this month and day, per configured adapter
+ */
+async function quotaStatus(now = Date.now()) {
+  const out = {};
+  for (const [n, adapter] of Object.entries(ADAPTERS)) {
+    if (!adapter.isConfigured()) continue;
+    const u = await usage(n, adapter.limits, now);
+    out[n] = {
+      month: u.month,
+      day: u.day,
+      monthly_limit: u.monthly,
+      daily_limit: u.daily,
+      remaining: u.remaining,
+      exhausted: u.exhausted,
+      min_interval_ms: effectiveLimits(n, adapter.limits).minInterval
+    };
+  }
+  return out;
+}
+
+/**
+ * Upcoming events without a provider call: the cron-built caches plus
+ * manual entries, deduped and sorted. Falls back to the smaller
+ * econ:cache:upcoming list when the provider cache has expired.
+ * Used by the calendar feed and the bot's /econ_upcoming browser.
+ */
+async function loadUpcoming(now, days = 7) {
+  const end = now + days * 24 * 60 * 60 * 1000;
+  let events = [];
+  for (const key of ['econ:api:cache', 'econ:cache:upcoming']) {
+    try {
+      const raw = await kv.get(key);
+      const parsed = raw ? (typeof raw === 'string' ? JSON.parse(raw) : raw) : null;
+      const list = parsed?.events || parsed?.items;
+      if (Array.isArray(list) && list.length) {
+        events = list;
+        break;
+      }
+    } catch (err) {
+      console.error('[CACHE ERROR]', key, err.message);
+    }
+  }
+  events = [...events, ...(await manual.fetchEvents(now, end))];
+
+  const byKey = new Map();
+  for (const ev of events) {
+    const ts = ev.ts ?? Date.parse(ev.date);
+    if (!Number.isFinite(ts) || ts < now || ts > end) continue;
+    const key = eventKey(ev);
+    byKey.set(key, byKey.has(key) ? mergeEvent(byKey.get(key), ev) : { ...ev, ts });
+  }
+  return Array.from(byKey.values()).sort((a, b) => a.ts - b.ts);
+}
+
+module.exports = {
+  ADAPTERS,
+  DEFAULT_CHAIN,
+  getChain,
+  fetchProviderEvents,
+  cacheRefresh,
+  quotaStatus,
+  loadUpcoming,
+  fetchManual: manual.fetchEvents
+};
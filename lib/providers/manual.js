@@ -0,0 +1,49 @@
+// lib/providers/manual.js - Manual schedule adapter (econ:manual ZSET)
+// Manual events are an overlay merged on top of whichever provider answered,
+// not part of the fallback chain.
+
+'use strict';
+
+const { kv } = require('../storage');
+
+const name = 'manual';
+
+function isConfigured() {
+  return true;
+}
+
+async function fetchEvents(fromMs, toMs) {
+  try {
+    let raw = await kv.zrange('econ:manual', 0, -1);
+    if (!raw || !raw.length) {
+      raw = await kv.zrange('econ:manual', 0, 99999);
+    }
+    if (!raw || !raw.length) {
+      try {
+        raw = await kv.zrange('econ:manual', '-inf', '+inf', { byScore: true });
+      } catch {}
+    }
+
+    const parsed = (raw || [])
+      .map(s => {
+        try {
+          const o = typeof s === 'string' ? JSON.parse(s) : s;
+          o.ts = Date.parse(o.date);
+          o.provider = name;
+          return Number.isFinite(o.ts) ? o : null;
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .filter(e => e.ts >= fromMs && e.ts <= toMs);
+    
+    console.log(`[MANUAL] Fetched ${parsed.length} manual events`);
+    return parsed;
+  } catch (err) {
+    console.error('[ERROR] Manual fetch failed:', err.message);
+    return [];
+  }
+}
+
+module.exports = { name, isConfigured, fetchEvents };
@@ -0,0 +1,29 @@
+// lib/providers/normalize.js - Helpers for mapping provider fields onto the
+// shared event shape ({ country, event, date, actual, forecast, previous,
+// importance, impact, provider })
+
+'use strict';
+
+// Finnhub and FMP report ISO country codes, Trading Economics full names;
+// every adapter stores the canonical display name (lib/canonical.js)
+const { countryName } = require('../canonical');
+
+/**
+ * 3.2 + "%" → "3.2%"; null/empty stays null
+ */
+function withUnit(v, unit) {
+  if (v === null || v === undefined || v === '') return null;
+  return `${v}${unit || ''}`;
+}
+
+/**
+ * "High" / "medium" / "low" → 3 / 2 / 1, the Trading Economics scale
+ */
+function importanceFromImpact(impact) {
+  const v = String(impact || '').toLowerCase();
+  if (v === 'high') return 3;
+  if (v === 'medium') return 2;
+  return 1;
+}
+
+module.exports = { countryName, withUnit, importanceFromImpact };
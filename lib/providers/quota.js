@@ -0,0 +1,213 @@
+// lib/providers/quota.js - Provider call budgets and global spacing
+// Every provider HTTP call is counted in KV per UTC month and day
+// (econ:quota:<provider>:m:<YYYY-MM>, …:d:<YYYY-MM-DD>), so the count
+// survives cold starts and is shared by concurrent invocations. Spacing
+// between calls is a KV slot (econ:quota:<provider>:slot, SET NX PX), so it
+// holds across invocations too.
+//
+// Each adapter declares its free-tier `limits` ({ monthly, daily,
+// minInterval }); QUOTA_<PROVIDER>_MONTHLY / QUOTA_<PROVIDER>_DAILY override
+// them (0 = unlimited). refreshInterval() spreads what is left of the budget
+// over the rest of the period and tells cron how old econ:api:cache may get.
+
+'use strict';
+
+const { kv } = require('../storage');
+
+const PREFIX = 'econ:quota:';
+const MONTH_EXPIRY = 40 * 24 * 60 * 60;
+const DAY_EXPIRY = 3 * 24 * 60 * 60;
+// Longest wait for another invocation's spacing slot before giving up
+const MAX_SLOT_WAIT_MS = 15000;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+// Cache refresh interval for providers without a call budget
+const UNLIMITED_INTERVAL = HOUR;
+// Share of the budget for cache refreshes; the rest is left for release
+// follow-ups and the history sweep
+const REFRESH_SHARE = 0.6;
+const MIN_INTERVAL = 10 * MINUTE;
+const MAX_INTERVAL = 12 * HOUR;
+// "Hot": a high-impact event released in the last 30 min or due within the hour
+const HOT_BEFORE = 60 * MINUTE;
+const HOT_AFTER = 30 * MINUTE;
+// "Quiet": no high-impact event in the next 6 hours
+const QUIET_AHEAD = 6 * HOUR;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function monthKey(provider, now) {
+  return `${PREFIX}${provider}:m:${new Date(now).toISOString().slice(0, 7)}`;
+}
+
+function dayKey(provider, now) {
+  return `${PREFIX}${provider}:d:${new Date(now).toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Adapter limits with env overrides applied
+ */
+function effectiveLimits(provider, limits = {}) {
+  const env = name => {
+    const v = process.env[`QUOTA_${provider.toUpperCase()}_${name}`];
+    return v === undefined || v === '' ? undefined : Number(v) || null;
+  };
+  const monthly = env('MONTHLY');
+  const daily = env('DAILY');
+  return {
+    monthly: monthly !== undefined ? monthly : limits.monthly || null,
+    daily: daily !== undefined ? daily : limits.daily || null,
+    minInterval: limits.minInterval || 0
+  };
+}
+
+/**
+ * Count one call against a provider's month and day
+ */
+async function countCall(provider, now = Date.now()) {
+  try {
+    const m = monthKey(provider, now);
+    const d = dayKey(provider, now);
+    if ((await kv.incr(m)) === 1) await kv.expire(m, MONTH_EXPIRY);
+    if ((await kv.incr(d)) === 1) await kv.expire(d, DAY_EXPIRY);
+  } catch (err) {
+    console.error('[QUOTA ERROR]', err.message);
+  }
+}
+
+/**
+ * Wait for this provider's global spacing slot. Returns false when another
+ * invocation kept it busy for longer than MAX_SLOT_WAIT_MS.
+ */
+async function acquireSlot(provider, minInterval) {
+  if (!minInterval) return true;
+  const deadline = Date.now() + MAX_SLOT_WAIT_MS;
+  for (;;) {
+    try {
+      if ((await kv.set(`${PREFIX}${provider}:slot`, '1', { nx: true, px: minInterval })) !== null) return true;
+    } catch (err) {
+      // KV trouble should not stop alerts; fall back to no spacing
+      console.error('[QUOTA ERROR]', err.message);
+      return true;
+    }
+    if (Date.now() > deadline) return false;
+    await sleep(Math.min(250, minInterval));
+  }
+}
+
+/**
+ * Calls used and left for a provider.
+ *
+ * @returns {Promise<{ provider: string, month: number, day: number, monthly: number|null, daily: number|null, remaining: number|null, exhausted: boolean, underPace: boolean, pace: number|null }>}
+ *   `remaining` is the tighter of the month and day budgets (null = unlimited);
+ *   `underPace` means no more of the month's budget is used than of the month
+ *   itself; `pace` is the ms between calls that would use exactly the rest
+ */
+async function usage(provider, limits, now = Date.now()) {
+  const lim = effectiveLimits(provider, limits);
+  const [m, d] = await Promise.all([
+    kv.get(monthKey(provider, now)).catch(() => 0),
+    kv.get(dayKey(provider, now)).catch(() => 0)
+  ]);
+  const month = Number(m) || 0;
+  const day = Number(d) || 0;
+
+  const date = new Date(now);
+  const monthStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  const monthEnd = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  const dayEnd = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+
+  const left = [];
+  const paces = [];
+  if (lim.monthly) {
+    const r = Math.max(0, lim.monthly - month);
+    left.push(r);
+    paces.push(r ? (monthEnd - now) / r : Infinity);
+  }
+  if (lim.daily) {
+    const r = Math.max(0, lim.daily - day);
+    left.push(r);
+    paces.push(r ? (dayEnd - now) / r : Infinity);
+  }
+  const remaining = left.length ? Math.min(...left) : null;
+  return {
+    provider,
+    month,
+    day,
+    monthly: lim.monthly,
+    daily: lim.daily,
+    remaining,
+    exhausted: remaining === 0,
+    underPace: !lim.monthly || month <= lim.monthly * (now - monthStart) / (monthEnd - monthStart),
+    pace: paces.length ? Math.max(...paces) : null
+  };
+}
+
+/**
+ * Whether a provider may be called. 'normal' calls spend until the budget
+ * is gone; 'spare' calls (history sweep, backfill) only while the month is
+ * under pace, so they never eat into what alerts need.
+ */
+async function hasBudget(provider, limits, { spend = 'normal', now = Date.now() } = {}) {
+  try {
+    const u = await usage(provider, limits, now);
+    if (u.exhausted) return false;
+    return spend === 'spare' ? u.underPace : true;
+  } catch (err) {
+    console.error('[QUOTA ERROR]', err.message);
+    return true;
+  }
+}
+
+function isHigh(ev) {
+  return Number(ev.importance) === 3 || String(ev.impact || '').toLowerCase() === 'high';
+}
+
+/**
+ * How old econ:api:cache may get before cron refreshes it.
+ *
+ * The interval is the budget pace of the first provider in the chain that
+ * can still be called, stretched so refreshes use REFRESH_SHARE of it; a
+ * quarter of that around high-impact releases, double when quiet.
+ * `mode` is 'cache_only' when no configured provider has budget left.
+ *
+ * @param {Array<{ name: string, limits: object, isConfigured: () => boolean }>} adapters - the chain
+ * @param {object[]} events - cached events, for spotting high-impact releases
+ * @returns {Promise<{ ms: number, mode: 'hot'|'normal'|'quiet'|'cache_only', provider: string|null, remaining: number|null }>}
+ */
+async function refreshInterval(adapters, events, now = Date.now()) {
+  let chosen = null;
+  for (const a of adapters) {
+    if (!a.isConfigured()) continue;
+    const u = await usage(a.name, a.limits, now);
+    if (!u.exhausted) {
+      chosen = u;
+      break;
+    }
+  }
+  if (!chosen) return { ms: Infinity, mode: 'cache_only', provider: null, remaining: 0 };
+
+  const base = chosen.pace === null ? UNLIMITED_INTERVAL : chosen.pace / REFRESH_SHARE;
+  const high = (events || []).filter(isHigh).map(e => e.ts ?? Date.parse(e.date));
+  let mode = 'normal';
+  let ms = base;
+  if (high.some(ts => ts >= now - HOT_AFTER && ts <= now + HOT_BEFORE)) {
+    mode = 'hot';
+    ms = base / 4;
+  } else if (!high.some(ts => ts >= now && ts <= now + QUIET_AHEAD)) {
+    mode = 'quiet';
+    ms = base * 2;
+  }
+  ms = Math.round(Math.min(MAX_INTERVAL, Math.max(MIN_INTERVAL, ms)));
+  return { ms, mode, provider: chosen.provider, remaining: chosen.remaining };
+}
+
+module.exports = {
+  effectiveLimits,
+  countCall,
+  acquireSlot,
+  usage,
+  hasBudget,
+  refreshInterval
+};
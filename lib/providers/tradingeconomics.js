@@ -0,0 +1,82 @@
+// lib/providers/tradingeconomics.js - Trading Economics calendar adapter
+// FREE TIER LIMITS: 500 calls/month, rate limit unknown (using 3s spacing)
+
+'use strict';
+
+const { rateLimitedFetch, isoDay, utcDate } = require('./http');
+const { countryName } = require('./normalize');
+
+const name = 'tradingeconomics';
+const MIN_API_INTERVAL = 3000; // 3 seconds between calls
+// Free-tier budget, tracked by lib/providers/quota.js
+const limits = { monthly: 500, minInterval: MIN_API_INTERVAL };
+
+function isConfigured() {
+  return !!process.env.TRADING_ECONOMICS_API_KEY;
+}
+
+function mapImportance(importance) {
+  if (importance === 3) return 'high';
+  if (importance === 2) return 'medium';
+  return 'low';
+}
+
+/**
+ * Fetch events from Trading Economics
+ * Returns normalized events, or null when the call failed
+ */
+async function fetchEvents(fromMs, toMs) {
+  const key = process.env.TRADING_ECONOMICS_API_KEY;
+  if (!key) {
+    console.log('[WARN] No TRADING_ECONOMICS_API_KEY found');
+    return null;
+  }
+
+  const url = `https://api.tradingeconomics.com/calendar?c=${key}&d1=${isoDay(fromMs)}&d2=${isoDay(toMs)}&f=json`;
+
+  try {
+    const res = await rateLimitedFetch(name, url, { minInterval: MIN_API_INTERVAL });
+    console.log('[API] Trading Economics response:', res.status);
+    
+    if (!res.ok) {
+      const errText = await res.text();
+      console.error('[ERROR] Trading Economics API:', res.status, errText);
+      return null;
+    }
+    
+    const events = await res.json();
+    console.log(`[API] Fetched ${events.length} raw events from Trading Economics`);
+    
+    // Log all countries found for debugging
+    const countriesFound = [...new Set(events.map(e => e.Country))];
+    console.log('[API] Countries in response:', countriesFound.join(', '));
+    
+    // Accept ALL countries (no filter at fetch stage)
+    const normalized = events
+      .map(e => ({
+        country: countryName(e.Country),
+        event: e.Event || 'Unknown Event',
+        date: utcDate(e.Date),
+        actual: e.Actual || null,
+        forecast: e.Forecast || e.TEForecast || null,
+        previous: e.Previous || null,
+        importance: e.Importance,
+        impact: mapImportance(e.Importance),
+        provider: name
+      }))
+      .filter(e => e.date);
+    
+    console.log(`[API] Normalized ${normalized.length} events (no country filter)`);
+    if (normalized.length > 0) {
+      console.log('[API] Sample events:', normalized.slice(0, 3).map(e => 
+        `${e.country}: ${e.event} @ ${e.date} [IMP:${e.importance} F:${e.forecast} P:${e.previous}]`
+      ));
+    }
+    return normalized;
+  } catch (err) {
+    console.error('[ERROR] Trading Economics fetch failed:', err.message);
+    return null;
+  }
+}
+
+module.exports = { name, limits, isConfigured, fetchEvents, mapImportance };
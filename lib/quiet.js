@@ -0,0 +1,205 @@
+// lib/quiet.js - Per-chat quiet hours
+// A chat may set a local-time window (prefs.quiet = { from, to }, e.g.
+// 23:00–07:00, crossing midnight) and what happens to alerts due inside it
+// (prefs.quietMode):
+//   silent - sent as usual with disable_notification (the default)
+//   drop   - not sent at all
+//   bundle - queued in econ:quiet:<chat> and sent as one catch-up message
+//            on the first cron run after the window ends
+// The same applies to schedule-change notices and release replies; edits of
+// an alert already sent make no sound and go through.
+// Chats with a queue are listed in econ:quiet:pending so cron does not have
+// to check every chat each run.
+
+'use strict';
+
+const { kv } = require('./storage');
+const { localParts, formatDateTime } = require('./time');
+const { t, countryFlag, countryLabel, eventLabel } = require('./i18n');
+const { parseClock } = require('./digest');
+const { deliver } = require('./telegram');
+const { chatTarget } = require('./destinations');
+
+const QUEUE_PREFIX = 'econ:quiet:';
+const PENDING_KEY = 'econ:quiet:pending';
+// A window is under a day long, so a queue never needs to outlive one
+const QUEUE_EXPIRY = 24 * 60 * 60;
+const MAX_LINES = 20;
+
+const QUIET_MODES = ['silent', 'drop', 'bundle'];
+const DEFAULT_QUIET_MODE = 'silent';
+
+function clockMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * "23:00-07:00" / "23:00 07:00" → { from: '23:00', to: '07:00' }, or null
+ */
+function parseQuietWindow(arg) {
+  const [a, b] = String(arg || '').trim().split(/\s*[-–]\s*|\s+/);
+  const from = parseClock(a);
+  const to = parseClock(b);
+  if (!from || !to || from === to) return null;
+  return { from, to };
+}
+
+/**
+ * Clean stored quiet-hours settings; an invalid window means "off"
+ */
+function normalizeQuiet(p) {
+  const from = parseClock(p?.quiet?.from);
+  const to = parseClock(p?.quiet?.to);
+  return {
+    quiet: from && to && from !== to ? { from, to } : null,
+    quietMode: QUIET_MODES.includes(p?.quietMode) ? p.quietMode : DEFAULT_QUIET_MODE
+  };
+}
+
+function describeQuiet(prefs, lang) {
+  if (!prefs.quiet) return t(lang, 'digest.off');
+  return `${prefs.quiet.from}–${prefs.quiet.to} (${t(lang, `quiet.${prefs.quietMode}`)})`;
+}
+
+/**
+ * Whether `now` falls in the chat's quiet window, in its own timezone
+ */
+function inQuietHours(prefs, now = Date.now()) {
+  if (!prefs.quiet) return false;
+  const { minutes } = localParts(now, prefs.tz);
+  const from = clockMinutes(prefs.quiet.from);
+  const to = clockMinutes(prefs.quiet.to);
+  return from < to
+    ? minutes >= from && minutes < to
+    : minutes >= from || minutes < to;
+}
+
+/**
+ * What to do with a message due for a chat now: null outside its quiet
+ * hours, else its quiet mode ('silent', 'drop' or 'bundle')
+ */
+function quietAction(prefs, now = Date.now()) {
+  return inQuietHours(prefs, now) ? prefs.quietMode || DEFAULT_QUIET_MODE : null;
+}
+
+/**
+ * Keep an alert for a chat's catch-up message. `change` is the lib/changes.js
+ * type for a schedule-change notice; a released event keeps its actual.
+ */
+async function queueAlert(chatId, ev, stage, change = null) {
+  const key = QUEUE_PREFIX + chatId;
+  await kv.rpush(key, JSON.stringify({
+    country: ev.country,
+    event: ev.event,
+    ts: ev.ts ?? Date.parse(ev.date),
+    forecast: ev.forecast ?? null,
+    previous: ev.previous ?? null,
+    actual: ev.actual ?? null,
+    stage,
+    change
+  }));
+  await kv.expire(key, QUEUE_EXPIRY);
+  await kv.sadd(PENDING_KEY, String(chatId));
+}
+
+/**
+ * One catch-up message for everything queued; an event queued at several
+ * reminder stages is listed once, as its latest news (change, actual)
+ */
+function catchUpText(items, { tz, lang }) {
+  const byEvent = new Map();
+  for (const item of items) byEvent.set(`${item.country}|${item.event}|${item.ts}`, item);
+  const events = [...byEvent.values()].sort((a, b) => a.ts - b.ts);
+  const shown = events.slice(0, MAX_LINES);
+  const lines = [`🌅 *${t(lang, 'quiet.catchUpTitle')}*`, ''];
+  for (const ev of shown) {
+    const figure = ev.actual !== null && ev.actual !== undefined
+      ? ` · ${t(lang, 'field.actual')}: *${ev.actual}*`
+      : ev.forecast ? ` · ${t(lang, 'field.forecast')}: ${ev.forecast}` : '';
+    const change = ev.change ? ` · ${t(lang, `change.${ev.change}`)}` : '';
+    lines.push(`${countryFlag(ev.country)} *${countryLabel(ev.country, lang)}*: ${eventLabel(ev.event, lang)}`);
+    lines.push(`   ⏰ ${formatDateTime(ev.ts, tz)}${figure}${change}`);
+  }
+  if (events.length > shown.length) lines.push('', `… +${events.length - shown.length}`);
+  return lines.join('\n');
+}
+
+function parse(raw) {
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send catch-up messages to chats whose quiet hours have ended.
+ *
+ * @param {object} o
+ * @param {number} o.now
+ * @param {boolean} o.dry - report only, no Telegram calls or KV writes
+ * @param {string} o.token - bot token
+ * @param {Array<{ chatId: string, prefs: object }>} o.recipients - chat or destination IDs
+ */
+async function processCatchUps({ now, dry, token, recipients }) {
+  const summary = { sent: 0, failed: 0, dropped: 0 };
+  const pending = ((await kv.smembers(PENDING_KEY)) || []).map(String);
+  if (!pending.length) return summary;
+  const byChat = new Map(recipients.map(r => [r.chatId, r]));
+
+  const jobs = [];
+  for (const chatId of pending) {
+    const r = byChat.get(chatId);
+    // Unsubscribed meanwhile: nothing to send
+    if (!r) {
+      summary.dropped++;
+      if (!dry) {
+        await kv.del(QUEUE_PREFIX + chatId);
+        await kv.srem(PENDING_KEY, chatId);
+      }
+      continue;
+    }
+    if (inQuietHours(r.prefs, now)) continue;
+    const items = ((await kv.lrange(QUEUE_PREFIX + chatId, 0, -1)) || []).map(parse).filter(Boolean);
+    if (!items.length) {
+      if (!dry) await kv.srem(PENDING_KEY, chatId);
+      continue;
+    }
+    jobs.push({ chatId, text: catchUpText(items, r.prefs) });
+  }
+  if (!jobs.length) return summary;
+
+  if (dry) {
+    summary.sent = jobs.length;
+    console.log('[QUIET] Would send catch-ups:', jobs.map(j => j.chatId));
+    return summary;
+  }
+
+  const results = await deliver(token, jobs.map(job => ({
+    ...chatTarget(job.chatId),
+    text: job.text,
+    parse_mode: 'Markdown'
+  })));
+  for (let i = 0; i < jobs.length; i++) {
+    // A chat that is gone was removed by deliver(); either way the queue is done
+    if (results[i].ok || results[i].removed) {
+      await kv.del(QUEUE_PREFIX + jobs[i].chatId);
+      await kv.srem(PENDING_KEY, jobs[i].chatId);
+    }
+    if (results[i].ok) summary.sent++;
+    else summary.failed++;
+  }
+  return summary;
+}
+
+module.exports = {
+  QUIET_MODES,
+  parseQuietWindow,
+  normalizeQuiet,
+  describeQuiet,
+  inQuietHours,
+  quietAction,
+  queueAlert,
+  processCatchUps
+};
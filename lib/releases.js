@@ -0,0 +1,340 @@
+// lib/releases.js - Post-release "actual vs forecast" follow-ups
+// When cron sends a pre-release alert it records the event and each chat's
+// Telegram message_id. Once the release time passes, later cron runs re-poll
+// the provider until `actual` appears, then edit the original alert (or reply
+// to it) with the print, the surprise against forecast and the change from
+// previous. Each print is also archived in lib/history.js.
+// Polls spend only budget the month is ahead on. When that asks no provider
+// (usage over pace), one poll per NORMAL_POLL_MS may use the normal budget,
+// and events are only given up on after a run that did poll, so a follow-up
+// comes late rather than never.
+// Edits make no sound and go through in quiet hours; a reply inside a chat's
+// quiet hours is sent silently, dropped or bundled into the catch-up message
+// (lib/quiet.js).
+
+'use strict';
+
+const { kv } = require('./storage');
+const { toMsg, eventKey, canonicalKey } = require('./alerts');
+const { DEFAULT_TZ, localParts } = require('./time');
+const { DEFAULT_LANG, t, countryFlag, countryLabel, eventLabel } = require('./i18n');
+const { deliver } = require('./telegram');
+const { chatTarget } = require('./destinations');
+const { recordReleases } = require('./history');
+const { affectedPairs } = require('./instruments');
+const { quietAction, queueAlert } = require('./quiet');
+
+const TRACK_KEY = 'econ:track';             // ZSET: event key, score = release ts
+const TRACK_EVENTS_KEY = 'econ:track:events'; // HASH: event key → event JSON
+const MSGS_PREFIX = 'econ:msgs:';           // HASH per event: chat/destination ID → message_id
+const NORMAL_POLL_KEY = 'econ:track:polled'; // STRING: last normal-budget poll (PX = NORMAL_POLL_MS)
+
+const MSGS_EXPIRY = 48 * 60 * 60;
+// Stop polling for an actual this long after the scheduled time
+const GIVE_UP_MS = 3 * 60 * 60 * 1000;
+// Normal-budget polls when spare budget is not enough
+const NORMAL_POLL_MS = 15 * 60 * 1000;
+
+function parse(raw) {
+  if (!raw) return null;
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remember an alerted event and the message each chat received
+ */
+async function trackAlert(ev, messageIds) {
+  const key = eventKey(ev);
+  const ts = ev.ts ?? Date.parse(ev.date);
+  await kv.zadd(TRACK_KEY, { score: ts, member: key });
+  await kv.hset(TRACK_EVENTS_KEY, {
+    [key]: JSON.stringify({
+      key,
+      country: ev.country,
+      event: ev.event,
+      date: new Date(ts).toISOString(),
+      forecast: ev.forecast ?? null,
+      previous: ev.previous ?? null,
+      importance: ev.importance ?? null
+    })
+  });
+  if (Object.keys(messageIds).length) {
+    await kv.hset(MSGS_PREFIX + key, messageIds);
+    await kv.expire(MSGS_PREFIX + key, MSGS_EXPIRY);
+  }
+}
+
+async function untrack(key) {
+  await kv.zrem(TRACK_KEY, key);
+  await kv.hdel(TRACK_EVENTS_KEY, key);
+  await kv.del(MSGS_PREFIX + key);
+}
+
+/**
+ * Chat/destination ID → message_id of the alerts sent for an event
+ */
+async function alertMessages(key) {
+  return (await kv.hgetall(MSGS_PREFIX + key)) || {};
+}
+
+/**
+ * Move a tracked event to its new time (lib/changes.js), keeping the alert
+ * message IDs so the release follow-up still edits them
+ */
+async function retrack(oldKey, ev) {
+  const msgs = await alertMessages(oldKey);
+  const wasTracked = (await kv.hget(TRACK_EVENTS_KEY, oldKey)) !== null;
+  await untrack(oldKey);
+  if (wasTracked || Object.keys(msgs).length) await trackAlert(ev, msgs);
+}
+
+/**
+ * Re-key events tracked before event keys were canonical (lib/canonical.js)
+ * so their follow-ups still match the provider's events. A one-off per
+ * deployment: later runs find nothing to move.
+ *
+ * @returns {Promise<number>} how many events were moved
+ */
+async function migrateTracking() {
+  const keys = (await kv.zrange(TRACK_KEY, 0, -1)) || [];
+  const stale = keys.filter(k => canonicalKey(k) !== k);
+  if (!stale.length) return 0;
+
+  const meta = (await kv.hgetall(TRACK_EVENTS_KEY)) || {};
+  for (const oldKey of stale) {
+    const ev = parse(meta[oldKey]);
+    const msgs = await alertMessages(oldKey);
+    await untrack(oldKey);
+    if (ev) await trackAlert(ev, msgs);
+  }
+  console.log(`[RELEASE] Moved ${stale.length} tracked events to canonical keys`);
+  return stale.length;
+}
+
+/**
+ * "3.2%" → { value: 3.2, unit: '%', decimals: 1 }. Returns null for
+ * values that are not a single figure.
+ */
+function parseFigure(v) {
+  if (v === null || v === undefined) return null;
+  const m = String(v).replace(/,/g, '').match(/(-?\d+(?:\.(\d+))?)\s*([%KMBT]?)/i);
+  if (!m) return null;
+  return { value: Number(m[1]), decimals: (m[2] || '').length, unit: (m[3] || '').toUpperCase() };
+}
+
+function signed(n, decimals, unit) {
+  const s = Math.abs(n).toFixed(decimals);
+  return `${n > 0 ? '+' : n < 0 ? '-' : '±'}${s}${unit}`;
+}
+
+/**
+ * Compare actual with forecast and previous. `surprise` is 'beat' when the
+ * actual prints above forecast, 'miss' when below, 'inline' when equal.
+ */
+function compareRelease(ev) {
+  const actual = parseFigure(ev.actual);
+  const out = { surprise: null, vsForecast: null, vsPrevious: null };
+  if (!actual) return out;
+
+  const forecast = parseFigure(ev.forecast);
+  if (forecast && forecast.unit === actual.unit) {
+    const decimals = Math.max(actual.decimals, forecast.decimals);
+    const diff = Number((actual.value - forecast.value).toFixed(decimals));
+    out.surprise = diff > 0 ? 'beat' : diff < 0 ? 'miss' : 'inline';
+    out.vsForecast = signed(diff, decimals, actual.unit);
+  }
+
+  const previous = parseFigure(ev.previous);
+  if (previous && previous.unit === actual.unit) {
+    const decimals = Math.max(actual.decimals, previous.decimals);
+    const diff = Number((actual.value - previous.value).toFixed(decimals));
+    out.vsPrevious = signed(diff, decimals, actual.unit);
+  }
+  return out;
+}
+
+const SURPRISE_ICONS = { beat: '▲', miss: '▼', inline: '=' };
+
+function releaseText(ev, lang = DEFAULT_LANG) {
+  const cmp = compareRelease(ev);
+  const lines = [`✅ *${t(lang, 'release.title')}* | ${t(lang, 'field.actual')}: *${ev.actual}*`];
+  if (ev.forecast) {
+    const label = cmp.surprise
+      ? `: ${SURPRISE_ICONS[cmp.surprise]} ${t(lang, `release.${cmp.surprise}`)} (${cmp.vsForecast})`
+      : '';
+    lines.push(`🎯 ${t(lang, 'release.vsForecast')} ${ev.forecast}${label}`);
+  }
+  if (ev.previous) {
+    lines.push(`↕️ ${t(lang, 'release.vsPrevious')} ${ev.previous}${cmp.vsPrevious ? `: ${cmp.vsPrevious}` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Beat/miss table for /econ_history: one line per release, newest first,
+ * "date: actual / forecast / previous ▲ +0.1%"
+ */
+function historyText(series, releases, tz = DEFAULT_TZ, lang = DEFAULT_LANG) {
+  const tally = { beat: 0, miss: 0, inline: 0 };
+  const lines = releases.map(r => {
+    const cmp = compareRelease(r);
+    if (cmp.surprise) tally[cmp.surprise]++;
+    const surprise = cmp.surprise ? ` ${SURPRISE_ICONS[cmp.surprise]} ${cmp.vsForecast}` : '';
+    return `• ${localParts(r.ts, tz).date}: *${r.actual}* / ${r.forecast ?? '—'} / ${r.previous ?? '—'}${surprise}`;
+  });
+  const summary = ['beat', 'miss', 'inline']
+    .map(s => `${SURPRISE_ICONS[s]} ${t(lang, `release.${s}`)} ${tally[s]}`)
+    .join(' · ');
+  return [
+    `📜 ${countryFlag(series.country)} *${countryLabel(series.country, lang)}* — ${eventLabel(series.indicator, lang)}`,
+    t(lang, 'history.title', { count: releases.length }),
+    summary,
+    '',
+    ...lines,
+    '',
+    `_${t(lang, 'field.actual')} / ${t(lang, 'field.forecast')} / ${t(lang, 'field.previous')}_`
+  ].join('\n');
+}
+
+/**
+ * Check tracked events whose release time has passed.
+ *
+ * @param {object} o
+ * @param {number} o.now
+ * @param {boolean} o.dry - report only, no Telegram calls or KV writes
+ * @param {string} o.token - bot token
+ * @param {Map} o.prefsMap - chat ID → prefs (timezone and language when re-rendering)
+ * @param {'edit'|'send'} o.mode - edit the original alert or reply to it
+ * @param {(fromMs: number, toMs: number, spend: 'normal'|'spare') => Promise<{ events: object[], polled: boolean }>} o.fetchLatest
+ *   `polled` is false when every provider was skipped for its budget
+ */
+async function processReleases({ now, dry, token, prefsMap, mode = 'edit', fetchLatest }) {
+  const summary = {
+    due: 0, released: 0, expired: 0, updated: 0, polled: false,
+    quiet: { silent: 0, dropped: 0, queued: 0 }
+  };
+
+  if (!dry) await migrateTracking();
+  const dueKeys = (await kv.zrange(TRACK_KEY, 0, now, { byScore: true })) || [];
+  if (!dueKeys.length) return summary;
+
+  const meta = (await kv.hgetall(TRACK_EVENTS_KEY)) || {};
+  const tracked = [];
+  for (const key of dueKeys) {
+    const ev = parse(meta[key]);
+    if (ev) tracked.push({ ...ev, ts: Date.parse(ev.date) });
+    else if (!dry) await untrack(key);
+  }
+  summary.due = tracked.length;
+  if (!tracked.length) return summary;
+
+  // One provider call covering every due event
+  const fromMs = Math.min(...tracked.map(t => t.ts));
+  let latest = await fetchLatest(fromMs, now, 'spare');
+  if (!latest.polled && !dry &&
+      (await kv.set(NORMAL_POLL_KEY, String(now), { nx: true, px: NORMAL_POLL_MS })) !== null) {
+    console.log('[RELEASE] No spare budget, polling with the normal budget');
+    latest = await fetchLatest(fromMs, now, 'normal');
+  }
+  summary.polled = latest.polled;
+  const fresh = latest.events || [];
+  const latestByKey = new Map(fresh.map(e => [eventKey(e), e]));
+  console.log(`[RELEASE] ${tracked.length} due, ${fresh.length} fresh events from provider`);
+
+  for (const t of tracked) {
+    const latest = latestByKey.get(t.key);
+    const hasActual = latest && latest.actual !== null && latest.actual !== undefined && latest.actual !== '';
+
+    if (!hasActual) {
+      // Not asked this run: keep waiting for budget
+      if (summary.polled && now - t.ts > GIVE_UP_MS) {
+        console.log(`[RELEASE] Giving up on ${t.key} (no actual after ${GIVE_UP_MS / 60000} min)`);
+        summary.expired++;
+        if (!dry) await untrack(t.key);
+      }
+      continue;
+    }
+
+    const ev = {
+      ...t,
+      actual: latest.actual,
+      forecast: latest.forecast ?? t.forecast,
+      previous: latest.previous ?? t.previous
+    };
+    summary.released++;
+    console.log(`[RELEASE] ${t.key}: actual ${ev.actual} (F: ${ev.forecast}, P: ${ev.previous})`);
+    if (dry) continue;
+
+    try {
+      await recordReleases([ev]);
+    } catch (err) {
+      console.error('[HISTORY ERROR]', err.message);
+    }
+
+    const msgs = (await kv.hgetall(MSGS_PREFIX + t.key)) || {};
+    const entries = Object.entries(msgs);
+    const prefsOf = chatId => prefsMap.get(String(chatId)) || { tz: DEFAULT_TZ, lang: DEFAULT_LANG, instruments: [] };
+
+    let edited = [];
+    if (mode === 'edit') {
+      edited = await deliver(token, entries.map(([chatId, messageId]) => ({
+        chat_id: chatTarget(chatId).chat_id,
+        message_id: Number(messageId),
+        text: `${toMsg(ev, prefsOf(chatId).tz, prefsOf(chatId).lang, null, affectedPairs(ev, prefsOf(chatId).instruments))}\n\n${releaseText(ev, prefsOf(chatId).lang)}`,
+        parse_mode: 'Markdown'
+      })), { method: 'editMessageText' });
+    }
+
+    // Reply instead when editing is off or was not possible; replies follow
+    // quiet hours
+    const replyTo = [];
+    for (const [i, [chatId, messageId]] of entries.entries()) {
+      if (edited[i] && (edited[i].ok || edited[i].removed)) continue;
+      const action = quietAction(prefsOf(chatId), now);
+      if (action === 'drop') {
+        summary.quiet.dropped++;
+      } else if (action === 'bundle') {
+        try {
+          await queueAlert(chatId, ev, null);
+          summary.quiet.queued++;
+        } catch (err) {
+          console.error('[QUIET ERROR]', err.message);
+        }
+      } else {
+        if (action) summary.quiet.silent++;
+        replyTo.push([chatId, messageId, !!action]);
+      }
+    }
+    const replied = await deliver(token, replyTo.map(([chatId, messageId, silent]) => ({
+      ...chatTarget(chatId),
+      text: releaseText(ev, prefsOf(chatId).lang),
+      parse_mode: 'Markdown',
+      reply_to_message_id: Number(messageId),
+      allow_sending_without_reply: true,
+      ...(silent ? { disable_notification: true } : {})
+    })));
+
+    summary.updated += edited.filter(r => r.ok).length + replied.filter(r => r.ok).length;
+
+    await untrack(t.key);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  TRACK_KEY,
+  trackAlert,
+  untrack,
+  retrack,
+  alertMessages,
+  parseFigure,
+  compareRelease,
+  releaseText,
+  historyText,
+  processReleases
+};
@@ -0,0 +1,96 @@
+// lib/reminders.js - Multi-stage reminders
+// Each subscriber picks the offsets (minutes before release) at which they
+// want to be pinged, e.g. [60, 15, 0] = one hour before, 15 minutes before
+// and at release. Every stage has its own dedupe key so an event can be
+// alerted more than once.
+
+'use strict';
+
+const { durationLabel } = require('./i18n');
+
+const DEFAULT_REMINDERS = Object.freeze([60, 15, 0]);
+const MAX_REMINDERS = 4;
+const MAX_OFFSET_MIN = 24 * 60;
+
+// The cron runs every 5 minutes; a stage fires on the last run before its
+// offset so "at release" arrives just before the print, not after it
+const LEAD_MIN = 5;
+
+/**
+ * Clean a stored reminder list: whole minutes, 0..1440, unique, largest first
+ */
+function normalizeReminders(list) {
+  if (!Array.isArray(list)) return null;
+  const out = [...new Set(list.map(Number))]
+    .filter(n => Number.isInteger(n) && n >= 0 && n <= MAX_OFFSET_MIN)
+    .sort((a, b) => b - a)
+    .slice(0, MAX_REMINDERS);
+  return out.length ? out : null;
+}
+
+/**
+ * "60m 15m now", "1h, 15, 0" → [60, 15, 0]. Returns null on any bad token.
+ */
+function parseReminders(arg) {
+  const tokens = String(arg || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+  if (!tokens.length) return null;
+  const offsets = [];
+  for (const token of tokens) {
+    if (token === 'now' || token === 'release') {
+      offsets.push(0);
+      continue;
+    }
+    const m = token.match(/^(\d+)(m|min|h)?$/);
+    if (!m) return null;
+    offsets.push(m[2] === 'h' ? Number(m[1]) * 60 : Number(m[1]));
+  }
+  if (offsets.some(n => n > MAX_OFFSET_MIN)) return null;
+  return normalizeReminders(offsets);
+}
+
+/**
+ * The stage to send now for an event `minutesUntil` away, or null.
+ * Only the smallest due offset is returned: a chat that first sees an event
+ * 10 minutes out gets the 15m reminder, not the 60m one as well.
+ */
+function dueStage(reminders, minutesUntil) {
+  const due = reminders.filter(o => minutesUntil <= o + LEAD_MIN);
+  return due.length ? Math.min(...due) : null;
+}
+
+/**
+ * Dedupe set for one stage of an event: the chat/destination IDs already
+ * sent it (econ:sent:<event key>|<offset>m:chats)
+ */
+function stageKey(eventKey, offset) {
+  return `econ:sent:${eventKey}|${offset}m:chats`;
+}
+
+/**
+ * Whole-stage marker written before markers were per chat
+ * (econ:sent:<event key>|<offset>m). Still honoured as "sent to everyone"
+ * until it expires.
+ */
+function stageMarkerKey(eventKey, offset) {
+  return `econ:sent:${eventKey}|${offset}m`;
+}
+
+/**
+ * "1 h, 15 min, at release" in the chat's language
+ */
+function describeReminders(list, lang) {
+  if (lang !== 'en' && lang !== 'ar') return `${describeReminders(list, 'en')} | ${describeReminders(list, 'ar')}`;
+  return list.map(o => durationLabel(o, lang)).join(', ');
+}
+
+module.exports = {
+  DEFAULT_REMINDERS,
+  MAX_REMINDERS,
+  LEAD_MIN,
+  normalizeReminders,
+  parseReminders,
+  dueStage,
+  stageKey,
+  stageMarkerKey,
+  describeReminders
+};
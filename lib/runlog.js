@@ -0,0 +1,242 @@
+// lib/runlog.js - Cron run log and health
+// Each live /api/cron run's summary is pushed to econ:runs (LIST, newest
+// first, capped), and econ:health (STRING JSON) keeps the running state:
+// last run, last success, the run failure streak and, per provider, its
+// failure streak. A provider can fail for days while the fallback chain
+// hides it, so provider streaks alert on their own.
+//
+// Admins (lib/admin.js) get a Telegram message when a streak reaches its
+// threshold, a reminder every ALERT_REPEAT_MS while it lasts, and a note
+// once it recovers. api/econ/debug.js reports healthStatus().
+
+'use strict';
+
+const { kv } = require('./storage');
+const { deliver } = require('./telegram');
+const { listAdmins } = require('./admin');
+const { getPrefs } = require('./prefs');
+const { t } = require('./i18n');
+
+const RUNS_KEY = 'econ:runs';
+const HEALTH_KEY = 'econ:health';
+
+const MAX_RUNS = 300;       // about a day of 5-minute runs
+const RUN_FAIL_ALERT = 3;
+const PROVIDER_FAIL_ALERT = 3;
+const ALERT_REPEAT_MS = 6 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A run is unhealthy if nothing succeeded for this long (cron runs every 5 min)
+const STALE_MS = 30 * 60 * 1000;
+
+function parse(raw) {
+  if (!raw) return null;
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a run counts as failed: it crashed, or every provider it tried
+ * failed (an empty calendar is a valid answer, a skipped one is unconfigured).
+ * Providers skipped for their call budget mean a cache-only run, not a failure.
+ */
+function runFailed(run) {
+  if (!run.ok) return true;
+  const attempts = run.provider_attempts || [];
+  if (attempts.some(a => a.reason === 'quota')) {
+    return attempts.some(a => a.status === 'failed') &&
+      !attempts.some(a => a.status === 'ok' || a.status === 'empty');
+  }
+  const tried = attempts.filter(a => a.status !== 'skipped');
+  return attempts.length > 0 && !tried.some(a => a.status === 'ok' || a.status === 'empty');
+}
+
+async function getHealth() {
+  return parse(await kv.get(HEALTH_KEY)) || {
+    lastRunAt: null,
+    lastSuccessAt: null,
+    failureStreak: 0,
+    lastError: null,
+    alertedAt: null,
+    providers: {}
+  };
+}
+
+async function notifyAdmins(token, key, vars) {
+  const admins = await listAdmins();
+  if (!admins.length || !token) return 0;
+  const payloads = [];
+  for (const chatId of admins) {
+    const { lang } = await getPrefs(chatId);
+    payloads.push({ chat_id: chatId, text: `🩺 ${t(lang, key, vars)}` });
+  }
+  const results = await deliver(token, payloads, { removeGone: false });
+  return results.filter(r => r.ok).length;
+}
+
+/**
+ * Streak bookkeeping for one tracked thing (the run itself or a provider).
+ * Returns the alert to send, if any, and updates `state` in place.
+ */
+function checkStreak(state, failed, threshold, now) {
+  if (!failed) {
+    const recovered = !!state.alertedAt;
+    state.failureStreak = 0;
+    state.alertedAt = null;
+    return recovered ? 'recovered' : null;
+  }
+  state.failureStreak = (state.failureStreak || 0) + 1;
+  if (state.failureStreak < threshold) return null;
+  if (state.alertedAt && now - state.alertedAt < ALERT_REPEAT_MS) return null;
+  state.alertedAt = now;
+  return 'failing';
+}
+
+/**
+ * Store one cron run and alert admins on failure streaks.
+ *
+ * @param {object} summary - the cron response body (ok, provider,
+ *   provider_attempts, events_total, sent, failed, error, …)
+ * @param {object} o
+ * @param {string} o.token - bot token for admin alerts
+ * @param {string[]} [o.errors] - non-fatal errors caught during the run
+ * @returns {Promise<object>} the updated health state
+ */
+async function recordRun(summary, { token, errors = [], now = Date.now() } = {}) {
+  const run = {
+    at: now,
+    ok: summary.ok !== false,
+    duration_ms: summary.duration_ms ?? null,
+    provider: summary.provider ?? null,
+    provider_attempts: summary.provider_attempts || [],
+    events_total: summary.events_total ?? 0,
+    events_after_filters: summary.events_after_filters ?? 0,
+    sent: summary.sent ?? 0,
+    failed: summary.failed ?? 0,
+    removed: summary.removed ?? 0,
+    error: summary.error ?? null,
+    errors: errors.slice(0, 10)
+  };
+  run.failed_run = runFailed(run);
+
+  await kv.lpush(RUNS_KEY, JSON.stringify(run));
+  await kv.ltrim(RUNS_KEY, 0, MAX_RUNS - 1);
+
+  const health = await getHealth();
+  health.lastRunAt = now;
+  if (!run.failed_run) health.lastSuccessAt = now;
+  else health.lastError = run.error || attemptsError(run.provider_attempts) || 'unknown';
+
+  const alerts = [];
+  const runAlert = checkStreak(health, run.failed_run, RUN_FAIL_ALERT, now);
+  if (runAlert === 'failing') {
+    alerts.push(['health.runFailing', { count: health.failureStreak, error: health.lastError }]);
+  } else if (runAlert === 'recovered') {
+    alerts.push(['health.recovered', {}]);
+  }
+
+  for (const a of run.provider_attempts) {
+    if (a.status === 'skipped') continue;
+    const p = health.providers[a.name] || { failureStreak: 0, alertedAt: null, lastOkAt: null, lastFailureAt: null };
+    const failed = a.status === 'failed';
+    if (failed) p.lastFailureAt = now;
+    else p.lastOkAt = now;
+    p.lastStatus = a.status;
+    const providerAlert = checkStreak(p, failed, PROVIDER_FAIL_ALERT, now);
+    if (providerAlert === 'failing') {
+      alerts.push(['health.providerFailing', { name: a.name, count: p.failureStreak }]);
+    } else if (providerAlert === 'recovered') {
+      alerts.push(['health.providerRecovered', { name: a.name }]);
+    }
+    health.providers[a.name] = p;
+  }
+
+  await kv.set(HEALTH_KEY, JSON.stringify(health));
+
+  for (const [key, vars] of alerts) {
+    try {
+      const n = await notifyAdmins(token, key, vars);
+      console.log(`[HEALTH] ${key} ${JSON.stringify(vars)} → ${n} admin(s)`);
+    } catch (err) {
+      console.error('[HEALTH ERROR]', err.message);
+    }
+  }
+  return health;
+}
+
+function attemptsError(attempts) {
+  const failed = (attempts || []).filter(a => a.status === 'failed').map(a => a.name);
+  if (failed.length) return `providers failed: ${failed.join(', ')}`;
+  if ((attempts || []).length && attempts.every(a => a.status === 'skipped')) {
+    return attempts.some(a => a.reason === 'quota') ? 'provider budgets spent' : 'no provider configured';
+  }
+  return null;
+}
+
+/**
+ * Latest runs, newest first
+ */
+async function recentRuns(limit = 20) {
+  const raw = (await kv.lrange(RUNS_KEY, 0, limit - 1)) || [];
+  return raw.map(parse).filter(Boolean);
+}
+
+/**
+ * Health summary for api/econ/debug.js
+ */
+async function healthStatus({ now = Date.now(), runs: runLimit = 10 } = {}) {
+  const health = await getHealth();
+  const runs = await recentRuns(MAX_RUNS);
+  const lastDay = runs.filter(r => now - r.at <= DAY_MS);
+  const sent = lastDay.reduce((n, r) => n + (r.sent || 0), 0);
+  const failed = lastDay.reduce((n, r) => n + (r.failed || 0), 0);
+
+  const cache = parse(await kv.get('econ:api:cache').catch(() => null));
+  const [subs, dests] = await Promise.all([
+    kv.scard('econ:subs').catch(() => null),
+    kv.hlen('econ:dests').catch(() => null)
+  ]);
+
+  const iso = ts => (ts ? new Date(ts).toISOString() : null);
+  const providers = {};
+  for (const [name, p] of Object.entries(health.providers || {})) {
+    providers[name] = {
+      last_status: p.lastStatus || null,
+      failure_streak: p.failureStreak || 0,
+      last_ok_at: iso(p.lastOkAt),
+      last_failure_at: iso(p.lastFailureAt)
+    };
+  }
+
+  const stale = !health.lastSuccessAt || now - health.lastSuccessAt > STALE_MS;
+  return {
+    healthy: !stale && health.failureStreak < RUN_FAIL_ALERT &&
+      !Object.values(providers).some(p => p.failure_streak >= PROVIDER_FAIL_ALERT),
+    last_run_at: iso(health.lastRunAt),
+    last_success_at: iso(health.lastSuccessAt),
+    failure_streak: health.failureStreak || 0,
+    last_error: health.lastError,
+    providers,
+    cache_age_s: cache?.at ? Math.round((now - cache.at) / 1000) : null,
+    cache_providers: cache?.providers || null,
+    subscribers: subs,
+    destinations: dests,
+    runs_24h: lastDay.length,
+    failed_runs_24h: lastDay.filter(r => r.failed_run).length,
+    sent_24h: sent,
+    send_failed_24h: failed,
+    send_failure_rate_24h: sent + failed ? Number((failed / (sent + failed)).toFixed(4)) : 0,
+    recent_runs: runs.slice(0, runLimit)
+  };
+}
+
+module.exports = {
+  RUNS_KEY,
+  HEALTH_KEY,
+  runFailed,
+  recordRun,
+  recentRuns,
+  healthStatus
+};
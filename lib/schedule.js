@@ -0,0 +1,237 @@
+// lib/schedule.js - Manual event schedule (econ:manual ZSET, score = ts)
+// Storage and validation behind the admin endpoints (api/econ/admin/*).
+// The read side for alerts is lib/providers/manual.js.
+//
+// Every entry carries a stable `id`, derived from its country|event|minute
+// key when first stored and kept across edits. Adding an event whose key
+// already exists replaces that entry instead of piling up a duplicate.
+
+'use strict';
+
+const { kv } = require('./storage');
+const { eventKey, eventHash } = require('./alerts');
+const { countryName } = require('./canonical');
+
+const MANUAL_KEY = 'econ:manual';
+// Entries older than this are pruned on every write
+const KEEP_PAST_MS = 90 * 24 * 3600 * 1000;
+
+const FIELDS = ['country', 'event', 'date', 'forecast', 'previous', 'actual', 'importance'];
+const IMPORTANCE = { high: 3, medium: 2, low: 1 };
+
+function manualId(ev) {
+  return ev.id || `m${eventHash(ev)}`;
+}
+
+function optional(v) {
+  return v === undefined || v === null || String(v).trim() === '' ? null : String(v).trim();
+}
+
+/**
+ * Check one event and return its stored shape.
+ *
+ * @returns {{ ok: true, event: object } | { ok: false, error: string }}
+ */
+function validateManualEvent(raw) {
+  if (!raw || typeof raw !== 'object') return { ok: false, error: 'not_an_object' };
+  const country = optional(raw.country);
+  const event = optional(raw.event);
+  if (!country) return { ok: false, error: 'country_required' };
+  if (!event) return { ok: false, error: 'event_required' };
+  if (!optional(raw.date)) return { ok: false, error: 'date_required' };
+  const ts = Date.parse(raw.date);
+  if (!Number.isFinite(ts)) return { ok: false, error: `invalid_date: ${raw.date}` };
+
+  let importance = null;
+  if (optional(raw.importance)) {
+    const v = String(raw.importance).trim().toLowerCase();
+    importance = IMPORTANCE[v] || (['1', '2', '3'].includes(v) ? Number(v) : null);
+    if (!importance) return { ok: false, error: `invalid_importance: ${raw.importance}` };
+  }
+
+  return {
+    ok: true,
+    event: {
+      ...(raw.id ? { id: String(raw.id) } : {}),
+      // "US", "USD", "usa" → "United States"; unknown names are kept as typed
+      country: countryName(country),
+      event,
+      date: new Date(ts).toISOString(),
+      forecast: optional(raw.forecast),
+      previous: optional(raw.previous),
+      actual: optional(raw.actual),
+      importance
+    }
+  };
+}
+
+/**
+ * Every stored entry with its raw ZSET member (needed for ZREM)
+ */
+async function loadAll() {
+  const raw = (await kv.zrange(MANUAL_KEY, 0, -1)) || [];
+  const out = [];
+  for (const m of raw) {
+    try {
+      const member = typeof m === 'string' ? m : JSON.stringify(m);
+      const ev = typeof m === 'string' ? JSON.parse(m) : m;
+      out.push({ member, event: { ...ev, id: manualId(ev) }, stored: true });
+    } catch {}
+  }
+  return out;
+}
+
+/**
+ * Manual events between two timestamps (inclusive), ordered by date
+ */
+async function listManual({ from = -Infinity, to = Infinity } = {}) {
+  return (await loadAll())
+    .map(e => e.event)
+    .filter(ev => {
+      const ts = Date.parse(ev.date);
+      return ts >= from && ts <= to;
+    })
+    .sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+}
+
+async function prune() {
+  await kv.zremrangebyscore(MANUAL_KEY, 0, Date.now() - KEEP_PAST_MS);
+}
+
+/**
+ * Insert or replace validated events. An event replaces the stored entry
+ * with the same id, or else the one with the same country|event|minute key.
+ * With `dry` nothing is written, for import previews.
+ *
+ * @returns {Promise<{ created: string[], updated: string[] }>} ids
+ */
+async function upsertManual(events, { dry = false } = {}) {
+  const stored = await loadAll();
+  const byId = new Map(stored.map(s => [s.event.id, s]));
+  const byKey = new Map(stored.map(s => [eventKey(s.event), s]));
+
+  const created = new Set();
+  const updated = new Set();
+  const remove = [];
+  // id → new entry; a later row for the same event wins
+  const add = new Map();
+  for (const ev of events) {
+    const existing = (ev.id && byId.get(ev.id)) || byKey.get(eventKey(ev));
+    // Ids in the input only address existing entries; new ones get a key id
+    const id = existing ? existing.event.id : manualId({ ...ev, id: undefined });
+    const next = { ...ev, id };
+    if (existing?.stored) {
+      remove.push(existing.member);
+      updated.add(id);
+    } else if (!existing) {
+      created.add(id);
+    }
+    const entry = { member: JSON.stringify(next), event: next, stored: false };
+    byId.set(id, entry);
+    byKey.set(eventKey(next), entry);
+    add.set(id, { score: Date.parse(next.date), member: entry.member });
+  }
+
+  if (dry) return { created: [...created], updated: [...updated] };
+
+  await prune();
+  if (remove.length) await kv.zrem(MANUAL_KEY, ...remove);
+  if (add.size) await kv.zadd(MANUAL_KEY, ...add.values());
+  return { created: [...created], updated: [...updated] };
+}
+
+/**
+ * Apply a partial change to one entry. Returns the new event, null when the
+ * id is unknown, or { error } when the result does not validate.
+ */
+async function updateManual(id, patch) {
+  const existing = (await loadAll()).find(s => s.event.id === id);
+  if (!existing) return null;
+
+  const merged = { ...existing.event };
+  for (const f of FIELDS) {
+    if (patch[f] !== undefined) merged[f] = patch[f];
+  }
+  const check = validateManualEvent(merged);
+  if (!check.ok) return { error: check.error };
+
+  const next = { ...check.event, id };
+  await kv.zrem(MANUAL_KEY, existing.member);
+  await kv.zadd(MANUAL_KEY, { score: Date.parse(next.date), member: JSON.stringify(next) });
+  return next;
+}
+
+async function deleteManual(id) {
+  const existing = (await loadAll()).find(s => s.event.id === id);
+  if (!existing) return false;
+  await kv.zrem(MANUAL_KEY, existing.member);
+  return true;
+}
+
+/**
+ * Minimal RFC 4180 CSV reader: quoted fields, "" escapes, CRLF or LF.
+ * The first row is the header; returns one object per data row with its
+ * row number in `_row` (the header is row 1).
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows;
+  const cols = header.map(h => h.trim().toLowerCase());
+  return data
+    .map((cells, i) => ({ cells, line: i + 2 }))
+    .filter(({ cells }) => cells.some(c => c.trim() !== ''))
+    .map(({ cells, line }) => {
+      const obj = { _row: line };
+      cols.forEach((col, j) => {
+        if (col) obj[col] = cells[j];
+      });
+      return obj;
+    });
+}
+
+module.exports = {
+  MANUAL_KEY,
+  manualId,
+  validateManualEvent,
+  listManual,
+  upsertManual,
+  updateManual,
+  deleteManual,
+  parseCsv
+};
@@ -0,0 +1,36 @@
+// lib/storage/file.js - MemoryStore persisted to a JSON file (Node only)
+// For local runs that should keep subscribers, prefs and dedupe markers
+// between processes. The whole store is rewritten after each change, which
+// is fine for the few hundred keys a dev or test instance holds.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore } = require('./memory');
+
+const DEFAULT_FILE = '.data/kv.json';
+
+function createFileStore(file = process.env.STORAGE_FILE || DEFAULT_FILE) {
+  const target = path.resolve(file);
+  let data = {};
+  try {
+    data = JSON.parse(fs.readFileSync(target, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('[STORAGE] Could not read', target, err.message);
+  }
+
+  return MemoryStore.fromJSON(data, {
+    onChange(store) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      // Write then rename so a crash never leaves half a file
+      const tmp = `${target}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(store.toJSON()));
+      fs.renameSync(tmp, target);
+    }
+  });
+}
+
+module.exports = {
+  createFileStore
+};
@@ -0,0 +1,99 @@
+// lib/storage/index.js - Storage backend selection
+// Every handler and lib module imports `kv` from here instead of
+// @vercel/kv. The backend comes from STORAGE_BACKEND:
+//
+//   vercel – Vercel KV / Upstash (KV_REST_API_URL, KV_REST_API_TOKEN)
+//   memory – in-process store, empty on every start (tests)
+//   file   – in-process store saved to STORAGE_FILE (default .data/kv.json)
+//
+// The file backend needs fs, so it is not imported here: this module is part
+// of the edge handlers' bundles. Node handlers require lib/storage/node.js,
+// which registers it.
+//
+// Without STORAGE_BACKEND, Vercel KV is used when KV_REST_API_URL is set.
+// Anything else is a configuration error, not a silent fall back to memory:
+// a deploy missing its KV env would otherwise lose every subscriber, pref and
+// dedupe marker on each cold start. The backend is picked on first use, so
+// tests can set the env after requiring a handler.
+
+'use strict';
+
+const { MemoryStore } = require('./memory');
+
+const BACKENDS = ['vercel', 'memory', 'file'];
+
+let backend = null;
+// Backends registered by runtime-specific entry points (lib/storage/node.js)
+const factories = {};
+
+/**
+ * Make a backend available to STORAGE_BACKEND, e.g. `file` for Node handlers
+ */
+function registerBackend(name, create) {
+  factories[name] = create;
+}
+
+function backendName() {
+  const name = (process.env.STORAGE_BACKEND || '').trim().toLowerCase();
+  if (BACKENDS.includes(name)) return name;
+  if (name) throw new Error(`[STORAGE] Unknown STORAGE_BACKEND "${name}" (expected ${BACKENDS.join(', ')})`);
+  if (process.env.KV_REST_API_URL) return 'vercel';
+  throw new Error('[STORAGE] No storage configured: set KV_REST_API_URL/KV_REST_API_TOKEN, or STORAGE_BACKEND=memory|file for local runs and tests');
+}
+
+function getStore() {
+  if (backend) return backend;
+  let name;
+  try {
+    name = backendName();
+  } catch (err) {
+    console.error(err.message);
+    throw err;
+  }
+  if (name === 'vercel') {
+    backend = require('@vercel/kv').kv;
+  } else if (name === 'file') {
+    if (!factories.file) {
+      const err = new Error('[STORAGE] The file backend is only available to Node handlers (lib/storage/node.js), not edge ones');
+      console.error(err.message);
+      throw err;
+    }
+    backend = factories.file();
+  } else {
+    backend = new MemoryStore();
+  }
+  console.log(`[STORAGE] Using ${name} backend`);
+  return backend;
+}
+
+/**
+ * Swap the backend, e.g. a fresh MemoryStore per test. Pass null to go back
+ * to the env selection on next use.
+ */
+function setStore(store) {
+  backend = store;
+}
+
+// Same call surface as @vercel/kv's `kv`: kv.get(...), kv.zrange(...), ...
+const kv = new Proxy({}, {
+  get(_, prop) {
+    let store;
+    try {
+      store = getStore();
+    } catch (err) {
+      // Misconfigured: every call rejects, like a KV outage would
+      return async () => { throw err; };
+    }
+    const value = store[prop];
+    return typeof value === 'function' ? value.bind(store) : value;
+  }
+});
+
+module.exports = {
+  kv,
+  backendName,
+  getStore,
+  setStore,
+  registerBackend,
+  MemoryStore
+};
@@ -0,0 +1,445 @@
+// lib/storage/memory.js - In-process store with Vercel KV (Upstash) semantics
+// Implements the subset of Redis the handlers use: strings with EX/PX/NX,
+// sets, hashes, lists and sorted sets, with TTL expiry and score ranges.
+//
+// Values are stored serialized and parsed on read, the way @vercel/kv does
+// it: set('k', { a: 1 }) reads back as an object, set('k', '1') as the
+// number 1. Code that runs here therefore sees the same shapes as in
+// production.
+//
+// `onChange` is called after every write; lib/storage/file.js uses it to
+// persist a snapshot.
+
+'use strict';
+
+class WrongTypeError extends Error {
+  constructor() {
+    super('WRONGTYPE Operation against a key holding the wrong kind of value');
+    this.name = 'WrongTypeError';
+  }
+}
+
+function encode(v) {
+  return typeof v === 'string' ? v : JSON.stringify(v);
+}
+
+function decode(s) {
+  if (s === null || s === undefined) return null;
+  try {
+    return JSON.parse(s);
+  } catch {
+    return s;
+  }
+}
+
+// '-inf' / '+inf' / '(5' (exclusive) / 5 → { value, exclusive }
+function scoreBound(v) {
+  if (v === '-inf') return { value: -Infinity, exclusive: false };
+  if (v === '+inf' || v === 'inf') return { value: Infinity, exclusive: false };
+  const s = String(v);
+  if (s.startsWith('(')) return { value: Number(s.slice(1)), exclusive: true };
+  return { value: Number(s), exclusive: false };
+}
+
+function inBounds(score, min, max) {
+  const lo = min.exclusive ? score > min.value : score >= min.value;
+  const hi = max.exclusive ? score < max.value : score <= max.value;
+  return lo && hi;
+}
+
+// Redis index ranges: negative indexes count from the end, stop is inclusive
+function sliceRange(list, start, stop) {
+  const n = list.length;
+  let a = Number(start);
+  let b = Number(stop);
+  if (a < 0) a = Math.max(n + a, 0);
+  if (b < 0) b = n + b;
+  if (a > b || a >= n) return [];
+  return list.slice(a, Math.min(b, n - 1) + 1);
+}
+
+// Glob subset used by KEYS/SCAN MATCH: * ? and [abc]
+function globToRegExp(pattern) {
+  const src = String(pattern).replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${src}$`);
+}
+
+class MemoryStore {
+  constructor({ data = {}, onChange = null } = {}) {
+    // key → { type: 'string'|'set'|'hash'|'list'|'zset', value, expiresAt }
+    this.data = new Map(Object.entries(data));
+    this.onChange = onChange;
+  }
+
+  // ---- internals ------------------------------------------------------------
+
+  entry(key, type) {
+    const e = this.data.get(key);
+    if (!e) return null;
+    if (e.expiresAt && e.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    if (type && e.type !== type) throw new WrongTypeError();
+    return e;
+  }
+
+  // Existing entry of `type`, or a new empty one
+  upsert(key, type, empty) {
+    const e = this.entry(key, type);
+    if (e) return e;
+    const created = { type, value: empty(), expiresAt: null };
+    this.data.set(key, created);
+    return created;
+  }
+
+  // Redis deletes a collection key once it is empty
+  prune(key, e) {
+    const size = e.type === 'hash' ? Object.keys(e.value).length : e.value.length ?? e.value.size;
+    if (!size) this.data.delete(key);
+  }
+
+  changed() {
+    if (this.onChange) this.onChange(this);
+  }
+
+  // Plain object for file snapshots, without expired keys
+  toJSON() {
+    const out = {};
+    for (const key of [...this.data.keys()]) {
+      const e = this.entry(key);
+      if (!e) continue;
+      out[key] = {
+        ...e,
+        value: e.type === 'set' ? [...e.value] : e.value
+      };
+    }
+    return out;
+  }
+
+  static fromJSON(obj, opts = {}) {
+    const store = new MemoryStore(opts);
+    for (const [key, e] of Object.entries(obj || {})) {
+      store.data.set(key, { ...e, value: e.type === 'set' ? new Set(e.value) : e.value });
+    }
+    return store;
+  }
+
+  // ---- keys -----------------------------------------------------------------
+
+  async del(...keys) {
+    let n = 0;
+    for (const k of keys) {
+      if (this.entry(k)) {
+        this.data.delete(k);
+        n++;
+      }
+    }
+    if (n) this.changed();
+    return n;
+  }
+
+  async exists(...keys) {
+    return keys.filter(k => this.entry(k)).length;
+  }
+
+  async expire(key, seconds) {
+    const e = this.entry(key);
+    if (!e) return 0;
+    e.expiresAt = Date.now() + Number(seconds) * 1000;
+    this.changed();
+    return 1;
+  }
+
+  async ttl(key) {
+    const e = this.entry(key);
+    if (!e) return -2;
+    if (!e.expiresAt) return -1;
+    return Math.ceil((e.expiresAt - Date.now()) / 1000);
+  }
+
+  async keys(pattern = '*') {
+    const re = globToRegExp(pattern);
+    return [...this.data.keys()].filter(k => this.entry(k) && re.test(k));
+  }
+
+  // Single-pass SCAN: every match in one page, cursor 0 when done
+  async scan(cursor, { match = '*' } = {}) {
+    return [0, await this.keys(match)];
+  }
+
+  async flushall() {
+    this.data.clear();
+    this.changed();
+    return 'OK';
+  }
+
+  // ---- strings --------------------------------------------------------------
+
+  async get(key) {
+    const e = this.entry(key, 'string');
+    return e ? decode(e.value) : null;
+  }
+
+  async set(key, value, { ex, px, nx, xx, keepTtl } = {}) {
+    const current = this.entry(key);
+    if (nx && current) return null;
+    if (xx && !current) return null;
+    let expiresAt = null;
+    if (ex) expiresAt = Date.now() + Number(ex) * 1000;
+    else if (px) expiresAt = Date.now() + Number(px);
+    else if (keepTtl && current) expiresAt = current.expiresAt;
+    this.data.set(key, { type: 'string', value: encode(value), expiresAt });
+    this.changed();
+    return 'OK';
+  }
+
+  async incrby(key, by) {
+    const e = this.upsert(key, 'string', () => '0');
+    const n = Number(e.value);
+    if (!Number.isInteger(n)) throw new Error('ERR value is not an integer or out of range');
+    e.value = String(n + Number(by));
+    this.changed();
+    return n + Number(by);
+  }
+
+  async incr(key) {
+    return this.incrby(key, 1);
+  }
+
+  async decr(key) {
+    return this.incrby(key, -1);
+  }
+
+  // ---- sets -----------------------------------------------------------------
+
+  async sadd(key, ...members) {
+    const e = this.upsert(key, 'set', () => new Set());
+    let n = 0;
+    for (const m of members) {
+      const v = encode(m);
+      if (!e.value.has(v)) {
+        e.value.add(v);
+        n++;
+      }
+    }
+    this.changed();
+    return n;
+  }
+
+  async srem(key, ...members) {
+    const e = this.entry(key, 'set');
+    if (!e) return 0;
+    let n = 0;
+    for (const m of members) if (e.value.delete(encode(m))) n++;
+    this.prune(key, e);
+    if (n) this.changed();
+    return n;
+  }
+
+  async smembers(key) {
+    const e = this.entry(key, 'set');
+    return e ? [...e.value].map(decode) : [];
+  }
+
+  async sismember(key, member) {
+    const e = this.entry(key, 'set');
+    return e && e.value.has(encode(member)) ? 1 : 0;
+  }
+
+  async scard(key) {
+    const e = this.entry(key, 'set');
+    return e ? e.value.size : 0;
+  }
+
+  // ---- hashes ---------------------------------------------------------------
+
+  async hset(key, fields) {
+    const e = this.upsert(key, 'hash', () => ({}));
+    let n = 0;
+    for (const [f, v] of Object.entries(fields)) {
+      if (!(f in e.value)) n++;
+      e.value[f] = encode(v);
+    }
+    this.changed();
+    return n;
+  }
+
+  async hget(key, field) {
+    const e = this.entry(key, 'hash');
+    return e && field in e.value ? decode(e.value[field]) : null;
+  }
+
+  async hgetall(key) {
+    const e = this.entry(key, 'hash');
+    if (!e) return null;
+    const out = {};
+    for (const [f, v] of Object.entries(e.value)) out[f] = decode(v);
+    return out;
+  }
+
+  async hdel(key, ...fields) {
+    const e = this.entry(key, 'hash');
+    if (!e) return 0;
+    let n = 0;
+    for (const f of fields) {
+      if (f in e.value) {
+        delete e.value[f];
+        n++;
+      }
+    }
+    this.prune(key, e);
+    if (n) this.changed();
+    return n;
+  }
+
+  async hlen(key) {
+    const e = this.entry(key, 'hash');
+    return e ? Object.keys(e.value).length : 0;
+  }
+
+  async hincrby(key, field, by) {
+    const e = this.upsert(key, 'hash', () => ({}));
+    const n = Number(e.value[field] || 0) + Number(by);
+    e.value[field] = String(n);
+    this.changed();
+    return n;
+  }
+
+  // ---- lists ----------------------------------------------------------------
+
+  async lpush(key, ...values) {
+    const e = this.upsert(key, 'list', () => []);
+    for (const v of values) e.value.unshift(encode(v));
+    this.changed();
+    return e.value.length;
+  }
+
+  async rpush(key, ...values) {
+    const e = this.upsert(key, 'list', () => []);
+    e.value.push(...values.map(encode));
+    this.changed();
+    return e.value.length;
+  }
+
+  async lrange(key, start, stop) {
+    const e = this.entry(key, 'list');
+    return e ? sliceRange(e.value, start, stop).map(decode) : [];
+  }
+
+  async ltrim(key, start, stop) {
+    const e = this.entry(key, 'list');
+    if (!e) return 'OK';
+    e.value = sliceRange(e.value, start, stop);
+    this.prune(key, e);
+    this.changed();
+    return 'OK';
+  }
+
+  async llen(key) {
+    const e = this.entry(key, 'list');
+    return e ? e.value.length : 0;
+  }
+
+  // ---- sorted sets ----------------------------------------------------------
+  // Stored as [{ score, member }] sorted by score, then member
+
+  /**
+   * zadd(key, { score, member }, ...) or zadd(key, { nx | xx | gt | lt | ch }, ...)
+   */
+  async zadd(key, ...args) {
+    const opts = args.length && !('score' in args[0]) ? args.shift() : {};
+    const e = this.upsert(key, 'zset', () => []);
+    let added = 0;
+    let changed = 0;
+    for (const { score, member } of args) {
+      const m = encode(member);
+      const s = Number(score);
+      const i = e.value.findIndex(x => x.member === m);
+      if (i >= 0) {
+        if (opts.nx) continue;
+        const old = e.value[i].score;
+        if ((opts.gt && s <= old) || (opts.lt && s >= old)) continue;
+        if (old !== s) {
+          e.value[i].score = s;
+          changed++;
+        }
+      } else {
+        if (opts.xx) continue;
+        e.value.push({ score: s, member: m });
+        added++;
+      }
+    }
+    e.value.sort((a, b) => a.score - b.score || (a.member < b.member ? -1 : a.member > b.member ? 1 : 0));
+    this.prune(key, e);
+    this.changed();
+    return opts.ch ? added + changed : added;
+  }
+
+  /**
+   * By index (default) or by score ({ byScore: true }), optionally reversed
+   * ({ rev: true }; with byScore, start is then the max), limited
+   * ({ offset, count }) and with scores ({ withScores: true } → flat
+   * [member, score, ...] as Upstash returns it).
+   */
+  async zrange(key, start, stop, { byScore, rev, offset, count, withScores } = {}) {
+    const e = this.entry(key, 'zset');
+    if (!e) return [];
+    let items;
+    if (byScore) {
+      const [min, max] = rev ? [stop, start] : [start, stop];
+      items = e.value.filter(x => inBounds(x.score, scoreBound(min), scoreBound(max)));
+      if (rev) items = items.reverse();
+    } else {
+      items = sliceRange(rev ? [...e.value].reverse() : e.value, start, stop);
+    }
+    if (offset !== undefined || count !== undefined) {
+      const from = Number(offset) || 0;
+      items = items.slice(from, count === undefined || count < 0 ? undefined : from + Number(count));
+    }
+    return withScores
+      ? items.flatMap(x => [decode(x.member), x.score])
+      : items.map(x => decode(x.member));
+  }
+
+  async zrem(key, ...members) {
+    const e = this.entry(key, 'zset');
+    if (!e) return 0;
+    const drop = new Set(members.map(encode));
+    const before = e.value.length;
+    e.value = e.value.filter(x => !drop.has(x.member));
+    const n = before - e.value.length;
+    this.prune(key, e);
+    if (n) this.changed();
+    return n;
+  }
+
+  async zremrangebyscore(key, min, max) {
+    const e = this.entry(key, 'zset');
+    if (!e) return 0;
+    const lo = scoreBound(min);
+    const hi = scoreBound(max);
+    const before = e.value.length;
+    e.value = e.value.filter(x => !inBounds(x.score, lo, hi));
+    const n = before - e.value.length;
+    this.prune(key, e);
+    if (n) this.changed();
+    return n;
+  }
+
+  async zscore(key, member) {
+    const e = this.entry(key, 'zset');
+    const hit = e && e.value.find(x => x.member === encode(member));
+    return hit ? hit.score : null;
+  }
+
+  async zcard(key) {
+    const e = this.entry(key, 'zset');
+    return e ? e.value.length : 0;
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  WrongTypeError
+};
@@ -0,0 +1,19 @@
+// lib/storage/node.js - lib/storage for Node-runtime handlers
+// Same exports as lib/storage, plus the file backend, which needs fs and so
+// must stay out of the edge handlers' import graph. Edge handlers import
+// lib/storage/index.js instead.
+
+'use strict';
+
+const { kv, backendName, getStore, setStore, registerBackend, MemoryStore } = require('./index');
+const { createFileStore } = require('./file');
+
+registerBackend('file', () => createFileStore());
+
+module.exports = {
+  kv,
+  backendName,
+  getStore,
+  setStore,
+  MemoryStore
+};
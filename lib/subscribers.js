@@ -0,0 +1,146 @@
+// lib/subscribers.js - Subscriber storage helpers
+// econ:subs (SET) holds chat IDs, econ:users (HASH) chat ID → user JSON
+// ({ username, lang, joinedAt }; older entries are a bare username string).
+// Chats that blocked the bot are moved to econ:inactive (HASH) so we know
+// why they disappeared. Groups and channels the bot was removed from are
+// dropped from the destinations registry (lib/destinations.js) instead.
+//
+// Used by the Voiceflow endpoints (api/econ/subscribe, unsubscribe) and the
+// /econ_on, /econ_off, /econ_status bot commands.
+
+'use strict';
+
+const { kv } = require('./storage');
+const { removeChatDestinations } = require('./destinations');
+
+const SUBS_KEY = 'econ:subs';
+const USERS_KEY = 'econ:users';
+const INACTIVE_KEY = 'econ:inactive';
+
+/**
+ * Validate a chat ID before storing it. Voiceflow sometimes sends the
+ * template text itself ("{user.id}") when a variable is not interpolated.
+ *
+ * @returns {{ ok: true, chatId: string } | { ok: false, error: string, received: string, hint?: string }}
+ */
+function validateChatId(chatId) {
+  const chatIdStr = String(chatId ?? '');
+  if (!chatIdStr) return { ok: false, error: 'chat_id required', received: chatIdStr };
+
+  // Reject template variables
+  if (chatIdStr.includes('{') || chatIdStr.includes('}') || chatIdStr.includes('user.')) {
+    return {
+      ok: false,
+      error: 'Invalid chat_id - template variable not interpolated',
+      received: chatIdStr,
+      hint: 'Check Voiceflow variable syntax'
+    };
+  }
+
+  // Validate it's a number
+  if (!/^\d+$/.test(chatIdStr)) {
+    return { ok: false, error: 'Invalid chat_id - must be numeric', received: chatIdStr };
+  }
+
+  return { ok: true, chatId: chatIdStr };
+}
+
+/**
+ * Read an econ:users entry in either the JSON or legacy string form
+ */
+function parseUser(raw) {
+  if (!raw) return null;
+  if (typeof raw === 'object') return raw;
+  try {
+    const o = JSON.parse(raw);
+    if (o && typeof o === 'object') return o;
+  } catch {}
+  return { username: String(raw) };
+}
+
+async function getUser(chatId) {
+  return parseUser(await kv.hget(USERS_KEY, String(chatId)));
+}
+
+async function isSubscribed(chatId) {
+  return !!(await kv.sismember(SUBS_KEY, String(chatId)));
+}
+
+/**
+ * Add (or refresh) a subscriber. Keeps the original join date on re-subscribe.
+ *
+ * @returns {Promise<{ chatId: string, created: boolean, subscribers: number }>}
+ */
+async function addSubscriber(chatId, { username, lang } = {}) {
+  const id = String(chatId);
+  const existing = await getUser(id);
+  const created = !(await isSubscribed(id));
+
+  await kv.sadd(SUBS_KEY, id);
+  await kv.hset(USERS_KEY, {
+    [id]: JSON.stringify({
+      username: username || existing?.username || 'unknown',
+      lang: lang || existing?.lang || null,
+      joinedAt: (!created && existing?.joinedAt) || new Date().toISOString()
+    })
+  });
+  await kv.hdel(INACTIVE_KEY, id);
+
+  const subscribers = await kv.scard(SUBS_KEY);
+  return { chatId: id, created, subscribers };
+}
+
+async function removeSubscriber(chatId) {
+  const id = String(chatId);
+  await kv.srem(SUBS_KEY, id);
+  await kv.hdel(USERS_KEY, id);
+}
+
+/**
+ * Drop a chat Telegram refuses to deliver to (blocked, deleted, kicked).
+ * Preferences are kept so a returning user gets their old profile back.
+ */
+async function markInactive(chatId, reason) {
+  const id = String(chatId);
+  if (!/^\d+$/.test(id)) {
+    const n = await removeChatDestinations(id);
+    console.log(`[DESTS] Removed ${n} destination(s) for ${id}: ${reason}`);
+    return;
+  }
+  await removeSubscriber(id);
+  await kv.hset(INACTIVE_KEY, {
+    [id]: JSON.stringify({ reason: String(reason || 'unknown'), at: new Date().toISOString() })
+  });
+  console.log(`[SUBS] Marked ${id} inactive: ${reason}`);
+}
+
+/**
+ * Counts and the most recent joins, for the admin /subs command
+ */
+async function subscriberStats({ recent = 5 } = {}) {
+  const [active, inactive, users] = await Promise.all([
+    kv.scard(SUBS_KEY),
+    kv.hlen(INACTIVE_KEY),
+    kv.hgetall(USERS_KEY)
+  ]);
+  const joins = Object.entries(users || {})
+    .map(([chatId, raw]) => ({ chatId, ...parseUser(raw) }))
+    .filter(u => u.joinedAt)
+    .sort((a, b) => String(b.joinedAt).localeCompare(String(a.joinedAt)))
+    .slice(0, recent);
+  return { active: active || 0, inactive: inactive || 0, recent: joins };
+}
+
+module.exports = {
+  SUBS_KEY,
+  USERS_KEY,
+  INACTIVE_KEY,
+  validateChatId,
+  parseUser,
+  getUser,
+  isSubscribed,
+  addSubscriber,
+  removeSubscriber,
+  markInactive,
+  subscriberStats
+};
@@ -0,0 +1,194 @@
+// lib/telegram.js - Telegram Bot API delivery queue
+// Shared by cron alerts, broadcasts, test alerts and release follow-ups.
+//
+//   - Throttles to Telegram's global limit (~30 msg/s; we stay at 25)
+//   - Honours retry_after on HTTP 429 and retries 5xx/network errors with
+//     exponential back-off
+//   - Chats that blocked the bot or no longer exist are marked inactive and
+//     removed from econ:subs (or econ:dests for groups and channels)
+//   - Returns one result per payload so callers can count and log properly
+
+'use strict';
+
+const { markInactive } = require('./subscribers');
+
+const PER_SECOND = 25;
+const CONCURRENCY = 5;
+const MAX_ATTEMPTS = 4;
+const BASE_BACKOFF_MS = 500;
+// Give up on a message rather than sleep longer than this on one 429
+const MAX_RETRY_AFTER_S = 30;
+
+// Telegram descriptions that mean the chat will never accept messages again
+const GONE_PATTERNS = [
+  /bot was blocked by the user/i,
+  /user is deactivated/i,
+  /chat not found/i,
+  /bot was kicked/i,
+  /bot is not a member/i,
+  /have no rights to send/i,
+  /group chat was (?:deleted|upgraded)/i
+];
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Bot API base URL; TELEGRAM_API_URL points local runs at a fake server
+ */
+function apiUrl(token, method) {
+  const base = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/$/, '');
+  return `${base}/bot${token}/${method}`;
+}
+
+/**
+ * Single Bot API call. Never throws; network errors come back as status 0.
+ *
+ * @returns {Promise<{ ok: boolean, status: number, result?: any, description?: string, retryAfter?: number }>}
+ */
+async function tgCall(token, method, body) {
+  try {
+    const res = await fetch(apiUrl(token, method), {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(10000)
+    });
+    const data = await res.json().catch(() => ({}));
+    return {
+      ok: res.ok && data.ok !== false,
+      status: res.status,
+      result: data.result,
+      description: data.description,
+      retryAfter: data.parameters?.retry_after
+    };
+  } catch (err) {
+    return { ok: false, status: 0, description: err.message };
+  }
+}
+
+function isGone(r) {
+  return (r.status === 403 || r.status === 400) &&
+    GONE_PATTERNS.some(p => p.test(r.description || ''));
+}
+
+/**
+ * Call with retries: 429 waits retry_after, 5xx/network back off.
+ * `queue` lets the caller throttle every attempt and pause the whole queue
+ * on 429, since Telegram's flood limit applies to the bot, not one chat.
+ */
+async function callWithRetry(token, method, body, queue = null) {
+  let last;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    if (queue) await queue.takeSlot();
+    last = await tgCall(token, method, body);
+    last.attempts = attempt;
+    if (last.ok) return last;
+
+    if (last.status === 429) {
+      const wait = Number(last.retryAfter) || 1;
+      if (wait > MAX_RETRY_AFTER_S) return last;
+      console.log(`[TG 429] Chat ${body.chat_id}: retry after ${wait}s`);
+      if (queue) queue.pause(wait * 1000);
+      else await sleep(wait * 1000);
+      continue;
+    }
+    if (last.status === 0 || last.status >= 500) {
+      await sleep(BASE_BACKOFF_MS * 2 ** (attempt - 1));
+      continue;
+    }
+    // Other 4xx will not succeed on retry
+    return last;
+  }
+  return last;
+}
+
+/**
+ * Deliver many payloads through one throttled queue.
+ *
+ * @param {string} token - bot token
+ * @param {object[]} payloads - Bot API bodies, each with chat_id
+ * @param {object} [o]
+ * @param {string} [o.method] - Bot API method (default sendMessage)
+ * @param {boolean} [o.removeGone] - mark blocked/missing chats inactive (default true)
+ * @returns {Promise<Array<{ chatId: string, ok: boolean, messageId?: number, error?: string, status: number, attempts: number, removed: boolean }>>}
+ */
+async function deliver(token, payloads, { method = 'sendMessage', removeGone = true } = {}) {
+  const results = new Array(payloads.length);
+  let next = 0;
+  // Start times of recent sends, for the per-second window
+  const window = [];
+  let pausedUntil = 0;
+
+  const queue = {
+    async takeSlot() {
+      for (;;) {
+        const now = Date.now();
+        if (now < pausedUntil) {
+          await sleep(pausedUntil - now);
+          continue;
+        }
+        while (window.length && now - window[0] >= 1000) window.shift();
+        if (window.length < PER_SECOND) {
+          window.push(now);
+          return;
+        }
+        await sleep(1000 - (now - window[0]));
+      }
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    }
+  };
+
+  async function worker() {
+    while (next < payloads.length) {
+      const i = next++;
+      const body = payloads[i];
+      const r = await callWithRetry(token, method, body, queue);
+      const out = {
+        chatId: String(body.chat_id),
+        ok: r.ok,
+        status: r.status,
+        attempts: r.attempts,
+        removed: false
+      };
+      if (r.ok) {
+        out.messageId = r.result?.message_id;
+      } else {
+        out.error = r.description || `HTTP ${r.status}`;
+        console.error(`[TG ERROR] Chat ${out.chatId}:`, r.status, out.error);
+        if (removeGone && isGone(r)) {
+          try {
+            await markInactive(out.chatId, out.error);
+            out.removed = true;
+          } catch (err) {
+            console.error('[SUBS ERROR]', err.message);
+          }
+        }
+      }
+      results[i] = out;
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(CONCURRENCY, payloads.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Counts for a result list, for handler responses
+ */
+function summarize(results) {
+  return {
+    sent: results.filter(r => r.ok).length,
+    failed: results.filter(r => !r.ok).length,
+    removed: results.filter(r => r.removed).length
+  };
+}
+
+module.exports = {
+  apiUrl,
+  tgCall,
+  deliver,
+  summarize
+};
@@ -0,0 +1,102 @@
+// lib/time.js - Timezone-aware date formatting for alerts and event lists
+// Every subscriber can pick an IANA zone (see /econ_tz); Dubai stays the default.
+
+'use strict';
+
+const DEFAULT_TZ = 'Asia/Dubai';
+
+// Intl.DateTimeFormat construction is not cheap; keep one per zone/style
+const formatters = new Map();
+
+function getFormatter(tz, style) {
+  const key = `${tz}|${style}`;
+  if (!formatters.has(key)) {
+    const opts = {
+      time: { hour: '2-digit', minute: '2-digit', timeZone: tz },
+      datetime: { dateStyle: 'medium', timeStyle: 'short', timeZone: tz },
+      day: { weekday: 'short', day: 'numeric', month: 'short', timeZone: tz },
+      parts: { year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: tz }
+    }[style];
+    formatters.set(key, new Intl.DateTimeFormat('en-GB', opts));
+  }
+  return formatters.get(key);
+}
+
+function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Canonical spelling of a zone ("europe/london" → "Europe/London"), or null
+ */
+function normalizeTimeZone(tz) {
+  if (!isValidTimeZone(tz)) return null;
+  return new Intl.DateTimeFormat('en-GB', { timeZone: tz }).resolvedOptions().timeZone;
+}
+
+/**
+ * Zone label for message text. Underscores become spaces so names like
+ * America/New_York don't break Telegram Markdown.
+ */
+function zoneLabel(tz) {
+  return String(tz).replace(/_/g, ' ');
+}
+
+/**
+ * "8 Oct 2025, 17:30 (Asia/Dubai)"
+ */
+function formatDateTime(ts, tz = DEFAULT_TZ) {
+  const zone = isValidTimeZone(tz) ? tz : DEFAULT_TZ;
+  return `${getFormatter(zone, 'datetime').format(new Date(ts))} (${zoneLabel(zone)})`;
+}
+
+/**
+ * "17:30 (Asia/Dubai)"
+ */
+function formatTime(ts, tz = DEFAULT_TZ) {
+  const zone = isValidTimeZone(tz) ? tz : DEFAULT_TZ;
+  return `${getFormatter(zone, 'time').format(new Date(ts))} (${zoneLabel(zone)})`;
+}
+
+/**
+ * "Mon 19 Oct", for day headings in digests
+ */
+function formatDay(ts, tz = DEFAULT_TZ) {
+  const zone = isValidTimeZone(tz) ? tz : DEFAULT_TZ;
+  return getFormatter(zone, 'day').format(new Date(ts));
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Wall-clock fields of `ts` in a zone: { date: 'YYYY-MM-DD', weekday: 0-6
+ * (Sunday = 0), minutes: minutes since local midnight }
+ */
+function localParts(ts, tz = DEFAULT_TZ) {
+  const zone = isValidTimeZone(tz) ? tz : DEFAULT_TZ;
+  const p = {};
+  for (const { type, value } of getFormatter(zone, 'parts').formatToParts(new Date(ts))) p[type] = value;
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    weekday: WEEKDAYS.indexOf(p.weekday),
+    minutes: Number(p.hour) * 60 + Number(p.minute)
+  };
+}
+
+module.exports = {
+  DEFAULT_TZ,
+  isValidTimeZone,
+  normalizeTimeZone,
+  zoneLabel,
+  formatDateTime,
+  formatTime,
+  formatDay,
+  WEEKDAYS,
+  localParts
+};
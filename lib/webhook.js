@@ -0,0 +1,96 @@
+// lib/webhook.js - Telegram webhook security and lifecycle
+// api/telegram.js checks each request against TELEGRAM_WEBHOOK_SECRET
+// (sent by Telegram in X-Telegram-Bot-Api-Secret-Token) and claims its
+// update_id so Telegram's retries run a command only once.
+// api/econ/admin/webhook.js registers, inspects and removes the webhook
+// with the same secret and update types.
+
+'use strict';
+
+const { kv } = require('./storage');
+const { tgCall } = require('./telegram');
+
+const UPDATE_PREFIX = 'econ:tg:update:'; // STRING per processed update_id
+// Telegram gives up redelivering after about a day
+const UPDATE_TTL = 24 * 60 * 60;
+
+// Update types api/telegram.js handles
+const ALLOWED_UPDATES = ['message', 'business_message', 'channel_post', 'my_chat_member', 'callback_query'];
+
+function webhookToken() {
+  return process.env.TG_BOT_TOKEN || process.env.LIIRAT_BOT_TOKEN;
+}
+
+// Constant-time string comparison (no node:crypto in the edge runtime)
+function safeEqual(a, b) {
+  const x = String(a);
+  const y = String(b);
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    diff |= (x.charCodeAt(i) || 0) ^ (y.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * Whether a request's X-Telegram-Bot-Api-Secret-Token header is valid.
+ * Without TELEGRAM_WEBHOOK_SECRET nothing passes: the update body (and so
+ * the chat ID admin commands are checked against) would be unauthenticated.
+ */
+function verifySecret(header) {
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!secret) return false;
+  return !!header && safeEqual(header, secret);
+}
+
+/**
+ * Mark an update as handled. Returns false when it was already claimed,
+ * i.e. the request is Telegram redelivering it.
+ */
+async function claimUpdate(updateId) {
+  if (updateId === undefined || updateId === null) return true;
+  try {
+    return (await kv.set(UPDATE_PREFIX + updateId, '1', { nx: true, ex: UPDATE_TTL })) !== null;
+  } catch (err) {
+    // Better to risk a duplicate reply than to drop the update
+    console.error('[WEBHOOK] Dedupe failed:', err.message);
+    return true;
+  }
+}
+
+/**
+ * Default webhook URL for this deployment
+ */
+function defaultWebhookUrl() {
+  const base = process.env.PUBLIC_BASE_URL ||
+    (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : '');
+  return base ? `${base.replace(/\/$/, '')}/api/telegram` : null;
+}
+
+async function setWebhook({ url = defaultWebhookUrl(), dropPending = false } = {}) {
+  return tgCall(webhookToken(), 'setWebhook', {
+    url,
+    allowed_updates: ALLOWED_UPDATES,
+    drop_pending_updates: dropPending,
+    secret_token: process.env.TELEGRAM_WEBHOOK_SECRET
+  });
+}
+
+async function getWebhookInfo() {
+  return tgCall(webhookToken(), 'getWebhookInfo', {});
+}
+
+async function deleteWebhook({ dropPending = false } = {}) {
+  return tgCall(webhookToken(), 'deleteWebhook', { drop_pending_updates: dropPending });
+}
+
+module.exports = {
+  ALLOWED_UPDATES,
+  webhookToken,
+  verifySecret,
+  claimUpdate,
+  defaultWebhookUrl,
+  setWebhook,
+  getWebhookInfo,
+  deleteWebhook
+};
@@ -0,0 +1,135 @@
+// test/admin.test.js - Admin commands in the bot (/admin_*, /broadcast,
+// /subs) against the fake Bot API, on the memory storage backend
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.TELEGRAM_WEBHOOK_SECRET = 'hook-secret';
+process.env.TG_BOT_TOKEN = 'test-token';
+process.env.ADMIN_CHAT_IDS = '42';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { setPrefs } = require('../lib/prefs');
+const { isAdmin, listAdmins, parseCompactEvent, parseBroadcastArgs } = require('../lib/admin');
+const { listManual } = require('../lib/schedule');
+const { listBroadcasts } = require('../lib/broadcasts');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+
+const ADMIN = 42;
+const USER = 7;
+
+let telegram;
+let webhook;
+let updateId = 0;
+
+// A private-chat command through the ESM edge handler
+async function command(chatId, text) {
+  const req = new Request('https://bot.example/api/telegram', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-telegram-bot-api-secret-token': 'hook-secret' },
+    body: JSON.stringify({
+      update_id: ++updateId,
+      message: { message_id: updateId, date: 0, chat: { id: chatId, type: 'private' }, from: { id: chatId }, text }
+    })
+  });
+  return webhook(req);
+}
+
+const replies = () => telegram.sent().map(m => m.text);
+
+// An event date `days` from now, in the compact "YYYY-MM-DD HH:MM" form
+function compactDate(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10) + ' 12:30';
+}
+
+before(async () => {
+  telegram = await startFakeTelegram();
+  webhook = (await import('../api/telegram.js')).default;
+});
+
+after(async () => {
+  await telegram.close();
+});
+
+beforeEach(async () => {
+  setStore(new MemoryStore());
+  telegram.reset();
+  await setPrefs(ADMIN, { lang: 'en' });
+});
+
+test('admins come from ADMIN_CHAT_IDS and econ:admins', async () => {
+  await kv.sadd('econ:admins', '43');
+  assert.equal(await isAdmin(ADMIN), true);
+  assert.equal(await isAdmin('43'), true);
+  assert.equal(await isAdmin(USER), false);
+  assert.deepEqual((await listAdmins()).sort(), ['42', '43']);
+});
+
+test('parses compact events and broadcast options', () => {
+  assert.deepEqual(parseCompactEvent('US | CPI YoY | 2025-10-15 12:30 | 3.1% | 3.0% | high'), {
+    country: 'United States', event: 'CPI YoY', date: '2025-10-15T12:30Z', forecast: '3.1%', previous: '3.0%', importance: 'high'
+  });
+  assert.deepEqual(parseBroadcastArgs('lang=ar country=US,UK at=2025-11-01T09:00 Hello\nsee=you'), {
+    lang: 'ar', countries: 'US,UK', sendAt: '2025-11-01T09:00', text: 'Hello\nsee=you'
+  });
+  // Unknown keys start the text
+  assert.deepEqual(parseBroadcastArgs('note=1 hi'), { text: 'note=1 hi' });
+});
+
+test('admin commands from other chats are ignored', async () => {
+  await command(USER, `/admin_add US | CPI YoY | ${compactDate(2)}`);
+  await command(USER, '/subs');
+  assert.equal(telegram.sent().length, 0);
+  assert.equal((await listManual()).length, 0);
+});
+
+test('/admin_add, /admin_list and /admin_del manage the manual schedule', async () => {
+  await command(ADMIN, `/admin_add US | CPI YoY | ${compactDate(2)} | 3.1% | 3.0% | high`);
+  const [event] = await listManual();
+  assert.equal(event.country, 'United States');
+  assert.equal(event.importance, 3);
+  assert.match(replies()[0], new RegExp(`\`${event.id}\``));
+
+  await command(ADMIN, '/admin_add US | CPI YoY | someday');
+  assert.match(replies()[1], /invalid_date/);
+
+  await command(ADMIN, '/admin_list 7');
+  assert.match(replies()[2], /CPI YoY/);
+
+  await command(ADMIN, `/admin_del ${event.id}`);
+  assert.equal((await listManual()).length, 0);
+  await command(ADMIN, `/admin_del ${event.id}`);
+  assert.match(replies()[4], /^❌/);
+});
+
+test('/broadcast previews and waits for /broadcast_confirm', async () => {
+  await kv.sadd('econ:subs', '1', '2');
+  await command(ADMIN, '/broadcast Markets open *early* tomorrow');
+  const [preview, text, confirm] = replies();
+  assert.match(preview, /preview for 2 subscribers/);
+  assert.equal(text, 'Markets open *early* tomorrow');
+  assert.match(confirm, /\/broadcast\\_confirm/);
+  assert.equal((await listBroadcasts()).length, 0);
+
+  await command(ADMIN, '/broadcast_confirm');
+  const [job] = await listBroadcasts();
+  assert.equal(job.text, 'Markets open *early* tomorrow');
+  assert.equal(job.status, 'scheduled');
+
+  // Confirmed once only
+  telegram.reset();
+  await command(ADMIN, '/broadcast_confirm');
+  assert.equal((await listBroadcasts()).length, 1);
+});
+
+test('/subs counts active and inactive chats', async () => {
+  await kv.sadd('econ:subs', '1', '2');
+  await kv.hset('econ:inactive', { 3: JSON.stringify({ reason: 'blocked', at: new Date().toISOString() }) });
+  await command(ADMIN, '/subs');
+  const [text] = replies();
+  assert.match(text, /Active: 2/);
+  assert.match(text, /Inactive \(blocked or removed\): 1/);
+});
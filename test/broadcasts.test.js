@@ -0,0 +1,85 @@
+// test/broadcasts.test.js - api/econ/broadcast.js, broadcast segments and the
+// job runner, on the memory storage backend and the fake Bot API
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.CRON_SECRET = 'test-secret';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { setPrefs } = require('../lib/prefs');
+const { JOBS_KEY, resolveSegment, createBroadcast, getBroadcast, processBroadcasts } = require('../lib/broadcasts');
+const { call } = require('./helpers/http');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+
+const AUTH = { authorization: 'Bearer test-secret' };
+
+// ESM handler
+const broadcast = (...args) => import('../api/econ/broadcast.js').then(m => m.default(...args));
+
+let telegram;
+
+before(async () => {
+  telegram = await startFakeTelegram();
+});
+
+after(async () => {
+  await telegram.close();
+});
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+  telegram.reset();
+});
+
+test('country segments include chats following the country through instruments', async () => {
+  await kv.sadd('econ:subs', '1', '2', '3');
+  await setPrefs('1', { countries: ['United States'] });
+  await setPrefs('2', { instruments: ['EURUSD'] });
+  await setPrefs('3', { countries: ['Japan'] });
+
+  assert.deepEqual(await resolveSegment({ countries: ['United States'] }), ['1', '2']);
+  assert.deepEqual(await resolveSegment({ countries: ['Germany'] }), ['2']);
+});
+
+test('GET ?text= still queues a broadcast, flagged as deprecated', async () => {
+  await kv.sadd('econ:subs', '1');
+
+  const res = await call(broadcast, { url: '/api/econ/broadcast?text=Hello', headers: AUTH });
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.headers.deprecation, 'true');
+  assert.match(res.body.deprecated, /POST/);
+  const job = await getBroadcast(res.body.job.id);
+  assert.equal(job.text, 'Hello');
+  assert.equal(job.status, 'scheduled');
+
+  const list = await call(broadcast, { url: '/api/econ/broadcast', headers: AUTH });
+  assert.equal(list.body.jobs.length, 1);
+});
+
+test('a sending job that lost its recipient list fails instead of starting over', async () => {
+  await kv.sadd('econ:subs', '1', '2', '3');
+  const { job } = await createBroadcast({ text: 'Hello' });
+  await kv.hset(JOBS_KEY, { [job.id]: JSON.stringify({ ...job, status: 'sending', total: 3, cursor: 2, delivered: 2 }) });
+
+  const { jobs } = await processBroadcasts({ token: 'test-token', budgetMs: 30000 });
+  assert.equal(jobs[0].status, 'failed');
+  assert.equal(jobs[0].sent, 2);
+  assert.equal((await getBroadcast(job.id)).status, 'failed');
+  assert.equal(telegram.sent().length, 0);
+});
+
+test('a sending job resumes at its cursor', async () => {
+  await kv.sadd('econ:subs', '1', '2', '3');
+  const { job } = await createBroadcast({ text: 'Hello' });
+  await kv.hset(JOBS_KEY, { [job.id]: JSON.stringify({ ...job, status: 'sending', total: 3, cursor: 2, delivered: 2 }) });
+  await kv.set(`econ:broadcast:recipients:${job.id}`, JSON.stringify(['1', '2', '3']));
+
+  const { jobs } = await processBroadcasts({ token: 'test-token', budgetMs: 30000 });
+  assert.equal(jobs[0].status, 'done');
+  assert.equal(jobs[0].delivered, 3);
+  assert.deepEqual(telegram.sent().map(m => String(m.chat_id)), ['3']);
+});
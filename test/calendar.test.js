@@ -0,0 +1,122 @@
+// test/calendar.test.js - api/econ/calendar.js iCalendar feed, on the memory
+// storage backend
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { setPrefs } = require('../lib/prefs');
+const { getFeedToken, resetFeedToken, resolveFeedToken, buildCalendar } = require('../lib/ical');
+const { eventKey } = require('../lib/alerts');
+const { call } = require('./helpers/http');
+const calendar = require('../api/econ/calendar');
+
+const HOUR = 60 * 60 * 1000;
+
+function event(hours, country, name) {
+  const ts = Math.ceil((Date.now() + hours * HOUR) / 60000) * 60000;
+  return { country, event: name, importance: 3, date: new Date(ts).toISOString() };
+}
+
+// Content lines of a feed, unfolded
+const unfold = ics => ics.replace(/\r\n /g, '').split('\r\n');
+const summaries = ics => unfold(ics).filter(l => l.startsWith('SUMMARY:'));
+
+beforeEach(async () => {
+  setStore(new MemoryStore());
+  await kv.set('econ:api:cache', JSON.stringify({
+    at: Date.now(),
+    providers: ['fake'],
+    events: [
+      event(2, 'United States', 'CPI YoY'),
+      event(3, 'Euro Area', 'ECB Interest Rate Decision'),
+      event(4, 'Japan', 'Unemployment Rate')
+    ]
+  }));
+});
+
+test('?country= narrows a token feed that follows instruments', async () => {
+  await setPrefs('111', { instruments: ['EURUSD'], lang: 'en' });
+  const token = await getFeedToken('111');
+
+  const all = await call(calendar, { url: `/api/econ/calendar?token=${token}` });
+  assert.equal(all.statusCode, 200);
+  assert.equal(summaries(all.body).length, 2);
+
+  const us = await call(calendar, { url: `/api/econ/calendar?token=${token}&country=US` });
+  const lines = summaries(us.body);
+  assert.equal(lines.length, 1);
+  assert.match(lines[0], /CPI YoY/);
+});
+
+test('?country= narrows a token feed that follows countries', async () => {
+  await setPrefs('222', { countries: ['United States', 'Japan'], lang: 'en' });
+  const token = await getFeedToken('222');
+
+  const jp = await call(calendar, { url: `/api/econ/calendar?token=${token}&country=JP` });
+  assert.deepEqual(summaries(jp.body).map(l => /Unemployment Rate/.test(l)), [true]);
+  // Not one of the chat's countries
+  const ea = await call(calendar, { url: `/api/econ/calendar?token=${token}&country=EA` });
+  assert.equal(summaries(ea.body).length, 0);
+});
+
+test('builds an RFC 5545 calendar with stable UIDs and alarms', () => {
+  const ev = { country: 'United States', event: 'CPI YoY', importance: 3, forecast: '3.1%', previous: '3.0%', date: '2026-10-20T12:30:00.000Z' };
+  const ics = buildCalendar([ev], { name: 'Test', lang: 'en', alarms: [60, 15] });
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+
+  const lines = unfold(ics);
+  assert.ok(lines.includes(`UID:${eventKey(ev)}@econ.liirat`));
+  assert.ok(lines.includes('DTSTART:20261020T123000Z'));
+  assert.ok(lines.includes('SUMMARY:🇺🇸 United States: CPI YoY'));
+  // TEXT values escape newlines, semicolons and commas
+  assert.ok(lines.includes('DESCRIPTION:Forecast: 3.1%\\nPrevious: 3.0%\\nImpact: high'));
+  assert.deepEqual(lines.filter(l => l.startsWith('TRIGGER:')), ['TRIGGER:-PT60M', 'TRIGGER:-PT15M']);
+
+  const escaped = unfold(buildCalendar([{ ...ev, event: 'Rate; statement, Q3' }], { name: 'Test', lang: 'en' }));
+  assert.ok(escaped.includes('SUMMARY:🇺🇸 United States: Rate\\; statement\\, Q3'));
+});
+
+test('folds long lines at 75 octets without splitting characters', () => {
+  const ev = { country: 'United States', event: 'مؤشر '.repeat(30), date: '2026-10-20T12:30:00.000Z' };
+  const ics = buildCalendar([ev], { name: 'Test', lang: 'ar' });
+  for (const line of ics.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+    assert.ok(!line.includes('\uFFFD'));
+  }
+  assert.ok(unfold(ics).some(l => l === `SUMMARY:🇺🇸 الولايات المتحدة: ${ev.event}`));
+});
+
+test('feed tokens resolve to their chat until reset', async () => {
+  const token = await getFeedToken('111');
+  assert.equal(await getFeedToken('111'), token);
+  assert.equal(await resolveFeedToken(token), '111');
+
+  const fresh = await resetFeedToken('111');
+  assert.notEqual(fresh, token);
+  assert.equal(await resolveFeedToken(token), null);
+  assert.equal(await resolveFeedToken(fresh), '111');
+
+  const res = await call(calendar, { url: `/api/econ/calendar?token=${token}` });
+  assert.equal(res.statusCode, 404);
+});
+
+test('the public feed lists every country, alarms 15 minutes ahead', async () => {
+  const res = await call(calendar, { url: '/api/econ/calendar' });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['content-type'], /text\/calendar/);
+  assert.equal(summaries(res.body).length, 3);
+  assert.deepEqual(unfold(res.body).filter(l => l.startsWith('TRIGGER:')), ['TRIGGER:-PT15M', 'TRIGGER:-PT15M', 'TRIGGER:-PT15M']);
+
+  const none = await call(calendar, { url: '/api/econ/calendar?alarm=' });
+  assert.equal(unfold(none.body).filter(l => l.startsWith('TRIGGER:')).length, 0);
+  const atRelease = await call(calendar, { url: '/api/econ/calendar?alarm=0' });
+  assert.equal(unfold(atRelease.body).filter(l => l === 'TRIGGER:-PT0M').length, 3);
+  const bad = await call(calendar, { url: '/api/econ/calendar?country=Narnia' });
+  assert.equal(bad.statusCode, 400);
+});
@@ -0,0 +1,84 @@
+// test/canonical.test.js - Canonical country and indicator ids, event keys
+// and merging the same release from two sources
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { countryId, countryName, sameCountry, indicatorId, eventId, mergeEvent } = require('../lib/canonical');
+const { eventKey, canonicalKey } = require('../lib/alerts');
+const { loadUpcoming } = require('../lib/providers');
+const { validateManualEvent, upsertManual } = require('../lib/schedule');
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+});
+
+test('countries resolve from names, ISO codes and currencies', () => {
+  assert.equal(countryId('USD'), 'US');
+  assert.equal(countryId(' united states '), 'US');
+  assert.equal(countryId('EMU'), 'EA');
+  assert.equal(countryId('GBP'), 'GB');
+  assert.equal(countryId('Atlantis'), null);
+  assert.equal(countryName('emu'), 'Euro Area');
+  assert.equal(countryName(' Atlantis '), 'Atlantis');
+
+  assert.equal(sameCountry('EUR', 'Euro Area'), true);
+  // EUR is the Euro Area, not its members
+  assert.equal(sameCountry('EUR', 'Germany'), false);
+  assert.equal(sameCountry('atlantis', 'Atlantis'), true);
+});
+
+test('indicator spellings from different providers share one id', () => {
+  for (const title of ['Non Farm Payrolls', 'Nonfarm Payrolls (Sep)', 'NFP']) {
+    assert.equal(indicatorId(title), 'NFP', title);
+  }
+  for (const title of ['Inflation Rate YoY', 'CPI (YoY)', 'CPI y/y', 'Consumer Price Index YoY']) {
+    assert.equal(indicatorId(title), 'CPI_YOY', title);
+  }
+  assert.equal(indicatorId('Fed Interest Rate Decision'), 'RATE_DECISION');
+  assert.equal(indicatorId('Initial Jobless Claims'), 'INITIAL_CLAIMS');
+  // Qualifiers go last in a fixed order
+  assert.equal(indicatorId('GDP Growth Rate QoQ Adv'), 'GDP_ADV_QOQ');
+  assert.equal(indicatorId('Redbook YoY'), 'REDBOOK_YOY');
+  assert.equal(indicatorId(''), 'UNKNOWN');
+});
+
+test('event keys use the ids; legacy keys convert, current ones are kept', () => {
+  const ev = { country: 'United States', event: 'Non Farm Payrolls', date: '2025-11-07T13:30:00Z' };
+  assert.equal(eventId({ country: 'USD', event: 'NFP' }), 'US|NFP');
+  assert.equal(eventKey(ev), 'US|NFP|2025-11-07T13:30');
+  assert.equal(eventKey({ country: 'US', event: 'Nonfarm Payrolls (Oct)', date: '2025-11-07T13:30:45Z' }), eventKey(ev));
+
+  assert.equal(canonicalKey('United States|Non Farm Payrolls|2025-11-07T13:30'), 'US|NFP|2025-11-07T13:30');
+  assert.equal(canonicalKey('US|CPI_YOY|2025-11-07T13:30'), 'US|CPI_YOY|2025-11-07T13:30');
+  assert.equal(canonicalKey('not-a-key'), 'not-a-key');
+});
+
+test('merging keeps the first copy and fills in missing figures', () => {
+  const merged = mergeEvent(
+    { country: 'United States', event: 'Non Farm Payrolls', forecast: '', previous: '142K', importance: 3 },
+    { country: 'US', event: 'NFP', forecast: '150K', previous: '140K', actual: '155K' }
+  );
+  assert.deepEqual(merged, {
+    country: 'United States', event: 'Non Farm Payrolls', forecast: '150K', previous: '142K', importance: 3, actual: '155K'
+  });
+});
+
+test('a provider event and a manual entry for the same release are one event', async () => {
+  const date = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+  date.setUTCHours(13, 30, 0, 0);
+  await kv.set('econ:cache:upcoming', JSON.stringify({
+    events: [{ country: 'United States', event: 'Non Farm Payrolls', date: date.toISOString(), forecast: null, importance: 3 }]
+  }));
+  await upsertManual([validateManualEvent({ country: 'USD', event: 'NFP (Oct)', date: date.toISOString(), forecast: '150K' }).event]);
+
+  const events = await loadUpcoming(Date.now());
+  assert.equal(events.length, 1);
+  assert.equal(events[0].event, 'Non Farm Payrolls');
+  assert.equal(events[0].forecast, '150K');
+});
@@ -0,0 +1,82 @@
+// test/categories.test.js - Event categories: classification, parsing,
+// filtering and ?category= on the upcoming endpoint, on the memory storage
+// backend
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { normalizePrefs, matchesPrefs } = require('../lib/prefs');
+const { CATEGORY_IDS, MAJOR_CATEGORIES, classify, parseCategories } = require('../lib/categories');
+const { call } = require('./helpers/http');
+const upcoming = require('../api/econ/upcoming');
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+});
+
+test('classifies titles into a category and sub-type', () => {
+  const cases = [
+    ['Fed Interest Rate Decision', 'central_bank', 'rate_decision'],
+    ['FOMC Meeting Minutes', 'central_bank', 'minutes'],
+    ['ECB President Lagarde Speaks', 'central_bank', 'speech'],
+    ['Core PCE Price Index (MoM)', 'inflation', 'pce'],
+    ['CPI YoY', 'inflation', 'cpi'],
+    ['Michigan Inflation Expectations', 'inflation', 'expectations'],
+    ['Non Farm Payrolls', 'labour', 'payrolls'],
+    ['Initial Jobless Claims', 'labour', 'claims'],
+    // "Rate" alone is not a central-bank event
+    ['Unemployment Rate', 'labour', 'unemployment'],
+    ['ISM Manufacturing PMI', 'sentiment', 'pmi'],
+    ['Ifo Business Climate', 'sentiment', 'business'],
+    ['GDP Growth Rate QoQ', 'growth', 'gdp'],
+    ['Retail Sales Control Group', 'growth', 'retail_sales'],
+    ['Crude Oil Inventories', 'other', null]
+  ];
+  for (const [event, category, type] of cases) {
+    assert.deepEqual(classify({ event }), { category, type }, event);
+  }
+});
+
+test('parses category names and aliases in both languages', () => {
+  assert.deepEqual(parseCategories('inflation, jobs, CB'), { categories: ['inflation', 'labour', 'central_bank'], unknown: [] });
+  assert.deepEqual(parseCategories('التضخم, labor, weather'), { categories: ['inflation', 'labour'], unknown: ['weather'] });
+  assert.deepEqual(parseCategories('ALL').categories, CATEGORY_IDS);
+  assert.deepEqual(parseCategories(''), { categories: [], unknown: [] });
+});
+
+test('"other" is off by default and can be chosen', () => {
+  const oil = { country: 'United States', event: 'Crude Oil Inventories', importance: 3 };
+  const cpi = { country: 'United States', event: 'CPI YoY', importance: 3 };
+  assert.deepEqual(normalizePrefs({}).categories, MAJOR_CATEGORIES);
+  assert.equal(matchesPrefs(oil, normalizePrefs({})), false);
+  assert.equal(matchesPrefs(oil, normalizePrefs({ categories: ['other'] })), true);
+  assert.equal(matchesPrefs(cpi, normalizePrefs({ categories: ['labour'] })), false);
+  // Unknown stored values fall back to the default
+  assert.deepEqual(normalizePrefs({ categories: ['nope'] }).categories, MAJOR_CATEGORIES);
+});
+
+test('?category= narrows the upcoming list, including caches from before categories', async () => {
+  const date = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  await kv.set('econ:cache:upcoming', JSON.stringify({
+    items: [
+      { country: 'United States', event: 'CPI YoY', importance: 3, date },
+      { country: 'United States', event: 'Non Farm Payrolls', importance: 3, date, category: 'labour', type: 'payrolls' }
+    ]
+  }));
+
+  const all = await call(upcoming, { url: '/api/econ/upcoming?limit=10&lang=en' });
+  assert.equal(all.body.count, 2);
+  assert.equal(all.body.items[0].category, 'inflation');
+
+  const labour = await call(upcoming, { url: '/api/econ/upcoming?limit=10&category=jobs' });
+  assert.deepEqual(labour.body.items.map(e => e.event), ['Non Farm Payrolls']);
+
+  const bad = await call(upcoming, { url: '/api/econ/upcoming?category=weather' });
+  assert.equal(bad.statusCode, 400);
+  assert.equal(bad.body.error, 'unknown_category');
+});
@@ -0,0 +1,135 @@
+// test/changes.test.js - Rescheduled, revised, cancelled and added events:
+// snapshot diffing and the notices, on the memory storage backend and the
+// fake Bot API
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { normalizePrefs } = require('../lib/prefs');
+const { eventKey } = require('../lib/alerts');
+const { stageKey } = require('../lib/reminders');
+const { trackAlert, alertMessages } = require('../lib/releases');
+const { togglePick, getPicks } = require('../lib/picks');
+const { diffSnapshots, changeText, processChanges } = require('../lib/changes');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+
+const HOUR = 60 * 60 * 1000;
+// Wednesday 8 Oct 2025, 08:00 UTC
+const NOW = Date.UTC(2025, 9, 8, 8, 0);
+
+function event(hours, fields, from = NOW) {
+  const ts = from + hours * HOUR;
+  return { country: 'United States', event: 'CPI YoY', importance: 3, ...fields, ts, date: new Date(ts).toISOString() };
+}
+
+const snapshot = (events, providers = ['finnhub']) => ({ at: NOW, providers, events });
+const types = ({ changes }) => changes.map(c => `${c.type}:${(c.after || c.before).event}`).sort();
+
+let telegram;
+
+before(async () => {
+  telegram = await startFakeTelegram();
+});
+
+after(async () => {
+  await telegram.close();
+});
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+  telegram.reset();
+});
+
+test('finds moved, revised, cancelled and new high-impact events', () => {
+  const prev = snapshot([
+    event(4, { forecast: '3.1%' }),
+    event(6, { event: 'PPI YoY' }),
+    event(8, { event: 'Retail Sales MoM' }),
+    event(30, { event: 'GDP QoQ' })
+  ]);
+  const next = snapshot([
+    event(4, { forecast: '3.2%' }),
+    event(7, { event: 'PPI YoY' }),
+    event(10, { event: 'ISM Manufacturing PMI' }),
+    event(12, { event: 'Crude Oil Inventories', importance: 2 }),
+    event(30, { event: 'GDP QoQ' }),
+    // Past the old snapshot's end: not "added"
+    event(40, { event: 'Jobless Claims' })
+  ]);
+  const diff = diffSnapshots(prev, next, NOW);
+  assert.equal(diff.skipped, null);
+  assert.deepEqual(types(diff), [
+    'added:ISM Manufacturing PMI', 'cancelled:Retail Sales MoM', 'rescheduled:PPI YoY', 'revised:CPI YoY'
+  ]);
+  const moved = diff.changes.find(c => c.type === 'rescheduled');
+  assert.equal(moved.key, eventKey(next.events[1]));
+  assert.equal(moved.before.ts, NOW + 6 * HOUR);
+});
+
+test('a move of more than three days is a cancellation', () => {
+  const gdp = event(100, { event: 'GDP QoQ' });
+  const diff = diffSnapshots(snapshot([event(5), gdp]), snapshot([event(5 + 80), gdp]), NOW);
+  assert.deepEqual(types(diff), ['added:CPI YoY', 'cancelled:CPI YoY']);
+});
+
+test('skips snapshots it cannot compare and partial responses', () => {
+  assert.equal(diffSnapshots(null, snapshot([]), NOW).skipped, 'no_snapshot');
+  assert.equal(diffSnapshots(snapshot([event(2)]), snapshot([], ['fmp']), NOW).skipped, 'providers_changed');
+
+  // Most of the week missing is a provider hiccup, not mass cancellations
+  const week = [1, 2, 3, 4, 5].map(h => event(h, { event: `Event ${h}` }));
+  const partial = diffSnapshots(snapshot(week), snapshot(week.slice(0, 1)), NOW);
+  assert.deepEqual(partial.changes, []);
+});
+
+test('notices show the old time and forecast in the chat\'s timezone', () => {
+  const text = changeText({ type: 'rescheduled', before: event(6), after: event(7) }, 'UTC', 'en');
+  assert.match(text, /^🔁/);
+  assert.match(text, /⏰ 8 Oct 2025, 15:00 .*14:00/);
+
+  const revised = changeText({ type: 'revised', before: event(4, { forecast: '3.1%' }), after: event(4, { forecast: '3.2%' }) }, 'UTC', 'en');
+  assert.match(revised, /3\.2% \(.*3\.1%\)/);
+});
+
+test('a reschedule replies to the old alert and moves its state', async () => {
+  // Picks only keep upcoming events
+  const now = Date.now();
+  const old = event(6, {}, now);
+  const moved = event(7, {}, now);
+  const recipients = [
+    { chatId: '1', prefs: normalizePrefs({ tz: 'UTC', lang: 'en' }) },
+    { chatId: '2', prefs: normalizePrefs({ tz: 'UTC', lang: 'en' }) },
+    { chatId: '3', prefs: normalizePrefs({ tz: 'UTC', lang: 'en' }) }
+  ];
+  await trackAlert(old, { 1: 55 });
+  await kv.sadd(stageKey(eventKey(old), 60), '1');
+  await togglePick('2', old);
+  const change = diffSnapshots(snapshot([old]), snapshot([moved]), now).changes;
+  const args = { changes: change, token: 'test-token', recipients, wants: r => r.chatId !== '3', stages: [60, 15, 0], now };
+
+  const dry = await processChanges({ ...args, dry: true });
+  assert.equal(dry.rescheduled, 1);
+  assert.equal(telegram.sent().length, 0);
+
+  const summary = await processChanges({ ...args, dry: false });
+  assert.equal(summary.notified, 2);
+  const sent = telegram.sent();
+  assert.equal(sent.find(m => String(m.chat_id) === '1').reply_to_message_id, 55);
+  assert.equal(sent.find(m => String(m.chat_id) === '2').reply_to_message_id, undefined);
+  assert.ok(!sent.some(m => String(m.chat_id) === '3'));
+
+  // The new time is alerted and followed up like any other
+  assert.deepEqual(await kv.smembers(stageKey(eventKey(old), 60)), []);
+  assert.deepEqual(await alertMessages(eventKey(moved)), { 1: 55 });
+  assert.deepEqual([...(await getPicks('2'))], [eventKey(moved)]);
+
+  // Announced once
+  telegram.reset();
+  assert.equal((await processChanges({ ...args, dry: false })).rescheduled, 0);
+  assert.equal(telegram.sent().length, 0);
+});
@@ -0,0 +1,245 @@
+// test/cron.test.js - api/cron.js end to end: fake provider → filters →
+// fake Bot API, on the memory storage backend
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.CRON_SECRET = 'test-secret';
+process.env.LIIRAT_BOT_TOKEN = 'test-token';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { setPrefs } = require('../lib/prefs');
+const { ADAPTERS } = require('../lib/providers');
+const { trackAlert } = require('../lib/releases');
+const { eventKey, legacyEventKey } = require('../lib/alerts');
+const { getPicks } = require('../lib/picks');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+const { installFakeProvider } = require('./helpers/fake-provider');
+const { call } = require('./helpers/http');
+const cron = require('../api/cron');
+const upcoming = require('../api/econ/upcoming');
+
+const AUTH = { authorization: 'Bearer test-secret' };
+const MINUTE = 60 * 1000;
+
+// An event `minutes` from now, on a whole minute like provider times
+function eventIn(minutes, fields) {
+  const ts = Math.ceil((Date.now() + minutes * MINUTE) / MINUTE) * MINUTE;
+  return { country: 'United States', importance: 3, impact: 'high', ...fields, date: new Date(ts).toISOString() };
+}
+
+let telegram;
+let provider;
+
+before(async () => {
+  telegram = await startFakeTelegram();
+  provider = installFakeProvider();
+});
+
+after(async () => {
+  provider.uninstall();
+  await telegram.close();
+});
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+  telegram.reset();
+  provider.fail(false);
+});
+
+test('alerts subscribers through the Bot API and dedupes the stage', async () => {
+  provider.setEvents([eventIn(10, { event: 'Non Farm Payrolls', forecast: '150K' })]);
+  await kv.sadd('econ:subs', '111');
+
+  const res = await call(cron, { url: '/api/cron', headers: AUTH });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.provider, 'fake');
+  assert.equal(res.body.sent, 1);
+
+  const [msg] = telegram.sent();
+  assert.equal(String(msg.chat_id), '111');
+  assert.match(msg.text, /Non Farm Payrolls/);
+  assert.match(msg.text, /150K/);
+
+  // The same stage is not sent twice
+  telegram.reset();
+  const again = await call(cron, { url: '/api/cron', headers: AUTH });
+  assert.equal(again.body.sent, 0);
+  assert.equal(telegram.sent().length, 0);
+});
+
+test('a chat that starts following an event still gets a stage others had', async () => {
+  provider.setEvents([eventIn(10, { event: 'CPI YoY' })]);
+  await kv.sadd('econ:subs', '111');
+  const first = await call(cron, { url: '/api/cron', headers: AUTH });
+  assert.equal(first.body.sent, 1);
+
+  telegram.reset();
+  await kv.sadd('econ:subs', '222');
+  const dry = await call(cron, { url: '/api/cron?dry=1', headers: AUTH });
+  assert.equal(dry.body.planned[0].recipients, 1);
+  assert.equal(dry.body.planned[0].already_sent, false);
+
+  const second = await call(cron, { url: '/api/cron', headers: AUTH });
+  assert.equal(second.body.sent, 1);
+  assert.deepEqual(telegram.sent().map(m => String(m.chat_id)), ['222']);
+});
+
+test('applies each chat\'s preferences', async () => {
+  provider.setEvents([
+    eventIn(10, { event: 'CPI YoY' }),
+    eventIn(10, { country: 'Japan', event: 'Unemployment Rate' })
+  ]);
+  await kv.sadd('econ:subs', '111', '222');
+  await setPrefs('222', { countries: ['Japan'], lang: 'en' });
+
+  const res = await call(cron, { url: '/api/cron', headers: AUTH });
+  assert.equal(res.body.sent, 3);
+  const byChat = chatId => telegram.sent().filter(m => String(m.chat_id) === chatId).map(m => m.text);
+  assert.equal(byChat('111').length, 2);
+  assert.deepEqual(byChat('222').map(t => /Unemployment Rate/.test(t)), [true]);
+});
+
+test('removes chats that blocked the bot', async () => {
+  provider.setEvents([eventIn(10, { event: 'GDP Growth Rate QoQ' })]);
+  await kv.sadd('econ:subs', '111', '333');
+  telegram.failChat('333', { error_code: 403, description: 'Forbidden: bot was blocked by the user' });
+
+  const res = await call(cron, { url: '/api/cron', headers: AUTH });
+  assert.equal(res.body.sent, 1);
+  assert.equal(res.body.removed, 1);
+  assert.deepEqual((await kv.smembers('econ:subs')).map(String), ['111']);
+});
+
+test('rejects calls without the cron secret', async () => {
+  const res = await call(cron, { url: '/api/cron' });
+  assert.equal(res.statusCode, 401);
+  assert.equal(telegram.calls.length, 0);
+});
+
+test('sends every wanted event live; ?limit only caps the dry-run preview', async () => {
+  const events = Array.from({ length: 12 }, (_, i) => eventIn(10 + i, { event: 'CPI YoY' }));
+  provider.setEvents(events);
+  await kv.sadd('econ:subs', '111');
+
+  const dry = await call(cron, { url: '/api/cron?dry=1&limit=3', headers: AUTH });
+  assert.equal(dry.body.planned.length, 3);
+  assert.equal(telegram.sent().length, 0);
+
+  const res = await call(cron, { url: '/api/cron?limit=3', headers: AUTH });
+  assert.equal(res.body.sent, 12);
+  assert.equal(telegram.sent().length, 12);
+});
+
+test('caches every upcoming event and filters by the reader\'s prefs', async () => {
+  provider.setEvents([
+    eventIn(10, { event: 'CPI YoY' }),
+    eventIn(90, { country: 'Turkey', event: 'Interest Rate Decision', importance: undefined, impact: undefined })
+  ]);
+  await kv.sadd('econ:subs', '111', '444');
+  await setPrefs('444', { countries: ['Turkey'], lang: 'en' });
+  await call(cron, { url: '/api/cron', headers: AUTH });
+
+  const cached = await kv.get('econ:cache:upcoming');
+  const { items } = typeof cached === 'string' ? JSON.parse(cached) : cached;
+  assert.deepEqual(items.map(e => e.event), ['CPI YoY', 'Interest Rate Decision']);
+
+  const byDefault = await call(upcoming, { url: '/api/econ/upcoming?limit=10' });
+  assert.deepEqual(byDefault.body.items.map(e => e.event), ['CPI YoY']);
+  const forChat = await call(upcoming, { url: '/api/econ/upcoming?limit=10&chat_id=444' });
+  assert.deepEqual(forChat.body.items.map(e => e.event), ['Interest Rate Decision']);
+});
+
+test('a dry run leaves the snapshot for the next live run to diff', async () => {
+  const before = eventIn(120, { event: 'CPI YoY' });
+  await kv.set('econ:api:cache', JSON.stringify({ at: 0, providers: ['fake'], events: [before] }));
+  const moved = { ...before, date: new Date(Date.parse(before.date) + 30 * MINUTE).toISOString() };
+  provider.setEvents([moved]);
+  await kv.sadd('econ:subs', '111');
+
+  const dry = await call(cron, { url: '/api/cron?dry=1', headers: AUTH });
+  assert.equal(dry.body.changes.rescheduled, 1);
+  const kept = await kv.get('econ:api:cache');
+  assert.equal((typeof kept === 'string' ? JSON.parse(kept) : kept).events[0].date, before.date);
+
+  const live = await call(cron, { url: '/api/cron', headers: AUTH });
+  assert.equal(live.body.changes.rescheduled, 1);
+  assert.equal(live.body.changes.notified, 1);
+  assert.match(telegram.sent()[0].text, /Rescheduled/);
+});
+
+// Use `used` calls of a 1000-call month: 999 is over pace, 1000 is spent
+async function spendBudget(used) {
+  ADAPTERS.fake.limits = { monthly: 1000 };
+  await kv.set(`econ:quota:fake:m:${new Date().toISOString().slice(0, 7)}`, String(used));
+}
+
+test('release follow-ups fall back to the normal budget when over pace', async (t) => {
+  t.after(() => { ADAPTERS.fake.limits = {}; });
+  const ev = eventIn(-10, { event: 'CPI YoY', forecast: '3.1%' });
+  provider.setEvents([{ ...ev, actual: '3.3%' }]);
+  await kv.sadd('econ:subs', '111');
+  await trackAlert({ ...ev, ts: Date.parse(ev.date) }, { 111: 5 });
+  await spendBudget(999);
+
+  const res = await call(cron, { url: '/api/cron', headers: AUTH });
+  assert.equal(res.body.releases.polled, true);
+  assert.equal(res.body.releases.updated, 1);
+  const [edit] = telegram.sent('editMessageText');
+  assert.equal(edit.message_id, 5);
+  assert.match(edit.text, /3\.3%/);
+});
+
+test('release tracking is kept while no provider could be asked', async (t) => {
+  t.after(() => { ADAPTERS.fake.limits = {}; });
+  const ev = eventIn(-4 * 60, { event: 'CPI YoY' });
+  await kv.sadd('econ:subs', '111');
+  await trackAlert({ ...ev, ts: Date.parse(ev.date) }, { 111: 5 });
+  await spendBudget(1000);
+
+  const res = await call(cron, { url: '/api/cron', headers: AUTH });
+  assert.equal(res.body.releases.polled, false);
+  assert.equal(res.body.releases.expired, 0);
+  assert.equal((await kv.zrange('econ:track', 0, -1)).length, 1);
+
+  // Once a provider answers without an actual, it is given up on
+  ADAPTERS.fake.limits = {};
+  const again = await call(cron, { url: '/api/cron', headers: AUTH });
+  assert.equal(again.body.releases.expired, 1);
+});
+
+test('stage markers from before canonical keys still dedupe', async () => {
+  const ev = eventIn(10, { event: 'Non Farm Payrolls (Sep)' });
+  provider.setEvents([ev]);
+  await kv.sadd('econ:subs', '111');
+  await kv.set(`econ:sent:${legacyEventKey(ev)}|15m`, '1');
+
+  const res = await call(cron, { url: '/api/cron', headers: AUTH });
+  assert.equal(res.body.sent, 0);
+  assert.equal(telegram.sent().length, 0);
+});
+
+test('releases tracked under pre-canonical keys still get their follow-up', async () => {
+  const ev = eventIn(-10, { event: 'Inflation Rate YoY (Sep)', forecast: '3.1%' });
+  const oldKey = legacyEventKey(ev);
+  await kv.zadd('econ:track', { score: Date.parse(ev.date), member: oldKey });
+  await kv.hset('econ:track:events', { [oldKey]: JSON.stringify({ key: oldKey, country: ev.country, event: ev.event, date: ev.date, forecast: '3.1%' }) });
+  await kv.hset(`econ:msgs:${oldKey}`, { 111: 5 });
+  provider.setEvents([{ ...ev, actual: '3.3%' }]);
+  await kv.sadd('econ:subs', '111');
+
+  const res = await call(cron, { url: '/api/cron', headers: AUTH });
+  assert.equal(res.body.releases.updated, 1);
+  assert.equal(telegram.sent('editMessageText')[0].message_id, 5);
+  assert.deepEqual(await kv.zrange('econ:track', 0, -1), []);
+});
+
+test('picks saved under pre-canonical keys are read in the current format', async () => {
+  const ev = eventIn(60, { event: 'Non Farm Payrolls (Sep)' });
+  await kv.hset('econ:picks', { 111: JSON.stringify([{ key: legacyEventKey(ev), ts: Date.parse(ev.date) }]) });
+  assert.deepEqual([...await getPicks('111')], [eventKey(ev)]);
+});
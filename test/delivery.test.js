@@ -0,0 +1,102 @@
+// test/delivery.test.js - lib/telegram.js delivery queue: retries, 429
+// back-off and removal of chats that are gone, with a scripted fetch, on the
+// memory storage backend
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { deliver, summarize } = require('../lib/telegram');
+
+const TOKEN = 'test-token';
+
+function reply(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+const ok = id => reply(200, { ok: true, result: { message_id: id } });
+
+/**
+ * Answer Bot API calls per chat from a script of responses, in order; the
+ * last one repeats. Returns the chat IDs in call order.
+ */
+function scriptTelegram(t, script) {
+  const calls = [];
+  const seen = new Map();
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    const { chat_id: chatId } = JSON.parse(init.body);
+    calls.push(String(chatId));
+    const steps = script[chatId] || [() => ok(1)];
+    const n = seen.get(chatId) || 0;
+    seen.set(chatId, n + 1);
+    return steps[Math.min(n, steps.length - 1)]();
+  });
+  return calls;
+}
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+});
+
+test('returns one result per payload, in order, with message IDs', async (t) => {
+  scriptTelegram(t, { 1: [() => ok(11)], 2: [() => ok(12)], 3: [() => ok(13)] });
+  const results = await deliver(TOKEN, [1, 2, 3].map(id => ({ chat_id: id, text: 'hi' })));
+  assert.deepEqual(results.map(r => [r.chatId, r.ok, r.messageId]), [['1', true, 11], ['2', true, 12], ['3', true, 13]]);
+  assert.deepEqual(summarize(results), { sent: 3, failed: 0, removed: 0 });
+});
+
+test('waits out a 429 and retries', async (t) => {
+  const calls = scriptTelegram(t, {
+    1: [() => reply(429, { ok: false, description: 'Too Many Requests', parameters: { retry_after: 1 } }), () => ok(11)]
+  });
+  const started = Date.now();
+  const [r] = await deliver(TOKEN, [{ chat_id: 1, text: 'hi' }]);
+  assert.equal(r.ok, true);
+  assert.equal(r.attempts, 2);
+  assert.deepEqual(calls, ['1', '1']);
+  assert.ok(Date.now() - started >= 900);
+});
+
+test('gives up on a 429 that asks for too long a wait', async (t) => {
+  scriptTelegram(t, { 1: [() => reply(429, { ok: false, description: 'Too Many Requests', parameters: { retry_after: 600 } })] });
+  const [r] = await deliver(TOKEN, [{ chat_id: 1, text: 'hi' }]);
+  assert.equal(r.ok, false);
+  assert.equal(r.attempts, 1);
+});
+
+test('retries server errors but not other client errors', async (t) => {
+  const calls = scriptTelegram(t, {
+    1: [() => reply(502, { ok: false, description: 'Bad Gateway' }), () => ok(11)],
+    2: [() => reply(400, { ok: false, description: 'Bad Request: message text is empty' })]
+  });
+  const [first, second] = await deliver(TOKEN, [{ chat_id: 1, text: 'hi' }, { chat_id: 2, text: '' }]);
+  assert.equal(first.ok, true);
+  assert.equal(first.attempts, 2);
+  assert.equal(second.ok, false);
+  assert.equal(second.removed, false);
+  assert.equal(calls.filter(c => c === '2').length, 1);
+});
+
+test('chats that blocked the bot are marked inactive and unsubscribed', async (t) => {
+  await kv.sadd('econ:subs', '1', '2');
+  scriptTelegram(t, { 1: [() => reply(403, { ok: false, description: 'Forbidden: bot was blocked by the user' })] });
+
+  const results = await deliver(TOKEN, [{ chat_id: 1, text: 'hi' }, { chat_id: 2, text: 'hi' }]);
+  assert.deepEqual(summarize(results), { sent: 1, failed: 1, removed: 1 });
+  assert.deepEqual((await kv.smembers('econ:subs')).map(String), ['2']);
+  const inactive = await kv.hget('econ:inactive', '1');
+  assert.match((typeof inactive === 'string' ? JSON.parse(inactive) : inactive).reason, /blocked/);
+});
+
+test('removeGone: false leaves the chat subscribed', async (t) => {
+  await kv.sadd('econ:subs', '1');
+  scriptTelegram(t, { 1: [() => reply(400, { ok: false, description: 'Bad Request: chat not found' })] });
+
+  const [r] = await deliver(TOKEN, [{ chat_id: 1, text: 'hi' }], { removeGone: false });
+  assert.equal(r.removed, false);
+  assert.deepEqual((await kv.smembers('econ:subs')).map(String), ['1']);
+});
@@ -0,0 +1,167 @@
+// test/destinations.test.js - Channel, group and forum-topic destinations:
+// the registry, the group commands in the bot and cron delivery, on the
+// memory storage backend and the fake Bot API
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.TELEGRAM_WEBHOOK_SECRET = 'hook-secret';
+process.env.TG_BOT_TOKEN = 'test-token';
+process.env.LIIRAT_BOT_TOKEN = 'test-token';
+process.env.CRON_SECRET = 'test-secret';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setStore, MemoryStore } = require('../lib/storage');
+const {
+  validateDestinationChat, destinationId, chatTarget, parseDestination,
+  getDestination, listDestinations, addDestination, removeDestination, removeChatDestinations
+} = require('../lib/destinations');
+const { setPrefs } = require('../lib/prefs');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+const { installFakeProvider } = require('./helpers/fake-provider');
+const { call } = require('./helpers/http');
+const cron = require('../api/cron');
+
+const GROUP = '-100555';
+const MINUTE = 60 * 1000;
+
+let telegram;
+let provider;
+let webhook;
+let updateId = 0;
+
+async function post(update) {
+  const req = new Request('https://bot.example/api/telegram', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-telegram-bot-api-secret-token': 'hook-secret' },
+    body: JSON.stringify({ update_id: ++updateId, ...update })
+  });
+  return webhook(req);
+}
+
+// A command sent by user 7 in the supergroup, optionally inside a topic
+function groupCommand(text, threadId = null) {
+  return post({
+    message: {
+      message_id: updateId,
+      date: 0,
+      chat: { id: Number(GROUP), type: 'supergroup', title: 'Traders' },
+      from: { id: 7 },
+      text,
+      ...(threadId ? { is_topic_message: true, message_thread_id: threadId } : {})
+    }
+  });
+}
+
+before(async () => {
+  telegram = await startFakeTelegram();
+  provider = installFakeProvider();
+  webhook = (await import('../api/telegram.js')).default;
+});
+
+after(async () => {
+  provider.uninstall();
+  await telegram.close();
+});
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+  telegram.reset();
+  provider.fail(false);
+});
+
+test('accepts group and channel IDs, @usernames and topics', () => {
+  assert.equal(validateDestinationChat(' -100123 '), '-100123');
+  assert.equal(validateDestinationChat('@liirat_news'), '@liirat_news');
+  assert.equal(validateDestinationChat('12345'), null);
+  assert.equal(validateDestinationChat('@ab'), null);
+
+  assert.deepEqual(parseDestination('-100123:45'), { chatId: '-100123', threadId: 45 });
+  assert.deepEqual(parseDestination('@liirat_news'), { chatId: '@liirat_news', threadId: null });
+  assert.equal(parseDestination('-100123:general'), null);
+  assert.equal(parseDestination(''), null);
+});
+
+test('topic IDs map to Bot API chat and thread fields', () => {
+  assert.equal(destinationId('-100123', 45), '-100123:45');
+  assert.equal(destinationId('-100123'), '-100123');
+  assert.deepEqual(chatTarget('-100123:45'), { chat_id: '-100123', message_thread_id: 45 });
+  assert.deepEqual(chatTarget('111'), { chat_id: '111' });
+});
+
+test('re-adding keeps who added it and when; removal drops every topic', async () => {
+  const first = await addDestination({ chatId: GROUP, type: 'supergroup', title: 'Traders', addedBy: 7 });
+  assert.deepEqual(first, { id: GROUP, created: true });
+  const { addedAt } = await getDestination(GROUP);
+
+  const again = await addDestination({ chatId: GROUP, title: 'Traders (renamed)', addedBy: 8 });
+  assert.equal(again.created, false);
+  const stored = await getDestination(GROUP);
+  assert.equal(stored.title, 'Traders (renamed)');
+  assert.equal(stored.type, 'supergroup');
+  assert.equal(stored.addedBy, '7');
+  assert.equal(stored.addedAt, addedAt);
+
+  await addDestination({ chatId: GROUP, threadId: 45 });
+  await addDestination({ chatId: '-100999' });
+  assert.equal(await removeChatDestinations(GROUP), 2);
+  assert.deepEqual((await listDestinations()).map(d => d.id), ['-100999']);
+  assert.equal(await removeDestination('-100999'), true);
+  assert.equal(await removeDestination('-100999'), false);
+});
+
+test('only group admins turn alerts on; topics become their own destination', async () => {
+  telegram.respond('getChatMember', { status: 'member' });
+  await groupCommand('/econ_on@liirat_bot');
+  assert.match(telegram.sent()[0].text, /⛔️/);
+  assert.equal(await getDestination(GROUP), null);
+
+  telegram.reset();
+  telegram.respond('getChatMember', { status: 'administrator' });
+  await groupCommand('/econ_on', 45);
+  const [reply] = telegram.sent();
+  // The reply stays in the topic
+  assert.equal(reply.message_thread_id, 45);
+  const dest = await getDestination(`${GROUP}:45`);
+  assert.equal(dest.type, 'supergroup');
+  assert.equal(dest.title, 'Traders');
+  assert.equal(await getDestination(GROUP), null);
+
+  await groupCommand('/econ_off', 45);
+  assert.equal(await getDestination(`${GROUP}:45`), null);
+});
+
+test('removing the bot from a chat drops its destinations', async () => {
+  await addDestination({ chatId: GROUP });
+  await addDestination({ chatId: GROUP, threadId: 45 });
+  await post({
+    my_chat_member: {
+      chat: { id: Number(GROUP), type: 'supergroup' },
+      from: { id: 7 },
+      date: 0,
+      old_chat_member: { status: 'member', user: { id: 1 } },
+      new_chat_member: { status: 'kicked', user: { id: 1 } }
+    }
+  });
+  assert.deepEqual(await listDestinations(), []);
+});
+
+test('cron publishes to topics with their own preferences', async () => {
+  const ts = Math.ceil((Date.now() + 10 * MINUTE) / MINUTE) * MINUTE;
+  provider.setEvents([
+    { country: 'United States', event: 'CPI YoY', importance: 3, impact: 'high', date: new Date(ts).toISOString() },
+    { country: 'Japan', event: 'CPI YoY', importance: 3, impact: 'high', date: new Date(ts).toISOString() }
+  ]);
+  await addDestination({ chatId: GROUP, threadId: 45 });
+  await setPrefs(`${GROUP}:45`, { countries: ['Japan'] });
+
+  const res = await call(cron, { url: '/api/cron', headers: { authorization: 'Bearer test-secret' } });
+  assert.equal(res.body.destinations, 1);
+  const sent = telegram.sent();
+  assert.equal(sent.length, 1);
+  assert.equal(String(sent[0].chat_id), GROUP);
+  assert.equal(sent[0].message_thread_id, 45);
+  assert.match(sent[0].text, /Japan/);
+});
@@ -0,0 +1,106 @@
+// test/digest.test.js - Daily and weekly digests: settings parsing,
+// rendering and once-per-day sending, on the memory storage backend and the
+// fake Bot API
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setStore, MemoryStore } = require('../lib/storage');
+const { normalizePrefs } = require('../lib/prefs');
+const { parseClock, parseWeekly, normalizeDigest, formatDigest, processDigests } = require('../lib/digest');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+
+const HOUR = 60 * 60 * 1000;
+// Wednesday 8 Oct 2025, 07:10 UTC
+const NOW = Date.UTC(2025, 9, 8, 7, 10);
+
+function event(ts, fields) {
+  return { country: 'United States', event: 'CPI YoY', importance: 3, ...fields, ts, date: new Date(ts).toISOString() };
+}
+
+const EVENTS = [
+  event(NOW + 5 * HOUR, { forecast: '3.1%' }),
+  event(NOW + 6 * HOUR, { country: 'Japan', event: 'Unemployment Rate' }),
+  event(NOW + 26 * HOUR, { event: 'PPI YoY' }),
+  event(NOW + 8 * 24 * HOUR, { event: 'Retail Sales MoM' })
+];
+
+let telegram;
+
+before(async () => {
+  telegram = await startFakeTelegram();
+});
+
+after(async () => {
+  await telegram.close();
+});
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+  telegram.reset();
+});
+
+test('parses digest times and weekdays', () => {
+  assert.equal(parseClock('7:30'), '07:30');
+  assert.equal(parseClock('24:00'), null);
+  assert.equal(parseClock('7.30'), null);
+  assert.deepEqual(parseWeekly('Sunday 18:00'), { day: 0, time: '18:00' });
+  assert.deepEqual(parseWeekly('fri 9:05'), { day: 5, time: '09:05' });
+  assert.equal(parseWeekly('someday 18:00'), null);
+  assert.deepEqual(normalizeDigest({ daily: 'noon', weekly: { day: 9, time: '18:00' } }), { daily: null, weekly: null });
+});
+
+test('groups the digest by local day, then country', () => {
+  const text = formatDigest('weekly', EVENTS.slice(0, 3), { tz: 'UTC', lang: 'en' });
+  const lines = text.split('\n');
+  assert.equal(lines[0], '📰 *Week ahead*');
+  assert.deepEqual(lines.filter(l => l.startsWith('📆')), ['📆 *Wed 8 Oct*', '📆 *Thu 9 Oct*']);
+  assert.ok(text.indexOf('United States') < text.indexOf('Japan'));
+  assert.match(text, /• 12:10 CPI YoY · Forecast: 3\.1%/);
+
+  assert.match(formatDigest('daily', [], { tz: 'UTC', lang: 'en' }), /No matching events/);
+});
+
+test('sends each due digest once per local day', async () => {
+  const recipients = [
+    { chatId: '1', prefs: normalizePrefs({ tz: 'UTC', lang: 'en', daily: '07:00' }) },
+    // Not due yet in Dubai (11:10 there)
+    { chatId: '2', prefs: normalizePrefs({ lang: 'en', daily: '07:00' }) },
+    { chatId: '3', prefs: normalizePrefs({ tz: 'UTC', lang: 'en', weekly: { day: 3, time: '07:00' } }) }
+  ];
+  const args = { now: NOW, dry: false, token: 'test-token', recipients, events: EVENTS, wants: () => true };
+
+  assert.deepEqual(await processDigests(args), { daily: 1, weekly: 1, failed: 0 });
+  const sent = telegram.sent();
+  const daily = sent.find(m => String(m.chat_id) === '1');
+  assert.equal(daily.disable_notification, true);
+  // Today only
+  assert.match(daily.text, /CPI YoY/);
+  assert.doesNotMatch(daily.text, /PPI YoY/);
+  // The next 7 days
+  const weekly = sent.find(m => String(m.chat_id) === '3');
+  assert.match(weekly.text, /PPI YoY/);
+  assert.doesNotMatch(weekly.text, /Retail Sales/);
+
+  telegram.reset();
+  assert.deepEqual(await processDigests({ ...args, now: NOW + 10 * 60 * 1000 }), { daily: 0, weekly: 0, failed: 0 });
+  assert.equal(telegram.sent().length, 0);
+});
+
+test('digests apply the chat\'s filters; dry runs only count', async () => {
+  const recipients = [{ chatId: '1', prefs: normalizePrefs({ tz: 'UTC', lang: 'en', daily: '07:00' }) }];
+  const wants = (prefs, ev) => ev.country === 'Japan';
+
+  assert.deepEqual(await processDigests({ now: NOW, dry: true, token: 'test-token', recipients, events: EVENTS, wants }),
+    { daily: 1, weekly: 0, failed: 0 });
+  assert.equal(telegram.sent().length, 0);
+
+  await processDigests({ now: NOW, dry: false, token: 'test-token', recipients, events: EVENTS, wants });
+  const [msg] = telegram.sent();
+  assert.match(msg.text, /Unemployment Rate/);
+  assert.doesNotMatch(msg.text, /CPI YoY/);
+});
@@ -0,0 +1,54 @@
+// test/helpers/fake-provider.js - Calendar provider serving fixed events
+// Registered in the provider registry (lib/providers ADAPTERS) as 'fake', so
+// PROVIDERS=fake makes cron fetch from it like from any real adapter.
+
+'use strict';
+
+const { ADAPTERS } = require('../../lib/providers');
+
+const NAME = 'fake';
+
+/**
+ * Register the fake adapter and select it with PROVIDERS.
+ *
+ * @param {object[]} events - shared-shape events ({ country, event, date, importance, … })
+ * @returns {{ setEvents: (events: object[]) => void, fail: (on?: boolean) => void,
+ *   calls: Array<{ fromMs: number, toMs: number }>, uninstall: () => void }}
+ */
+function installFakeProvider(events = []) {
+  let current = events;
+  let failing = false;
+  const calls = [];
+
+  ADAPTERS[NAME] = {
+    name: NAME,
+    // No budget: quota checks always pass
+    limits: {},
+    isConfigured: () => true,
+    async fetchEvents(fromMs, toMs) {
+      calls.push({ fromMs, toMs });
+      if (failing) return null;
+      return current
+        .filter(e => {
+          const ts = Date.parse(e.date);
+          return ts >= fromMs && ts <= toMs;
+        })
+        .map(e => ({ actual: null, forecast: null, previous: null, provider: NAME, ...e }));
+    }
+  };
+  const previousChain = process.env.PROVIDERS;
+  process.env.PROVIDERS = NAME;
+
+  return {
+    setEvents: list => { current = list; },
+    fail: (on = true) => { failing = on; },
+    calls,
+    uninstall: () => {
+      delete ADAPTERS[NAME];
+      if (previousChain === undefined) delete process.env.PROVIDERS;
+      else process.env.PROVIDERS = previousChain;
+    }
+  };
+}
+
+module.exports = { installFakeProvider };
@@ -0,0 +1,66 @@
+// test/helpers/fake-telegram.js - Local stand-in for the Bot API
+// An HTTP server that lib/telegram.js reaches through TELEGRAM_API_URL. It
+// records every call and answers like Telegram: ok with a fresh message_id,
+// the result set for a method with respond(), or the error set for a chat
+// with failChat().
+
+'use strict';
+
+const http = require('node:http');
+
+/**
+ * Start the server on a free port and point TELEGRAM_API_URL at it.
+ *
+ * @returns {Promise<{ url: string, calls: Array<{ token: string, method: string, body: object }>,
+ *   sent: (method?: string) => object[], failChat: (chatId: string|number, error: object) => void,
+ *   respond: (method: string, result: object) => void, reset: () => void, close: () => Promise<void> }>}
+ */
+async function startFakeTelegram() {
+  const calls = [];
+  const failures = new Map();
+  const results = new Map();
+  let messageId = 1000;
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const [, token, method] = req.url.match(/^\/bot([^/]+)\/([^/?]+)/) || [];
+      let body = {};
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch {}
+      calls.push({ token, method, body });
+
+      const failure = failures.get(String(body.chat_id));
+      const reply = failure
+        ? { ok: false, error_code: failure.error_code || 400, description: failure.description }
+        : { ok: true, result: results.get(method) || { message_id: ++messageId, chat: { id: body.chat_id } } };
+      res.writeHead(failure ? reply.error_code : 200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.TELEGRAM_API_URL = url;
+
+  return {
+    url,
+    calls,
+    sent: (method = 'sendMessage') => calls.filter(c => c.method === method).map(c => c.body),
+    failChat: (chatId, error) => failures.set(String(chatId), error),
+    respond: (method, result) => results.set(method, result),
+    reset: () => {
+      calls.length = 0;
+      failures.clear();
+      results.clear();
+    },
+    close: () => new Promise(resolve => {
+      delete process.env.TELEGRAM_API_URL;
+      server.close(() => resolve());
+    })
+  };
+}
+
+module.exports = { startFakeTelegram };
@@ -0,0 +1,47 @@
+// test/helpers/http.js - Calling Node-style (req, res) handlers directly
+
+'use strict';
+
+/**
+ * A response object with the subset of Vercel's API the handlers use.
+ * After the call, `statusCode`, `body` and `headers` hold what was sent.
+ */
+function mockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    end(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+}
+
+/**
+ * Call a handler and return the mock response
+ */
+async function call(handler, { method = 'GET', url = '/', headers = {}, body } = {}) {
+  const res = mockRes();
+  await handler({ method, url, headers, body, query: Object.fromEntries(new URL(url, 'http://x').searchParams) }, res);
+  return res;
+}
+
+module.exports = { mockRes, call };
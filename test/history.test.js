@@ -0,0 +1,46 @@
+// test/history.test.js - /econ_history series lookup, on the memory storage
+// backend
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setStore, MemoryStore } = require('../lib/storage');
+const { recordReleases, findSeries } = require('../lib/history');
+
+const release = (country, event, actual) => ({
+  country, event, actual, forecast: null, previous: null, date: '2026-09-11T12:30:00Z'
+});
+
+beforeEach(async () => {
+  setStore(new MemoryStore());
+  await recordReleases([
+    release('United States', 'Inflation Rate YoY (Sep)', '2.9%'),
+    release('United States', 'Core Inflation Rate YoY (Sep)', '3.1%'),
+    release('United States', 'Non Farm Payrolls (Sep)', '22K'),
+    release('Japan', 'Inflation Rate YoY (Sep)', '2.7%')
+  ]);
+});
+
+test('finds a series by canonical indicator, whatever the provider called it', async () => {
+  const { series } = await findSeries('US CPI YoY');
+  assert.equal(series.indicator, 'Inflation Rate YoY');
+  assert.equal(series.country, 'United States');
+
+  const { series: nfp } = await findSeries('US NFP');
+  assert.equal(nfp.indicator, 'Non Farm Payrolls');
+});
+
+test('ranks the plain indicator above its variants', async () => {
+  const { series, matches } = await findSeries('US CPI');
+  assert.equal(series, null);
+  assert.deepEqual(matches.map(s => s.indicator), ['Inflation Rate YoY', 'Core Inflation Rate YoY']);
+});
+
+test('still matches part of a series name', async () => {
+  const { series } = await findSeries('US Payroll');
+  assert.equal(series.indicator, 'Non Farm Payrolls');
+});
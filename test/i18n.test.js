@@ -0,0 +1,59 @@
+// test/i18n.test.js - Arabic/English catalog, labels and per-chat alert
+// language
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_LANG, MESSAGES, normalizeLang, t, countryLabel, durationLabel, eventLabel
+} = require('../lib/i18n');
+const { toMsg } = require('../lib/alerts');
+
+const CPI = { country: 'United States', event: 'CPI YoY', date: '2025-10-08T13:30:00Z', importance: 3, forecast: '3.1%' };
+
+test('every English message has an Arabic translation', () => {
+  const missing = Object.keys(MESSAGES.en).filter(k => !MESSAGES.ar[k]);
+  assert.deepEqual(missing, []);
+});
+
+test('normalizes language choices; both is the default', () => {
+  assert.equal(DEFAULT_LANG, 'both');
+  assert.equal(normalizeLang(' AR '), 'ar');
+  assert.equal(normalizeLang('bi'), 'both');
+  assert.equal(normalizeLang('fr'), null);
+});
+
+test('t() translates, interpolates and pairs both languages', () => {
+  assert.equal(t('en', 'history.title', { count: 3 }), 'Last 3 releases');
+  assert.equal(t('ar', 'history.title', { count: 3 }), 'آخر 3 إصدارات');
+  assert.equal(t('both', 'history.title', { count: 3 }), 'Last 3 releases | آخر 3 إصدارات');
+  // Unknown keys show the key rather than nothing
+  assert.equal(t('ar', 'no.such.key'), 'no.such.key');
+});
+
+test('country, event and duration labels follow the language', () => {
+  assert.equal(countryLabel('Japan', 'en'), 'Japan');
+  assert.equal(countryLabel('Japan', 'ar'), 'اليابان');
+  assert.equal(countryLabel('Japan', 'both'), 'Japan | اليابان');
+  assert.equal(eventLabel('CPI YoY', 'ar'), 'مؤشر أسعار المستهلك (CPI YoY)');
+  // No Arabic name known: the provider's name is kept
+  assert.equal(eventLabel('Redbook YoY', 'ar'), 'Redbook YoY');
+  assert.equal(durationLabel(60, 'en'), '1 h');
+  assert.equal(durationLabel(15, 'ar'), '15 دقيقة');
+  assert.equal(durationLabel(0, 'en'), 'at release');
+});
+
+test('alerts are rendered in the chat\'s language', () => {
+  const ar = toMsg(CPI, 'UTC', 'ar', 15);
+  assert.match(ar, /تنبيه اقتصادي/);
+  assert.match(ar, /الولايات المتحدة/);
+  assert.doesNotMatch(ar, /Economic Alert/);
+
+  const en = toMsg(CPI, 'UTC', 'en', 15);
+  assert.match(en, /Economic Alert/);
+  assert.doesNotMatch(en, /تنبيه/);
+
+  assert.match(toMsg(CPI, 'UTC', 'both', 15), /Economic Alert \| تنبيه اقتصادي/);
+});
@@ -0,0 +1,112 @@
+// test/instruments.test.js - Watching instruments instead of countries:
+// symbol parsing, the countries that move them, filtering and the pairs
+// shown on alerts
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.TELEGRAM_WEBHOOK_SECRET = 'hook-secret';
+process.env.TG_BOT_TOKEN = 'test-token';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setStore, MemoryStore } = require('../lib/storage');
+const { normalizePrefs, matchesPrefs, getPrefs } = require('../lib/prefs');
+const { toMsg } = require('../lib/alerts');
+const {
+  MAX_WATCH, normalizeSymbol, instrumentCountries, moves, parseInstruments, affectedPairs
+} = require('../lib/instruments');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+
+const CPI = { country: 'Germany', event: 'CPI YoY', date: '2025-10-08T06:00:00Z', importance: 3 };
+
+let telegram;
+let webhook;
+let updateId = 0;
+
+function command(text) {
+  return webhook(new Request('https://bot.example/api/telegram', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-telegram-bot-api-secret-token': 'hook-secret' },
+    body: JSON.stringify({
+      update_id: ++updateId,
+      message: { message_id: updateId, date: 0, chat: { id: 111, type: 'private' }, from: { id: 111 }, text }
+    })
+  }));
+}
+
+before(async () => {
+  telegram = await startFakeTelegram();
+  webhook = (await import('../api/telegram.js')).default;
+});
+
+after(async () => {
+  await telegram.close();
+});
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+  telegram.reset();
+});
+
+test('symbols map to the countries whose releases move them', () => {
+  assert.equal(normalizeSymbol(' eur/usd '), 'EURUSD');
+  assert.deepEqual(instrumentCountries('EURUSD'), ['EA', 'US']);
+  // Metals and crypto move with their pricing currency
+  assert.deepEqual(instrumentCountries('XAUUSD'), ['US']);
+  assert.deepEqual(instrumentCountries('us30'), ['US']);
+  assert.deepEqual(instrumentCountries('GER40'), ['DE', 'EA']);
+  assert.equal(instrumentCountries('XAUXAG'), null);
+  assert.equal(instrumentCountries('ABCDEF'), null);
+  assert.equal(instrumentCountries('EURO'), null);
+});
+
+test('euro-area members move EUR pairs', () => {
+  assert.equal(moves('EURUSD', 'Germany'), true);
+  assert.equal(moves('EURUSD', 'EMU'), true);
+  assert.equal(moves('GBPUSD', 'Germany'), false);
+  // The DAX follows euro-area data as well as Germany's
+  assert.equal(moves('GER40', 'France'), true);
+  assert.equal(moves('UK100', 'France'), false);
+  assert.equal(moves('EURUSD', 'Atlantis'), false);
+});
+
+test('parses watchlists, dropping duplicates and unknown symbols', () => {
+  assert.deepEqual(parseInstruments('XAUUSD eur/usd, us30 EURUSD nope'), {
+    instruments: ['XAUUSD', 'EURUSD', 'US30'], unknown: ['nope']
+  });
+  const many = 'EURUSD GBPUSD USDJPY XAUUSD AUDUSD USDCAD USDCHF NZDUSD GER40 UK100 JP225 AUS200';
+  assert.equal(parseInstruments(many).instruments.length, MAX_WATCH);
+});
+
+test('a watchlist replaces the country list', () => {
+  const prefs = normalizePrefs({ countries: ['Japan'], instruments: ['eurusd', 'BOGUS'] });
+  assert.deepEqual(prefs.instruments, ['EURUSD']);
+  assert.equal(matchesPrefs(CPI, prefs), true);
+  assert.equal(matchesPrefs({ ...CPI, country: 'Japan' }, prefs), false);
+  assert.equal(matchesPrefs({ ...CPI, country: 'Japan' }, normalizePrefs({ countries: ['Japan'] })), true);
+});
+
+test('alerts name the pairs an event moves', () => {
+  assert.deepEqual(affectedPairs(CPI, ['XAUUSD', 'EURUSD', 'GER40']), ['EURUSD', 'GER40']);
+  // Without a watchlist: the first few major pairs
+  assert.deepEqual(affectedPairs({ country: 'United States' }), ['EURUSD', 'GBPUSD', 'USDJPY', 'XAUUSD']);
+  assert.deepEqual(affectedPairs({ country: 'Atlantis' }), []);
+
+  assert.match(toMsg(CPI, 'UTC', 'en', 15, ['EURUSD', 'GER40']), /💹 .*: EURUSD, GER40/);
+  assert.doesNotMatch(toMsg(CPI, 'UTC', 'en', 15), /💹/);
+});
+
+test('/econ_watch sets and clears the watchlist', async () => {
+  await command('/econ_watch XAUUSD eurusd nope');
+  assert.deepEqual((await getPrefs('111')).instruments, ['XAUUSD', 'EURUSD']);
+  assert.match(telegram.sent()[0].text, /⚠️.*nope/);
+
+  await command('/econ_watch nope');
+  assert.match(telegram.sent()[1].text, /^❌/);
+  assert.deepEqual((await getPrefs('111')).instruments, ['XAUUSD', 'EURUSD']);
+
+  await command('/econ_watch clear');
+  assert.deepEqual((await getPrefs('111')).instruments, []);
+});
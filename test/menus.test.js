@@ -0,0 +1,173 @@
+// test/menus.test.js - Inline keyboards: callback data, the upcoming browser,
+// settings screens and button presses through the webhook, on the memory
+// storage backend and the fake Bot API
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.TELEGRAM_WEBHOOK_SECRET = 'hook-secret';
+process.env.TG_BOT_TOKEN = 'test-token';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { normalizePrefs, getPrefs } = require('../lib/prefs');
+const { eventKey, eventHash } = require('../lib/alerts');
+const { getPicks } = require('../lib/picks');
+const { PAGE_SIZE, parseCallback, upcomingView, settingsView, settingPatch } = require('../lib/menus');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+
+const HOUR = 60 * 60 * 1000;
+const PREFS = normalizePrefs({ tz: 'UTC', lang: 'en' });
+
+// Upcoming events `hours` from now, on a whole minute
+function event(hours, fields) {
+  const ts = Math.ceil((Date.now() + hours * HOUR) / 60000) * 60000;
+  return { country: 'United States', event: 'CPI YoY', importance: 3, ...fields, ts, date: new Date(ts).toISOString() };
+}
+
+const EVENTS = [
+  event(1, { event: 'CPI YoY' }),
+  event(2, { event: 'PPI YoY' }),
+  event(3, { country: 'Euro Area', event: 'ECB Rate Decision' }),
+  event(4, { country: 'Japan', event: 'Unemployment Rate' }),
+  event(5, { event: 'Retail Sales MoM' }),
+  event(6, { country: 'Germany', event: 'Ifo Business Climate' }),
+  event(7, { event: 'Redbook YoY', importance: 1 })
+];
+
+const buttons = view => view.reply_markup.inline_keyboard.flat();
+
+let telegram;
+let webhook;
+let updateId = 0;
+
+// A button press on message 5 in `chat`
+function press(data, chat = { id: 111, type: 'private' }) {
+  return webhook(new Request('https://bot.example/api/telegram', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-telegram-bot-api-secret-token': 'hook-secret' },
+    body: JSON.stringify({
+      update_id: ++updateId,
+      callback_query: { id: `cq${updateId}`, from: { id: 7 }, data, message: { message_id: 5, date: 0, chat } }
+    })
+  }));
+}
+
+before(async () => {
+  telegram = await startFakeTelegram();
+  webhook = (await import('../api/telegram.js')).default;
+});
+
+after(async () => {
+  await telegram.close();
+});
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+  telegram.reset();
+});
+
+test('parses callback data', () => {
+  assert.deepEqual(parseCallback('up:2:US:1'), { action: 'up', hash: null, view: { page: 2, country: 'US', day: 1 } });
+  assert.deepEqual(parseCallback('rm:abc123:0:*:*'), { action: 'rm', hash: 'abc123', view: { page: 0, country: null, day: null } });
+  // Out-of-range pages and days are clamped
+  assert.deepEqual(parseCallback('up:-3:*:99').view, { page: 0, country: null, day: 4 });
+  assert.deepEqual(parseCallback('st:imp'), { action: 'st', screen: 'imp' });
+  assert.deepEqual(parseCallback('sv:quiet:2200-0600'), { action: 'sv', field: 'quiet', value: '2200-0600' });
+  assert.deepEqual(parseCallback('noop'), { action: 'noop' });
+  assert.equal(parseCallback('zz:1'), null);
+  assert.equal(parseCallback(undefined), null);
+});
+
+test('the upcoming browser pages at the chat\'s minimum impact', () => {
+  const view = upcomingView(EVENTS, { prefs: PREFS, picks: new Set(), view: { page: 0, country: null, day: null } });
+  // Redbook is low impact
+  assert.doesNotMatch(view.text, /Redbook/);
+  assert.match(view.text, /^1\. .*CPI YoY/m);
+  assert.doesNotMatch(view.text, /Ifo/);
+  const data = buttons(view).map(b => b.callback_data);
+  assert.ok(data.includes('up:1:*:*'));
+  assert.equal(data.filter(d => d.startsWith('rm:')).length, PAGE_SIZE);
+  assert.ok(data.every(d => Buffer.byteLength(d) <= 64));
+
+  // Pages past the end show the last one
+  const last = upcomingView(EVENTS, { prefs: PREFS, picks: new Set(), view: { page: 9, country: null, day: null } });
+  assert.match(last.text, /^6\. .*Ifo Business Climate/m);
+  assert.ok(buttons(last).some(b => b.text === '2/2'));
+});
+
+test('filters by country or instrument and marks picked events', () => {
+  const picks = new Set([eventKey(EVENTS[0])]);
+  const us = upcomingView(EVENTS, { prefs: PREFS, picks, view: { page: 0, country: 'US', day: null } });
+  assert.match(us.text, /CPI YoY 🔔/);
+  assert.doesNotMatch(us.text, /PPI YoY 🔔/);
+  assert.doesNotMatch(us.text, /ECB/);
+  assert.ok(buttons(us).some(b => b.text === '✅ US'));
+  assert.ok(buttons(us).some(b => b.text === '✅ 1' && b.callback_data === `rm:${eventHash(EVENTS[0])}:0:US:*`));
+
+  // Either leg of the pair, including euro-area members
+  const eurusd = upcomingView(EVENTS, { prefs: PREFS, picks, view: { page: 0, country: 'EURUSD', day: null } });
+  assert.match(eurusd.text, /ECB Rate Decision/);
+  assert.match(eurusd.text, /CPI YoY/);
+  assert.doesNotMatch(eurusd.text, /Unemployment Rate/);
+  assert.ok(buttons(eurusd).some(b => b.text === '✅ EURUSD'));
+});
+
+test('settings presses become prefs patches', () => {
+  assert.deepEqual(settingPatch(PREFS, 'imp', '1'), { screen: 'imp', patch: { minImportance: 1 } });
+  assert.equal(settingPatch(PREFS, 'imp', '7'), null);
+  assert.deepEqual(settingPatch(PREFS, 'rem', '15-0'), { screen: 'rem', patch: { reminders: [15, 0] } });
+  assert.deepEqual(settingPatch(PREFS, 'quiet', '2200-0600'), { screen: 'quiet', patch: { quiet: { from: '22:00', to: '06:00' } } });
+  assert.equal(settingPatch(PREFS, 'daily', '0315'), null);
+
+  // Country buttons toggle; the last one cannot be unticked
+  const one = normalizePrefs({ countries: ['Japan'] });
+  assert.deepEqual(settingPatch(one, 'ctry', 'US').patch.countries, ['Japan', 'United States']);
+  assert.deepEqual(settingPatch(one, 'ctry', 'JP'), { screen: 'ctry', patch: {} });
+
+  const imp = settingsView(PREFS, 'imp');
+  assert.ok(buttons(imp).some(b => b.callback_data === 'sv:imp:3' && b.text.startsWith('✅')));
+  assert.ok(buttons(imp).some(b => b.callback_data === 'st:main'));
+  // Unknown screens fall back to the main one
+  assert.equal(settingsView(PREFS, 'nope').reply_markup.inline_keyboard.length, settingsView(PREFS).reply_markup.inline_keyboard.length);
+});
+
+test('"remind me" toggles a pick and redraws the list', async () => {
+  await kv.set('econ:cache:upcoming', JSON.stringify({ events: EVENTS }));
+  await press(`rm:${eventHash(EVENTS[1])}:0:*:*`);
+
+  assert.deepEqual([...(await getPicks('111'))], [eventKey(EVENTS[1])]);
+  const [edit] = telegram.sent('editMessageText');
+  assert.equal(edit.message_id, 5);
+  assert.match(edit.text, /PPI YoY.* 🔔/);
+  assert.ok(telegram.sent('answerCallbackQuery')[0].text);
+
+  await press(`rm:${eventHash(EVENTS[1])}:0:*:*`);
+  assert.equal((await getPicks('111')).size, 0);
+
+  // An event that has gone from the list
+  telegram.reset();
+  await press('rm:ffffffff:0:*:*');
+  assert.equal((await getPicks('111')).size, 0);
+  assert.ok(telegram.sent('answerCallbackQuery')[0].text);
+});
+
+test('settings buttons save prefs; in groups only admins may change them', async () => {
+  await press('sv:imp:1');
+  assert.equal((await getPrefs('111')).minImportance, 1);
+  const [edit] = telegram.sent('editMessageText');
+  assert.match(buttons(edit).find(b => b.callback_data === 'sv:imp:1').text, /^✅/);
+
+  const group = { id: -100555, type: 'supergroup' };
+  telegram.reset();
+  telegram.respond('getChatMember', { status: 'member' });
+  await press('sv:imp:1', group);
+  assert.equal((await getPrefs('-100555')).minImportance, 3);
+  assert.equal(telegram.sent('editMessageText').length, 0);
+
+  // Browsing is open to everyone
+  await press('st:imp', group);
+  assert.equal(telegram.sent('editMessageText').length, 1);
+});
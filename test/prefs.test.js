@@ -0,0 +1,82 @@
+// test/prefs.test.js - Per-subscriber preferences: command argument parsing,
+// stored profiles and the event filter, on the memory storage backend
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setStore, MemoryStore } = require('../lib/storage');
+const {
+  ALL, DEFAULT_PREFS, normalizePrefs, getPrefs, setPrefs, resetPrefs,
+  splitList, parseCountries, parseImportance, matchesPrefs
+} = require('../lib/prefs');
+
+const ev = fields => ({ country: 'United States', event: 'CPI YoY', importance: 3, ...fields });
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+});
+
+test('parses country lists from names, ISO and currency codes', () => {
+  assert.deepEqual(splitList(' US, ,United Kingdom,JP '), ['US', 'United Kingdom', 'JP']);
+  assert.deepEqual(parseCountries('US, EUR, japan, US'), {
+    countries: ['United States', 'Euro Area', 'Japan'],
+    unknown: []
+  });
+  assert.deepEqual(parseCountries('US, Narnia'), { countries: ['United States'], unknown: ['Narnia'] });
+  assert.deepEqual(parseCountries('all'), { countries: [ALL], unknown: [] });
+});
+
+test('parses impact levels by name or number', () => {
+  assert.equal(parseImportance('High'), 3);
+  assert.equal(parseImportance('medium'), 2);
+  assert.equal(parseImportance('1'), 1);
+  assert.equal(parseImportance('4'), null);
+  assert.equal(parseImportance(''), null);
+});
+
+test('stored profiles fall back to the defaults field by field', () => {
+  assert.deepEqual(normalizePrefs(null), { ...DEFAULT_PREFS });
+  const p = normalizePrefs({ countries: ['Japan'], minImportance: 7, tz: 'Mars/Olympus', include: ['CPI'], bogus: 1 });
+  assert.deepEqual(p.countries, ['Japan']);
+  assert.equal(p.minImportance, DEFAULT_PREFS.minImportance);
+  assert.equal(p.tz, DEFAULT_PREFS.tz);
+  assert.deepEqual(p.include, ['CPI']);
+  assert.equal('bogus' in p, false);
+});
+
+test('setPrefs merges a patch into the stored profile; resetPrefs clears it', async () => {
+  await setPrefs('1', { countries: ['Japan'] });
+  await setPrefs('1', { minImportance: 2 });
+  const p = await getPrefs('1');
+  assert.deepEqual(p.countries, ['Japan']);
+  assert.equal(p.minImportance, 2);
+
+  await resetPrefs('1');
+  assert.deepEqual(await getPrefs('1'), normalizePrefs(null));
+});
+
+test('matchesPrefs applies impact, countries and keywords', () => {
+  const prefs = normalizePrefs({ countries: ['United States'], minImportance: 2, exclude: ['core'] });
+  assert.equal(matchesPrefs(ev(), prefs), true);
+  assert.equal(matchesPrefs(ev({ importance: 1 }), prefs), false);
+  assert.equal(matchesPrefs(ev({ country: 'Japan' }), prefs), false);
+  assert.equal(matchesPrefs(ev({ event: 'Core CPI YoY' }), prefs), false);
+
+  const onlyNfp = normalizePrefs({ countries: [ALL], include: ['payrolls'] });
+  assert.equal(matchesPrefs(ev({ country: 'Japan', event: 'Non Farm Payrolls' }), onlyNfp), true);
+  assert.equal(matchesPrefs(ev(), onlyNfp), false);
+});
+
+test('manual events without an importance count as high impact', () => {
+  const prefs = normalizePrefs({ minImportance: 3 });
+  assert.equal(matchesPrefs(ev({ importance: undefined }), prefs), true);
+});
+
+test('country codes in events and prefs match the same country', () => {
+  const prefs = normalizePrefs({ countries: ['United States'] });
+  assert.equal(matchesPrefs(ev({ country: 'US' }), prefs), true);
+});
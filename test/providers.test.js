@@ -0,0 +1,121 @@
+// test/providers.test.js - Provider adapters and the fallback chain, with
+// stub adapters and a stubbed fetch, on the memory storage backend
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { ADAPTERS, DEFAULT_CHAIN, getChain, fetchProviderEvents } = require('../lib/providers');
+const { usage } = require('../lib/providers/quota');
+const finnhub = require('../lib/providers/finnhub');
+
+const DATE = '2025-10-08T12:30:00.000Z';
+
+// A stub adapter: `result` is its events, or null for a failed call
+function stub(name, result, limits = {}) {
+  const calls = [];
+  ADAPTERS[name] = {
+    name,
+    limits,
+    isConfigured: () => true,
+    async fetchEvents(fromMs, toMs) {
+      calls.push({ fromMs, toMs });
+      return result && result.map(e => ({ provider: name, ...e }));
+    }
+  };
+  return calls;
+}
+
+const cpi = fields => ({ country: 'United States', event: 'CPI YoY', date: DATE, importance: 3, actual: null, forecast: null, previous: null, ...fields });
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+});
+
+afterEach(() => {
+  for (const n of ['first', 'second', 'third']) delete ADAPTERS[n];
+});
+
+test('getChain reads the override, then PROVIDERS, dropping unknown names', (t) => {
+  t.after(() => { delete process.env.PROVIDERS; });
+  delete process.env.PROVIDERS;
+  assert.deepEqual(getChain(), DEFAULT_CHAIN);
+  process.env.PROVIDERS = 'FMP, nope, finnhub, fmp';
+  assert.deepEqual(getChain(), ['fmp', 'finnhub']);
+  assert.deepEqual(getChain('finnhub'), ['finnhub']);
+  assert.deepEqual(getChain('nope'), DEFAULT_CHAIN);
+});
+
+test('falls back past failed and empty providers to the first with events', async () => {
+  stub('first', null);
+  stub('second', []);
+  stub('third', [cpi()]);
+
+  const r = await fetchProviderEvents(0, Date.now(), { chain: ['first', 'second', 'third'] });
+  assert.deepEqual(r.providers, ['third']);
+  assert.equal(r.events.length, 1);
+  assert.deepEqual(r.attempts.map(a => `${a.name}:${a.status}`), ['first:failed', 'second:empty', 'third:ok']);
+});
+
+test('fallback stops at the first provider with events; merge asks them all', async () => {
+  const second = stub('second', [cpi({ forecast: '3.1%' }), cpi({ event: 'PPI YoY' })]);
+  stub('first', [cpi({ actual: '3.3%' })]);
+
+  const fallback = await fetchProviderEvents(0, Date.now(), { chain: ['first', 'second'] });
+  assert.deepEqual(fallback.providers, ['first']);
+  assert.equal(second.length, 0);
+
+  const merged = await fetchProviderEvents(0, Date.now(), { chain: ['first', 'second'], strategy: 'merge' });
+  assert.deepEqual(merged.providers, ['first', 'second']);
+  assert.equal(merged.events.length, 2);
+  // The same release from both keeps the first provider's fields and fills gaps
+  const both = merged.events.find(e => e.event === 'CPI YoY');
+  assert.equal(both.actual, '3.3%');
+  assert.equal(both.forecast, '3.1%');
+});
+
+test('providers without budget left are skipped', async () => {
+  stub('first', [cpi()], { monthly: 10 });
+  stub('second', [cpi({ event: 'PPI YoY' })]);
+  await kv.set(`econ:quota:first:m:${new Date().toISOString().slice(0, 7)}`, '10');
+
+  const r = await fetchProviderEvents(0, Date.now(), { chain: ['first', 'second'] });
+  assert.deepEqual(r.providers, ['second']);
+  assert.deepEqual(r.attempts[0], { name: 'first', status: 'skipped', reason: 'quota', count: 0 });
+});
+
+test('the Finnhub adapter normalizes its response and counts the call', async (t) => {
+  process.env.FINNHUB_API_KEY = 'key';
+  t.after(() => { delete process.env.FINNHUB_API_KEY; });
+  const urls = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    urls.push(url);
+    return new Response(JSON.stringify({
+      economicCalendar: [
+        { country: 'US', event: 'CPI YoY', time: '2025-10-08 12:30:00', impact: 'high', estimate: 3.1, prev: 3, actual: null, unit: '%' },
+        { country: 'JP', event: 'No time', time: '', impact: 'low' }
+      ]
+    }), { status: 200 });
+  });
+
+  const events = await finnhub.fetchEvents(Date.parse(DATE), Date.parse(DATE));
+  assert.match(urls[0], /from=2025-10-08&to=2025-10-08&token=key/);
+  assert.deepEqual(events, [{
+    country: 'United States', event: 'CPI YoY', date: DATE,
+    actual: null, forecast: '3.1%', previous: '3%',
+    importance: 3, impact: 'high', provider: 'finnhub'
+  }]);
+  assert.equal((await usage('finnhub', finnhub.limits)).month, 1);
+});
+
+test('a Finnhub error response is a failed call, not an empty one', async (t) => {
+  process.env.FINNHUB_API_KEY = 'key';
+  t.after(() => { delete process.env.FINNHUB_API_KEY; });
+  t.mock.method(globalThis, 'fetch', async () => new Response('limit', { status: 429 }));
+
+  assert.equal(await finnhub.fetchEvents(0, 0), null);
+});
@@ -0,0 +1,103 @@
+// test/quiet.test.js - Quiet hours for schedule-change notices and release
+// follow-ups, on the memory storage backend and the fake Bot API
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { normalizePrefs } = require('../lib/prefs');
+const { processChanges } = require('../lib/changes');
+const { trackAlert, processReleases } = require('../lib/releases');
+const { processCatchUps } = require('../lib/quiet');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+
+const HOUR = 60 * 60 * 1000;
+const TOKEN = 'test-token';
+
+// A UTC window from an hour before `now` to an hour after
+function quietAround(now, quietMode) {
+  const clock = ms => new Date(ms).toISOString().slice(11, 16);
+  return normalizePrefs({ tz: 'UTC', quiet: { from: clock(now - HOUR), to: clock(now + HOUR) }, quietMode });
+}
+
+function event(ts, fields) {
+  return { country: 'United States', event: 'CPI YoY', importance: 3, forecast: '3.1%', previous: '3.0%', ...fields, ts, date: new Date(ts).toISOString() };
+}
+
+let telegram;
+
+before(async () => {
+  telegram = await startFakeTelegram();
+});
+
+after(async () => {
+  await telegram.close();
+});
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+  telegram.reset();
+});
+
+test('change notices follow each chat\'s quiet mode', async () => {
+  const now = Date.now();
+  const recipients = [
+    { chatId: '1', prefs: normalizePrefs({ tz: 'UTC' }) },
+    { chatId: '2', prefs: quietAround(now, 'silent') },
+    { chatId: '3', prefs: quietAround(now, 'drop') },
+    { chatId: '4', prefs: quietAround(now, 'bundle') }
+  ];
+  const ev = event(now + 2 * HOUR);
+  const change = { type: 'revised', key: 'k', before: { ...ev, forecast: '3.0%' }, after: ev };
+
+  const summary = await processChanges({
+    changes: [change], dry: false, now, token: TOKEN, recipients, wants: () => true, stages: []
+  });
+  assert.deepEqual(summary.quiet, { silent: 1, dropped: 1, queued: 1 });
+
+  const sent = telegram.sent();
+  assert.deepEqual(sent.map(m => String(m.chat_id)).sort(), ['1', '2']);
+  assert.equal(sent.find(m => String(m.chat_id) === '1').disable_notification, undefined);
+  assert.equal(sent.find(m => String(m.chat_id) === '2').disable_notification, true);
+
+  // The bundled notice goes out once the window has ended
+  telegram.reset();
+  const catchUps = await processCatchUps({ now: now + 2 * HOUR, dry: false, token: TOKEN, recipients });
+  assert.equal(catchUps.sent, 1);
+  const [msg] = telegram.sent();
+  assert.equal(String(msg.chat_id), '4');
+  assert.match(msg.text, /Forecast revised/);
+});
+
+test('release replies follow quiet hours; edits go through', async () => {
+  const now = Date.now();
+  const ev = event(now - 10 * 60 * 1000);
+  await trackAlert(ev, { 1: 11, 2: 12, 3: 13, 4: 14 });
+  const prefsMap = new Map([
+    ['1', normalizePrefs({ tz: 'UTC' })],
+    ['2', quietAround(now, 'silent')],
+    ['3', quietAround(now, 'drop')],
+    ['4', quietAround(now, 'bundle')]
+  ]);
+  const fetchLatest = async () => ({ events: [{ ...ev, actual: '3.3%' }], polled: true });
+
+  const summary = await processReleases({ now, dry: false, token: TOKEN, prefsMap, mode: 'send', fetchLatest });
+  assert.equal(summary.released, 1);
+  assert.deepEqual(summary.quiet, { silent: 1, dropped: 1, queued: 1 });
+  const sent = telegram.sent();
+  assert.deepEqual(sent.map(m => String(m.chat_id)).sort(), ['1', '2']);
+  assert.equal(sent.find(m => String(m.chat_id) === '2').disable_notification, true);
+  const queued = await kv.lrange('econ:quiet:4', 0, -1);
+  assert.equal(queued.length, 1);
+
+  // In edit mode every chat's alert is updated in place
+  telegram.reset();
+  await trackAlert(ev, { 1: 11, 2: 12, 3: 13, 4: 14 });
+  await processReleases({ now, dry: false, token: TOKEN, prefsMap, mode: 'edit', fetchLatest });
+  assert.equal(telegram.sent('editMessageText').length, 4);
+  assert.equal(telegram.sent().length, 0);
+});
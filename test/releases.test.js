@@ -0,0 +1,111 @@
+// test/releases.test.js - "Actual vs forecast" follow-ups: figure parsing,
+// the surprise calculation and the tracked-alert lifecycle, on the memory
+// storage backend and the fake Bot API
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { normalizePrefs } = require('../lib/prefs');
+const {
+  TRACK_KEY, trackAlert, alertMessages, parseFigure, compareRelease, releaseText, processReleases
+} = require('../lib/releases');
+const { eventKey } = require('../lib/alerts');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+
+const MINUTE = 60 * 1000;
+const TOKEN = 'test-token';
+
+function event(ts, fields) {
+  return { country: 'United States', event: 'CPI YoY', importance: 3, forecast: '3.1%', previous: '3.0%', ...fields, ts, date: new Date(ts).toISOString() };
+}
+
+let telegram;
+
+before(async () => {
+  telegram = await startFakeTelegram();
+});
+
+after(async () => {
+  await telegram.close();
+});
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+  telegram.reset();
+});
+
+test('parses single figures with their unit and precision', () => {
+  assert.deepEqual(parseFigure('3.2%'), { value: 3.2, decimals: 1, unit: '%' });
+  assert.deepEqual(parseFigure('1,234.5K'), { value: 1234.5, decimals: 1, unit: 'K' });
+  assert.deepEqual(parseFigure('-0.25'), { value: -0.25, decimals: 2, unit: '' });
+  assert.equal(parseFigure('n/a'), null);
+  assert.equal(parseFigure(null), null);
+});
+
+test('compares the actual with forecast and previous', () => {
+  assert.deepEqual(compareRelease({ actual: '3.3%', forecast: '3.1%', previous: '3.3%' }),
+    { surprise: 'beat', vsForecast: '+0.2%', vsPrevious: '±0.0%' });
+  assert.deepEqual(compareRelease({ actual: '150K', forecast: '180K' }),
+    { surprise: 'miss', vsForecast: '-30K', vsPrevious: null });
+  assert.equal(compareRelease({ actual: '0.25', forecast: '0.250' }).surprise, 'inline');
+  // Different units are not compared
+  assert.deepEqual(compareRelease({ actual: '150K', forecast: '2.0%' }),
+    { surprise: null, vsForecast: null, vsPrevious: null });
+});
+
+test('release text shows the surprise only when there is a forecast', () => {
+  const text = releaseText({ actual: '3.3%', forecast: '3.1%', previous: '3.0%' }, 'en');
+  assert.match(text, /Actual: \*3\.3%\*/);
+  assert.match(text, /vs Forecast 3\.1%: ▲ Beat \(\+0\.2%\)/);
+  assert.match(text, /vs Previous 3\.0%: \+0\.3%/);
+  assert.equal(releaseText({ actual: '3.3%' }, 'en').split('\n').length, 1);
+});
+
+test('edits each chat\'s alert with the actual, then stops tracking it', async () => {
+  const now = Date.now();
+  const ev = event(now - 10 * MINUTE);
+  await trackAlert(ev, { 1: 11, 2: 12 });
+  const prefsMap = new Map([['2', normalizePrefs({ lang: 'ar' })]]);
+  const fetchLatest = async () => ({ events: [{ ...ev, actual: '3.3%' }], polled: true });
+
+  const summary = await processReleases({ now, dry: false, token: TOKEN, prefsMap, mode: 'edit', fetchLatest });
+  assert.equal(summary.released, 1);
+  assert.equal(summary.updated, 2);
+  const edits = telegram.sent('editMessageText');
+  assert.deepEqual(edits.map(m => m.message_id).sort(), [11, 12]);
+  assert.match(edits.find(m => m.message_id === 11).text, /Beat/);
+  assert.match(edits.find(m => m.message_id === 12).text, /الفعلي/);
+
+  assert.deepEqual(await kv.zrange(TRACK_KEY, 0, -1), []);
+  assert.deepEqual(await alertMessages(eventKey(ev)), {});
+});
+
+test('reply mode answers the alert instead of editing it', async () => {
+  const now = Date.now();
+  const ev = event(now - 10 * MINUTE);
+  await trackAlert(ev, { 1: 11 });
+  const fetchLatest = async () => ({ events: [{ ...ev, actual: '2.9%' }], polled: true });
+
+  await processReleases({ now, dry: false, token: TOKEN, prefsMap: new Map(), mode: 'send', fetchLatest });
+  const [reply] = telegram.sent();
+  assert.equal(reply.reply_to_message_id, 11);
+  assert.match(reply.text, /Miss/);
+});
+
+test('keeps waiting for the actual, then gives up after three hours', async () => {
+  const now = Date.now();
+  await trackAlert(event(now - 30 * MINUTE), { 1: 11 });
+  await trackAlert(event(now - 4 * 60 * MINUTE, { event: 'PPI YoY' }), { 1: 12 });
+  const fetchLatest = async () => ({ events: [], polled: true });
+
+  const summary = await processReleases({ now, dry: false, token: TOKEN, prefsMap: new Map(), fetchLatest });
+  assert.equal(summary.due, 2);
+  assert.equal(summary.expired, 1);
+  assert.equal((await kv.zrange(TRACK_KEY, 0, -1)).length, 1);
+  assert.equal(telegram.sent('editMessageText').length, 0);
+});
@@ -0,0 +1,53 @@
+// test/reminders.test.js - Multi-stage reminders: /econ_remind parsing,
+// stored lists and which stage is due
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_REMINDERS, LEAD_MIN, normalizeReminders, parseReminders, dueStage, stageKey, describeReminders
+} = require('../lib/reminders');
+
+test('parses offsets in minutes, hours or "now", largest first', () => {
+  assert.deepEqual(parseReminders('60m 15m now'), [60, 15, 0]);
+  assert.deepEqual(parseReminders('15, 1h, release, 15'), [60, 15, 0]);
+  assert.deepEqual(parseReminders('2h 30min'), [120, 30]);
+});
+
+test('rejects bad tokens and offsets over a day', () => {
+  assert.equal(parseReminders(''), null);
+  assert.equal(parseReminders('soon'), null);
+  assert.equal(parseReminders('25h'), null);
+});
+
+test('stored lists are cleaned and capped', () => {
+  assert.deepEqual(normalizeReminders([0, '15', 15, -5, 1.5, 3000]), [15, 0]);
+  assert.equal(normalizeReminders([]), null);
+  assert.equal(normalizeReminders('60'), null);
+  assert.equal(normalizeReminders([240, 120, 60, 30, 15, 0]).length, 4);
+});
+
+test('dueStage picks the smallest offset already reached', () => {
+  const stages = [60, 15, 0];
+  assert.equal(dueStage(stages, 90), null);
+  // Sent on the last cron run before the offset
+  assert.equal(dueStage(stages, 60 + LEAD_MIN), 60);
+  assert.equal(dueStage(stages, 30), 60);
+  // A chat that first sees the event 10 minutes out gets only the 15m stage
+  assert.equal(dueStage(stages, 10), 15);
+  assert.equal(dueStage(stages, 1), 0);
+  assert.equal(dueStage([60], 1), 60);
+});
+
+test('each stage has its own dedupe key', () => {
+  const key = 'US|CPI|2025-10-08T12:30';
+  assert.notEqual(stageKey(key, 60), stageKey(key, 15));
+  assert.equal(stageKey(key, 0), 'econ:sent:US|CPI|2025-10-08T12:30|0m:chats');
+});
+
+test('describes the list in the chat\'s language', () => {
+  assert.equal(describeReminders(DEFAULT_REMINDERS, 'en'), '1 h, 15 min, at release');
+  assert.match(describeReminders([15], 'both'), /^15 min \| 15 دقيقة$/);
+});
@@ -0,0 +1,144 @@
+// test/runlog.test.js - Cron run log, failure streaks with admin alerts and
+// the health status endpoint, on the memory storage backend and the fake
+// Bot API
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.CRON_SECRET = 'test-secret';
+process.env.LIIRAT_BOT_TOKEN = 'test-token';
+process.env.ADMIN_CHAT_IDS = '42';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { setPrefs } = require('../lib/prefs');
+const { runFailed, recordRun, recentRuns, healthStatus } = require('../lib/runlog');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+const { installFakeProvider } = require('./helpers/fake-provider');
+const { call } = require('./helpers/http');
+const cron = require('../api/cron');
+const debug = require('../api/econ/debug');
+
+const AUTH = { authorization: 'Bearer test-secret' };
+const MINUTE = 60 * 1000;
+const NOW = Date.UTC(2025, 9, 8, 12, 0);
+
+const OK_RUN = { ok: true, provider: 'finnhub', provider_attempts: [{ name: 'finnhub', status: 'ok' }], sent: 4, failed: 1 };
+const DOWN_RUN = {
+  ok: true,
+  provider: null,
+  provider_attempts: [{ name: 'finnhub', status: 'failed' }, { name: 'fmp', status: 'failed' }]
+};
+
+let telegram;
+let provider;
+
+before(async () => {
+  telegram = await startFakeTelegram();
+  provider = installFakeProvider();
+});
+
+after(async () => {
+  provider.uninstall();
+  await telegram.close();
+});
+
+beforeEach(async () => {
+  setStore(new MemoryStore());
+  telegram.reset();
+  provider.fail(false);
+  await setPrefs('42', { lang: 'en' });
+});
+
+test('a run fails when it crashed or no provider answered', () => {
+  assert.equal(runFailed(OK_RUN), false);
+  assert.equal(runFailed(DOWN_RUN), true);
+  assert.equal(runFailed({ ok: false, provider_attempts: [] }), true);
+  // An empty calendar is an answer
+  assert.equal(runFailed({ ok: true, provider_attempts: [{ name: 'fmp', status: 'failed' }, { name: 'finnhub', status: 'empty' }] }), false);
+  // Nothing configured is not an outage
+  assert.equal(runFailed({ ok: true, provider_attempts: [] }), false);
+  // Budget spent: a cache-only run, unless what was tried failed
+  assert.equal(runFailed({ ok: true, provider_attempts: [{ name: 'finnhub', status: 'skipped', reason: 'quota' }] }), false);
+  assert.equal(runFailed({
+    ok: true,
+    provider_attempts: [{ name: 'finnhub', status: 'skipped', reason: 'quota' }, { name: 'fmp', status: 'failed' }]
+  }), true);
+});
+
+test('admins hear about a failure streak once, again after a while, and on recovery', async () => {
+  const token = 'test-token';
+  await recordRun(DOWN_RUN, { token, now: NOW });
+  await recordRun(DOWN_RUN, { token, now: NOW + 5 * MINUTE });
+  assert.equal(telegram.sent().length, 0);
+
+  const health = await recordRun(DOWN_RUN, { token, now: NOW + 10 * MINUTE });
+  assert.equal(health.failureStreak, 3);
+  assert.equal(health.lastError, 'providers failed: finnhub, fmp');
+  const texts = telegram.sent().map(m => m.text);
+  assert.equal(String(telegram.sent()[0].chat_id), '42');
+  // The run and each provider
+  assert.equal(texts.length, 3);
+  assert.ok(texts.every(text => text.startsWith('🩺')));
+
+  telegram.reset();
+  await recordRun(DOWN_RUN, { token, now: NOW + 15 * MINUTE });
+  assert.equal(telegram.sent().length, 0);
+  await recordRun(DOWN_RUN, { token, now: NOW + 7 * 60 * MINUTE });
+  assert.equal(telegram.sent().length, 3);
+
+  telegram.reset();
+  const back = await recordRun(OK_RUN, { token, now: NOW + 8 * 60 * MINUTE });
+  assert.equal(back.failureStreak, 0);
+  // Run and finnhub recovered; fmp was not asked
+  assert.equal(telegram.sent().length, 2);
+});
+
+test('status sums the last day and flags stale or failing runs', async () => {
+  await recordRun(OK_RUN, { now: NOW - 25 * 60 * MINUTE });
+  await recordRun(OK_RUN, { now: NOW - 10 * MINUTE });
+  await recordRun({ ...OK_RUN, sent: 6, failed: 0 }, { now: NOW - 5 * MINUTE });
+  await kv.sadd('econ:subs', '1', '2');
+
+  const status = await healthStatus({ now: NOW, runs: 2 });
+  assert.equal(status.healthy, true);
+  assert.equal(status.runs_24h, 2);
+  assert.equal(status.sent_24h, 10);
+  assert.equal(status.send_failed_24h, 1);
+  assert.equal(status.send_failure_rate_24h, 0.0909);
+  assert.equal(status.subscribers, 2);
+  assert.equal(status.providers.finnhub.last_status, 'ok');
+  assert.equal(status.recent_runs.length, 2);
+  assert.equal(status.recent_runs[0].sent, 6);
+
+  // Nothing succeeded for over half an hour
+  assert.equal((await healthStatus({ now: NOW + 31 * MINUTE })).healthy, false);
+});
+
+test('the status check answers 503 while unhealthy', async () => {
+  const unhealthy = await call(debug, { url: '/api/econ/debug?check=1', headers: AUTH });
+  assert.equal(unhealthy.statusCode, 503);
+  assert.equal(unhealthy.body.ok, false);
+
+  await recordRun(OK_RUN);
+  const healthy = await call(debug, { url: '/api/econ/debug?check=1', headers: AUTH });
+  assert.equal(healthy.statusCode, 200);
+  assert.equal(healthy.body.status.last_error, null);
+
+  assert.equal((await call(debug, { url: '/api/econ/debug?check=1' })).statusCode, 401);
+});
+
+test('live cron runs are logged; dry runs are not', async () => {
+  provider.setEvents([]);
+  await call(cron, { url: '/api/cron?dry=1', headers: AUTH });
+  assert.equal((await recentRuns()).length, 0);
+
+  await kv.sadd('econ:subs', '111');
+  await call(cron, { url: '/api/cron', headers: AUTH });
+  const [run] = await recentRuns();
+  assert.equal(run.ok, true);
+  assert.equal(run.failed_run, false);
+  assert.equal(run.provider_attempts[0].name, 'fake');
+});
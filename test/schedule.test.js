@@ -0,0 +1,114 @@
+// test/schedule.test.js - Manual schedule: validation, CSV import and the
+// admin CRUD endpoints, on the memory storage backend
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.CRON_SECRET = 'test-secret';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setStore, MemoryStore } = require('../lib/storage');
+const { validateManualEvent, listManual, upsertManual, parseCsv } = require('../lib/schedule');
+const { call } = require('./helpers/http');
+const importHandler = require('../api/econ/admin/import');
+const manual = require('../api/econ/admin/manual');
+
+const AUTH = { authorization: 'Bearer test-secret' };
+
+// An ISO date `days` from now at 12:30 UTC
+function day(days) {
+  const d = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  return `${d.toISOString().slice(0, 10)}T12:30:00.000Z`;
+}
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+});
+
+test('validates events and normalizes countries and importance', () => {
+  const check = validateManualEvent({ country: 'usd', event: ' CPI YoY ', date: '2026-10-20T12:30:00Z', importance: 'High', forecast: '' });
+  assert.deepEqual(check, {
+    ok: true,
+    event: {
+      country: 'United States', event: 'CPI YoY', date: '2026-10-20T12:30:00.000Z',
+      forecast: null, previous: null, actual: null, importance: 3
+    }
+  });
+  assert.equal(validateManualEvent({ event: 'CPI', date: '2026-10-20' }).error, 'country_required');
+  assert.equal(validateManualEvent({ country: 'US', event: 'CPI', date: 'soon' }).error, 'invalid_date: soon');
+  assert.equal(validateManualEvent({ country: 'US', event: 'CPI', date: '2026-10-20', importance: 'huge' }).error, 'invalid_importance: huge');
+});
+
+test('parses CSV with quotes, escaped quotes, CRLF and blank lines', () => {
+  const rows = parseCsv('\uFEFFCountry,Event,Date\r\nUS,"Fed Chair ""Powell"" Speaks, Jackson Hole",2026-10-20T12:30:00Z\r\n\r\nJP,CPI,2026-10-21\n');
+  assert.deepEqual(rows, [
+    { _row: 2, country: 'US', event: 'Fed Chair "Powell" Speaks, Jackson Hole', date: '2026-10-20T12:30:00Z' },
+    { _row: 4, country: 'JP', event: 'CPI', date: '2026-10-21' }
+  ]);
+});
+
+test('the same country, event and minute replaces the stored entry', async () => {
+  const ev = validateManualEvent({ country: 'US', event: 'CPI YoY', date: day(2), forecast: '3.1%' }).event;
+  const first = await upsertManual([ev]);
+  assert.equal(first.created.length, 1);
+
+  const again = await upsertManual([{ ...ev, country: 'United States', forecast: '3.2%' }]);
+  assert.deepEqual(again, { created: [], updated: first.created });
+  const list = await listManual();
+  assert.equal(list.length, 1);
+  assert.equal(list[0].forecast, '3.2%');
+  assert.equal(list[0].id, first.created[0]);
+});
+
+test('CSV import reports bad rows and imports the rest; dry runs write nothing', async () => {
+  const csv = [
+    'country,event,date,forecast,importance',
+    `US,CPI YoY,${day(2)},3.1%,high`,
+    `,No country,${day(2)},,`,
+    `JP,Unemployment Rate,${day(3)},2.5%,medium`
+  ].join('\n');
+
+  const dry = await call(importHandler, { method: 'POST', url: '/api/econ/admin/import?dry=1', headers: AUTH, body: csv });
+  assert.equal(dry.statusCode, 200);
+  assert.equal(dry.body.valid, 2);
+  assert.equal(dry.body.preview.length, 2);
+  assert.deepEqual(dry.body.errors, [{ row: 3, error: 'country_required' }]);
+  assert.equal((await listManual()).length, 0);
+
+  const res = await call(importHandler, { method: 'POST', url: '/api/econ/admin/import', headers: AUTH, body: { csv } });
+  assert.equal(res.body.created.length, 2);
+  assert.deepEqual((await listManual()).map(e => e.importance), [3, 2]);
+
+  const none = await call(importHandler, { method: 'POST', url: '/api/econ/admin/import', headers: AUTH, body: 'country,event,date\n,,x' });
+  assert.equal(none.statusCode, 400);
+});
+
+test('lists, edits and deletes entries by id', async () => {
+  await upsertManual([
+    validateManualEvent({ country: 'US', event: 'CPI YoY', date: day(2) }).event,
+    validateManualEvent({ country: 'JP', event: 'CPI YoY', date: day(20) }).event
+  ]);
+
+  const list = await call(manual, { url: `/api/econ/admin/manual?to=${day(5).slice(0, 10)}`, headers: AUTH });
+  assert.equal(list.body.count, 1);
+  const { id } = list.body.events[0];
+
+  const patched = await call(manual, { method: 'PATCH', url: `/api/econ/admin/manual?id=${id}`, headers: AUTH, body: { forecast: '0.4%', date: day(3) } });
+  assert.equal(patched.body.event.id, id);
+  assert.equal(patched.body.event.forecast, '0.4%');
+  assert.equal(patched.body.event.date, day(3));
+
+  const invalid = await call(manual, { method: 'PATCH', url: `/api/econ/admin/manual?id=${id}`, headers: AUTH, body: { date: 'never' } });
+  assert.equal(invalid.statusCode, 400);
+
+  const removed = await call(manual, { method: 'DELETE', url: `/api/econ/admin/manual?id=${id}`, headers: AUTH });
+  assert.equal(removed.body.deleted, id);
+  assert.equal((await listManual()).length, 1);
+  const missing = await call(manual, { method: 'DELETE', url: `/api/econ/admin/manual?id=${id}`, headers: AUTH });
+  assert.equal(missing.statusCode, 404);
+
+  const denied = await call(manual, { url: '/api/econ/admin/manual' });
+  assert.equal(denied.statusCode, 401);
+});
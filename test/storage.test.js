@@ -0,0 +1,60 @@
+// test/storage.test.js - Backend selection in lib/storage, and the file
+// backend staying out of the edge handlers' import graph
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const EDGE_HANDLERS = ['api/telegram.js', 'api/test-alert.js', 'api/cron/econ.js', 'api/cleanup.js'];
+
+function resolve(from, spec) {
+  const base = path.resolve(path.dirname(from), spec);
+  return [base, `${base}.js`, path.join(base, 'index.js')].find(p => fs.existsSync(p) && fs.statSync(p).isFile());
+}
+
+// Every file an entry point reaches through relative require/import
+function importGraph(entry) {
+  const seen = new Set();
+  const queue = [path.join(ROOT, entry)];
+  while (queue.length) {
+    const file = queue.pop();
+    if (seen.has(file)) continue;
+    seen.add(file);
+    const src = fs.readFileSync(file, 'utf8');
+    const specs = [...src.matchAll(/(?:require\(\s*|from\s+|import\s+|import\(\s*)['"](\.{1,2}\/[^'"]+)['"]/g)].map(m => m[1]);
+    for (const spec of specs) {
+      const target = resolve(file, spec);
+      if (target) queue.push(target);
+    }
+  }
+  return [...seen].map(f => path.relative(ROOT, f));
+}
+
+test('edge handlers do not import the file backend', () => {
+  for (const entry of EDGE_HANDLERS) {
+    const graph = importGraph(entry);
+    assert.ok(graph.includes(path.join('lib', 'storage', 'index.js')), entry);
+    assert.ok(!graph.includes(path.join('lib', 'storage', 'file.js')), `${entry} reaches lib/storage/file.js`);
+    assert.ok(!graph.includes(path.join('lib', 'storage', 'node.js')), `${entry} reaches lib/storage/node.js`);
+  }
+});
+
+test('the file backend is only available once lib/storage/node.js is loaded', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'kv-')), 'kv.json');
+  process.env.STORAGE_BACKEND = 'file';
+  process.env.STORAGE_FILE = file;
+  const { kv, setStore } = require('../lib/storage');
+
+  await assert.rejects(kv.get('k'), /only available to Node handlers/);
+
+  require('../lib/storage/node');
+  await kv.set('k', 'v');
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).k.value, 'v');
+  setStore(null);
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
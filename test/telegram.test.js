@@ -0,0 +1,99 @@
+// test/telegram.test.js - api/telegram.js webhook commands against the fake
+// Bot API, on the memory storage backend
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.TELEGRAM_WEBHOOK_SECRET = 'hook-secret';
+process.env.TG_BOT_TOKEN = 'test-token';
+process.env.PUBLIC_BASE_URL = 'https://bot.example';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+
+const GROUP = { id: -1001, type: 'supergroup', title: 'Traders' };
+const ADMIN = { id: 42, first_name: 'Admin' };
+
+let telegram;
+let webhook;
+let updateId = 0;
+
+// A message update through the ESM edge handler
+async function post(message) {
+  const req = new Request('https://bot.example/api/telegram', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-telegram-bot-api-secret-token': 'hook-secret' },
+    body: JSON.stringify({ update_id: ++updateId, message: { message_id: updateId, date: 0, ...message } })
+  });
+  return webhook(req);
+}
+
+const messagesTo = chatId => telegram.sent().filter(m => String(m.chat_id) === String(chatId)).map(m => m.text);
+
+before(async () => {
+  telegram = await startFakeTelegram();
+  webhook = (await import('../api/telegram.js')).default;
+});
+
+after(async () => {
+  await telegram.close();
+});
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+  telegram.reset();
+  telegram.respond('getChatMember', { status: 'administrator', user: ADMIN });
+});
+
+test('/econ_calendar in a group sends the feed link to the admin, not the chat', async () => {
+  const res = await post({ chat: GROUP, from: ADMIN, text: '/econ_calendar' });
+  assert.equal(res.status, 200);
+
+  const [dm] = messagesTo(ADMIN.id);
+  assert.match(dm, /https:\/\/bot\.example\/api\/econ\/calendar\?token=\w+/);
+  const inGroup = messagesTo(GROUP.id);
+  assert.equal(inGroup.length, 1);
+  assert.doesNotMatch(inGroup[0], /token=/);
+});
+
+test('/econ_calendar in a group posts no link when the admin cannot be reached', async () => {
+  telegram.failChat(ADMIN.id, { error_code: 403, description: "Forbidden: bot can't initiate conversation with a user" });
+  await post({ chat: GROUP, from: ADMIN, text: '/econ_calendar' });
+  const inGroup = messagesTo(GROUP.id);
+  assert.equal(inGroup.length, 1);
+  assert.doesNotMatch(inGroup[0], /token=/);
+  assert.match(inGroup[0], /could not message you/);
+
+  // Anonymous admins post as the group itself
+  telegram.reset();
+  await post({ chat: GROUP, from: { id: 1087968824, first_name: 'Group' }, sender_chat: GROUP, text: '/econ_calendar' });
+  assert.equal(telegram.sent().length, 1);
+  assert.match(messagesTo(GROUP.id)[0], /could not message you/);
+});
+
+test('/econ_calendar in a private chat replies with the link', async () => {
+  await post({ chat: { id: 7, type: 'private' }, from: { id: 7 }, text: '/econ_calendar' });
+  assert.match(messagesTo(7)[0], /token=\w+/);
+});
+
+test('/econ_on subscribes a private chat once; /econ_off unsubscribes it', async () => {
+  const chat = { id: 7, type: 'private' };
+  await post({ chat, from: { id: 7, username: 'trader', language_code: 'en' }, text: '/econ_on' });
+  assert.equal(await kv.sismember('econ:subs', '7'), 1);
+  assert.match(messagesTo(7)[0], /Subscribed to economic alerts/);
+  const user = await kv.hget('econ:users', '7');
+  assert.equal((typeof user === 'string' ? JSON.parse(user) : user).username, 'trader');
+
+  await post({ chat, from: { id: 7 }, text: '/econ_on@LiiratBot' });
+  assert.match(messagesTo(7)[1], /already subscribed/);
+
+  await post({ chat, from: { id: 7 }, text: '/econ_off' });
+  assert.equal(await kv.sismember('econ:subs', '7'), 0);
+  assert.match(messagesTo(7)[2], /Unsubscribed/);
+
+  await post({ chat, from: { id: 7 }, text: '/econ_off' });
+  assert.match(messagesTo(7)[3], /not subscribed/);
+});
@@ -0,0 +1,47 @@
+// test/time.test.js - Per-chat timezones in timestamps, alerts and /econ_tz
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_TZ, isValidTimeZone, normalizeTimeZone, formatDateTime, formatTime, localParts
+} = require('../lib/time');
+const { toMsg } = require('../lib/alerts');
+
+// 13:30 UTC on Wednesday 8 Oct 2025
+const TS = Date.UTC(2025, 9, 8, 13, 30);
+
+test('validates and canonicalizes IANA zone names', () => {
+  assert.equal(isValidTimeZone('Europe/London'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(normalizeTimeZone('europe/london'), 'Europe/London');
+  assert.equal(normalizeTimeZone('nowhere'), null);
+});
+
+test('formats times in the chat\'s zone, Dubai by default', () => {
+  assert.equal(DEFAULT_TZ, 'Asia/Dubai');
+  assert.equal(formatTime(TS), '17:30 (Asia/Dubai)');
+  assert.equal(formatTime(TS, 'Europe/London'), '14:30 (Europe/London)');
+  // Underscores would break Telegram Markdown
+  assert.equal(formatDateTime(TS, 'America/New_York'), '8 Oct 2025, 09:30 (America/New York)');
+  // An invalid zone falls back instead of throwing
+  assert.equal(formatTime(TS, 'Mars/Olympus'), '17:30 (Asia/Dubai)');
+});
+
+test('localParts gives the wall-clock date, weekday and minutes', () => {
+  assert.deepEqual(localParts(TS, 'UTC'), { date: '2025-10-08', weekday: 3, minutes: 13 * 60 + 30 });
+  assert.deepEqual(localParts(TS, 'Asia/Tokyo'), { date: '2025-10-08', weekday: 3, minutes: 22 * 60 + 30 });
+  // Already Thursday in Tokyo
+  assert.deepEqual(localParts(Date.UTC(2025, 9, 8, 16), 'Asia/Tokyo'), { date: '2025-10-09', weekday: 4, minutes: 60 });
+});
+
+test('alerts show the release time in the recipient\'s zone', () => {
+  const ev = { country: 'United States', event: 'CPI YoY', importance: 3, date: new Date(TS).toISOString() };
+  assert.match(toMsg(ev, 'Europe/London', 'en'), /14:30 \(Europe\/London\)/);
+  assert.match(toMsg(ev, 'Asia/Riyadh', 'en'), /16:30 \(Asia\/Riyadh\)/);
+});
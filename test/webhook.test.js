@@ -0,0 +1,133 @@
+// test/webhook.test.js - Webhook secret check, update_id dedupe and the
+// admin endpoint that registers the webhook, on the memory storage backend
+// and the fake Bot API
+
+'use strict';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.TELEGRAM_WEBHOOK_SECRET = 'hook-secret';
+process.env.TG_BOT_TOKEN = 'test-token';
+process.env.CRON_SECRET = 'test-secret';
+process.env.PUBLIC_BASE_URL = 'https://bot.example/';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kv, setStore, MemoryStore } = require('../lib/storage');
+const { ALLOWED_UPDATES, verifySecret, claimUpdate, defaultWebhookUrl } = require('../lib/webhook');
+const { startFakeTelegram } = require('./helpers/fake-telegram');
+const { call } = require('./helpers/http');
+const admin = require('../api/econ/admin/webhook');
+
+const AUTH = { authorization: 'Bearer test-secret' };
+
+let telegram;
+let webhook;
+
+function post(update, secret = 'hook-secret') {
+  return webhook(new Request('https://bot.example/api/telegram', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...(secret ? { 'x-telegram-bot-api-secret-token': secret } : {}) },
+    body: JSON.stringify(update)
+  }));
+}
+
+function start(updateId) {
+  return {
+    update_id: updateId,
+    message: { message_id: 1, date: 0, chat: { id: 111, type: 'private' }, from: { id: 111 }, text: '/start' }
+  };
+}
+
+before(async () => {
+  telegram = await startFakeTelegram();
+  webhook = (await import('../api/telegram.js')).default;
+});
+
+after(async () => {
+  await telegram.close();
+});
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+  telegram.reset();
+});
+
+test('the secret header must match TELEGRAM_WEBHOOK_SECRET', () => {
+  assert.equal(verifySecret('hook-secret'), true);
+  assert.equal(verifySecret('hook-secreT'), false);
+  assert.equal(verifySecret('hook'), false);
+  assert.equal(verifySecret(null), false);
+
+  delete process.env.TELEGRAM_WEBHOOK_SECRET;
+  try {
+    // Without a configured secret nothing passes
+    assert.equal(verifySecret(''), false);
+    assert.equal(verifySecret('undefined'), false);
+  } finally {
+    process.env.TELEGRAM_WEBHOOK_SECRET = 'hook-secret';
+  }
+});
+
+test('forged updates are refused before anything runs', async () => {
+  assert.equal((await post(start(1), null)).status, 401);
+  assert.equal((await post(start(2), 'guess')).status, 401);
+  assert.equal(telegram.sent().length, 0);
+  // Refused updates are not claimed, so Telegram's own delivery still runs
+  assert.equal(await kv.get('econ:tg:update:1'), null);
+
+  delete process.env.TELEGRAM_WEBHOOK_SECRET;
+  try {
+    assert.equal((await post(start(3))).status, 503);
+  } finally {
+    process.env.TELEGRAM_WEBHOOK_SECRET = 'hook-secret';
+  }
+  assert.equal(telegram.sent().length, 0);
+});
+
+test('a redelivered update_id is answered once', async () => {
+  assert.equal((await post(start(10))).status, 200);
+  assert.equal((await post(start(10))).status, 200);
+  assert.equal(telegram.sent().length, 1);
+
+  await post(start(11));
+  assert.equal(telegram.sent().length, 2);
+
+  assert.equal(await claimUpdate(12), true);
+  assert.equal(await claimUpdate(12), false);
+  // Updates without an ID cannot be deduped and are always handled
+  assert.equal(await claimUpdate(undefined), true);
+});
+
+test('registers the webhook with the secret and handled update types', async () => {
+  assert.equal(defaultWebhookUrl(), 'https://bot.example/api/telegram');
+
+  const res = await call(admin, { method: 'POST', url: '/api/econ/admin/webhook?drop_pending=1', headers: AUTH });
+  assert.equal(res.statusCode, 200);
+  const [body] = telegram.sent('setWebhook');
+  assert.deepEqual(body, {
+    url: 'https://bot.example/api/telegram',
+    allowed_updates: ALLOWED_UPDATES,
+    drop_pending_updates: true,
+    secret_token: 'hook-secret'
+  });
+
+  const plain = await call(admin, { method: 'POST', url: '/api/econ/admin/webhook?url=http://bot.example/api/telegram', headers: AUTH });
+  assert.equal(plain.statusCode, 400);
+  assert.equal(plain.body.error, 'https_url_required');
+
+  const denied = await call(admin, { method: 'POST', url: '/api/econ/admin/webhook' });
+  assert.equal(denied.statusCode, 401);
+});
+
+test('reports a webhook that points elsewhere or misses update types', async () => {
+  telegram.respond('getWebhookInfo', { url: 'https://old.example/api/telegram', allowed_updates: ['message'] });
+  const res = await call(admin, { url: '/api/econ/admin/webhook', headers: AUTH });
+  assert.equal(res.body.url_matches, false);
+  assert.equal(res.body.secret_configured, true);
+  assert.deepEqual(res.body.missing_updates, ALLOWED_UPDATES.filter(u => u !== 'message'));
+
+  const removed = await call(admin, { method: 'DELETE', url: '/api/econ/admin/webhook', headers: AUTH });
+  assert.equal(removed.body.deleted, true);
+  assert.equal(telegram.sent('deleteWebhook')[0].drop_pending_updates, false);
+});